@@ -0,0 +1,18 @@
+-- Regenerated assistant replies are stored as sibling versions of the original message
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS version_group_id UUID,
+ADD COLUMN IF NOT EXISTS version_number INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS is_active_version BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Backfill: every existing message is the only (active) version of itself
+UPDATE messages SET version_group_id = message_id WHERE version_group_id IS NULL;
+UPDATE messages SET is_active_version = TRUE WHERE is_active_version IS NULL;
+
+-- Lookups of all versions for a message, and of the active version per chat
+CREATE INDEX IF NOT EXISTS idx_messages_version_group ON messages(version_group_id, version_number);
+CREATE INDEX IF NOT EXISTS idx_messages_chat_active ON messages(chat_id, is_active_version, created_at);
+
+-- Document the columns
+COMMENT ON COLUMN messages.version_group_id IS 'Message ID of the original reply; shared by all regenerated versions of it';
+COMMENT ON COLUMN messages.version_number IS 'Version number within the group (1 = original reply)';
+COMMENT ON COLUMN messages.is_active_version IS 'Whether this version is the one shown in the transcript and fed to conversation memory';
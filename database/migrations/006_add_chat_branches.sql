@@ -0,0 +1,26 @@
+-- Editing a past user message forks the conversation into a new branch
+CREATE TABLE IF NOT EXISTS chat_branches (
+  branch_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chat_id UUID NOT NULL REFERENCES chats(chat_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  parent_branch_id UUID REFERENCES chat_branches(branch_id) ON DELETE CASCADE, -- NULL = main branch
+  source_message_id UUID NOT NULL,      -- user message that was edited
+  forked_at TIMESTAMPTZ NOT NULL,       -- created_at of the edited message; parent messages before it are inherited
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_branches_chat ON chat_branches(chat_id, created_at);
+
+-- NULL branch_id / active_branch_id = main branch, so existing chats need no backfill
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS branch_id UUID REFERENCES chat_branches(branch_id) ON DELETE CASCADE;
+
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS active_branch_id UUID REFERENCES chat_branches(branch_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat_branch ON messages(chat_id, branch_id, created_at);
+
+-- Document the columns
+COMMENT ON TABLE chat_branches IS 'Conversation branches created by editing a past user message';
+COMMENT ON COLUMN messages.branch_id IS 'Branch the message was written on (NULL = main branch)';
+COMMENT ON COLUMN chats.active_branch_id IS 'Branch shown in the transcript and used for conversation memory (NULL = main branch)';
@@ -0,0 +1,30 @@
+-- Migration: Per-call LLM token usage and estimated cost
+-- One row per OpenAI call (chat replies, title generation, memory summaries, recording processing)
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  chat_id UUID REFERENCES chats(chat_id) ON DELETE SET NULL,
+  message_id UUID REFERENCES messages(message_id) ON DELETE SET NULL,
+  operation TEXT NOT NULL,
+  model TEXT,
+  model_variant TEXT,
+  prompt_id TEXT,
+  response_id TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  cached_input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  reasoning_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT llm_usage_operation_check CHECK (operation IN ('chat_reply', 'title_generation', 'memory_summary', 'recording_processing'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_chat ON llm_usage(chat_id) WHERE chat_id IS NOT NULL;
+
+COMMENT ON TABLE llm_usage IS 'Token usage reported by OpenAI for every LLM call, with estimated cost';
+COMMENT ON COLUMN llm_usage.operation IS 'chat_reply, title_generation, memory_summary or recording_processing';
+COMMENT ON COLUMN llm_usage.model_variant IS 'arco or arco-pro for chat replies; NULL for background calls';
+COMMENT ON COLUMN llm_usage.cost_usd IS 'Estimated from src/config/pricing.js at write time; NULL when the model has no pricing entry';
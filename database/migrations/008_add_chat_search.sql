@@ -0,0 +1,117 @@
+-- Migration: Full-text search across chat titles and message contents
+-- Backs GET /v1/chat/search through the search_chats() function
+
+-- Step 1: Generated search vectors
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', COALESCE(title, ''))) STORED;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', COALESCE(content, ''))) STORED;
+
+-- Step 2: Indexes
+CREATE INDEX IF NOT EXISTS idx_chats_search_vector ON chats USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+
+-- Step 3: Ranked search over one user's chats.
+-- A chat matches when its title or any selected message version matches. Title hits weigh double.
+-- Snippets wrap matched terms in <mark></mark>; only the best p_matches_per_chat messages get one,
+-- but every matching message ID is returned.
+CREATE OR REPLACE FUNCTION search_chats(
+  p_user_id UUID,
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 20,
+  p_matches_per_chat INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  chat_id UUID,
+  title TEXT,
+  chat_mode TEXT,
+  updated_at TIMESTAMPTZ,
+  rank REAL,
+  title_snippet TEXT,
+  match_count INTEGER,
+  message_ids UUID[],
+  matches JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS q
+  ),
+  user_chats AS (
+    SELECT c.chat_id, c.title, c.chat_mode, c.updated_at, c.search_vector
+    FROM chats c
+    WHERE c.user_id = p_user_id AND c.is_deleted = FALSE
+  ),
+  message_hits AS (
+    SELECT
+      m.chat_id,
+      m.message_id,
+      m.role,
+      m.content,
+      m.created_at,
+      ts_rank_cd(m.search_vector, query.q) AS rank,
+      ROW_NUMBER() OVER (
+        PARTITION BY m.chat_id
+        ORDER BY ts_rank_cd(m.search_vector, query.q) DESC, m.created_at DESC
+      ) AS position
+    FROM messages m
+    JOIN user_chats uc ON uc.chat_id = m.chat_id
+    CROSS JOIN query
+    WHERE m.search_vector @@ query.q
+      AND m.is_active_version = TRUE
+  ),
+  chat_hits AS (
+    SELECT
+      mh.chat_id,
+      MAX(mh.rank) AS rank,
+      COUNT(*)::INTEGER AS match_count,
+      ARRAY_AGG(mh.message_id ORDER BY mh.position) AS message_ids,
+      JSONB_AGG(
+        JSONB_BUILD_OBJECT(
+          'message_id', mh.message_id,
+          'role', mh.role,
+          'created_at', mh.created_at,
+          'snippet', ts_headline('english', mh.content, query.q,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "')
+        )
+        ORDER BY mh.position
+      ) FILTER (WHERE mh.position <= p_matches_per_chat) AS matches
+    FROM message_hits mh
+    CROSS JOIN query
+    GROUP BY mh.chat_id
+  ),
+  title_hits AS (
+    SELECT uc.chat_id, ts_rank_cd(uc.search_vector, query.q) * 2 AS rank
+    FROM user_chats uc
+    CROSS JOIN query
+    WHERE uc.search_vector @@ query.q
+  )
+  SELECT
+    uc.chat_id,
+    uc.title,
+    uc.chat_mode,
+    uc.updated_at,
+    (COALESCE(th.rank, 0) + COALESCE(ch.rank, 0))::REAL AS rank,
+    CASE WHEN th.chat_id IS NOT NULL
+      THEN ts_headline('english', uc.title, query.q, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+    END AS title_snippet,
+    COALESCE(ch.match_count, 0) AS match_count,
+    COALESCE(ch.message_ids, ARRAY[]::UUID[]) AS message_ids,
+    COALESCE(ch.matches, '[]'::JSONB) AS matches
+  FROM user_chats uc
+  CROSS JOIN query
+  LEFT JOIN title_hits th ON th.chat_id = uc.chat_id
+  LEFT JOIN chat_hits ch ON ch.chat_id = uc.chat_id
+  WHERE th.chat_id IS NOT NULL OR ch.chat_id IS NOT NULL
+  ORDER BY rank DESC, uc.updated_at DESC
+  LIMIT p_limit;
+$$;
+
+-- Step 4: Documentation
+COMMENT ON COLUMN chats.search_vector IS 'Full-text search vector over the chat title';
+COMMENT ON COLUMN messages.search_vector IS 'Full-text search vector over the message content';
+COMMENT ON FUNCTION search_chats(UUID, TEXT, INTEGER, INTEGER) IS 'Ranked full-text search over a user''s chat titles and message contents, with highlighted snippets';
@@ -0,0 +1,32 @@
+-- Migration: Chat folders, pinning and archiving
+
+-- Step 1: Named folders per user
+CREATE TABLE IF NOT EXISTS chat_folders (
+  folder_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chat_folders_name_not_blank CHECK (length(btrim(name)) > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_folders_user_name ON chat_folders(user_id, lower(name));
+
+-- Step 2: Organization columns on chats. Deleting a folder leaves its chats unfiled.
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES chat_folders(folder_id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_chats_user_list ON chats(user_id, is_deleted, is_archived, is_pinned DESC, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chats_folder ON chats(folder_id) WHERE folder_id IS NOT NULL;
+
+-- Step 3: Documentation
+COMMENT ON TABLE chat_folders IS 'User-defined folders for organizing chats';
+COMMENT ON COLUMN chat_folders.position IS 'Display order of the folder in the chat list';
+COMMENT ON COLUMN chats.folder_id IS 'Folder the chat is filed under (NULL = unfiled)';
+COMMENT ON COLUMN chats.is_pinned IS 'Pinned chats are listed first';
+COMMENT ON COLUMN chats.is_archived IS 'Archived chats are hidden from the default chat list but not deleted';
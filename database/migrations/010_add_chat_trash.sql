@@ -0,0 +1,16 @@
+-- Migration: Trash for soft-deleted chats
+
+-- Step 1: Record when a chat was moved to the trash
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Backfill: chats deleted before this migration start their retention period now, so the first
+-- purge doesn't remove chats whose last update is already older than the retention period
+UPDATE chats SET deleted_at = NOW() WHERE is_deleted = TRUE AND deleted_at IS NULL;
+
+-- Step 2: Trash listing and purge scans
+CREATE INDEX IF NOT EXISTS idx_chats_trash ON chats(user_id, deleted_at DESC) WHERE is_deleted = TRUE;
+CREATE INDEX IF NOT EXISTS idx_chats_purge ON chats(deleted_at) WHERE is_deleted = TRUE;
+
+-- Step 3: Documentation
+COMMENT ON COLUMN chats.deleted_at IS 'When the chat was moved to the trash; purged permanently after CHAT_TRASH_RETENTION_DAYS';
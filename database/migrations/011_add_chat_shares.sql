@@ -0,0 +1,20 @@
+-- Migration: Read-only share links for chats
+
+-- Step 1: Share tokens. A chat can have several links; each can be revoked or expire on its own.
+CREATE TABLE IF NOT EXISTS chat_shares (
+  share_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token TEXT NOT NULL UNIQUE,
+  chat_id UUID NOT NULL REFERENCES chats(chat_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_shares_chat ON chat_shares(chat_id, created_at DESC);
+
+-- Step 2: Documentation
+COMMENT ON TABLE chat_shares IS 'Public, read-only links to a chat transcript (GET /v1/shared/:token)';
+COMMENT ON COLUMN chat_shares.token IS 'Unguessable URL token; the only credential needed to read the shared chat';
+COMMENT ON COLUMN chat_shares.expires_at IS 'Link stops working after this time (NULL = never expires)';
+COMMENT ON COLUMN chat_shares.revoked_at IS 'Set when the owner revokes the link';
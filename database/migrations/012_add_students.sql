@@ -0,0 +1,60 @@
+-- Migration: Students as first-class records
+-- Prep-digest and lesson-plan chats used to be tied to a student by their title ("Prep digest for
+-- Ana"); they are now linked by student_id, so renaming a student keeps their chats attached.
+
+-- Step 1: Students per teacher
+CREATE TABLE IF NOT EXISTS students (
+  student_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  name TEXT NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT students_name_not_blank CHECK (length(btrim(name)) > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_user_name ON students(user_id, lower(name));
+
+-- Step 2: Link chats and recordings to students. Deleting a student keeps the chats and recordings.
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS student_id UUID REFERENCES students(student_id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS student_chat_type TEXT CHECK (student_chat_type IN ('prep_digest', 'lesson_plan'));
+
+ALTER TABLE recordings
+ADD COLUMN IF NOT EXISTS student_id UUID REFERENCES students(student_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_chats_student ON chats(user_id, student_id, student_chat_type) WHERE student_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_recordings_student ON recordings(student_id) WHERE student_id IS NOT NULL;
+
+-- Step 3: Backfill students and links from existing prep-digest and lesson-plan chat titles
+WITH titled AS (
+  SELECT
+    chat_id,
+    user_id,
+    CASE WHEN title LIKE 'Prep digest for %' THEN 'prep_digest' ELSE 'lesson_plan' END AS chat_type,
+    btrim(regexp_replace(title, '^(Prep digest|Lesson plan) for ', '')) AS student_name
+  FROM chats
+  WHERE student_id IS NULL
+    AND (title LIKE 'Prep digest for %' OR title LIKE 'Lesson plan for %')
+)
+INSERT INTO students (user_id, name)
+SELECT DISTINCT ON (user_id, lower(student_name)) user_id, student_name
+FROM titled
+WHERE student_name <> ''
+ON CONFLICT DO NOTHING;
+
+UPDATE chats c
+SET
+  student_id = s.student_id,
+  student_chat_type = CASE WHEN c.title LIKE 'Prep digest for %' THEN 'prep_digest' ELSE 'lesson_plan' END
+FROM students s
+WHERE c.student_id IS NULL
+  AND s.user_id = c.user_id
+  AND lower(s.name) = lower(btrim(regexp_replace(c.title, '^(Prep digest|Lesson plan) for ', '')))
+  AND (c.title LIKE 'Prep digest for %' OR c.title LIKE 'Lesson plan for %');
+
+-- Step 4: Documentation
+COMMENT ON TABLE students IS 'Students a teacher works with; chats and recordings link to them by student_id';
+COMMENT ON COLUMN chats.student_id IS 'Student the chat is about (NULL = not student-specific)';
+COMMENT ON COLUMN chats.student_chat_type IS 'prep_digest / lesson_plan: the single reusable chat of that kind for the student';
+COMMENT ON COLUMN recordings.student_id IS 'Student the lesson recording belongs to';
@@ -0,0 +1,28 @@
+-- Migration: Revisions for reused prep-digest and lesson-plan chats
+-- Reusing a student's chat used to hard-delete the previous transcript. The transcript is now
+-- archived as a numbered revision first; only the live messages (the active revision) feed memory.
+
+-- Step 1: Active revision number per chat
+ALTER TABLE chats
+ADD COLUMN IF NOT EXISTS revision_number INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS revision_started_at TIMESTAMPTZ;
+
+-- Step 2: Archived revisions (read-only transcript snapshots)
+CREATE TABLE IF NOT EXISTS chat_revisions (
+  revision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chat_id UUID NOT NULL REFERENCES chats(chat_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  revision_number INTEGER NOT NULL,
+  title TEXT,
+  messages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ,
+  archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chat_revisions_number_unique UNIQUE (chat_id, revision_number)
+);
+
+-- Step 3: Documentation
+COMMENT ON COLUMN chats.revision_number IS 'Number of the active revision; earlier ones are in chat_revisions';
+COMMENT ON COLUMN chats.revision_started_at IS 'When the active revision started (NULL = when the chat was created)';
+COMMENT ON TABLE chat_revisions IS 'Archived transcripts of reused prep-digest and lesson-plan chats';
+COMMENT ON COLUMN chat_revisions.messages IS 'Transcript of the active branch at archive time: [{ message_id, role, content, created_at, lesson_context, metadata }]';
@@ -0,0 +1,22 @@
+-- Migration: Edit history for conversation memory
+-- Users can view, replace or reset a chat's memory brief (conversation_briefs). Every change is
+-- recorded here with the brief before and after it.
+
+-- Step 1: Edit history
+CREATE TABLE IF NOT EXISTS conversation_memory_edits (
+  edit_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chat_id UUID NOT NULL REFERENCES chats(chat_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  action TEXT NOT NULL CHECK (action IN ('replace', 'reset')),
+  previous_summary TEXT NOT NULL DEFAULT '',
+  new_summary TEXT NOT NULL DEFAULT '',
+  previous_cursor TEXT, -- last_summarized_message_id before the edit
+  new_cursor TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_edits_chat ON conversation_memory_edits(chat_id, created_at DESC);
+
+-- Step 2: Documentation
+COMMENT ON TABLE conversation_memory_edits IS 'User edits of conversation_briefs: replaced summaries and resets';
+COMMENT ON COLUMN conversation_memory_edits.action IS 'replace = summary text replaced, reset = memory cleared';
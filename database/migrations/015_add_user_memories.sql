@@ -0,0 +1,32 @@
+-- Migration: Long-term memory per teacher
+-- Durable facts about a teacher and their students, extracted in the background from completed
+-- chat turns (or added by hand). Relevant facts are injected into the memory context of every chat.
+
+-- Step 1: Facts
+CREATE TABLE IF NOT EXISTS user_memories (
+  memory_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  content TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT 'teaching' CHECK (category IN ('teaching', 'student', 'preference')),
+  student_id UUID REFERENCES students(student_id) ON DELETE SET NULL,
+  source TEXT NOT NULL DEFAULT 'extracted' CHECK (source IN ('extracted', 'manual')),
+  source_chat_id UUID REFERENCES chats(chat_id) ON DELETE SET NULL,
+  source_message_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The same fact is only stored once per teacher
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_memories_content ON user_memories(user_id, lower(content));
+CREATE INDEX IF NOT EXISTS idx_user_memories_user ON user_memories(user_id, updated_at DESC);
+
+-- Step 2: Track the extraction calls in LLM usage
+ALTER TABLE llm_usage DROP CONSTRAINT IF EXISTS llm_usage_operation_check;
+ALTER TABLE llm_usage ADD CONSTRAINT llm_usage_operation_check
+  CHECK (operation IN ('chat_reply', 'title_generation', 'memory_summary', 'memory_extraction', 'recording_processing'));
+
+-- Step 3: Documentation
+COMMENT ON TABLE user_memories IS 'Long-term facts about a teacher, shared by all of their chats';
+COMMENT ON COLUMN user_memories.student_id IS 'Student the fact is about (NULL = about the teacher)';
+COMMENT ON COLUMN user_memories.source IS 'extracted = found in a chat turn, manual = added by the teacher';
+COMMENT ON COLUMN llm_usage.operation IS 'chat_reply, title_generation, memory_summary, memory_extraction or recording_processing';
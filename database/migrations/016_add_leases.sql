@@ -0,0 +1,71 @@
+-- Migration: Lease-based locks shared by all API instances
+-- Replaces the in-process lock around conversation memory summarization. A lease names its holder
+-- and expires on its own, so a crashed instance cannot block a chat for longer than the lease.
+
+-- Step 1: Leases
+CREATE TABLE IF NOT EXISTS leases (
+  lease_key TEXT PRIMARY KEY, -- e.g. summarization:<chat_id>
+  holder_id TEXT NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_leases_expires_at ON leases(expires_at);
+
+-- Step 2: Take a lease when it is free or expired. Returns TRUE when p_holder_id now holds it.
+CREATE OR REPLACE FUNCTION acquire_lease(p_lease_key TEXT, p_holder_id TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO leases (lease_key, holder_id, acquired_at, expires_at)
+  VALUES (p_lease_key, p_holder_id, NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (lease_key) DO UPDATE
+    SET holder_id = EXCLUDED.holder_id,
+        acquired_at = EXCLUDED.acquired_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE leases.expires_at <= NOW();
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Step 3: Extend a lease still held by p_holder_id. Returns FALSE when it expired and was taken over.
+CREATE OR REPLACE FUNCTION renew_lease(p_lease_key TEXT, p_holder_id TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE leases
+  SET expires_at = NOW() + make_interval(secs => p_ttl_seconds)
+  WHERE lease_key = p_lease_key AND holder_id = p_holder_id;
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Step 4: Give a lease back. Only its holder can release it.
+CREATE OR REPLACE FUNCTION release_lease(p_lease_key TEXT, p_holder_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  released BOOLEAN;
+BEGIN
+  DELETE FROM leases WHERE lease_key = p_lease_key AND holder_id = p_holder_id;
+  released := FOUND;
+
+  -- Expired leases of chats nobody summarizes again would otherwise stay forever
+  DELETE FROM leases WHERE expires_at < NOW() - INTERVAL '1 day';
+
+  RETURN released;
+END;
+$$;
+
+-- Step 5: Documentation
+COMMENT ON TABLE leases IS 'Expiring locks shared by all API instances (e.g. one conversation memory summarization per chat)';
+COMMENT ON COLUMN leases.holder_id IS 'Instance and acquisition that holds the lease; only it can renew or release the lease';
+COMMENT ON COLUMN leases.expires_at IS 'After this time any instance may take the lease over';
+COMMENT ON FUNCTION acquire_lease(TEXT, TEXT, INTEGER) IS 'Take a free or expired lease; TRUE when acquired';
+COMMENT ON FUNCTION renew_lease(TEXT, TEXT, INTEGER) IS 'Extend a lease still held by the caller; FALSE when it was lost';
+COMMENT ON FUNCTION release_lease(TEXT, TEXT) IS 'Give a lease back and purge leases expired for over a day';
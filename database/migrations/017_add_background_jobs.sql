@@ -0,0 +1,86 @@
+-- Migration: Durable background jobs
+-- LLM side tasks (memory summaries, chat titles, long-term memory extraction) used to be
+-- fire-and-forget promises: a restart lost them and failures were never retried. They are now
+-- rows here, claimed by workers, retried with backoff and dead-lettered after max_attempts.
+
+-- Step 1: Jobs
+CREATE TABLE IF NOT EXISTS background_jobs (
+  job_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL, -- memory_summary, chat_title, user_memory_extraction
+  payload JSONB NOT NULL DEFAULT '{}'::JSONB,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  dedupe_key TEXT,
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- Step 2: Indexes
+CREATE INDEX IF NOT EXISTS idx_background_jobs_due ON background_jobs(run_at) WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_background_jobs_dead ON background_jobs(updated_at DESC) WHERE status = 'dead';
+-- At most one waiting job per dedupe key (e.g. one pending summary per chat)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_background_jobs_dedupe
+  ON background_jobs(dedupe_key) WHERE status = 'pending' AND dedupe_key IS NOT NULL;
+
+-- Step 3: Claim due jobs for a worker.
+-- Takes pending jobs whose run_at has passed and running jobs whose lock expired (their worker
+-- stopped mid-job). SKIP LOCKED keeps concurrent workers from claiming the same job. With
+-- p_job_id only that job is claimed, so the API can run a job it just queued right away.
+CREATE OR REPLACE FUNCTION claim_background_jobs(
+  p_worker_id TEXT,
+  p_limit INTEGER DEFAULT 5,
+  p_lock_seconds INTEGER DEFAULT 300,
+  p_job_id UUID DEFAULT NULL
+)
+RETURNS SETOF background_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- A worker stopped during the last allowed attempt: dead-letter instead of running it again
+  UPDATE background_jobs
+  SET status = 'dead',
+      last_error = COALESCE(last_error || E'\n', '') || 'Worker stopped before the job finished',
+      locked_by = NULL,
+      locked_until = NULL,
+      updated_at = NOW()
+  WHERE status = 'running'
+    AND locked_until < NOW()
+    AND attempts >= max_attempts
+    AND (p_job_id IS NULL OR job_id = p_job_id);
+
+  RETURN QUERY
+  UPDATE background_jobs j
+  SET status = 'running',
+      attempts = j.attempts + 1,
+      locked_by = p_worker_id,
+      locked_until = NOW() + make_interval(secs => p_lock_seconds),
+      updated_at = NOW()
+  WHERE j.job_id IN (
+    SELECT job_id
+    FROM background_jobs
+    WHERE (p_job_id IS NULL OR job_id = p_job_id)
+      AND (
+        (status = 'pending' AND run_at <= NOW())
+        OR (status = 'running' AND locked_until < NOW())
+      )
+    ORDER BY run_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$;
+
+-- Step 4: Documentation
+COMMENT ON TABLE background_jobs IS 'Durable queue for background LLM tasks, run by the API process or a separate worker';
+COMMENT ON COLUMN background_jobs.status IS 'pending = waiting for run_at, running = claimed by locked_by, completed, dead = gave up after max_attempts';
+COMMENT ON COLUMN background_jobs.run_at IS 'Earliest time the job may run; pushed back exponentially after each failure';
+COMMENT ON COLUMN background_jobs.dedupe_key IS 'Jobs with the same key are not queued twice while one is pending';
+COMMENT ON COLUMN background_jobs.locked_until IS 'After this time a running job counts as abandoned and is claimed again';
+COMMENT ON FUNCTION claim_background_jobs(TEXT, INTEGER, INTEGER, UUID) IS 'Claim due or abandoned jobs for a worker (SKIP LOCKED)';
@@ -0,0 +1,19 @@
+-- Migration: Running generations visible to every API instance
+-- A cancel request can land on a different instance than the one streaming the reply. Each
+-- instance records its running generations here and polls cancel_requested_at for them.
+
+-- Step 1: Running generations
+CREATE TABLE IF NOT EXISTS active_generations (
+  response_id TEXT PRIMARY KEY, -- OpenAI response ID
+  user_id UUID NOT NULL, -- References auth.users.id from Supabase Auth
+  instance_id TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cancel_requested_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_active_generations_started_at ON active_generations(started_at);
+
+-- Step 2: Documentation
+COMMENT ON TABLE active_generations IS 'Replies being generated, so a cancel received by any instance reaches the instance streaming it';
+COMMENT ON COLUMN active_generations.instance_id IS 'Host and process streaming the reply';
+COMMENT ON COLUMN active_generations.cancel_requested_at IS 'Set by a cancel request; the streaming instance aborts on its next poll';
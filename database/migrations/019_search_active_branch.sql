@@ -0,0 +1,127 @@
+-- Migration: Chat search only matches messages on each chat's active branch
+-- search_chats() from 008 matched every active message version, including messages that only
+-- exist on branches the user has switched away from. Hits are now limited to the active branch
+-- lineage, with the same rules as src/services/chatBranch.service.js: a branch inherits its
+-- parent's messages written before it was forked.
+
+-- Step 1: Ranked search over one user's chats, restricted to the active branch
+CREATE OR REPLACE FUNCTION search_chats(
+  p_user_id UUID,
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 20,
+  p_matches_per_chat INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  chat_id UUID,
+  title TEXT,
+  chat_mode TEXT,
+  updated_at TIMESTAMPTZ,
+  rank REAL,
+  title_snippet TEXT,
+  match_count INTEGER,
+  message_ids UUID[],
+  matches JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH RECURSIVE query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS q
+  ),
+  user_chats AS (
+    SELECT c.chat_id, c.title, c.chat_mode, c.updated_at, c.search_vector, c.active_branch_id
+    FROM chats c
+    WHERE c.user_id = p_user_id AND c.is_deleted = FALSE
+  ),
+  -- Branches visible from the active branch, leaf first. "before" (exclusive) cuts off the
+  -- messages inherited from a branch at the point the branch below it was forked.
+  branch_lineage AS (
+    SELECT uc.chat_id, b.branch_id, b.parent_branch_id, b.forked_at,
+      NULL::TIMESTAMPTZ AS before, ARRAY[b.branch_id] AS path
+    FROM user_chats uc
+    JOIN chat_branches b ON b.branch_id = uc.active_branch_id AND b.chat_id = uc.chat_id
+    UNION ALL
+    SELECT bl.chat_id, b.branch_id, b.parent_branch_id, b.forked_at, bl.forked_at, bl.path || b.branch_id
+    FROM branch_lineage bl
+    JOIN chat_branches b ON b.branch_id = bl.parent_branch_id AND b.chat_id = bl.chat_id
+    WHERE NOT b.branch_id = ANY(bl.path)
+  ),
+  visible_segments AS (
+    SELECT bl.chat_id, bl.branch_id, bl.before
+    FROM branch_lineage bl
+    UNION ALL
+    -- The main branch (NULL branch_id), cut off at the oldest fork when a branch is active
+    SELECT uc.chat_id, NULL::UUID, root.forked_at
+    FROM user_chats uc
+    LEFT JOIN branch_lineage root ON root.chat_id = uc.chat_id AND root.parent_branch_id IS NULL
+  ),
+  message_hits AS (
+    SELECT
+      m.chat_id,
+      m.message_id,
+      m.role,
+      m.content,
+      m.created_at,
+      ts_rank_cd(m.search_vector, query.q) AS rank,
+      ROW_NUMBER() OVER (
+        PARTITION BY m.chat_id
+        ORDER BY ts_rank_cd(m.search_vector, query.q) DESC, m.created_at DESC
+      ) AS position
+    FROM messages m
+    JOIN visible_segments vs
+      ON vs.chat_id = m.chat_id
+      AND vs.branch_id IS NOT DISTINCT FROM m.branch_id
+      AND (vs.before IS NULL OR m.created_at < vs.before)
+    CROSS JOIN query
+    WHERE m.search_vector @@ query.q
+      AND m.is_active_version = TRUE
+  ),
+  chat_hits AS (
+    SELECT
+      mh.chat_id,
+      MAX(mh.rank) AS rank,
+      COUNT(*)::INTEGER AS match_count,
+      ARRAY_AGG(mh.message_id ORDER BY mh.position) AS message_ids,
+      JSONB_AGG(
+        JSONB_BUILD_OBJECT(
+          'message_id', mh.message_id,
+          'role', mh.role,
+          'created_at', mh.created_at,
+          'snippet', ts_headline('english', mh.content, query.q,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "')
+        )
+        ORDER BY mh.position
+      ) FILTER (WHERE mh.position <= p_matches_per_chat) AS matches
+    FROM message_hits mh
+    CROSS JOIN query
+    GROUP BY mh.chat_id
+  ),
+  title_hits AS (
+    SELECT uc.chat_id, ts_rank_cd(uc.search_vector, query.q) * 2 AS rank
+    FROM user_chats uc
+    CROSS JOIN query
+    WHERE uc.search_vector @@ query.q
+  )
+  SELECT
+    uc.chat_id,
+    uc.title,
+    uc.chat_mode,
+    uc.updated_at,
+    (COALESCE(th.rank, 0) + COALESCE(ch.rank, 0))::REAL AS rank,
+    CASE WHEN th.chat_id IS NOT NULL
+      THEN ts_headline('english', uc.title, query.q, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+    END AS title_snippet,
+    COALESCE(ch.match_count, 0) AS match_count,
+    COALESCE(ch.message_ids, ARRAY[]::UUID[]) AS message_ids,
+    COALESCE(ch.matches, '[]'::JSONB) AS matches
+  FROM user_chats uc
+  CROSS JOIN query
+  LEFT JOIN title_hits th ON th.chat_id = uc.chat_id
+  LEFT JOIN chat_hits ch ON ch.chat_id = uc.chat_id
+  WHERE th.chat_id IS NOT NULL OR ch.chat_id IS NOT NULL
+  ORDER BY rank DESC, uc.updated_at DESC
+  LIMIT p_limit;
+$$;
+
+-- Step 2: Documentation
+COMMENT ON FUNCTION search_chats(UUID, TEXT, INTEGER, INTEGER) IS 'Ranked full-text search over a user''s chat titles and the message contents on each chat''s active branch, with highlighted snippets';
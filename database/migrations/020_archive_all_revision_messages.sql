@@ -0,0 +1,17 @@
+-- Migration: Revisions keep every message version and branch
+-- Reusing a chat deletes all of its messages and branches, but 013 only archived the selected
+-- versions on the active branch, so other versions and branches were lost. Revisions now store
+-- every message row with its branch and version columns, the chat's branches and the branch
+-- that was active. Revisions archived before this keep their transcript-only snapshot, which
+-- reads the same way (no branches, main branch active).
+
+-- Step 1: Branches of the archived transcript
+ALTER TABLE chat_revisions
+ADD COLUMN IF NOT EXISTS branches JSONB NOT NULL DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS active_branch_id UUID;
+
+-- Step 2: Documentation
+COMMENT ON COLUMN chat_revisions.messages IS 'Every message at archive time, all versions on all branches: [{ message_id, role, content, created_at, lesson_context, metadata, branch_id, version_group_id, version_number, is_active_version }]';
+COMMENT ON COLUMN chat_revisions.branches IS 'chat_branches rows at archive time: [{ branch_id, parent_branch_id, source_message_id, forked_at, created_at }]';
+COMMENT ON COLUMN chat_revisions.active_branch_id IS 'Branch shown when the revision was archived (NULL = main branch); not a foreign key, the branch itself is deleted';
+COMMENT ON COLUMN chat_revisions.message_count IS 'Messages in the transcript shown at archive time';
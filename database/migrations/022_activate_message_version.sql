@@ -0,0 +1,17 @@
+-- Migration: Switch the active message version in one statement
+-- Regenerating a reply inserted the new version as active and then deactivated its siblings in a
+-- second update, so a transcript read in between showed two versions of the same reply. New
+-- versions are now inserted inactive and made active together with deactivating the others.
+
+-- Step 1: Make p_message_id the only active version in its group
+CREATE OR REPLACE FUNCTION activate_message_version(p_version_group_id UUID, p_message_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE messages
+  SET is_active_version = (message_id = p_message_id)
+  WHERE version_group_id = p_version_group_id;
+$$;
+
+-- Step 2: Documentation
+COMMENT ON FUNCTION activate_message_version(UUID, UUID) IS 'Atomically makes one message the only active version of its version group';
@@ -33,6 +33,9 @@ app.use(helmet());
 // Must come BEFORE express.json()
 app.use('/v1/billing/webhook', express.raw({ type: 'application/json' }));
 
+// Chat archives can be larger than the default 100kb body limit
+app.use('/v1/chat/import', express.json({ limit: '10mb' }));
+
 // parse json request body (skip for webhook which uses raw)
 app.use(express.json());
 
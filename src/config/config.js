@@ -44,8 +44,34 @@ const envVarsSchema = Joi.object()
     MEMORY_PROMPT_TOKEN_BUDGET: Joi.number().integer().min(500).default(3000),
     MEMORY_CHUNK_SUMMARIZE_THRESHOLD: Joi.number().integer().min(500).default(6000),
     MEMORY_SUMMARIZER_MODEL: Joi.string().optional(),
+    MEMORY_SUMMARY_LEASE_SECONDS: Joi.number().integer().min(10).default(120), // Summarization lock held across instances
     PROMPT_ID_SUMMARY_GLOBAL: Joi.string().optional(),
     PROMPT_VERSION_SUMMARY_GLOBAL: Joi.string().optional(),
+    USER_MEMORY_EXTRACTION_ENABLED: Joi.boolean().default(true),
+    USER_MEMORY_EXTRACTION_MODEL: Joi.string().optional(),
+    USER_MEMORY_TOKEN_BUDGET: Joi.number().integer().min(0).default(300), // 0 stops injecting facts into chats
+    USER_MEMORY_MAX_FACTS: Joi.number().integer().min(1).default(200),
+    TOKENIZER_ENCODING: Joi.string().valid('o200k_base', 'cl100k_base', 'heuristic').default('o200k_base'),
+    TOKENIZER_CHARS_PER_TOKEN: Joi.number().min(1).default(4), // Used by the heuristic fallback
+    TOKENIZER_CACHE_SIZE: Joi.number().integer().min(0).default(5000),
+
+    STREAM_REPLAY_TTL_SECONDS: Joi.number().integer().min(10).default(300),
+    STREAM_HEARTBEAT_SECONDS: Joi.number().integer().min(1).default(15),
+    STREAM_CANCEL_POLL_SECONDS: Joi.number().integer().min(1).default(2), // How often cancels from other instances are checked
+
+    PDF_SERVICE_URL: Joi.string().default('http://localhost:3001'), // Internal pdf-service URL (App Platform internal networking)
+    PDF_TIMEOUT_SECONDS: Joi.number().integer().min(1).default(25), // pdf-service gives up after 20s
+
+    CHAT_TRASH_RETENTION_DAYS: Joi.number().integer().min(1).default(30),
+    CHAT_PURGE_INTERVAL_MINUTES: Joi.number().integer().min(0).default(60), // 0 disables the purge job
+
+    JOB_WORKER_ENABLED: Joi.boolean().default(true), // false when a separate worker process (npm run worker) runs the jobs
+    JOB_POLL_INTERVAL_SECONDS: Joi.number().integer().min(1).default(5),
+    JOB_BATCH_SIZE: Joi.number().integer().min(1).default(5),
+    JOB_MAX_ATTEMPTS: Joi.number().integer().min(1).default(5),
+    JOB_LOCK_SECONDS: Joi.number().integer().min(10).default(300),
+    JOB_RETRY_BASE_SECONDS: Joi.number().integer().min(1).default(30),
+    JOB_RETENTION_DAYS: Joi.number().integer().min(1).default(7), // Completed jobs; dead jobs are kept
 
     // Stripe billing configuration (optional - billing features disabled if not set)
     STRIPE_SECRET_KEY: Joi.string().optional(),
@@ -112,7 +138,41 @@ module.exports = {
     promptTokenBudget: envVars.MEMORY_PROMPT_TOKEN_BUDGET,
     chunkSummarizeThreshold: envVars.MEMORY_CHUNK_SUMMARIZE_THRESHOLD,
     summarizerModel: envVars.MEMORY_SUMMARIZER_MODEL || 'gpt-5.1-nano',
+    summaryLeaseSeconds: envVars.MEMORY_SUMMARY_LEASE_SECONDS,
     globalSummaryPromptId: envVars.PROMPT_ID_SUMMARY_GLOBAL || 'pmpt_6917ebe9367c819396fe4840cf0f0e050c18a965a3366120',
     globalSummaryPromptVersion: envVars.PROMPT_VERSION_SUMMARY_GLOBAL || null
+  },
+  userMemory: {
+    extractionEnabled: envVars.USER_MEMORY_EXTRACTION_ENABLED,
+    extractionModel: envVars.USER_MEMORY_EXTRACTION_MODEL || 'gpt-5.1-nano',
+    tokenBudget: envVars.USER_MEMORY_TOKEN_BUDGET,
+    maxFacts: envVars.USER_MEMORY_MAX_FACTS,
+  },
+  tokenizer: {
+    encoding: envVars.TOKENIZER_ENCODING,
+    charsPerToken: envVars.TOKENIZER_CHARS_PER_TOKEN,
+    cacheSize: envVars.TOKENIZER_CACHE_SIZE,
+  },
+  streaming: {
+    replayTtlSeconds: envVars.STREAM_REPLAY_TTL_SECONDS,
+    heartbeatSeconds: envVars.STREAM_HEARTBEAT_SECONDS,
+    cancelPollSeconds: envVars.STREAM_CANCEL_POLL_SECONDS,
+  },
+  pdf: {
+    serviceUrl: envVars.PDF_SERVICE_URL,
+    timeoutSeconds: envVars.PDF_TIMEOUT_SECONDS,
+  },
+  trash: {
+    retentionDays: envVars.CHAT_TRASH_RETENTION_DAYS,
+    purgeIntervalMinutes: envVars.CHAT_PURGE_INTERVAL_MINUTES,
+  },
+  jobs: {
+    workerEnabled: envVars.JOB_WORKER_ENABLED,
+    pollIntervalSeconds: envVars.JOB_POLL_INTERVAL_SECONDS,
+    batchSize: envVars.JOB_BATCH_SIZE,
+    maxAttempts: envVars.JOB_MAX_ATTEMPTS,
+    lockSeconds: envVars.JOB_LOCK_SECONDS,
+    retryBaseSeconds: envVars.JOB_RETRY_BASE_SECONDS,
+    retentionDays: envVars.JOB_RETENTION_DAYS,
   }
 };
@@ -0,0 +1,39 @@
+/**
+ * LLM pricing configuration
+ * USD per 1M tokens, used to estimate the cost of recorded usage.
+ * Models match their exact name or a dated snapshot of it (e.g. gpt-5.1-2025-11-13). A tier such as
+ * gpt-5.1-nano never falls back to its base model's price.
+ * Reasoning tokens are billed as output tokens and are already included in output_tokens.
+ */
+
+const MODEL_PRICING = {
+  'gpt-5.1': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5.1-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-5.1-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+  'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+};
+
+// Snapshot suffix after a model name, e.g. -2025-08-07
+const DATE_SUFFIX = /^-\d{4}/;
+
+const getModelPricing = (model) => {
+  if (!model || typeof model !== 'string') {
+    return null;
+  }
+  const normalized = model.toLowerCase();
+  const match = Object.keys(MODEL_PRICING).find(
+    (name) => normalized === name || (normalized.startsWith(name) && DATE_SUFFIX.test(normalized.slice(name.length)))
+  );
+  return match ? MODEL_PRICING[match] : null;
+};
+
+module.exports = {
+  MODEL_PRICING,
+  getModelPricing,
+};
@@ -3,19 +3,25 @@ const allRoles = {
     'sendMessage',
     'getMessages',
     'manageChats',
+    'manageStudents',
+    'manageMemories',
     'uploadLesson',
     'deleteLesson',
     'searchVectorStore',
     'processRecording',
+    'viewUsage',
   ],
   admin: [
     'sendMessage',
     'getMessages',
     'manageChats',
+    'manageStudents',
+    'manageMemories',
     'uploadLesson',
     'deleteLesson',
     'searchVectorStore',
     'processRecording',
+    'viewUsage',
     'getUsers',
     'manageUsers',
   ],
@@ -1,4 +1,24 @@
-const { createChat, updateChat, getAllChats, deleteChat } = require("../services/chat.service");
+const {
+  createChat,
+  updateChat,
+  getAllChats,
+  setChatPinned,
+  setChatArchived,
+  moveChatToFolder,
+  searchChats,
+  deleteChat,
+} = require("../services/chat.service");
+const { listFolders, createFolder, updateFolder, deleteFolder } = require("../services/chatFolder.service");
+const { listBranches, switchBranch } = require("../services/chatBranch.service");
+const { exportChat } = require("../services/chatExport.service");
+const { importChat } = require("../services/chatImport.service");
+const { listTrash, restoreChat } = require("../services/chatTrash.service");
+const { createShare, listShares, revokeShare } = require("../services/chatShare.service");
+const { forkChat } = require("../services/chatFork.service");
+const { listRevisions, getRevision, diffRevisions } = require("../services/chatRevision.service");
+const { regenerateChatTitle } = require("../services/chatTitle.service");
+const { getChatMemory, replaceChatMemory, resetChatMemory } = require("../services/chatMemory.service");
+const httpStatus = require("http-status");
 const catchAsync = require("../utils/catchAsync");
 
 const create = catchAsync(async (req, res) => {
@@ -15,13 +35,195 @@ const patch = catchAsync(async (req, res) => {
 });
 
 const findAll = catchAsync(async (req, res) => {
-  const chats = await getAllChats(req.user);
+  const chats = await getAllChats(req.user, {
+    folderId: req.query.folder_id,
+    pinned: req.query.pinned,
+    archived: req.query.archived,
+    studentId: req.query.student_id,
+  });
   res.json({ chats });
 });
 
+const pin = catchAsync(async (req, res) => {
+  const chat = await setChatPinned(req.user, req.params.chatId, true);
+  res.json({ chat });
+});
+
+const unpin = catchAsync(async (req, res) => {
+  const chat = await setChatPinned(req.user, req.params.chatId, false);
+  res.json({ chat });
+});
+
+const archive = catchAsync(async (req, res) => {
+  const chat = await setChatArchived(req.user, req.params.chatId, true);
+  res.json({ chat });
+});
+
+const unarchive = catchAsync(async (req, res) => {
+  const chat = await setChatArchived(req.user, req.params.chatId, false);
+  res.json({ chat });
+});
+
+const moveToFolder = catchAsync(async (req, res) => {
+  const chat = await moveChatToFolder(req.user, req.params.chatId, req.body.folder_id);
+  res.json({ chat });
+});
+
+const findFolders = catchAsync(async (req, res) => {
+  const folders = await listFolders(req.user);
+  res.json({ folders });
+});
+
+const addFolder = catchAsync(async (req, res) => {
+  const folder = await createFolder(req.user, req.body);
+  res.status(httpStatus.CREATED).json({ folder });
+});
+
+const patchFolder = catchAsync(async (req, res) => {
+  const folder = await updateFolder(req.user, req.params.folderId, req.body);
+  res.json({ folder });
+});
+
+const removeFolder = catchAsync(async (req, res) => {
+  await deleteFolder(req.user, req.params.folderId);
+  res.json({ message: "Folder deleted successfully!" });
+});
+
+const search = catchAsync(async (req, res) => {
+  const results = await searchChats(req.user, { q: req.query.q, limit: req.query.limit });
+  res.json({ results });
+});
+
+const exportTranscript = catchAsync(async (req, res) => {
+  const { filename, contentType, body } = await exportChat(req.user, req.params.chatId, req.query.format);
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.send(body);
+});
+
+const importArchive = catchAsync(async (req, res) => {
+  const result = await importChat(req.user, req.body);
+  res.status(httpStatus.CREATED).json(result);
+});
+
 const deleteChatController = catchAsync(async (req, res) => {
   await deleteChat(req.user, req.params.chatId);
   res.json({ message: "Chat deleted successfully!" });
 });
 
-module.exports = { create, patch, findAll, delete: deleteChatController };
+const findTrash = catchAsync(async (req, res) => {
+  const chats = await listTrash(req.user);
+  res.json({ chats });
+});
+
+const restore = catchAsync(async (req, res) => {
+  const chat = await restoreChat(req.user, req.params.chatId);
+  res.json({ chat });
+});
+
+const share = catchAsync(async (req, res) => {
+  const link = await createShare(req.user, req.params.chatId, { expiresAt: req.body.expires_at });
+  res.status(httpStatus.CREATED).json({ share: link });
+});
+
+const findShares = catchAsync(async (req, res) => {
+  const shares = await listShares(req.user, req.params.chatId);
+  res.json({ shares });
+});
+
+const unshare = catchAsync(async (req, res) => {
+  const link = await revokeShare(req.user, req.params.chatId, req.params.shareId);
+  res.json({ share: link });
+});
+
+const fork = catchAsync(async (req, res) => {
+  const result = await forkChat(req.user, req.params.chatId, {
+    messageId: req.body.message_id,
+    title: req.body.title,
+  });
+  res.status(httpStatus.CREATED).json(result);
+});
+
+const findMemory = catchAsync(async (req, res) => {
+  const result = await getChatMemory(req.user, req.params.chatId);
+  res.json(result);
+});
+
+const replaceMemory = catchAsync(async (req, res) => {
+  const result = await replaceChatMemory(req.user, req.params.chatId, req.body.global_summary);
+  res.json(result);
+});
+
+const resetMemory = catchAsync(async (req, res) => {
+  const result = await resetChatMemory(req.user, req.params.chatId);
+  res.json(result);
+});
+
+const regenerateTitle = catchAsync(async (req, res) => {
+  const chat = await regenerateChatTitle(req.user, req.params.chatId, {
+    instrument: req.body.instrument,
+    genre: req.body.genre,
+  });
+  res.json({ chat });
+});
+
+const findRevisions = catchAsync(async (req, res) => {
+  const revisions = await listRevisions(req.user, req.params.chatId);
+  res.json({ revisions });
+});
+
+const findRevision = catchAsync(async (req, res) => {
+  const revision = await getRevision(req.user, req.params.chatId, req.params.revision);
+  res.json({ revision });
+});
+
+const diffRevision = catchAsync(async (req, res) => {
+  const diff = await diffRevisions(req.user, req.params.chatId, req.params.revision, req.query.against);
+  res.json(diff);
+});
+
+const findBranches = catchAsync(async (req, res) => {
+  const branches = await listBranches(req.user, req.params.chatId);
+  res.json({ branches });
+});
+
+const switchActiveBranch = catchAsync(async (req, res) => {
+  const branches = await switchBranch(req.user, req.params.chatId, req.body.branch_id);
+  res.json({ branches });
+});
+
+module.exports = {
+  create,
+  patch,
+  findAll,
+  search,
+  exportTranscript,
+  importArchive,
+  delete: deleteChatController,
+  findTrash,
+  restore,
+  share,
+  findShares,
+  unshare,
+  fork,
+  findMemory,
+  replaceMemory,
+  resetMemory,
+  regenerateTitle,
+  findRevisions,
+  findRevision,
+  diffRevision,
+  findBranches,
+  switchActiveBranch,
+  pin,
+  unpin,
+  archive,
+  unarchive,
+  moveToFolder,
+  findFolders,
+  addFolder,
+  patchFolder,
+  removeFolder,
+};
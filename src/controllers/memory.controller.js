@@ -0,0 +1,30 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const userMemoryService = require('../services/userMemory.service');
+
+const listMemories = catchAsync(async (req, res) => {
+  const memories = await userMemoryService.listMemories(req.user, { studentId: req.query.student_id });
+  res.json({ memories });
+});
+
+const createMemory = catchAsync(async (req, res) => {
+  const memory = await userMemoryService.createMemory(req.user, req.body);
+  res.status(httpStatus.CREATED).json({ memory });
+});
+
+const updateMemory = catchAsync(async (req, res) => {
+  const memory = await userMemoryService.updateMemory(req.user, req.params.memoryId, req.body);
+  res.json({ memory });
+});
+
+const deleteMemory = catchAsync(async (req, res) => {
+  await userMemoryService.deleteMemory(req.user, req.params.memoryId);
+  res.json({ message: 'Memory deleted successfully!' });
+});
+
+module.exports = {
+  listMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+};
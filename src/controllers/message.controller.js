@@ -1,13 +1,27 @@
 const catchAsync = require("../utils/catchAsync");
 const { messageService } = require("../services");
+const { resumeMessageStream, reattachMessageStream, cancelGeneration } = require("../services/messageStream.service");
+
+// Clients on the SSE transport retry the same request with Last-Event-ID after a drop
+const resumeIfReconnecting = (req, res) => {
+  const lastEventId = req.get("Last-Event-ID");
+  if (!lastEventId) {
+    return false;
+  }
+  resumeMessageStream({ lastEventId, user: req.user, req, res });
+  return true;
+};
 
 const sendMessage = catchAsync(async (req, res, next) => {
+  if (resumeIfReconnecting(req, res)) return;
   await messageService.sendMessage({
     message: req.body.message,
     chat_id: req.body.chat_id,
     instruction_token: req.body.instruction_token,
     lesson_context: req.body.lesson_context,
     model: req.body.model || req.body.chat_model,
+    instrument: req.body.instrument,
+    genre: req.body.genre,
     user: req.user,
     req,
     res,
@@ -15,11 +29,16 @@ const sendMessage = catchAsync(async (req, res, next) => {
 });
 
 const findAllMessages = catchAsync(async (req, res, next) => {
-  const messages = await messageService.findAllMessages(req.params.chatId, req.user);
-  res.json({ messages });
+  const { messages, next_cursor } = await messageService.findAllMessages(req.params.chatId, req.user, {
+    limit: req.query.limit,
+    before: req.query.before,
+    after: req.query.after,
+  });
+  res.json({ messages, next_cursor });
 });
 
 const sendFirstMessage = catchAsync(async (req, res, next) => {
+  if (resumeIfReconnecting(req, res)) return;
   await messageService.sendFirstMessage({
     message: req.body.message,
     instruction_token: req.body.instruction_token,
@@ -27,10 +46,68 @@ const sendFirstMessage = catchAsync(async (req, res, next) => {
     chat_mode: req.body.chat_mode,
     model: req.body.model || req.body.chat_model,
     lesson_plan_prompt: req.body.lesson_plan_prompt,
+    student_id: req.body.student_id,
+    instrument: req.body.instrument,
+    genre: req.body.genre,
+    user: req.user,
+    req,
+    res,
+  });
+});
+
+const reattachStream = catchAsync(async (req, res, next) => {
+  reattachMessageStream({
+    responseId: req.params.responseId,
+    lastEventId: req.get("Last-Event-ID"),
+    user: req.user,
+    req,
+    res,
+  });
+});
+
+const cancelStream = catchAsync(async (req, res, next) => {
+  const status = await cancelGeneration({ responseId: req.params.responseId, user: req.user });
+  res.json({ response_id: req.params.responseId, status });
+});
+
+const regenerateMessage = catchAsync(async (req, res, next) => {
+  if (resumeIfReconnecting(req, res)) return;
+  await messageService.regenerateMessage({
+    message_id: req.params.messageId,
+    instruction_token: req.body.instruction_token,
+    model: req.body.model || req.body.chat_model,
     user: req.user,
     req,
     res,
   });
 });
 
-module.exports = { sendMessage, findAllMessages, sendFirstMessage };
+const editMessage = catchAsync(async (req, res, next) => {
+  if (resumeIfReconnecting(req, res)) return;
+  await messageService.editMessage({
+    message_id: req.params.messageId,
+    message: req.body.message,
+    instruction_token: req.body.instruction_token,
+    lesson_context: req.body.lesson_context,
+    model: req.body.model || req.body.chat_model,
+    user: req.user,
+    req,
+    res,
+  });
+});
+
+const selectMessageVersion = catchAsync(async (req, res, next) => {
+  const message = await messageService.selectMessageVersion(req.params.messageId, req.user);
+  res.json({ message });
+});
+
+module.exports = {
+  sendMessage,
+  findAllMessages,
+  sendFirstMessage,
+  reattachStream,
+  cancelStream,
+  regenerateMessage,
+  editMessage,
+  selectMessageVersion,
+};
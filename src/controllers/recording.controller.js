@@ -1,6 +1,8 @@
 const httpStatus = require('http-status');
+const logger = require('../config/logger');
 const catchAsync = require('../utils/catchAsync');
 const recordingProcessingService = require('../services/recordingProcessing.service');
+const studentService = require('../services/student.service');
 
 const processRecording = catchAsync(async (req, res) => {
   const { transcript, instrument, genre } = req.body;
@@ -9,11 +11,21 @@ const processRecording = catchAsync(async (req, res) => {
     transcript,
     instrumentPreference: instrument,
     genrePreference: genre,
+    userId: req.user.id,
   });
 
+  // Let the app store the recording against a known student; unknown names stay a plain tag
+  const student = result.studentTag
+    ? await studentService.findStudentByName(req.user, result.studentTag).catch((error) => {
+        logger.error(`[Recording] Failed to match student tag: ${error.message}`);
+        return null;
+      })
+    : null;
+
   res.status(httpStatus.OK).send({
     summary: result.summary,
     student_tag: result.studentTag || null,
+    student_id: student ? student.student_id : null,
     title: result.title || null,
     pieces: result.pieces || [],
     themes: result.themes || [],
@@ -0,0 +1,13 @@
+const catchAsync = require('../utils/catchAsync');
+const chatShareService = require('../services/chatShare.service');
+
+const getSharedChat = catchAsync(async (req, res) => {
+  const shared = await chatShareService.getSharedChat(req.params.token);
+  // Revoking a link must take effect immediately
+  res.set('Cache-Control', 'no-store');
+  res.json(shared);
+});
+
+module.exports = {
+  getSharedChat,
+};
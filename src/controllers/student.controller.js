@@ -0,0 +1,36 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const studentService = require('../services/student.service');
+
+const listStudents = catchAsync(async (req, res) => {
+  const students = await studentService.listStudents(req.user);
+  res.json({ students });
+});
+
+const createStudent = catchAsync(async (req, res) => {
+  const student = await studentService.createStudent(req.user, req.body);
+  res.status(httpStatus.CREATED).json({ student });
+});
+
+const getStudent = catchAsync(async (req, res) => {
+  const student = await studentService.getStudent(req.user, req.params.studentId);
+  res.json({ student });
+});
+
+const updateStudent = catchAsync(async (req, res) => {
+  const student = await studentService.updateStudent(req.user, req.params.studentId, req.body);
+  res.json({ student });
+});
+
+const deleteStudent = catchAsync(async (req, res) => {
+  await studentService.deleteStudent(req.user, req.params.studentId);
+  res.json({ message: 'Student deleted successfully!' });
+});
+
+module.exports = {
+  listStudents,
+  createStudent,
+  getStudent,
+  updateStudent,
+  deleteStudent,
+};
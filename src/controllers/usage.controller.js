@@ -0,0 +1,17 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const usageService = require('../services/usage.service');
+
+const getUsage = catchAsync(async (req, res) => {
+  const usage = await usageService.getUsageSummary(req.user, {
+    from: req.query.from,
+    to: req.query.to,
+    chatId: req.query.chat_id,
+  });
+
+  res.status(httpStatus.OK).send(usage);
+});
+
+module.exports = {
+  getUsage,
+};
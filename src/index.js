@@ -1,11 +1,16 @@
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
+const { startChatPurgeJob } = require('./jobs/chatPurge.job');
+const { startJobWorker } = require('./jobs/jobWorker.job');
 
 const server = app.listen(config.port, () => {
   logger.info(`Listening to port ${config.port}`);
 });
 
+const chatPurgeJob = startChatPurgeJob();
+const jobWorker = config.jobs.workerEnabled ? startJobWorker() : null;
+
 const exitHandler = () => {
   if (server) {
     server.close(() => {
@@ -27,6 +32,12 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received');
+  if (chatPurgeJob) {
+    chatPurgeJob.stop();
+  }
+  if (jobWorker) {
+    jobWorker.stop();
+  }
   if (server) {
     server.close();
   }
@@ -0,0 +1,48 @@
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { purgeDeletedChats } = require('../services/chatTrash.service');
+
+/**
+ * Periodically purge chats that have outlived the trash retention period.
+ * Runs once shortly after startup, then every CHAT_PURGE_INTERVAL_MINUTES (0 disables it).
+ * @returns {{ stop: Function }|null}
+ */
+const startChatPurgeJob = () => {
+  const intervalMinutes = config.trash?.purgeIntervalMinutes;
+  if (!intervalMinutes) {
+    logger.info('Chat purge job disabled');
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await purgeDeletedChats();
+    } catch (error) {
+      logger.error(`Chat purge failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const initial = setTimeout(run, 60 * 1000);
+  const interval = setInterval(run, intervalMinutes * 60 * 1000);
+  // Never keep the process alive just for the purge
+  initial.unref();
+  interval.unref();
+
+  return {
+    stop() {
+      clearTimeout(initial);
+      clearInterval(interval);
+    },
+  };
+};
+
+module.exports = {
+  startChatPurgeJob,
+};
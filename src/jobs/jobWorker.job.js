@@ -0,0 +1,68 @@
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { claimJobs, runJob, purgeCompletedJobs } = require('../services/backgroundJob.service');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Poll background_jobs and run due jobs one at a time.
+ * Polls every JOB_POLL_INTERVAL_SECONDS, straight away again while full batches keep coming,
+ * and purges old completed jobs about once an hour.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepAlive=false] - Keep the process alive for the loop (separate worker process)
+ * @returns {{ stop: Function }}
+ */
+const startJobWorker = ({ keepAlive = false } = {}) => {
+  const pollIntervalMs = (config.jobs?.pollIntervalSeconds || 5) * 1000;
+  const batchSize = config.jobs?.batchSize || 5;
+
+  let stopped = false;
+  let timer = null;
+  let lastPurge = 0;
+
+  const schedule = (delay) => {
+    if (stopped) {
+      return;
+    }
+    timer = setTimeout(poll, delay);
+    if (!keepAlive) {
+      // Never keep the API process alive just for the worker
+      timer.unref();
+    }
+  };
+
+  const poll = async () => {
+    let claimed = 0;
+    try {
+      const jobs = await claimJobs({ limit: batchSize });
+      claimed = jobs.length;
+      for (const job of jobs) {
+        await runJob(job);
+      }
+
+      if (Date.now() - lastPurge >= PURGE_INTERVAL_MS) {
+        lastPurge = Date.now();
+        const purged = await purgeCompletedJobs();
+        if (purged) {
+          logger.info(`Purged ${purged} completed background jobs`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Background job poll failed: ${error.message}`);
+    }
+    schedule(claimed >= batchSize ? 0 : pollIntervalMs);
+  };
+
+  schedule(0);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+module.exports = {
+  startJobWorker,
+};
@@ -12,11 +12,98 @@ router
   .post(supabaseAuth("manageChats"), validate(chatValidation.createChat), chatController.create)
   .get(supabaseAuth("manageChats"), validate(chatValidation.getChats), chatController.findAll);
 
+router
+  .route("/search")
+  .get(supabaseAuth("manageChats"), validate(chatValidation.searchChats), chatController.search);
+
+router
+  .route("/trash")
+  .get(supabaseAuth("manageChats"), chatController.findTrash);
+
+router
+  .route("/import")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.importChat), chatController.importArchive);
+
+router
+  .route("/folders")
+  .get(supabaseAuth("manageChats"), chatController.findFolders)
+  .post(supabaseAuth("manageChats"), validate(chatValidation.createFolder), chatController.addFolder);
+
+router
+  .route("/folders/:folderId")
+  .patch(supabaseAuth("manageChats"), validate(chatValidation.updateFolder), chatController.patchFolder)
+  .delete(supabaseAuth("manageChats"), validate(chatValidation.deleteFolder), chatController.removeFolder);
+
 router
   .route("/:chatId")
   .delete(supabaseAuth("manageChats"), validate(chatValidation.deleteChat), chatController.delete)
   .patch(supabaseAuth("manageChats"), validate(chatValidation.updateChat), chatController.patch);
 
+router
+  .route("/:chatId/restore")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.restore);
+
+router
+  .route("/:chatId/share")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.createShare), chatController.share)
+  .get(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.findShares);
+
+router
+  .route("/:chatId/share/:shareId")
+  .delete(supabaseAuth("manageChats"), validate(chatValidation.revokeShare), chatController.unshare);
+
+router
+  .route("/:chatId/fork")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.forkChat), chatController.fork);
+
+router
+  .route("/:chatId/memory")
+  .get(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.findMemory)
+  .put(supabaseAuth("manageChats"), validate(chatValidation.updateMemory), chatController.replaceMemory)
+  .delete(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.resetMemory);
+
+router
+  .route("/:chatId/title/regenerate")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.regenerateTitle), chatController.regenerateTitle);
+
+router
+  .route("/:chatId/revisions")
+  .get(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.findRevisions);
+
+router
+  .route("/:chatId/revisions/:revision")
+  .get(supabaseAuth("manageChats"), validate(chatValidation.getRevision), chatController.findRevision);
+
+router
+  .route("/:chatId/revisions/:revision/diff")
+  .get(supabaseAuth("manageChats"), validate(chatValidation.diffRevisions), chatController.diffRevision);
+
+router
+  .route("/:chatId/export")
+  .get(supabaseAuth("manageChats"), validate(chatValidation.exportChat), chatController.exportTranscript);
+
+router
+  .route("/:chatId/branches")
+  .get(supabaseAuth("manageChats"), validate(chatValidation.listBranches), chatController.findBranches);
+
+router
+  .route("/:chatId/branches/switch")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.switchBranch), chatController.switchActiveBranch);
+
+router
+  .route("/:chatId/pin")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.pin)
+  .delete(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.unpin);
+
+router
+  .route("/:chatId/archive")
+  .post(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.archive)
+  .delete(supabaseAuth("manageChats"), validate(chatValidation.chatAction), chatController.unarchive);
+
+router
+  .route("/:chatId/folder")
+  .put(supabaseAuth("manageChats"), validate(chatValidation.moveChatToFolder), chatController.moveToFolder);
+
 module.exports = router;
 
 /**
@@ -54,13 +141,76 @@ module.exports = router;
  *
  *   get:
  *     summary: Get all chats
- *     description: Retrieve all chats for a user.
+ *     description: Retrieve the user's chats, pinned chats first, then most recently updated. Archived chats are left out unless `archived=true`.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: folder_id
+ *         description: Only chats in this folder; `none` for chats outside any folder
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: archived
+ *         description: List archived chats instead of active ones
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: student_id
+ *         description: Only chats about this student
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *
+ * /chats/search:
+ *   get:
+ *     summary: Search chats
+ *     description: Full-text search over the user's chat titles and message contents, ranked by relevance. Snippets are escaped HTML whose only tags are the `<mark></mark>` around matched terms. Each result lists every matching message ID and snippets for the best few matches.
  *     tags: [Chats]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: Search terms; supports "quoted phrases", -exclusions and or
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
  *     responses:
  *       "200":
  *         description: OK
+ *         content:
+ *           application/json:
+ *             example:
+ *               results:
+ *                 - chat_id: "7d0c5a9e-2f8e-4d55-9a53-2c1f6f6b1a11"
+ *                   title: "Bow distribution"
+ *                   rank: 0.42
+ *                   title_snippet: "<mark>Bow</mark> <mark>distribution</mark>"
+ *                   match_count: 2
+ *                   message_ids: ["b8f9...", "c1a2..."]
+ *                   matches:
+ *                     - message_id: "b8f9..."
+ *                       role: "assistant"
+ *                       snippet: "…plan your <mark>bow</mark> <mark>distribution</mark> before the phrase…"
+ *                       created_at: "2025-03-12T18:04:11Z"
+ *       "400":
+ *         description: Missing search query
  *
  * /chats/{chatId}:
  *   get:
@@ -122,4 +272,671 @@ module.exports = router;
  *     responses:
  *       "204":
  *         description: No content
+ *
+ * /chats/{chatId}/branches:
+ *   get:
+ *     summary: List chat branches
+ *     description: Branches created by editing past user messages. The main branch has a null branch_id.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *
+ * /chats/{chatId}/branches/switch:
+ *   post:
+ *     summary: Switch the active branch
+ *     description: Selects the branch shown in the transcript and used for conversation memory.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branch_id:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       "200":
+ *         description: Updated branch list
+ *       "404":
+ *         description: Branch not found
+ *
+ * /chats/folders:
+ *   get:
+ *     summary: List folders
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Folders in display order
+ *   post:
+ *     summary: Create a folder
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       "201":
+ *         description: Created
+ *       "409":
+ *         description: A folder with this name already exists
+ *
+ * /chats/folders/{folderId}:
+ *   patch:
+ *     summary: Rename or reorder a folder
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: folderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       "200":
+ *         description: Updated folder
+ *       "404":
+ *         description: Folder not found
+ *   delete:
+ *     summary: Delete a folder
+ *     description: Chats in the folder are kept and become unfiled.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: folderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Deleted
+ *       "404":
+ *         description: Folder not found
+ *
+ * /chats/{chatId}/pin:
+ *   post:
+ *     summary: Pin a chat
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Updated chat
+ *   delete:
+ *     summary: Unpin a chat
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Updated chat
+ *
+ * /chats/{chatId}/archive:
+ *   post:
+ *     summary: Archive a chat
+ *     description: Hides the chat from the default chat list without deleting it.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Updated chat
+ *   delete:
+ *     summary: Unarchive a chat
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Updated chat
+ *
+ * /chats/{chatId}/folder:
+ *   put:
+ *     summary: Move a chat to a folder
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folder_id:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null removes the chat from its folder
+ *     responses:
+ *       "200":
+ *         description: Updated chat
+ *       "404":
+ *         description: Folder not found
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/export:
+ *   get:
+ *     summary: Export a chat transcript
+ *     description: |
+ *       Downloads the active branch of a chat with its title, timestamps, model variant labels
+ *       and lesson context. `json` returns the versioned archive accepted by chat import;
+ *       `pdf` is rendered by pdf-service.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [md, json, pdf]
+ *           default: md
+ *     responses:
+ *       "200":
+ *         description: Transcript file (sent as an attachment)
+ *         content:
+ *           text/markdown: {}
+ *           application/json: {}
+ *           application/pdf: {}
+ *       "403":
+ *         description: Invalid chat
+ *       "503":
+ *         description: PDF service unavailable
+ */
+
+/**
+ * @swagger
+ * /chats/import:
+ *   post:
+ *     summary: Import a chat from an exported JSON archive
+ *     description: |
+ *       Recreates the chat and its messages (in archive order) under a new conversation and
+ *       rebuilds its memory brief. The body is the `json` export of GET /chats/{chatId}/export:
+ *
+ *       - `format`: `arco-chat-archive`; `version`: `1`
+ *       - `chat`: `title`, `chat_mode` (`arcoai` | `personal_lessons`), `created_at`, `updated_at`
+ *       - `messages[]`: `role` (`user` | `assistant`), `content`, `created_at`, `model_variant`
+ *         (assistant), `lesson_context` (user), `citations` and `status` (assistant, optional)
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [format, version, chat, messages]
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [arco-chat-archive]
+ *               version:
+ *                 type: integer
+ *                 enum: [1]
+ *               chat:
+ *                 type: object
+ *               messages:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       "201":
+ *         description: Imported chat, number of messages and whether older turns were summarized
+ *       "400":
+ *         description: Invalid or unsupported archive
+ */
+
+/**
+ * @swagger
+ * /chats/trash:
+ *   get:
+ *     summary: List deleted chats
+ *     description: Deleted chats can be restored until `purge_at`, when they are removed permanently with their messages.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Deleted chats, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 chats:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       chat_id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       deleted_at:
+ *                         type: string
+ *                         format: date-time
+ *                       purge_at:
+ *                         type: string
+ *                         format: date-time
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/restore:
+ *   post:
+ *     summary: Restore a deleted chat
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Restored chat
+ *       "404":
+ *         description: Chat not found in trash
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/share:
+ *   post:
+ *     summary: Create a read-only share link
+ *     description: Anyone with the token can read the chat at GET /shared/{token} until the link is revoked or expires.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for a link that never expires
+ *     responses:
+ *       "201":
+ *         description: Share link (share_id, token, expires_at, is_active)
+ *       "403":
+ *         description: Invalid chat
+ *   get:
+ *     summary: List a chat's share links
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Share links, newest first, with whether each is still active
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/share/{shareId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Revoked share link
+ *       "404":
+ *         description: Share link not found
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/fork:
+ *   post:
+ *     summary: Fork a chat from a message
+ *     description: |
+ *       Creates a new chat with a copy of every message of the active branch up to and including
+ *       `message_id`, and a memory brief built from those turns only.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message_id]
+ *             properties:
+ *               message_id:
+ *                 type: string
+ *                 description: Last message copied into the fork
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the source title followed by "(fork)"
+ *     responses:
+ *       "201":
+ *         description: New chat and the number of copied messages
+ *       "403":
+ *         description: Invalid chat
+ *       "404":
+ *         description: Message not found in this chat
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/memory:
+ *   get:
+ *     summary: View a chat's memory
+ *     description: |
+ *       The rolling summary the assistant remembers about older turns, the message it covers up
+ *       to (`cursor`) and the latest edits.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Memory and edit history
+ *       "403":
+ *         description: Invalid chat
+ *   put:
+ *     summary: Replace the memory summary
+ *     description: Later turns are still summarized on top of the replaced text.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [global_summary]
+ *             properties:
+ *               global_summary:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: Updated memory and edit history
+ *       "400":
+ *         description: Summary exceeds the memory token limit
+ *       "403":
+ *         description: Invalid chat
+ *       "409":
+ *         description: A summary is being written; retry shortly
+ *   delete:
+ *     summary: Reset a chat's memory
+ *     description: The next summarization starts again from the whole transcript.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Cleared memory and edit history
+ *       "403":
+ *         description: Invalid chat
+ *       "409":
+ *         description: A summary is being written; retry shortly
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/title/regenerate:
+ *   post:
+ *     summary: Regenerate a chat's title
+ *     description: |
+ *       Retitles the chat from its first turns on the active branch, using the chat title prompt
+ *       of the `titleGeneration` prompt config. Prep digest and lesson plan chats keep their
+ *       student title.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               instrument:
+ *                 type: string
+ *                 description: Instrument whose labels the title uses (default violin)
+ *               genre:
+ *                 type: string
+ *                 description: Genre whose labels the title uses (default classical)
+ *     responses:
+ *       "200":
+ *         description: The retitled chat
+ *       "400":
+ *         description: Student chat, or the chat has no messages
+ *       "403":
+ *         description: Invalid chat
+ *       "502":
+ *         description: Title generation failed
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/revisions:
+ *   get:
+ *     summary: List a chat's revisions
+ *     description: |
+ *       Reusing a student's prep digest or lesson plan chat archives the previous transcript as a
+ *       numbered revision. The live transcript is listed first with `is_active: true`.
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Revisions, newest first
+ *       "403":
+ *         description: Invalid chat
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/revisions/{revision}:
+ *   get:
+ *     summary: View a revision
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Revision number, or `current` for the live transcript
+ *     responses:
+ *       "200":
+ *         description: The revision and its messages
+ *       "403":
+ *         description: Invalid chat
+ *       "404":
+ *         description: Revision not found
+ */
+
+/**
+ * @swagger
+ * /chats/{chatId}/revisions/{revision}/diff:
+ *   get:
+ *     summary: Diff a revision against another
+ *     description: |
+ *       Compares the two transcripts message by message. Each message is `added`, `removed`,
+ *       `changed` or `unchanged`; changed messages carry a line diff (`op` is " ", "-" or "+").
+ *     tags: [Chats]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: chatId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Revision number, or `current`
+ *       - in: query
+ *         name: against
+ *         schema:
+ *           type: string
+ *           default: current
+ *         description: Revision to compare with
+ *     responses:
+ *       "200":
+ *         description: Per-message diff and line counts
+ *       "403":
+ *         description: Invalid chat
+ *       "404":
+ *         description: Revision not found
  */
@@ -10,6 +10,10 @@ const healthRoute = require('./health.route');
 const recordingRoute = require('./recording.route');
 const docsRoute = require('./docs.route');
 const billingRoute = require('./billing.route');
+const usageRoute = require('./usage.route');
+const sharedRoute = require('./shared.route');
+const studentRoute = require('./student.route');
+const memoryRoute = require('./memory.route');
 const config = require('../../config/config');
 
 const router = express.Router();
@@ -52,6 +56,22 @@ const defaultRoutes = [
     path: '/billing',
     route: billingRoute,
   },
+  {
+    path: '/usage',
+    route: usageRoute,
+  },
+  {
+    path: '/shared',
+    route: sharedRoute,
+  },
+  {
+    path: '/students',
+    route: studentRoute,
+  },
+  {
+    path: '/memories',
+    route: memoryRoute,
+  },
 ];
 
 const devRoutes = [
@@ -0,0 +1,158 @@
+const express = require('express');
+const { supabaseAuth } = require('../../middlewares/supabaseAuth');
+const validate = require('../../middlewares/validate');
+const memoryValidation = require('../../validations/memory.validation');
+const memoryController = require('../../controllers/memory.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(supabaseAuth('manageMemories'), validate(memoryValidation.listMemories), memoryController.listMemories)
+  .post(supabaseAuth('manageMemories'), validate(memoryValidation.createMemory), memoryController.createMemory);
+
+router
+  .route('/:memoryId')
+  .patch(supabaseAuth('manageMemories'), validate(memoryValidation.updateMemory), memoryController.updateMemory)
+  .delete(supabaseAuth('manageMemories'), validate(memoryValidation.deleteMemory), memoryController.deleteMemory);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Memories
+ *   description: Long-term facts about the teacher and their students, shared by all chats
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Memory:
+ *       type: object
+ *       properties:
+ *         memory_id:
+ *           type: string
+ *         content:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [teaching, student, preference]
+ *         student_id:
+ *           type: string
+ *           nullable: true
+ *         source:
+ *           type: string
+ *           enum: [extracted, manual]
+ *         source_chat_id:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /memories:
+ *   get:
+ *     summary: List remembered facts
+ *     description: Facts extracted from completed chat turns or added by hand, newest first.
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: string
+ *         description: Only facts about this student
+ *     responses:
+ *       "200":
+ *         description: Facts
+ *   post:
+ *     summary: Remember a fact
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [teaching, student, preference]
+ *               student_id:
+ *                 type: string
+ *     responses:
+ *       "201":
+ *         description: Created fact
+ *       "404":
+ *         description: Student not found
+ *       "409":
+ *         description: This fact is already remembered
+ */
+
+/**
+ * @swagger
+ * /memories/{memoryId}:
+ *   patch:
+ *     summary: Edit a fact
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [teaching, student, preference]
+ *               student_id:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       "200":
+ *         description: Updated fact
+ *       "404":
+ *         description: Memory or student not found
+ *       "409":
+ *         description: This fact is already remembered
+ *   delete:
+ *     summary: Forget a fact
+ *     tags: [Memories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Fact deleted
+ *       "404":
+ *         description: Memory not found
+ */
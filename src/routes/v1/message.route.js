@@ -15,6 +15,26 @@ router
   .route("/first")
   .post(supabaseAuth("sendMessage"), validate(messageValidation.sendFirstMessage), messageController.sendFirstMessage);
 
+router
+  .route("/stream/:responseId")
+  .get(supabaseAuth("getMessages"), validate(messageValidation.reattachStream), messageController.reattachStream);
+
+router
+  .route("/:responseId/cancel")
+  .post(supabaseAuth("sendMessage"), validate(messageValidation.cancelStream), messageController.cancelStream);
+
+router
+  .route("/:messageId/regenerate")
+  .post(supabaseAuth("sendMessage"), validate(messageValidation.regenerateMessage), messageController.regenerateMessage);
+
+router
+  .route("/:messageId/edit")
+  .post(supabaseAuth("sendMessage"), validate(messageValidation.editMessage), messageController.editMessage);
+
+router
+  .route("/:messageId/select")
+  .post(supabaseAuth("sendMessage"), validate(messageValidation.selectMessageVersion), messageController.selectMessageVersion);
+
 router
   .route("/:chatId")
   .get(supabaseAuth("getMessages"), validate(messageValidation.findAllMessages), messageController.findAllMessages);
@@ -37,6 +57,19 @@ module.exports = router;
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Accept
+ *         required: false
+ *         description: Send "text/event-stream" to receive SSE frames instead of newline-delimited JSON.
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         required: false
+ *         description: Resume a dropped stream from the last received event ID instead of sending a new message.
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -51,6 +84,12 @@ module.exports = router;
  *               instructionToken:
  *                 type: string
  *                 nullable: true
+ *               instrument:
+ *                 type: string
+ *                 description: Instrument whose labels the automatic chat title uses (default violin)
+ *               genre:
+ *                 type: string
+ *                 description: Genre whose labels the automatic chat title uses (default classical)
  *             example:
  *               chat_id: "abc123"
  *               message: "Hello, how are you?"
@@ -61,10 +100,151 @@ module.exports = router;
  *       "400":
  *         description: Invalid request data
  *
+ * /messages/stream/{responseId}:
+ *   get:
+ *     summary: Reattach to an in-flight response
+ *     description: Replays the buffered output of a generation that is still running (or finished recently) and keeps streaming until it completes. Generation continues server-side when the original connection drops.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         required: false
+ *         description: Skip events the client already received (SSE transport).
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Replayed and live stream events
+ *       "404":
+ *         description: Stream has expired or does not exist
+ *
+ * /messages/{responseId}/cancel:
+ *   post:
+ *     summary: Cancel a running generation
+ *     description: Stops an in-flight reply from any device or tab of the same user, whichever API instance receives the request. The partial text is saved with a `cancelled` status in its metadata and the original stream ends with a `response.cancelled` event. `status` is `cancelled` when this instance streams the reply and stopped it, or `cancel_requested` when another instance streams it and will stop it within STREAM_CANCEL_POLL_SECONDS.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Generation cancelled, or cancel requested from the instance streaming it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 response_id:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [cancelled, cancel_requested]
+ *       "404":
+ *         description: No running generation for this response
+ *
+ * /messages/{messageId}/regenerate:
+ *   post:
+ *     summary: Regenerate an assistant reply
+ *     description: Re-runs the user turn behind the reply with the same prompt selection as a regular message and streams the new answer. The result is stored as a sibling version of the reply and becomes the selected version.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               instruction_token:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *                 enum: [arco, arco-pro]
+ *     responses:
+ *       "200":
+ *         description: Streamed reply, ending with a message.version_created event
+ *       "400":
+ *         description: Message is not an assistant reply
+ *       "404":
+ *         description: Message not found
+ *
+ * /messages/{messageId}/edit:
+ *   post:
+ *     summary: Edit a past user message
+ *     description: Forks the chat at the message. Later turns stay on the old branch; the edited message and its streamed reply go onto a new branch, which becomes active. The stream opens with a branch.created event.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               instruction_token:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *                 enum: [arco, arco-pro]
+ *     responses:
+ *       "200":
+ *         description: Streamed reply on the new branch
+ *       "400":
+ *         description: Message is not a user message
+ *       "404":
+ *         description: Message not found
+ *
+ * /messages/{messageId}/select:
+ *   post:
+ *     summary: Select a reply version
+ *     description: Makes the given version the one shown in the transcript and used for conversation memory.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Selected message with its versions
+ *       "404":
+ *         description: Message not found
+ *
  * /messages/{chatId}:
  *   get:
  *     summary: Get all messages
- *     description: Retrieve all messages within a chat.
+ *     description: Retrieve the messages within a chat. Regenerated replies are collapsed into their selected version, with every version listed under `versions`. Without `limit`, `before` or `after` the whole history is returned; otherwise one page is returned and `next_cursor` continues in the same direction (null when there is nothing more).
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -74,9 +254,40 @@ module.exports = router;
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Turns per page (defaults to 50 when a cursor is given). A bare limit returns the most recent turns.
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *       - in: query
+ *         name: before
+ *         description: Cursor; return turns older than it (lazy-loading history upward)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         description: Cursor; return turns newer than it
+ *         schema:
+ *           type: string
  *     responses:
  *       "200":
  *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *       "400":
+ *         description: Invalid cursor
  *       "404":
  *         description: Chat not found
  */
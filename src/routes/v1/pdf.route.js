@@ -1,11 +1,9 @@
 const express = require('express');
 const httpStatus = require('http-status');
+const { requestPdf, requestPdfServiceHealth } = require('../../services/pdf.service');
 
 const router = express.Router();
 
-// Internal PDF service URL (for DigitalOcean App Platform internal networking)
-const PDF_SERVICE_URL = process.env.PDF_SERVICE_URL || 'http://localhost:3001';
-
 /**
  * @route   POST /api/v1/pdf/generate
  * @desc    Generate PDF from HTML content
@@ -24,14 +22,7 @@ router.post('/generate', async (req, res) => {
     }
 
     // Forward request to PDF service
-    const response = await fetch(`${PDF_SERVICE_URL}/generate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ html, title }),
-      signal: AbortSignal.timeout(25000) // 25s timeout (PDF service has 20s + buffer)
-    });
+    const response = await requestPdf({ html, title });
 
     if (!response.ok) {
       // Handle PDF service errors
@@ -97,9 +88,7 @@ router.post('/generate', async (req, res) => {
  */
 router.get('/health', async (req, res) => {
   try {
-    const response = await fetch(`${PDF_SERVICE_URL}/health`, {
-      signal: AbortSignal.timeout(5000)
-    });
+    const response = await requestPdfServiceHealth();
 
     if (!response.ok) {
       return res.status(httpStatus.SERVICE_UNAVAILABLE).json({
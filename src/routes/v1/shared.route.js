@@ -0,0 +1,66 @@
+const express = require('express');
+const validate = require('../../middlewares/validate');
+const sharedValidation = require('../../validations/shared.validation');
+const sharedController = require('../../controllers/shared.controller');
+
+const router = express.Router();
+
+// Public: the share token is the only credential
+router.route('/:token').get(validate(sharedValidation.getSharedChat), sharedController.getSharedChat);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shared
+ *   description: Public read-only views of shared chats
+ */
+
+/**
+ * @swagger
+ * /shared/{token}:
+ *   get:
+ *     summary: View a shared chat
+ *     description: |
+ *       Unauthenticated. Returns the chat title and its transcript (roles, content, timestamps,
+ *       model variant, lesson context and citations) while the link is neither revoked nor expired.
+ *     tags: [Shared]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Shared chat
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 chat:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     chat_mode:
+ *                       type: string
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       "404":
+ *         description: Link is unknown, revoked or expired
+ */
@@ -0,0 +1,152 @@
+const express = require('express');
+const { supabaseAuth } = require('../../middlewares/supabaseAuth');
+const validate = require('../../middlewares/validate');
+const studentValidation = require('../../validations/student.validation');
+const studentController = require('../../controllers/student.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(supabaseAuth('manageStudents'), studentController.listStudents)
+  .post(supabaseAuth('manageStudents'), validate(studentValidation.createStudent), studentController.createStudent);
+
+router
+  .route('/:studentId')
+  .get(supabaseAuth('manageStudents'), validate(studentValidation.getStudent), studentController.getStudent)
+  .patch(supabaseAuth('manageStudents'), validate(studentValidation.updateStudent), studentController.updateStudent)
+  .delete(supabaseAuth('manageStudents'), validate(studentValidation.deleteStudent), studentController.deleteStudent);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Students
+ *   description: A teacher's students, linked to their prep-digest and lesson-plan chats and recordings
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Student:
+ *       type: object
+ *       properties:
+ *         student_id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /students:
+ *   get:
+ *     summary: List students
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Students in alphabetical order
+ *   post:
+ *     summary: Create a student
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       "201":
+ *         description: Created student
+ *       "409":
+ *         description: A student with this name already exists
+ */
+
+/**
+ * @swagger
+ * /students/{studentId}:
+ *   get:
+ *     summary: Get a student
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Student
+ *       "404":
+ *         description: Student not found
+ *   patch:
+ *     summary: Update a student
+ *     description: Renaming keeps the student's chats and recordings linked and retitles their prep-digest and lesson-plan chats.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: Updated student
+ *       "404":
+ *         description: Student not found
+ *       "409":
+ *         description: A student with this name already exists
+ *   delete:
+ *     summary: Delete a student
+ *     description: The student's chats and recordings are kept and lose their link.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Student deleted
+ *       "404":
+ *         description: Student not found
+ */
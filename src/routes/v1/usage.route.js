@@ -0,0 +1,52 @@
+const express = require('express');
+const { supabaseAuth } = require('../../middlewares/supabaseAuth');
+const validate = require('../../middlewares/validate');
+const usageValidation = require('../../validations/usage.validation');
+const usageController = require('../../controllers/usage.controller');
+
+const router = express.Router();
+
+router.route('/').get(supabaseAuth('viewUsage'), validate(usageValidation.getUsage), usageController.getUsage);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Usage
+ *   description: LLM token usage and estimated cost
+ */
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Get token usage rollups
+ *     description: Token usage and estimated cost for the authenticated user, rolled up per day, per chat and per model variant. Background calls (title generation, memory summaries, recording processing) are reported under their operation name in the variant rollup.
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive start day (defaults to 29 days before "to")
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive end day (defaults to today)
+ *       - in: query
+ *         name: chat_id
+ *         schema:
+ *           type: string
+ *         description: Restrict to a single chat
+ *     responses:
+ *       "200":
+ *         description: Totals plus by_day, by_chat and by_variant rollups
+ *       "400":
+ *         description: Invalid date range
+ */
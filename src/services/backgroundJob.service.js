@@ -0,0 +1,338 @@
+const os = require('os');
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { getConversationMemory, maybeUpdateGlobalSummary } = require('./conversationMemory.service');
+const { generateChatTitle } = require('./chatTitle.service');
+const { extractUserMemories } = require('./userMemory.service');
+
+/**
+ * Background jobs
+ * Durable queue (background_jobs) for LLM side tasks that run after a reply. Each job type has a
+ * payload schema and a handler; a handler throws to have its job retried with exponential
+ * backoff, and after max_attempts the job is dead-lettered. Jobs are run by the worker loop
+ * (jobs/jobWorker.job.js), in the API process or a separate one, and dispatchJob also runs a job
+ * right after queueing it so results still arrive while the reply streams.
+ */
+
+const jobsConfig = config.jobs || {};
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+const JOB_TYPES = {
+  MEMORY_SUMMARY: 'memory_summary',
+  CHAT_TITLE: 'chat_title',
+  USER_MEMORY_EXTRACTION: 'user_memory_extraction',
+};
+
+// Summaries skipped for these reasons still have work to do
+const RETRYABLE_SUMMARY_REASONS = new Set(['in_flight', 'lease_lost', 'brief_unavailable', 'openai_error']);
+
+const JOB_DEFINITIONS = {
+  [JOB_TYPES.MEMORY_SUMMARY]: {
+    schema: Joi.object().keys({
+      chatId: Joi.string().required(),
+      userId: Joi.string().required(),
+    }),
+    // One waiting summary per chat covers every turn saved before it runs
+    dedupeKey: ({ chatId }) => `memory_summary:${chatId}`,
+    handler: async ({ chatId, userId }) => {
+      // maybeUpdateGlobalSummary re-reads the brief under the lease; this copy only decides whether to run
+      const brief = await getConversationMemory(chatId);
+      const result = await maybeUpdateGlobalSummary({ chatId, userId, brief });
+      if (RETRYABLE_SUMMARY_REASONS.has(result.reason)) {
+        throw new Error(`Summary not saved: ${result.reason}`);
+      }
+      return { summarized: result.summarized, reason: result.reason || null };
+    },
+  },
+  [JOB_TYPES.CHAT_TITLE]: {
+    schema: Joi.object().keys({
+      chatId: Joi.string().required(),
+      userId: Joi.string().required(),
+      opening: Joi.string().required(),
+      // Title labels; unknown or missing values fall back to violin / classical
+      instrument: Joi.string().allow(null, '').default(null),
+      genre: Joi.string().allow(null, '').default(null),
+    }),
+    dedupeKey: ({ chatId }) => `chat_title:${chatId}`,
+    handler: async ({ chatId, userId, opening, instrument, genre }) => {
+      const title = await generateChatTitle(opening, {
+        userId,
+        chatId,
+        instrument: instrument || undefined,
+        genre: genre || undefined,
+      });
+      if (!title) {
+        throw new Error('Title generation returned no title');
+      }
+
+      // Only name chats still called "New Chat"; the user may have renamed it since
+      const { data, error } = await supabase
+        .from('chats')
+        .update({ title })
+        .eq('chat_id', chatId)
+        .eq('title', 'New Chat')
+        .select('chat_id');
+      if (error) {
+        throw new Error(`Failed to save title: ${error.message}`);
+      }
+
+      return { title, updated: !!data?.length };
+    },
+  },
+  [JOB_TYPES.USER_MEMORY_EXTRACTION]: {
+    schema: Joi.object().keys({
+      userId: Joi.string().required(),
+      chatId: Joi.string().required(),
+      messageId: Joi.string().allow(null).default(null),
+      userMessage: Joi.string().allow('').required(),
+      assistantMessage: Joi.string().allow('').default(''),
+    }),
+    // Extraction logs its own failures and never throws, so these jobs are not retried
+    handler: async (payload) => ({ stored: (await extractUserMemories(payload)).length }),
+  },
+};
+
+/**
+ * Delay before the next attempt: JOB_RETRY_BASE_SECONDS doubled per failed attempt, capped at an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Seconds
+ */
+const getRetryDelaySeconds = (attempts) =>
+  Math.min((jobsConfig.retryBaseSeconds || 30) * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+
+const validatePayload = (type, payload) => {
+  const definition = JOB_DEFINITIONS[type];
+  if (!definition) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Unknown job type: ${type}`);
+  }
+
+  const { value, error } = definition.schema.validate(payload);
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Invalid ${type} job payload: ${error.message}`);
+  }
+
+  return value;
+};
+
+/**
+ * Queue a job
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - Checked against the type's schema
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] - Defaults to now
+ * @param {number} [options.maxAttempts] - Defaults to JOB_MAX_ATTEMPTS
+ * @returns {Promise<Object|null>} The job, or null when an identical job is already waiting
+ */
+const enqueueJob = async (type, payload, { runAt, maxAttempts } = {}) => {
+  const value = validatePayload(type, payload);
+  const { dedupeKey } = JOB_DEFINITIONS[type];
+
+  const { data, error } = await supabase
+    .from('background_jobs')
+    .insert({
+      type,
+      payload: value,
+      dedupe_key: dedupeKey ? dedupeKey(value) : null,
+      max_attempts: maxAttempts || jobsConfig.maxAttempts || 5,
+      run_at: (runAt || new Date()).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    return null;
+  }
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to queue ${type} job: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Claim due jobs, and jobs abandoned by a stopped worker, for this process
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Defaults to JOB_BATCH_SIZE
+ * @param {string} [options.jobId] - Claim only this job
+ * @returns {Promise<Array>} Claimed jobs, marked running
+ */
+const claimJobs = async ({ limit, jobId = null } = {}) => {
+  const { data, error } = await supabase.rpc('claim_background_jobs', {
+    p_worker_id: WORKER_ID,
+    p_limit: limit || jobsConfig.batchSize || 5,
+    p_lock_seconds: jobsConfig.lockSeconds || 300,
+    p_job_id: jobId,
+  });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to claim jobs: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+const updateClaimedJob = (job, fields) =>
+  supabase
+    .from('background_jobs')
+    .update({ ...fields, locked_by: null, locked_until: null, updated_at: new Date().toISOString() })
+    .eq('job_id', job.job_id)
+    .eq('locked_by', WORKER_ID);
+
+const completeJob = async (job) => {
+  const { error } = await updateClaimedJob(job, { status: 'completed', completed_at: new Date().toISOString() });
+  if (error) {
+    console.error('[backgroundJob] Failed to mark job completed', { job_id: job.job_id, error });
+  }
+};
+
+const failJob = async (job, failure) => {
+  const lastError = failure?.message || String(failure);
+
+  if (job.attempts >= job.max_attempts) {
+    const { error } = await updateClaimedJob(job, { status: 'dead', last_error: lastError });
+    if (error) {
+      console.error('[backgroundJob] Failed to dead-letter job', { job_id: job.job_id, error });
+    }
+    return 'dead';
+  }
+
+  const runAt = new Date(Date.now() + getRetryDelaySeconds(job.attempts) * 1000);
+  const { error } = await updateClaimedJob(job, {
+    status: 'pending',
+    run_at: runAt.toISOString(),
+    last_error: lastError,
+  });
+
+  // A newer job with the same dedupe key is already waiting and will do the same work
+  if (error?.code === '23505') {
+    await updateClaimedJob(job, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      last_error: `${lastError}\nSuperseded by a newer queued job`,
+    });
+    return 'superseded';
+  }
+  if (error) {
+    console.error('[backgroundJob] Failed to schedule job retry', { job_id: job.job_id, error });
+  }
+  return 'retrying';
+};
+
+/**
+ * Run a claimed job and record the outcome. Never throws.
+ * @param {Object} job - From claimJobs
+ * @returns {Promise<{ status: string, result?: Object, error?: string }>} status is completed,
+ * retrying, superseded or dead
+ */
+const runJob = async (job) => {
+  try {
+    const definition = JOB_DEFINITIONS[job.type];
+    if (!definition) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    const result = await definition.handler(validatePayload(job.type, job.payload));
+    await completeJob(job);
+    return { status: 'completed', result };
+  } catch (error) {
+    const status = await failJob(job, error);
+    const log = status === 'dead' ? console.error : console.warn;
+    log('[backgroundJob] Job failed', {
+      job_id: job.job_id,
+      type: job.type,
+      attempt: job.attempts,
+      status,
+      error: error.message,
+    });
+    return { status, error: error.message };
+  }
+};
+
+/**
+ * Queue a job and run it in this process straight away. A failed run is retried by the worker.
+ * If the queue is unavailable the handler still runs once, as before the queue existed.
+ * Never rejects, so callers can fire and forget.
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload
+ * @returns {Promise<Object|null>} The handler's result when the first run succeeded, else null
+ */
+const dispatchJob = async (type, payload) => {
+  let value;
+  try {
+    value = validatePayload(type, payload);
+  } catch (error) {
+    console.error('[backgroundJob] Job not queued', { type, error: error.message });
+    return null;
+  }
+
+  let job;
+  try {
+    job = await enqueueJob(type, value);
+  } catch (error) {
+    console.error('[backgroundJob] Failed to queue job, running it once without retries', {
+      type,
+      error: error.message,
+    });
+    try {
+      return await JOB_DEFINITIONS[type].handler(value);
+    } catch (handlerError) {
+      console.error('[backgroundJob] Job failed', { type, error: handlerError.message });
+      return null;
+    }
+  }
+
+  if (!job) {
+    return null;
+  }
+
+  try {
+    // The worker may have claimed it already
+    const [claimed] = await claimJobs({ limit: 1, jobId: job.job_id });
+    if (!claimed) {
+      return null;
+    }
+    const outcome = await runJob(claimed);
+    return outcome.status === 'completed' ? outcome.result : null;
+  } catch (error) {
+    console.error('[backgroundJob] Failed to run queued job; the worker will pick it up', {
+      job_id: job.job_id,
+      type,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+/**
+ * Delete completed jobs older than JOB_RETENTION_DAYS. Dead jobs are kept for inspection.
+ * @returns {Promise<number>} Deleted jobs
+ */
+const purgeCompletedJobs = async () => {
+  const cutoff = new Date(Date.now() - (jobsConfig.retentionDays || 7) * 24 * 60 * 60 * 1000);
+  const { data, error } = await supabase
+    .from('background_jobs')
+    .delete()
+    .eq('status', 'completed')
+    .lt('completed_at', cutoff.toISOString())
+    .select('job_id');
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to purge jobs: ${error.message}`);
+  }
+
+  return data?.length || 0;
+};
+
+module.exports = {
+  JOB_TYPES,
+  getRetryDelaySeconds,
+  enqueueJob,
+  claimJobs,
+  runJob,
+  dispatchJob,
+  purgeCompletedJobs,
+};
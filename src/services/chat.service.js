@@ -2,6 +2,10 @@ const { PROMPT_ID, PROMPT_ID_PERSONAL_LESSONS, PROMPT_ID_LESSON_PLAN } = require
 const { supabase } = require("../config/supabase.js");
 const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
+const { getOwnedFolder } = require('./chatFolder.service');
+const { STUDENT_CHAT_TITLES, getStudent, findOrCreateStudentByName } = require('./student.service');
+const { archiveCurrentRevision } = require('./chatRevision.service');
+const { DEFAULT_MEMORY_STATE, saveConversationMemory } = require('./conversationMemory.service');
 
 const createChat = async (user, title = null, chatMode = 'arcoai') => {
     // Generate conversation ID locally - conversations are created implicitly in Responses API
@@ -86,12 +90,41 @@ const updateChat = async (user, chat_id, updates = {}) => {
     return chat;
 };
 
-const getAllChats = async (user) => {
-    const { data: chats, error } = await supabase
+/**
+ * List the user's chats, pinned first, then most recently updated.
+ * Archived chats are excluded unless `archived` is set.
+ * @param {Object} user - User object
+ * @param {Object} [filters]
+ * @param {string} [filters.folderId] - Folder ID, or 'none' for unfiled chats
+ * @param {boolean} [filters.pinned] - Only pinned (true) or unpinned (false) chats
+ * @param {boolean} [filters.archived=false] - List archived chats instead of active ones
+ * @param {string} [filters.studentId] - Only chats about this student
+ * @returns {Array} Chats
+ */
+const getAllChats = async (user, { folderId, pinned, archived = false, studentId } = {}) => {
+    let query = supabase
         .from('chats')
         .select('*')
         .eq('user_id', user.id)
         .eq('is_deleted', false)
+        .eq('is_archived', !!archived);
+
+    if (folderId === 'none') {
+        query = query.is('folder_id', null);
+    } else if (folderId) {
+        query = query.eq('folder_id', folderId);
+    }
+
+    if (typeof pinned === 'boolean') {
+        query = query.eq('is_pinned', pinned);
+    }
+
+    if (studentId) {
+        query = query.eq('student_id', studentId);
+    }
+
+    const { data: chats, error } = await query
+        .order('is_pinned', { ascending: false })
         .order('updated_at', { ascending: false });
 
     if (error) {
@@ -101,6 +134,107 @@ const getAllChats = async (user) => {
     return chats || [];
 };
 
+// Organization changes (pin, archive, folder) leave updated_at alone so the chat keeps its place
+const updateChatOrganization = async (user, chat_id, payload) => {
+    const { data: updatedChat, error } = await supabase
+        .from('chats')
+        .update(payload)
+        .eq('chat_id', chat_id)
+        .eq('user_id', user.id)
+        .eq('is_deleted', false)
+        .select()
+        .single();
+
+    if (error || !updatedChat) {
+        if (error && error.code !== 'PGRST116') {
+            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to update chat: ${error.message}`);
+        }
+        throw new ApiError(httpStatus.BAD_REQUEST, "Invalid Chat!");
+    }
+
+    const chat = { ...updatedChat };
+    delete chat.thread_id;
+    delete chat.conversation_id;
+    return chat;
+};
+
+/**
+ * Pin or unpin a chat
+ * @param {Object} user - User object
+ * @param {string} chat_id - Chat ID
+ * @param {boolean} pinned
+ * @returns {Object} Updated chat
+ */
+const setChatPinned = async (user, chat_id, pinned) => updateChatOrganization(user, chat_id, {
+    is_pinned: pinned,
+    pinned_at: pinned ? new Date().toISOString() : null,
+});
+
+/**
+ * Archive or unarchive a chat. Archived chats drop out of the default list but keep their messages.
+ * @param {Object} user - User object
+ * @param {string} chat_id - Chat ID
+ * @param {boolean} archived
+ * @returns {Object} Updated chat
+ */
+const setChatArchived = async (user, chat_id, archived) => updateChatOrganization(user, chat_id, {
+    is_archived: archived,
+    archived_at: archived ? new Date().toISOString() : null,
+});
+
+/**
+ * File a chat under a folder, or unfile it
+ * @param {Object} user - User object
+ * @param {string} chat_id - Chat ID
+ * @param {string|null} folderId - null removes the chat from its folder
+ * @returns {Object} Updated chat
+ */
+const moveChatToFolder = async (user, chat_id, folderId) => {
+    if (folderId) {
+        await getOwnedFolder(user, folderId);
+    }
+    return updateChatOrganization(user, chat_id, { folder_id: folderId || null });
+};
+
+/**
+ * Full-text search over the user's chat titles and the message contents on each chat's active
+ * branch (see search_chats() in database/migrations/021_escape_search_snippets.sql). Results are
+ * ranked by relevance. Snippets are escaped HTML; matched terms are wrapped in <mark></mark>.
+ * @param {Object} user - User object
+ * @param {Object} params
+ * @param {string} params.q - Search query (web-search syntax: quoted phrases, -exclusions, or)
+ * @param {number} [params.limit=20] - Maximum number of chats
+ * @returns {Array} Matching chats with snippets and matching message IDs
+ */
+const searchChats = async (user, { q, limit = 20 } = {}) => {
+    const query = typeof q === 'string' ? q.trim() : '';
+    if (!query) {
+        throw new ApiError(httpStatus.BAD_REQUEST, "Search query is required");
+    }
+
+    const { data, error } = await supabase.rpc('search_chats', {
+        p_user_id: user.id,
+        p_query: query,
+        p_limit: limit,
+    });
+
+    if (error) {
+        throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to search chats: ${error.message}`);
+    }
+
+    return (data || []).map((row) => ({
+        chat_id: row.chat_id,
+        title: row.title,
+        chat_mode: row.chat_mode,
+        updated_at: row.updated_at,
+        rank: row.rank,
+        title_snippet: row.title_snippet || null,
+        match_count: row.match_count || 0,
+        message_ids: row.message_ids || [],
+        matches: row.matches || [],
+    }));
+};
+
 const deleteChat = async (user, chat_id) => {
     if (!chat_id) {
         throw new ApiError(httpStatus.BAD_REQUEST, "chat_id is required!");
@@ -125,6 +259,7 @@ const deleteChat = async (user, chat_id) => {
         .from('chats')
         .update({
             is_deleted: true,
+            deleted_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         })
         .eq('chat_id', chat_id)
@@ -140,10 +275,12 @@ const deleteChat = async (user, chat_id) => {
  * 
  * Flow for prep digest messages:
  * 1. Detect prep digest pattern in message content
- * 2. Extract student name from "Prep digest for {studentName}"
- * 3. Search for existing prep digest chat with exact title match
+ * 2. Resolve the student: student_id when given, otherwise the name in "Prep digest for {studentName}"
+ *    (students are created on first use)
+ * 3. Search for the student's existing prep digest chat by student_id
  * 4. If found: Clear existing messages and reuse the chat
- * 5. If not found: Create new chat with predictable title
+ * 5. If not found: Create new chat with predictable title, linked to the student
+ * Lesson plans follow the same flow with their own chat per student.
  * 
  * Flow for regular messages:
  * 1. Generate title from message content (truncated intelligently)
@@ -152,9 +289,12 @@ const deleteChat = async (user, chat_id) => {
  * @param {Object} user - User object with id
  * @param {string} message - The first message content
  * @param {string} instruction_token - Optional instruction token to append
+ * @param {string} chat_mode - arcoai or personal_lessons
+ * @param {string} prompt_id_override - Prompt for the first message (lesson plans)
+ * @param {string} student_id - Student the message is about; otherwise resolved from the student name in the message
  * @returns {Object} Chat creation result with conversation_id and isReusedChat flag
  */
-const createChatWithFirstMessage = async (user, message, instruction_token = '', chat_mode = 'arcoai', prompt_id_override = null) => {
+const createChatWithFirstMessage = async (user, message, instruction_token = '', chat_mode = 'arcoai', prompt_id_override = null, student_id = null) => {
     try {
         // Extract clean message without instruction token for title generation
         let cleanMessage = message;
@@ -179,31 +319,55 @@ const createChatWithFirstMessage = async (user, message, instruction_token = '',
         const lessonPlanMatch = cleanMessage.match(lessonPlanPattern);
         const studentFromInstruction = extractStudentFromInstruction(instruction_token);
 
+        // The message names the student; the chat is tied to the student record, not the name
+        const resolveStudent = async (studentName, kind) => {
+            if (student_id) {
+                return getStudent(user, student_id);
+            }
+            if (!studentName) {
+                console.error(`Empty student name in ${kind} message`);
+                throw new ApiError(httpStatus.BAD_REQUEST, `Invalid ${kind} message: missing student name`);
+            }
+            return findOrCreateStudentByName(user, studentName);
+        };
+
+        let student = null;
+        let studentChatType = null;
+
         if (prepMatch) {
             // This is a prep digest message - check for existing chat
-            const studentName = prepMatch[1].trim();
+            student = await resolveStudent(prepMatch[1].trim(), 'prep digest');
+            studentChatType = 'prep_digest';
+            const studentName = student.name;
             console.log('[DEBUG] Prep digest detected:', {
                 studentName,
+                studentId: student.student_id,
                 matchedPattern: prepMatch[0],
                 fullMessage: cleanMessage.substring(0, 100) + '...'
             });
             
-            if (!studentName) {
-                console.error('Empty student name in prep digest message');
-                throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid prep digest message: missing student name');
-            }
-            
-            let existingChat = await findPrepDigestChat(user, studentName);
+            let existingChat = await findStudentChat(user, student.student_id, studentChatType);
             
             if (existingChat) {
                 // Reuse existing prep digest chat
                 console.log(`Reusing existing prep digest chat for ${studentName}:`, existingChat.chat_id);
                 
-                // Clear existing messages from this chat
-                // Note: This is safe to do repeatedly - if no messages exist, the operation is a no-op
+                // Keep the previous digest as a numbered revision, then clear the chat for the new one
+                // Note: This is safe to do repeatedly - if no messages exist, nothing is archived and the clear is a no-op
+                const nextRevision = await archiveCurrentRevision(existingChat, user.id);
                 await clearChatMessages(existingChat.chat_id, user.id);
                 
-                const updateFields = { updated_at: new Date().toISOString() };
+                // A reused chat is live again, so bring it back out of the archive
+                const updateFields = {
+                    updated_at: new Date().toISOString(),
+                    title: STUDENT_CHAT_TITLES.prep_digest(studentName),
+                    is_archived: false,
+                    archived_at: null
+                };
+                if (nextRevision) {
+                    updateFields.revision_number = nextRevision;
+                    updateFields.revision_started_at = updateFields.updated_at;
+                }
                 if (prompt_id_override) {
                     updateFields.prompt_id = prompt_id_override;
                 }
@@ -265,23 +429,22 @@ const createChatWithFirstMessage = async (user, message, instruction_token = '',
             // If no existing prep chat found, continue to create new one with predictable title
         } else if (lessonPlanMatch || (prompt_id_override === PROMPT_ID_LESSON_PLAN) || chat_mode === 'arcoai' && studentFromInstruction) {
             // Lesson plan auto message: reuse a single chat per student, similar to prep digest behavior
-            const studentName = lessonPlanMatch?.[1]?.trim() || studentFromInstruction;
+            student = await resolveStudent(lessonPlanMatch?.[1]?.trim() || studentFromInstruction, 'lesson plan');
+            studentChatType = 'lesson_plan';
+            const studentName = student.name;
             console.log('[DEBUG] Lesson plan detected:', {
                 studentName,
+                studentId: student.student_id,
                 matchedPattern: lessonPlanMatch ? lessonPlanMatch[0] : '(lesson_plan flag)',
                 fullMessage: cleanMessage.substring(0, 100) + '...'
             });
 
-            if (!studentName) {
-                console.error('Empty student name in lesson plan message');
-                throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid lesson plan message: missing student name');
-            }
-
-            let existingChat = await findLessonPlanChat(user, studentName);
+            let existingChat = await findStudentChat(user, student.student_id, studentChatType);
 
             if (existingChat) {
                 console.log(`Reusing existing lesson plan chat for ${studentName}:`, existingChat.chat_id);
 
+                const nextRevision = await archiveCurrentRevision(existingChat, user.id);
                 await clearChatMessages(existingChat.chat_id, user.id);
 
                 // Reset chat to requested mode when reusing for new lesson plan
@@ -290,8 +453,14 @@ const createChatWithFirstMessage = async (user, message, instruction_token = '',
                 // so subsequent turns can use arcoai or personal_lessons freely)
                 const updateFields = {
                     updated_at: new Date().toISOString(),
-                    title: `Lesson plan for ${studentName}`
+                    title: STUDENT_CHAT_TITLES.lesson_plan(studentName),
+                    is_archived: false,
+                    archived_at: null
                 };
+                if (nextRevision) {
+                    updateFields.revision_number = nextRevision;
+                    updateFields.revision_started_at = updateFields.updated_at;
+                }
 
                 // Reset to requested chat_mode and its default prompt
                 if (chat_mode && ['arcoai', 'personal_lessons'].includes(chat_mode)) {
@@ -348,13 +517,17 @@ const createChatWithFirstMessage = async (user, message, instruction_token = '',
         let title;
         let isLessonPlan = false;
 
+        if (student_id && !student) {
+            student = await getStudent(user, student_id);
+        }
+
         if (prepMatch) {
-            title = `Prep digest for ${prepMatch[1].trim()}`;
+            title = STUDENT_CHAT_TITLES.prep_digest(student.name);
             console.log('[DEBUG] Generated prep digest title:', title);
         } else if (lessonPlanMatch || studentFromInstruction) {
             isLessonPlan = true;
-            const studentNameForTitle = (lessonPlanMatch?.[1]?.trim() || studentFromInstruction || 'Student');
-            title = `Lesson plan for ${studentNameForTitle}`;
+            const studentNameForTitle = (student?.name || lessonPlanMatch?.[1]?.trim() || studentFromInstruction || 'Student');
+            title = STUDENT_CHAT_TITLES.lesson_plan(studentNameForTitle);
             console.log('[DEBUG] Generated lesson plan title:', title);
         } else {
             // For regular chats, start with "New Chat" so AI title generation can trigger
@@ -388,6 +561,8 @@ const createChatWithFirstMessage = async (user, message, instruction_token = '',
                 chat_mode, // Use requested mode (no special handling for lesson plans)
                 user_id: user.id,
                 title,
+                student_id: student ? student.student_id : null,
+                student_chat_type: studentChatType,
             })
             .select()
             .single();
@@ -415,83 +590,37 @@ const createChatWithFirstMessage = async (user, message, instruction_token = '',
 };
 
 /**
- * Find existing prep digest chat for a user by student name
- * @param {Object} user - User object
- * @param {string} studentName - Name of the student
- * @returns {Object|null} Existing prep chat or null if not found
- */
-const findPrepDigestChat = async (user, studentName) => {
-    if (!user || !user.id || !studentName) {
-        console.error('Invalid parameters for findPrepDigestChat:', { user: !!user, userId: user?.id, studentName });
-        return null;
-    }
-
-    const prepTitle = `Prep digest for ${studentName}`;
-
-    try {
-        const { data: chats, error } = await supabase
-            .from('chats')
-            .select('*')
-            .eq('user_id', user.id)
-            .eq('title', prepTitle)
-            .eq('is_deleted', false)
-            .order('created_at', { ascending: false })
-            .limit(1);
-
-        if (error) {
-            console.error('Database error finding prep digest chat:', error);
-            return null;
-        }
-
-        if (chats && chats.length > 1) {
-            // Multiple prep digest chats found - this shouldn't happen but let's handle it
-            console.warn(`Found ${chats.length} prep digest chats for ${studentName}. Using most recent.`);
-        }
-
-        return chats && chats.length > 0 ? chats[0] : null;
-    } catch (error) {
-        console.error('Unexpected error finding prep digest chat:', error);
-        return null;
-    }
-};
-
-/**
- * Find existing lesson plan chat for a user by student name
+ * Find the reusable prep digest or lesson plan chat of a student
  * @param {Object} user - User object
- * @param {string} studentName - Name of the student
- * @returns {Object|null} Existing lesson plan chat or null if not found
+ * @param {string} studentId - Student the chat belongs to
+ * @param {string} studentChatType - prep_digest or lesson_plan
+ * @returns {Object|null} Existing chat or null if not found
  */
-const findLessonPlanChat = async (user, studentName) => {
-    if (!user || !user.id || !studentName) {
-        console.error('Invalid parameters for findLessonPlanChat:', { user: !!user, userId: user?.id, studentName });
+const findStudentChat = async (user, studentId, studentChatType) => {
+    if (!user || !user.id || !studentId) {
+        console.error('Invalid parameters for findStudentChat:', { user: !!user, userId: user?.id, studentId });
         return null;
     }
 
-    const lessonPlanTitle = `Lesson plan for ${studentName}`;
-
     try {
-        // Use exact title match with .eq() to avoid SQL injection and ensure predictable matching
         const { data: chats, error } = await supabase
             .from('chats')
             .select('*')
             .eq('user_id', user.id)
-            .eq('title', lessonPlanTitle)
+            .eq('student_id', studentId)
+            .eq('student_chat_type', studentChatType)
             .eq('is_deleted', false)
             .order('created_at', { ascending: false })
             .limit(1);
 
         if (error) {
-            console.error('Database error finding lesson plan chat:', error);
+            console.error(`Database error finding ${studentChatType} chat:`, error);
             return null;
         }
 
-        if (chats && chats.length > 1) {
-            console.warn(`Found ${chats.length} lesson plan chats for ${studentName}. Using most recent.`);
-        }
-
         return chats && chats.length > 0 ? chats[0] : null;
     } catch (error) {
-        console.error('Unexpected error finding lesson plan chat:', error);
+        console.error(`Unexpected error finding ${studentChatType} chat:`, error);
         return null;
     }
 };
@@ -530,6 +659,20 @@ const clearChatMessages = async (chatId, userId) => {
         if (deleteError) {
             throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to clear messages: ${deleteError.message}`);
         }
+
+        // Branches only make sense for the old transcript; the reused chat starts on the main branch
+        const { error: branchError } = await supabase
+            .from('chat_branches')
+            .delete()
+            .eq('chat_id', chatId)
+            .eq('user_id', userId);
+
+        if (branchError) {
+            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to clear branches: ${branchError.message}`);
+        }
+
+        // The memory brief summarized the cleared messages; start the new transcript from an empty one
+        await saveConversationMemory(chatId, userId, { ...DEFAULT_MEMORY_STATE });
         
         console.log(`Cleared all messages from chat ${chatId} for user ${userId}`);
         return true;
@@ -544,4 +687,4 @@ const clearChatMessages = async (chatId, userId) => {
     }
 };
 
-module.exports = { createChat, updateChat, getAllChats, deleteChat, createChatWithFirstMessage, findPrepDigestChat, findLessonPlanChat, clearChatMessages };
+module.exports = { createChat, updateChat, getAllChats, setChatPinned, setChatArchived, moveChatToFolder, searchChats, deleteChat, createChatWithFirstMessage, findStudentChat, clearChatMessages };
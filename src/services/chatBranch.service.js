@@ -0,0 +1,270 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Chat branches
+ * Editing a past user message forks the conversation. A branch inherits its parent's
+ * messages written before the edited message and owns everything written on it afterwards.
+ * `branch_id = null` is the main branch.
+ *
+ * A lineage is the list of branches visible from a branch, leaf first:
+ *   [{ branch_id, before }] where `before` (exclusive) cuts off messages inherited from that branch.
+ */
+
+const MAIN_LINEAGE = [{ branch_id: null, before: null }];
+
+const isMainLineage = (lineage) =>
+  !Array.isArray(lineage) || (lineage.length === 1 && !lineage[0].branch_id && !lineage[0].before);
+
+const toTime = (value) => (value ? Date.parse(value) : NaN);
+
+/**
+ * Whether a message is visible on the given lineage
+ * @param {Object} message - Row with branch_id and created_at
+ * @param {Array} lineage
+ * @returns {boolean}
+ */
+const isMessageOnLineage = (message, lineage = MAIN_LINEAGE) => {
+  const segment = (lineage || MAIN_LINEAGE).find((entry) => (entry.branch_id || null) === (message?.branch_id || null));
+  if (!segment) {
+    return false;
+  }
+  if (!segment.before) {
+    return true;
+  }
+  return toTime(message.created_at) < toTime(segment.before);
+};
+
+/**
+ * PostgREST `or` filter selecting the messages visible on a lineage
+ * @param {Array} lineage
+ * @returns {string|null} null for the main branch without forks (no filter needed)
+ */
+const buildLineageFilter = (lineage) => {
+  if (isMainLineage(lineage)) {
+    return null;
+  }
+  return lineage
+    .map(({ branch_id: branchId, before }) => {
+      const branchCondition = branchId ? `branch_id.eq.${branchId}` : 'branch_id.is.null';
+      return before ? `and(${branchCondition},created_at.lt."${before}")` : branchCondition;
+    })
+    .join(',');
+};
+
+/**
+ * Apply a lineage filter to a messages query
+ * @param {Object} query - Supabase query builder
+ * @param {Array} lineage
+ * @returns {Object} Query builder
+ */
+const applyLineageFilter = (query, lineage) => {
+  const filter = buildLineageFilter(lineage);
+  return filter ? query.or(filter) : query;
+};
+
+const fetchBranch = async (chatId, branchId) => {
+  const { data, error } = await supabase
+    .from('chat_branches')
+    .select('*')
+    .eq('chat_id', chatId)
+    .eq('branch_id', branchId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('[chatBranch] Failed to load branch', { chat_id: chatId, branch_id: branchId, error });
+  }
+
+  return data || null;
+};
+
+/**
+ * Resolve the lineage of a branch by walking up its parents
+ * @param {string} chatId
+ * @param {string|null} branchId - null for the main branch
+ * @returns {Promise<Array>}
+ */
+const getBranchLineage = async (chatId, branchId) => {
+  const lineage = [];
+  const seen = new Set();
+  let currentId = branchId || null;
+  let before = null;
+
+  while (currentId && !seen.has(currentId)) {
+    seen.add(currentId);
+    const branch = await fetchBranch(chatId, currentId);
+    if (!branch) {
+      break;
+    }
+    lineage.push({ branch_id: currentId, before });
+    before = branch.forked_at;
+    currentId = branch.parent_branch_id || null;
+  }
+
+  lineage.push({ branch_id: null, before });
+  return lineage;
+};
+
+/**
+ * Resolve the lineage of a branch from an already loaded list of the chat's branches
+ * @param {Array} branches - chat_branches rows (branch_id, parent_branch_id, forked_at)
+ * @param {string|null} branchId - null for the main branch
+ * @returns {Array}
+ */
+const lineageFromBranches = (branches, branchId) => {
+  const byId = new Map((branches || []).map((branch) => [branch.branch_id, branch]));
+  const lineage = [];
+  const seen = new Set();
+  let currentId = branchId || null;
+  let before = null;
+
+  while (currentId && !seen.has(currentId) && byId.has(currentId)) {
+    seen.add(currentId);
+    const branch = byId.get(currentId);
+    lineage.push({ branch_id: currentId, before });
+    before = branch.forked_at;
+    currentId = branch.parent_branch_id || null;
+  }
+
+  lineage.push({ branch_id: null, before });
+  return lineage;
+};
+
+/**
+ * Resolve the lineage of a chat's active branch
+ * @param {string} chatId
+ * @returns {Promise<Array>}
+ */
+const getActiveLineage = async (chatId) => {
+  const { data: chat, error } = await supabase.from('chats').select('active_branch_id').eq('chat_id', chatId).single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('[chatBranch] Failed to load active branch', { chat_id: chatId, error });
+  }
+
+  return getBranchLineage(chatId, chat?.active_branch_id || null);
+};
+
+const getOwnedChat = async (user, chatId) => {
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .select('*')
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .single();
+
+  if (error || !chat) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Invalid Chat!');
+  }
+
+  return chat;
+};
+
+const setActiveBranch = async (chatId, branchId) => {
+  const { error } = await supabase
+    .from('chats')
+    .update({ active_branch_id: branchId || null })
+    .eq('chat_id', chatId);
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to switch branch: ${error.message}`);
+  }
+};
+
+/**
+ * Fork a chat at a user message and make the new branch active
+ * @param {Object} params
+ * @param {Object} params.user - Authenticated user
+ * @param {Object} params.sourceMessage - User message being edited
+ * @returns {Promise<Object>} Created branch
+ */
+const createBranch = async ({ user, sourceMessage }) => {
+  const { data: branch, error } = await supabase
+    .from('chat_branches')
+    .insert({
+      chat_id: sourceMessage.chat_id,
+      user_id: user.id,
+      parent_branch_id: sourceMessage.branch_id || null,
+      source_message_id: sourceMessage.message_id,
+      forked_at: sourceMessage.created_at,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create branch: ${error.message}`);
+  }
+
+  await setActiveBranch(sourceMessage.chat_id, branch.branch_id);
+  return branch;
+};
+
+/**
+ * List the branches of a chat, main branch first
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @returns {Promise<Array>}
+ */
+const listBranches = async (user, chatId) => {
+  const chat = await getOwnedChat(user, chatId);
+
+  const { data: branches, error } = await supabase
+    .from('chat_branches')
+    .select('branch_id, parent_branch_id, source_message_id, forked_at, created_at')
+    .eq('chat_id', chatId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch branches: ${error.message}`);
+  }
+
+  const activeBranchId = chat.active_branch_id || null;
+  const main = {
+    branch_id: null,
+    parent_branch_id: null,
+    source_message_id: null,
+    forked_at: null,
+    created_at: chat.created_at,
+    is_active: activeBranchId === null,
+  };
+
+  return [
+    main,
+    ...(branches || []).map((branch) => ({
+      ...branch,
+      is_active: branch.branch_id === activeBranchId,
+    })),
+  ];
+};
+
+/**
+ * Switch the branch shown in the transcript and used for conversation memory
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {string|null} branchId - null for the main branch
+ * @returns {Promise<Array>} Updated branch list
+ */
+const switchBranch = async (user, chatId, branchId) => {
+  await getOwnedChat(user, chatId);
+
+  if (branchId && !(await fetchBranch(chatId, branchId))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Branch not found');
+  }
+
+  await setActiveBranch(chatId, branchId);
+  return listBranches(user, chatId);
+};
+
+module.exports = {
+  MAIN_LINEAGE,
+  isMessageOnLineage,
+  buildLineageFilter,
+  applyLineageFilter,
+  getBranchLineage,
+  lineageFromBranches,
+  getActiveLineage,
+  createBranch,
+  listBranches,
+  switchBranch,
+};
@@ -0,0 +1,266 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+const { findAllMessages } = require('./message.service');
+const { generatePdf } = require('./pdf.service');
+
+/**
+ * Chat export
+ * Renders a chat's transcript (active branch, selected reply versions) as Markdown, JSON or PDF.
+ *
+ * JSON archive format (version 1):
+ *   {
+ *     format: 'arco-chat-archive',
+ *     version: 1,
+ *     exported_at: ISO timestamp,
+ *     chat: { title, chat_mode, created_at, updated_at },
+ *     messages: [{
+ *       role: 'user' | 'assistant',
+ *       content: string,
+ *       created_at: ISO timestamp,
+ *       model_variant: 'arco' | 'arco-pro' | null,   // assistant replies
+ *       lesson_context: [{ title, date }] | null,     // user messages
+ *       citations: [{ index, title, date, ... }],     // assistant replies, when any
+ *       status: 'cancelled'                            // only for stopped replies
+ *     }]
+ *   }
+ * Internal identifiers (conversation IDs, instruction tokens, prompt context) are never exported.
+ */
+
+const ARCHIVE_FORMAT = 'arco-chat-archive';
+const ARCHIVE_VERSION = 1;
+const EXPORT_FORMATS = ['md', 'json', 'pdf'];
+
+const CHAT_MODE_LABELS = {
+  arcoai: 'ArcoAI',
+  personal_lessons: 'Personal lessons',
+};
+
+const MODEL_VARIANT_LABELS = {
+  arco: 'Arco',
+  'arco-pro': 'Arco Pro',
+};
+
+const labelForRole = (message) => (message.role === 'user' ? 'You' : MODEL_VARIANT_LABELS[message.model_variant] || 'Arco');
+
+const formatTimestamp = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? '' : `${new Date(time).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+const formatLessonContext = (lessons) =>
+  lessons.map((lesson) => (lesson.date ? `${lesson.title} (${lesson.date})` : lesson.title)).join(', ');
+
+const slugify = (title) =>
+  String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'chat';
+
+/**
+ * Convert a transcript message into its archive entry
+ * @param {Object} message - Row from findAllMessages
+ * @returns {Object}
+ */
+const toArchiveMessage = (message) => {
+  const metadata = message.metadata || {};
+  const entry = {
+    role: message.role,
+    content: message.content || '',
+    created_at: message.created_at,
+    model_variant: message.role === 'assistant' ? metadata.model_variant || null : null,
+    lesson_context: Array.isArray(message.lesson_context) && message.lesson_context.length ? message.lesson_context : null,
+  };
+  if (Array.isArray(metadata.citations) && metadata.citations.length) {
+    entry.citations = metadata.citations;
+  }
+  if (metadata.status === 'cancelled') {
+    entry.status = 'cancelled';
+  }
+  return entry;
+};
+
+/**
+ * Build the JSON archive of a chat owned by the user
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @returns {Promise<Object>}
+ */
+const buildChatArchive = async (user, chatId) => {
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .select('chat_id, title, chat_mode, created_at, updated_at')
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .eq('is_deleted', false)
+    .single();
+
+  if (error || !chat) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Invalid Chat!');
+  }
+
+  const { messages } = await findAllMessages(chatId, user);
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    chat: {
+      title: chat.title,
+      chat_mode: chat.chat_mode || 'arcoai',
+      created_at: chat.created_at,
+      updated_at: chat.updated_at,
+    },
+    messages: messages.filter((message) => message.role === 'user' || message.role === 'assistant').map(toArchiveMessage),
+  };
+};
+
+/**
+ * Render an archive as Markdown
+ * @param {Object} archive - Output of buildChatArchive
+ * @returns {string}
+ */
+const renderMarkdown = (archive) => {
+  const { chat } = archive;
+  const lines = [
+    `# ${chat.title || 'Chat'}`,
+    '',
+    `_${CHAT_MODE_LABELS[chat.chat_mode] || chat.chat_mode} · started ${formatTimestamp(
+      chat.created_at
+    )} · exported ${formatTimestamp(archive.exported_at)}_`,
+  ];
+
+  archive.messages.forEach((message) => {
+    lines.push('', '---', '', `### ${labelForRole(message)} · ${formatTimestamp(message.created_at)}`, '');
+    if (message.lesson_context) {
+      lines.push(`> Lesson context: ${formatLessonContext(message.lesson_context)}`, '');
+    }
+    lines.push(message.content);
+    if (message.status === 'cancelled') {
+      lines.push('', '_(reply stopped before it finished)_');
+    }
+    if (message.citations) {
+      lines.push(
+        '',
+        ...message.citations.map(
+          (citation) => `[${citation.index}] ${citation.title}${citation.date ? ` (${citation.date})` : ''}`
+        )
+      );
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+// pdf-service decodes named entities (&lt; &gt; &amp; ...) before rendering, so user text is
+// escaped with numeric entities that survive that step.
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Render an archive with the built-in chat template for pdf-service
+ * @param {Object} archive - Output of buildChatArchive
+ * @returns {string} HTML document
+ */
+const renderHtml = (archive) => {
+  const { chat } = archive;
+  const messages = archive.messages
+    .map((message) => {
+      const lessonContext = message.lesson_context
+        ? `<div class="lesson-context">Lesson context: ${escapeHtml(formatLessonContext(message.lesson_context))}</div>`
+        : '';
+      const citations = message.citations
+        ? `<ol class="citations">${message.citations
+            .map(
+              (citation) => `<li>${escapeHtml(citation.title)}${citation.date ? ` (${escapeHtml(citation.date)})` : ''}</li>`
+            )
+            .join('')}</ol>`
+        : '';
+      const cancelled = message.status === 'cancelled' ? '<div class="note">Reply stopped before it finished</div>' : '';
+      return `<section class="message ${message.role}">
+  <header><span class="author">${escapeHtml(labelForRole(message))}</span><span class="time">${escapeHtml(
+        formatTimestamp(message.created_at)
+      )}</span></header>
+  ${lessonContext}
+  <div class="content">${escapeHtml(message.content)}</div>
+  ${cancelled}${citations}
+</section>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(chat.title || 'Chat')}</title>
+<style>
+  @page { size: Letter; margin: 0.75in; }
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 11pt; color: #1f2328; line-height: 1.5; }
+  h1 { font-size: 20pt; margin: 0 0 4pt; }
+  .meta { color: #656d76; font-size: 9pt; margin-bottom: 18pt; }
+  .message { border-top: 1px solid #d0d7de; padding: 10pt 0; page-break-inside: avoid; }
+  .message header { display: flex; justify-content: space-between; font-size: 9pt; color: #656d76; margin-bottom: 4pt; }
+  .message .author { font-weight: 600; color: #1f2328; }
+  .message.user .content { background: #f6f8fa; border-radius: 6pt; padding: 6pt 8pt; }
+  .content { white-space: pre-wrap; word-wrap: break-word; }
+  .lesson-context, .note { font-size: 9pt; color: #656d76; font-style: italic; margin-bottom: 4pt; }
+  .citations { font-size: 9pt; color: #656d76; margin: 6pt 0 0; padding-left: 16pt; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(chat.title || 'Chat')}</h1>
+<div class="meta">${escapeHtml(CHAT_MODE_LABELS[chat.chat_mode] || chat.chat_mode)} · started ${escapeHtml(
+    formatTimestamp(chat.created_at)
+  )} · exported ${escapeHtml(formatTimestamp(archive.exported_at))}</div>
+${messages}
+</body>
+</html>`;
+};
+
+/**
+ * Export a chat in the requested format
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {string} format - md, json or pdf
+ * @returns {Promise<{ filename: string, contentType: string, body: string|Buffer }>}
+ */
+const exportChat = async (user, chatId, format) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unsupported export format "${format}"`);
+  }
+
+  const archive = await buildChatArchive(user, chatId);
+  const basename = slugify(archive.chat.title);
+
+  if (format === 'json') {
+    return {
+      filename: `${basename}.json`,
+      contentType: 'application/json; charset=utf-8',
+      body: JSON.stringify(archive, null, 2),
+    };
+  }
+
+  if (format === 'md') {
+    return {
+      filename: `${basename}.md`,
+      contentType: 'text/markdown; charset=utf-8',
+      body: renderMarkdown(archive),
+    };
+  }
+
+  return {
+    filename: `${basename}.pdf`,
+    contentType: 'application/pdf',
+    body: await generatePdf({ html: renderHtml(archive), title: basename }),
+  };
+};
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  EXPORT_FORMATS,
+  buildChatArchive,
+  renderMarkdown,
+  renderHtml,
+  exportChat,
+};
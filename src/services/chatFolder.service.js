@@ -0,0 +1,138 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Chat folders
+ * Named, user-owned folders for organizing the chat list. A chat sits in at most one folder;
+ * deleting a folder leaves its chats unfiled (chats.folder_id is set to NULL by the database).
+ */
+
+const FOLDER_FIELDS = 'folder_id, name, position, created_at, updated_at';
+
+const isDuplicateName = (error) => error?.code === '23505';
+
+/**
+ * Load a folder owned by the user
+ * @param {Object} user - Authenticated user
+ * @param {string} folderId
+ * @returns {Promise<Object>}
+ */
+const getOwnedFolder = async (user, folderId) => {
+  const { data: folder, error } = await supabase
+    .from('chat_folders')
+    .select(FOLDER_FIELDS)
+    .eq('folder_id', folderId)
+    .eq('user_id', user.id)
+    .single();
+
+  if (error || !folder) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Folder not found');
+  }
+
+  return folder;
+};
+
+/**
+ * List the user's folders in display order
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>}
+ */
+const listFolders = async (user) => {
+  const { data: folders, error } = await supabase
+    .from('chat_folders')
+    .select(FOLDER_FIELDS)
+    .eq('user_id', user.id)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch folders: ${error.message}`);
+  }
+
+  return folders || [];
+};
+
+/**
+ * Create a folder
+ * @param {Object} user - Authenticated user
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {number} [params.position]
+ * @returns {Promise<Object>}
+ */
+const createFolder = async (user, { name, position = 0 }) => {
+  const { data: folder, error } = await supabase
+    .from('chat_folders')
+    .insert({ user_id: user.id, name: name.trim(), position })
+    .select(FOLDER_FIELDS)
+    .single();
+
+  if (isDuplicateName(error)) {
+    throw new ApiError(httpStatus.CONFLICT, 'A folder with this name already exists');
+  }
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create folder: ${error.message}`);
+  }
+
+  return folder;
+};
+
+/**
+ * Rename or reorder a folder
+ * @param {Object} user - Authenticated user
+ * @param {string} folderId
+ * @param {Object} updates - { name, position }
+ * @returns {Promise<Object>}
+ */
+const updateFolder = async (user, folderId, updates = {}) => {
+  await getOwnedFolder(user, folderId);
+
+  const payload = { updated_at: new Date().toISOString() };
+  if (typeof updates.name === 'string') {
+    payload.name = updates.name.trim();
+  }
+  if (Number.isInteger(updates.position)) {
+    payload.position = updates.position;
+  }
+
+  const { data: folder, error } = await supabase
+    .from('chat_folders')
+    .update(payload)
+    .eq('folder_id', folderId)
+    .eq('user_id', user.id)
+    .select(FOLDER_FIELDS)
+    .single();
+
+  if (isDuplicateName(error)) {
+    throw new ApiError(httpStatus.CONFLICT, 'A folder with this name already exists');
+  }
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to update folder: ${error.message}`);
+  }
+
+  return folder;
+};
+
+/**
+ * Delete a folder; its chats become unfiled
+ * @param {Object} user - Authenticated user
+ * @param {string} folderId
+ */
+const deleteFolder = async (user, folderId) => {
+  await getOwnedFolder(user, folderId);
+
+  const { error } = await supabase.from('chat_folders').delete().eq('folder_id', folderId).eq('user_id', user.id);
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to delete folder: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getOwnedFolder,
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+};
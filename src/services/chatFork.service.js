@@ -0,0 +1,115 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+const { findAllMessages } = require('./message.service');
+const { rebuildConversationMemory } = require('./conversationMemory.service');
+
+/**
+ * Chat forks
+ * Copies a chat's transcript up to a chosen message into a new, independent chat. The fork has
+ * its own conversation and a memory brief built from the copied turns only, so the two chats can
+ * diverge without sharing context.
+ */
+
+/**
+ * Transcript entries up to and including the fork point. When the fork point is a
+ * non-selected reply version, that version is the one copied.
+ * @param {Array} transcript - Grouped messages from findAllMessages
+ * @param {string} messageId
+ * @returns {Array|null} null when the message is not in the transcript
+ */
+const sliceTranscript = (transcript, messageId) => {
+  const findVersion = (entry) => (entry.versions || []).find((candidate) => candidate.message_id === messageId);
+  const index = transcript.findIndex((entry) => entry.message_id === messageId || findVersion(entry));
+  if (index === -1) {
+    return null;
+  }
+
+  const last = transcript[index];
+  const version = findVersion(last);
+  return [
+    ...transcript.slice(0, index),
+    version ? { ...last, message_id: version.message_id, content: version.content, metadata: version.metadata } : last,
+  ];
+};
+
+const toForkedRow = (message, { chatId, userId }) => ({
+  role: message.role,
+  content: message.content,
+  chat_id: chatId,
+  user_id: userId,
+  is_initial: message.is_initial || false,
+  lesson_context: message.lesson_context || null,
+  created_at: message.created_at,
+  metadata: { ...(message.metadata || {}), forked_from: message.message_id },
+});
+
+/**
+ * Fork a chat at a message
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId - Source chat
+ * @param {Object} params
+ * @param {string} params.messageId - Last message copied into the fork
+ * @param {string} [params.title] - Defaults to the source title with "(fork)"
+ * @returns {Promise<{ chat: Object, copied_messages: number, memory_summarized: boolean }>}
+ */
+const forkChat = async (user, chatId, { messageId, title }) => {
+  const { data: source, error: sourceError } = await supabase
+    .from('chats')
+    .select('chat_id, title, chat_mode, prompt_id, folder_id')
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .eq('is_deleted', false)
+    .single();
+
+  if (sourceError || !source) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Invalid Chat!');
+  }
+
+  const { messages } = await findAllMessages(chatId, user);
+  const copied = sliceTranscript(messages, messageId);
+  if (!copied) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Message not found in this chat');
+  }
+
+  // Conversations are created implicitly in the Responses API; the fork just needs its own ID
+  const conversationId = uuidv4();
+  const { data: chatData, error } = await supabase
+    .from('chats')
+    .insert({
+      conversation_id: conversationId,
+      thread_id: conversationId, // Keep for backward compatibility
+      prompt_id: source.prompt_id,
+      chat_mode: source.chat_mode,
+      folder_id: source.folder_id,
+      user_id: user.id,
+      title: title || `${source.title || 'New Chat'} (fork)`,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create chat: ${error.message}`);
+  }
+
+  const rows = copied.map((message) => toForkedRow(message, { chatId: chatData.chat_id, userId: user.id }));
+  const { error: copyError } = await supabase.from('messages').insert(rows);
+
+  if (copyError) {
+    await supabase.from('chats').delete().eq('chat_id', chatData.chat_id);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to copy messages: ${copyError.message}`);
+  }
+
+  const memorySummarized = await rebuildConversationMemory(chatData.chat_id, user.id);
+
+  const chat = { ...chatData };
+  delete chat.thread_id;
+  delete chat.conversation_id;
+
+  return { chat, copied_messages: rows.length, memory_summarized: memorySummarized };
+};
+
+module.exports = {
+  forkChat,
+};
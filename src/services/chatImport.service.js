@@ -0,0 +1,142 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const { PROMPT_ID, PROMPT_ID_PERSONAL_LESSONS } = require('../config/openai');
+const { supabase } = require('../config/supabase');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { ARCHIVE_FORMAT, ARCHIVE_VERSION } = require('./chatExport.service');
+const { rebuildConversationMemory } = require('./conversationMemory.service');
+
+/**
+ * Chat import
+ * Recreates a chat from the JSON archive produced by GET /v1/chat/:chatId/export?format=json
+ * (format documented in chatExport.service). The chat gets a fresh conversation_id, messages
+ * keep their order and timestamps, and the memory brief is rebuilt from the imported turns.
+ */
+
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Give every message a strictly increasing timestamp so ordering (and cursor pagination)
+ * matches the archive even when timestamps are missing or tied
+ * @param {Array} messages - Archive messages
+ * @returns {string[]} ISO timestamps
+ */
+const resolveTimestamps = (messages) => {
+  const parsed = messages.map((message) => Date.parse(message.created_at));
+  const known = parsed.filter((time) => !Number.isNaN(time));
+  let previous = (known.length ? Math.min(...known) : Date.now()) - 1;
+
+  return parsed.map((time) => {
+    previous = Number.isNaN(time) || time <= previous ? previous + 1 : time;
+    return new Date(previous).toISOString();
+  });
+};
+
+/**
+ * Map an archive message to a messages row
+ * @param {Object} message - Archive message
+ * @param {Object} target - { chatId, userId, createdAt }
+ * @returns {Object}
+ */
+const toMessageRow = (message, { chatId, userId, createdAt }) => {
+  const row = {
+    role: message.role,
+    content: message.content,
+    chat_id: chatId,
+    user_id: userId,
+    created_at: createdAt,
+  };
+
+  if (message.role === 'user') {
+    row.lesson_context = message.lesson_context && message.lesson_context.length ? message.lesson_context : null;
+    return row;
+  }
+
+  row.metadata = {
+    model_variant: message.model_variant || 'arco',
+    ...(message.citations && message.citations.length ? { citations: message.citations } : {}),
+    ...(message.status === 'cancelled' ? { status: 'cancelled' } : {}),
+    imported: true,
+  };
+  return row;
+};
+
+// One batch at a time, stopping at the first failed one
+const insertMessages = (rows) => {
+  const batches = Array.from({ length: Math.ceil(rows.length / INSERT_BATCH_SIZE) }, (_, index) =>
+    rows.slice(index * INSERT_BATCH_SIZE, (index + 1) * INSERT_BATCH_SIZE)
+  );
+
+  return batches.reduce(async (previous, batch) => {
+    await previous;
+    const { error } = await supabase.from('messages').insert(batch);
+    if (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to import messages: ${error.message}`);
+    }
+  }, Promise.resolve());
+};
+
+/**
+ * Import a chat archive for the user
+ * @param {Object} user - Authenticated user
+ * @param {Object} archive - Validated archive body
+ * @returns {Promise<{ chat: Object, imported_messages: number, memory_summarized: boolean }>}
+ */
+const importChat = async (user, archive) => {
+  if (archive.format !== ARCHIVE_FORMAT || archive.version !== ARCHIVE_VERSION) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unsupported archive format "${archive.format}" v${archive.version}`);
+  }
+
+  const chatMode = archive.chat.chat_mode || 'arcoai';
+  const conversationId = uuidv4();
+  const timestamps = resolveTimestamps(archive.messages);
+
+  const { data: chatData, error } = await supabase
+    .from('chats')
+    .insert({
+      conversation_id: conversationId,
+      thread_id: conversationId, // Keep for backward compatibility
+      prompt_id: chatMode === 'personal_lessons' ? PROMPT_ID_PERSONAL_LESSONS : PROMPT_ID,
+      chat_mode: chatMode,
+      user_id: user.id,
+      title: archive.chat.title || 'Imported Chat',
+      created_at: archive.chat.created_at || timestamps[0],
+      updated_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create chat: ${error.message}`);
+  }
+
+  const chatId = chatData.chat_id;
+  const rows = archive.messages.map((message, index) =>
+    toMessageRow(message, { chatId, userId: user.id, createdAt: timestamps[index] })
+  );
+
+  try {
+    await insertMessages(rows);
+  } catch (importError) {
+    // Don't leave a half-imported chat behind
+    await supabase.from('messages').delete().eq('chat_id', chatId);
+    const { error: cleanupError } = await supabase.from('chats').delete().eq('chat_id', chatId);
+    if (cleanupError) {
+      logger.error(`[Chat Import] Failed to remove partially imported chat ${chatId}: ${cleanupError.message}`);
+    }
+    throw importError;
+  }
+
+  const memorySummarized = await rebuildConversationMemory(chatId, user.id);
+
+  const chat = { ...chatData };
+  delete chat.thread_id;
+  delete chat.conversation_id;
+
+  return { chat, imported_messages: rows.length, memory_summarized: memorySummarized };
+};
+
+module.exports = {
+  importChat,
+};
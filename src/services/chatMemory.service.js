@@ -0,0 +1,194 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+const {
+  DEFAULT_MEMORY_STATE,
+  approxTokens,
+  normalizeMemoryState,
+  saveConversationMemory,
+  getMemoryKnobs,
+  acquireSummaryLease,
+} = require('./conversationMemory.service');
+const { releaseLease } = require('./lease.service');
+
+/**
+ * Chat memory
+ * Lets users see and correct the rolling memory brief (conversation_briefs) that
+ * conversationMemory.service keeps for a chat. Replacing the summary keeps the summarization
+ * cursor, so later turns are folded into the corrected text; a reset starts over from the
+ * whole transcript. Every change is recorded in conversation_memory_edits. Edits take the chat's
+ * summarization lease, so a summary running at the same time cannot overwrite them.
+ */
+
+const EDIT_FIELDS = 'edit_id, action, previous_summary, new_summary, previous_cursor, new_cursor, created_at';
+const HISTORY_LIMIT = 20;
+
+const getOwnedChat = async (user, chatId) => {
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .select('chat_id')
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .eq('is_deleted', false)
+    .single();
+
+  if (error || !chat) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Invalid Chat!');
+  }
+
+  return chat;
+};
+
+const loadBrief = async (chatId) => {
+  const { data, error } = await supabase
+    .from('conversation_briefs')
+    .select('brief, token_count, updated_at')
+    .eq('chat_id', chatId)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch memory: ${error.message}`);
+  }
+
+  return {
+    brief: normalizeMemoryState(data?.brief),
+    updatedAt: data?.updated_at || null,
+  };
+};
+
+// The message the summary covers up to, so users can tell which turns it already includes
+const loadCursor = async (chatId, messageId) => {
+  if (!messageId) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('messages')
+    .select('message_id, role, created_at')
+    .eq('chat_id', chatId)
+    .eq('message_id', messageId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[chatMemory] Failed to load summarization cursor', { chat_id: chatId, error });
+  }
+
+  return data || { message_id: messageId, role: null, created_at: null };
+};
+
+const toMemoryView = async (chatId, brief, updatedAt) => ({
+  global_summary: brief.global_summary,
+  token_count: approxTokens(brief.global_summary),
+  token_limit: getMemoryKnobs().summaryTokenCap,
+  cursor: await loadCursor(chatId, brief.last_summarized_message_id),
+  updated_at: updatedAt,
+});
+
+const listEdits = async (user, chatId) => {
+  const { data, error } = await supabase
+    .from('conversation_memory_edits')
+    .select(EDIT_FIELDS)
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_LIMIT);
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch memory history: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+// Apply an edit under the summarization lease; a summary already in flight would save over it
+const editUnderLease = async (chatId, edit) => {
+  const lease = await acquireSummaryLease(chatId);
+  if (!lease) {
+    throw new ApiError(httpStatus.CONFLICT, 'Memory is being updated, try again in a moment');
+  }
+
+  try {
+    return await edit();
+  } finally {
+    await releaseLease(lease);
+  }
+};
+
+const recordEdit = async (user, chatId, action, previous, next) => {
+  const { error } = await supabase.from('conversation_memory_edits').insert({
+    chat_id: chatId,
+    user_id: user.id,
+    action,
+    previous_summary: previous.global_summary,
+    new_summary: next.global_summary,
+    previous_cursor: previous.last_summarized_message_id,
+    new_cursor: next.last_summarized_message_id,
+  });
+
+  // The edit itself is saved; a missing history entry should not fail the request
+  if (error) {
+    console.error('[chatMemory] Failed to record memory edit', { chat_id: chatId, action, error });
+  }
+};
+
+/**
+ * A chat's memory brief, summarization cursor and recent edits
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @returns {Promise<{ memory: Object, history: Array }>}
+ */
+const getChatMemory = async (user, chatId) => {
+  await getOwnedChat(user, chatId);
+  const { brief, updatedAt } = await loadBrief(chatId);
+  const [memory, history] = await Promise.all([toMemoryView(chatId, brief, updatedAt), listEdits(user, chatId)]);
+  return { memory, history };
+};
+
+/**
+ * Replace the memory summary text, keeping the summarization cursor
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {string} summary
+ * @returns {Promise<{ memory: Object, history: Array }>}
+ */
+const replaceChatMemory = async (user, chatId, summary) => {
+  await getOwnedChat(user, chatId);
+
+  const text = summary.trim();
+  const { summaryTokenCap } = getMemoryKnobs();
+  if (approxTokens(text) > summaryTokenCap) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Summary exceeds the ${summaryTokenCap}-token memory limit`);
+  }
+
+  await editUnderLease(chatId, async () => {
+    const { brief: previous } = await loadBrief(chatId);
+    const next = await saveConversationMemory(chatId, user.id, { ...previous, global_summary: text });
+    await recordEdit(user, chatId, 'replace', previous, next);
+  });
+
+  return getChatMemory(user, chatId);
+};
+
+/**
+ * Reset a chat's memory; the next summarization starts from the whole transcript
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @returns {Promise<{ memory: Object, history: Array }>}
+ */
+const resetChatMemory = async (user, chatId) => {
+  await getOwnedChat(user, chatId);
+
+  await editUnderLease(chatId, async () => {
+    const { brief: previous } = await loadBrief(chatId);
+    const next = await saveConversationMemory(chatId, user.id, { ...DEFAULT_MEMORY_STATE });
+    await recordEdit(user, chatId, 'reset', previous, next);
+  });
+
+  return getChatMemory(user, chatId);
+};
+
+module.exports = {
+  getChatMemory,
+  replaceChatMemory,
+  resetChatMemory,
+};
@@ -0,0 +1,288 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+const { diffLines } = require('../utils/textDiff');
+const { getActiveLineage, isMessageOnLineage, lineageFromBranches } = require('./chatBranch.service');
+
+/**
+ * Chat revisions
+ * Reusing a student's prep-digest or lesson-plan chat archives the current transcript as a
+ * numbered revision (chat_revisions) before the chat is cleared for the new one. The live
+ * messages are the active revision, chats.revision_number; archived revisions are read-only
+ * snapshots and never reach conversation memory.
+ *
+ * The clear deletes every message and branch, so the archive keeps all of them: each version on
+ * each branch, plus the branches and which one was active. Viewing an archived revision shows the
+ * transcript that was active when it was archived.
+ */
+
+const MESSAGE_FIELDS =
+  'message_id, role, content, created_at, lesson_context, metadata, branch_id, version_group_id, version_number, is_active_version';
+const BRANCH_FIELDS = 'branch_id, parent_branch_id, source_message_id, forked_at, created_at';
+const REVISION_SUMMARY_FIELDS = 'revision_number, title, message_count, started_at, archived_at';
+
+const loadChatMessages = async (chatId) => {
+  const { data: rows, error } = await supabase
+    .from('messages')
+    .select(MESSAGE_FIELDS)
+    .eq('chat_id', chatId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch messages: ${error.message}`);
+  }
+
+  return rows || [];
+};
+
+const loadChatBranches = async (chatId) => {
+  const { data: branches, error } = await supabase
+    .from('chat_branches')
+    .select(BRANCH_FIELDS)
+    .eq('chat_id', chatId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch branches: ${error.message}`);
+  }
+
+  return branches || [];
+};
+
+/**
+ * The messages shown on a lineage, selected versions only
+ * @param {Array} rows - Message rows, any branch and version
+ * @param {Array} lineage
+ * @returns {Array}
+ */
+const toTranscript = (rows, lineage) =>
+  rows
+    .filter((row) => row.is_active_version !== false && isMessageOnLineage(row, lineage))
+    .map((row) => {
+      const message = { ...row };
+      delete message.branch_id;
+      delete message.version_group_id;
+      delete message.version_number;
+      delete message.is_active_version;
+      return message;
+    });
+
+/**
+ * The transcript of a chat's active branch, selected versions only
+ * @param {string} chatId
+ * @returns {Promise<Array>}
+ */
+const loadCurrentTranscript = async (chatId) => {
+  const [lineage, rows] = await Promise.all([getActiveLineage(chatId), loadChatMessages(chatId)]);
+  return toTranscript(rows, lineage);
+};
+
+/**
+ * Archive all of a chat's messages and branches as a revision before the chat is reused
+ * @param {Object} chat - Chat row (chat_id, title, revision_number, revision_started_at, created_at, active_branch_id)
+ * @param {string} userId
+ * @returns {Promise<number|null>} Number the new active revision gets; null when there was nothing to archive
+ */
+const archiveCurrentRevision = async (chat, userId) => {
+  const messages = await loadChatMessages(chat.chat_id);
+  if (!messages.length) {
+    return null;
+  }
+
+  const branches = await loadChatBranches(chat.chat_id);
+  const activeBranchId = chat.active_branch_id || null;
+  const transcript = toTranscript(messages, lineageFromBranches(branches, activeBranchId));
+
+  const revisionNumber = chat.revision_number || 1;
+  const { error } = await supabase.from('chat_revisions').insert({
+    chat_id: chat.chat_id,
+    user_id: userId,
+    revision_number: revisionNumber,
+    title: chat.title,
+    messages,
+    branches,
+    active_branch_id: activeBranchId,
+    message_count: transcript.length,
+    started_at: chat.revision_started_at || chat.created_at,
+  });
+
+  // Messages are cleared right after this; never do that without a copy
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to archive chat revision: ${error.message}`);
+  }
+
+  return revisionNumber + 1;
+};
+
+const getOwnedChat = async (user, chatId) => {
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .select('chat_id, title, created_at, revision_number, revision_started_at')
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .eq('is_deleted', false)
+    .single();
+
+  if (error || !chat) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Invalid Chat!');
+  }
+
+  return chat;
+};
+
+const currentRevisionOf = (chat) => chat.revision_number || 1;
+
+/**
+ * List a chat's revisions, newest first. The active revision is listed with is_active.
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @returns {Promise<Array>}
+ */
+const listRevisions = async (user, chatId) => {
+  const chat = await getOwnedChat(user, chatId);
+
+  const { data: archived, error } = await supabase
+    .from('chat_revisions')
+    .select(REVISION_SUMMARY_FIELDS)
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .order('revision_number', { ascending: false });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch revisions: ${error.message}`);
+  }
+
+  const current = await loadCurrentTranscript(chatId);
+  return [
+    {
+      revision_number: currentRevisionOf(chat),
+      title: chat.title,
+      message_count: current.length,
+      started_at: chat.revision_started_at || chat.created_at,
+      archived_at: null,
+      is_active: true,
+    },
+    ...(archived || []).map((revision) => ({ ...revision, is_active: false })),
+  ];
+};
+
+const loadRevision = async (user, chat, revision) => {
+  const revisionNumber = revision === 'current' ? currentRevisionOf(chat) : revision;
+
+  if (revisionNumber === currentRevisionOf(chat)) {
+    return {
+      revision_number: revisionNumber,
+      title: chat.title,
+      started_at: chat.revision_started_at || chat.created_at,
+      archived_at: null,
+      is_active: true,
+      messages: await loadCurrentTranscript(chat.chat_id),
+    };
+  }
+
+  const { data: archived, error } = await supabase
+    .from('chat_revisions')
+    .select(`${REVISION_SUMMARY_FIELDS}, messages, branches, active_branch_id`)
+    .eq('chat_id', chat.chat_id)
+    .eq('user_id', user.id)
+    .eq('revision_number', revisionNumber)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch revision: ${error.message}`);
+  }
+  if (!archived) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Revision not found');
+  }
+
+  const { messages, branches, active_branch_id: activeBranchId, ...revisionSummary } = archived;
+  return {
+    ...revisionSummary,
+    is_active: false,
+    messages: toTranscript(messages || [], lineageFromBranches(branches, activeBranchId)),
+  };
+};
+
+/**
+ * View one revision
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {number|'current'} revision
+ * @returns {Promise<Object>} Revision with its messages
+ */
+const getRevision = async (user, chatId, revision) => {
+  const chat = await getOwnedChat(user, chatId);
+  return loadRevision(user, chat, revision);
+};
+
+/**
+ * Compare two transcripts turn by turn; changed turns carry a line diff
+ * @param {Array} fromMessages
+ * @param {Array} toMessages
+ * @returns {{ messages: Array, stats: Object }}
+ */
+const diffTranscripts = (fromMessages, toMessages) => {
+  const stats = { added_lines: 0, removed_lines: 0, changed_messages: 0 };
+  const length = Math.max(fromMessages.length, toMessages.length);
+  const messages = [];
+
+  for (let index = 0; index < length; index += 1) {
+    const before = fromMessages[index];
+    const after = toMessages[index];
+    let status;
+    let lines;
+
+    if (!before) {
+      status = 'added';
+      lines = diffLines('', after.content);
+    } else if (!after) {
+      status = 'removed';
+      lines = diffLines(before.content, '');
+    } else if (before.role === after.role && before.content === after.content) {
+      status = 'unchanged';
+      lines = [];
+    } else {
+      status = 'changed';
+      lines = diffLines(before.content, after.content);
+    }
+
+    if (status !== 'unchanged') {
+      stats.changed_messages += 1;
+      lines.forEach((line) => {
+        if (line.op === '+') stats.added_lines += 1;
+        if (line.op === '-') stats.removed_lines += 1;
+      });
+    }
+
+    messages.push({ index, role: (after || before).role, status, lines });
+  }
+
+  return { messages, stats };
+};
+
+/**
+ * Diff a revision against another one (by default the active revision)
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {number|'current'} revision - Older side of the diff
+ * @param {number|'current'} [against='current'] - Newer side of the diff
+ * @returns {Promise<Object>}
+ */
+const diffRevisions = async (user, chatId, revision, against = 'current') => {
+  const chat = await getOwnedChat(user, chatId);
+  const [from, to] = await Promise.all([loadRevision(user, chat, revision), loadRevision(user, chat, against)]);
+
+  return {
+    from: from.revision_number,
+    to: to.revision_number,
+    ...diffTranscripts(from.messages, to.messages),
+  };
+};
+
+module.exports = {
+  archiveCurrentRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  diffTranscripts,
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+const { buildChatArchive } = require('./chatExport.service');
+
+/**
+ * Chat share links
+ * Revocable, optionally expiring tokens that give read-only access to a chat's transcript
+ * without an account. The shared view is the export archive (chatExport.service), so it carries
+ * the same whitelist: no conversation IDs, instruction tokens or lesson-plan prompt context.
+ */
+
+const SHARE_FIELDS = 'share_id, token, chat_id, expires_at, revoked_at, created_at';
+
+const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+const isActive = (share, now = new Date()) =>
+  !share.revoked_at && (!share.expires_at || Date.parse(share.expires_at) > now.getTime());
+
+const assertOwnedChat = async (user, chatId) => {
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .select('chat_id')
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .eq('is_deleted', false)
+    .single();
+
+  if (error || !chat) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Invalid Chat!');
+  }
+};
+
+/**
+ * Create a share link for a chat owned by the user
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {Object} [options]
+ * @param {Date|string} [options.expiresAt] - Omit for a link that never expires
+ * @returns {Promise<Object>} Share with its token
+ */
+const createShare = async (user, chatId, { expiresAt = null } = {}) => {
+  if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+    throw new ApiError(httpStatus.BAD_REQUEST, '"expires_at" must be in the future');
+  }
+
+  await assertOwnedChat(user, chatId);
+
+  const { data: share, error } = await supabase
+    .from('chat_shares')
+    .insert({
+      token: generateToken(),
+      chat_id: chatId,
+      user_id: user.id,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+    })
+    .select(SHARE_FIELDS)
+    .single();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create share link: ${error.message}`);
+  }
+
+  return { ...share, is_active: true };
+};
+
+/**
+ * List the share links of a chat, newest first
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @returns {Promise<Array>}
+ */
+const listShares = async (user, chatId) => {
+  await assertOwnedChat(user, chatId);
+
+  const { data: shares, error } = await supabase
+    .from('chat_shares')
+    .select(SHARE_FIELDS)
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch share links: ${error.message}`);
+  }
+
+  const now = new Date();
+  return (shares || []).map((share) => ({ ...share, is_active: isActive(share, now) }));
+};
+
+/**
+ * Revoke a share link. Revoking an already revoked link is a no-op.
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {string} shareId
+ * @returns {Promise<Object>}
+ */
+const revokeShare = async (user, chatId, shareId) => {
+  const { data: share, error } = await supabase
+    .from('chat_shares')
+    .select(SHARE_FIELDS)
+    .eq('share_id', shareId)
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to revoke share link: ${error.message}`);
+  }
+  if (!share) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Share link not found');
+  }
+  if (share.revoked_at) {
+    return { ...share, is_active: false };
+  }
+
+  const { data: revoked, error: updateError } = await supabase
+    .from('chat_shares')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('share_id', shareId)
+    .select(SHARE_FIELDS)
+    .single();
+
+  if (updateError) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to revoke share link: ${updateError.message}`);
+  }
+
+  return { ...revoked, is_active: false };
+};
+
+/**
+ * Public read-only view of a shared chat
+ * @param {string} token - Share token from the link
+ * @returns {Promise<{ chat: Object, messages: Array, expires_at: string|null }>}
+ */
+const getSharedChat = async (token) => {
+  const { data: share, error } = await supabase
+    .from('chat_shares')
+    .select('chat_id, user_id, expires_at, revoked_at')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to load shared chat: ${error.message}`);
+  }
+  // Unknown, revoked and expired links are indistinguishable to the reader
+  if (!share || !isActive(share)) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Shared chat not found');
+  }
+
+  let archive;
+  try {
+    archive = await buildChatArchive({ id: share.user_id }, share.chat_id);
+  } catch (archiveError) {
+    if (archiveError instanceof ApiError && archiveError.statusCode === httpStatus.FORBIDDEN) {
+      // The chat was deleted after the link was created
+      throw new ApiError(httpStatus.NOT_FOUND, 'Shared chat not found');
+    }
+    throw archiveError;
+  }
+
+  return {
+    chat: archive.chat,
+    messages: archive.messages,
+    expires_at: share.expires_at,
+  };
+};
+
+module.exports = {
+  createShare,
+  listShares,
+  revokeShare,
+  getSharedChat,
+};
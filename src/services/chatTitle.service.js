@@ -0,0 +1,168 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const { botClient, OPENAI_MODEL_BOT } = require('../config/openai');
+const ApiError = require('../utils/ApiError');
+const { logLLMInput, logLLMOutput } = require('../utils/llmLogger');
+const promptConfigService = require('./promptConfig.service');
+const { getActiveLineage, isMessageOnLineage } = require('./chatBranch.service');
+const { groupMessagesIntoTurns } = require('./conversationMemory.service');
+const { OPERATIONS, summarizeUsage, recordUsage } = require('./usage.service');
+
+/**
+ * Chat titles
+ * Names chats from their opening turns with the `titleGeneration.chat` prompt of promptConfig.json,
+ * so chat titles use the same instrument-aware labels as recording titles.
+ */
+
+const MAX_CHAT_TITLE_LENGTH = 50;
+const TITLE_TURNS = 2;
+const MAX_TITLE_INPUT_CHARS = 4000;
+
+// Models sometimes wrap the title in quotes or end it with a period
+const cleanTitle = (text) => {
+  const firstLine = (text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .find(Boolean);
+  if (!firstLine) {
+    return null;
+  }
+
+  const title = firstLine
+    .replace(/^["'“”]+|["'“”]+$/g, '')
+    .replace(/\.$/, '')
+    .trim();
+  return title ? title.substring(0, MAX_CHAT_TITLE_LENGTH) : null;
+};
+
+/**
+ * Generate a chat title
+ * @param {string} opening - The chat's first message, or its first turns as text
+ * @param {Object} [options]
+ * @param {string} [options.userId] - For usage tracking
+ * @param {string} [options.chatId] - For usage tracking
+ * @param {string} [options.instrument='violin']
+ * @param {string} [options.genre='classical']
+ * @returns {Promise<string|null>} null when the model returned nothing usable or the call failed
+ */
+const generateChatTitle = async (opening, { userId = null, chatId = null, instrument, genre } = {}) => {
+  const instructions = promptConfigService.generateChatTitlePrompt(instrument, genre);
+  const input = (opening || '').substring(0, MAX_TITLE_INPUT_CHARS);
+
+  try {
+    logLLMInput('chatTitle.generateChatTitle', `Instructions:\n${instructions}\n\nInput:\n${input}`, {
+      model: OPENAI_MODEL_BOT,
+    });
+
+    const response = await botClient.responses.create({
+      model: OPENAI_MODEL_BOT,
+      instructions,
+      input,
+      store: false,
+      stream: false,
+    });
+
+    recordUsage({
+      userId,
+      chatId,
+      operation: OPERATIONS.TITLE_GENERATION,
+      usage: summarizeUsage({ usage: response.usage, model: response.model || OPENAI_MODEL_BOT }),
+      responseId: response.id,
+    });
+
+    const text = response.output_text || response.output?.find((item) => item.type === 'message')?.content?.[0]?.text;
+    if (text) {
+      logLLMOutput('chatTitle.generateChatTitle', text, { model: OPENAI_MODEL_BOT });
+    }
+
+    return cleanTitle(text);
+  } catch (error) {
+    console.error('[chatTitle] Title generation failed', {
+      chat_id: chatId,
+      error: error.message,
+      status: error.status,
+      code: error.code,
+    });
+    return null;
+  }
+};
+
+const formatOpeningTurns = (turns) =>
+  turns
+    .flatMap((turn) => [
+      turn.user ? `User: ${turn.user.content}` : null,
+      turn.assistant ? `Assistant: ${turn.assistant.content}` : null,
+    ])
+    .filter(Boolean)
+    .join('\n\n');
+
+/**
+ * Retitle a chat from its first turns on the active branch
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @param {Object} [options] - { instrument, genre }
+ * @returns {Promise<Object>} Updated chat
+ */
+const regenerateChatTitle = async (user, chatId, { instrument, genre } = {}) => {
+  const { data: chat, error: chatError } = await supabase
+    .from('chats')
+    .select('chat_id, student_chat_type')
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .eq('is_deleted', false)
+    .single();
+
+  if (chatError || !chat) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Invalid Chat!');
+  }
+  // Their titles follow the student's name (student.service)
+  if (chat.student_chat_type) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Prep digest and lesson plan chats keep their student title');
+  }
+
+  const lineage = await getActiveLineage(chatId);
+  const { data: rows, error } = await supabase
+    .from('messages')
+    .select('role, content, created_at, branch_id, is_active_version')
+    .eq('chat_id', chatId)
+    .order('created_at', { ascending: true })
+    .limit(TITLE_TURNS * 2 * 4); // Room for reply versions and other branches
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch messages: ${error.message}`);
+  }
+
+  const visible = (rows || []).filter((row) => row.is_active_version !== false && isMessageOnLineage(row, lineage));
+  const turns = groupMessagesIntoTurns(visible).slice(0, TITLE_TURNS);
+  if (!turns.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Chat has no messages to title');
+  }
+
+  const title = await generateChatTitle(formatOpeningTurns(turns), { userId: user.id, chatId, instrument, genre });
+  if (!title) {
+    throw new ApiError(httpStatus.BAD_GATEWAY, 'Title generation failed');
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('chats')
+    .update({ title })
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to update chat title: ${updateError.message}`);
+  }
+
+  const result = { ...updated };
+  delete result.thread_id;
+  delete result.conversation_id;
+  return result;
+};
+
+module.exports = {
+  MAX_CHAT_TITLE_LENGTH,
+  generateChatTitle,
+  regenerateChatTitle,
+};
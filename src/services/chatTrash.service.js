@@ -0,0 +1,126 @@
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Chat trash
+ * Deleted chats stay soft-deleted (is_deleted + deleted_at) for the retention period, during
+ * which they can be listed and restored. After that the purge job removes the chat together
+ * with its messages and conversation brief.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+const TRASH_FIELDS = 'chat_id, title, chat_mode, folder_id, created_at, updated_at, deleted_at';
+
+const getRetentionDays = () => config.trash?.retentionDays || 30;
+
+const withPurgeDate = (chat, retentionDays) => ({
+  ...chat,
+  purge_at: chat.deleted_at ? new Date(Date.parse(chat.deleted_at) + retentionDays * DAY_MS).toISOString() : null,
+});
+
+/**
+ * List the user's deleted chats, most recently deleted first
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>} Chats with the date they will be purged
+ */
+const listTrash = async (user) => {
+  const { data: chats, error } = await supabase
+    .from('chats')
+    .select(TRASH_FIELDS)
+    .eq('user_id', user.id)
+    .eq('is_deleted', true)
+    .order('deleted_at', { ascending: false, nullsFirst: false });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch trash: ${error.message}`);
+  }
+
+  const retentionDays = getRetentionDays();
+  return (chats || []).map((chat) => withPurgeDate(chat, retentionDays));
+};
+
+/**
+ * Move a deleted chat back to the chat list
+ * @param {Object} user - Authenticated user
+ * @param {string} chatId
+ * @returns {Promise<Object>} Restored chat
+ */
+const restoreChat = async (user, chatId) => {
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .update({ is_deleted: false, deleted_at: null })
+    .eq('chat_id', chatId)
+    .eq('user_id', user.id)
+    .eq('is_deleted', true)
+    .select(TRASH_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to restore chat: ${error.message}`);
+  }
+  if (!chat) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Chat not found in trash');
+  }
+
+  return chat;
+};
+
+const deleteByChatIds = async (table, chatIds) => {
+  const { error } = await supabase.from(table).delete().in('chat_id', chatIds);
+  if (error) {
+    throw new Error(`Failed to purge ${table}: ${error.message}`);
+  }
+};
+
+/**
+ * Permanently delete chats that have been in the trash longer than the retention period
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to CHAT_TRASH_RETENTION_DAYS
+ * @param {Date} [options.now]
+ * @returns {Promise<{ purged: number, cutoff: string }>}
+ */
+const purgeDeletedChats = async ({ retentionDays = getRetentionDays(), now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+  let purged = 0;
+
+  for (;;) {
+    const { data: chats, error } = await supabase
+      .from('chats')
+      .select('chat_id')
+      .eq('is_deleted', true)
+      .lt('deleted_at', cutoff)
+      .limit(PURGE_BATCH_SIZE);
+
+    if (error) {
+      throw new Error(`Failed to load chats to purge: ${error.message}`);
+    }
+    if (!chats || !chats.length) {
+      break;
+    }
+
+    const chatIds = chats.map((chat) => chat.chat_id);
+    // Dependents first so a failure part-way leaves the chat in the trash for the next run
+    await deleteByChatIds('conversation_briefs', chatIds);
+    await deleteByChatIds('messages', chatIds);
+    await deleteByChatIds('chats', chatIds);
+    purged += chatIds.length;
+
+    if (chatIds.length < PURGE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (purged) {
+    console.log(`[Chat Trash] Purged ${purged} chats deleted before ${cutoff}`);
+  }
+  return { purged, cutoff };
+};
+
+module.exports = {
+  listTrash,
+  restoreChat,
+  purgeDeletedChats,
+};
@@ -0,0 +1,255 @@
+/**
+ * Citations
+ * Resolves the citation markers OpenAI writes into responses (`【4:0†lesson_12.txt】`,
+ * `filecite turn0file2`) against the personal-lesson vector search results that were
+ * injected into the prompt. Resolved markers become `[n]` references; unresolved ones are
+ * dropped, as before. Markers can be split across stream deltas, so parsing is incremental.
+ */
+
+const PRIVATE_USE_CHAR = /[\uE000-\uF8FF]/;
+const PRIVATE_USE_CHARS = /[\uE000-\uF8FF]/g;
+const FILECITE_KEYWORD = 'filecite';
+const FILECITE_PATTERN = /^[\uE000-\uF8FF]?filecite[\uE000-\uF8FF]?((?:turn\d+file\d+[\uE000-\uF8FF]?)+)/;
+const FILECITE_REFERENCE = /turn\d+file(\d+)/g;
+
+// Longest marker we wait for before giving up and treating the text as literal
+const MAX_MARKER_LENGTH = 200;
+
+const normalize = (value) =>
+  String(value || '')
+    .replace(PRIVATE_USE_CHARS, '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * Flatten a vector search result into the fields a citation exposes
+ * @param {Object} result - Vector store search result
+ * @param {number} position - Position in the search results
+ * @returns {Object}
+ */
+const describeSource = (result, position) => {
+  const attributes = result?.attributes || {};
+  return {
+    lesson_id: attributes.lesson_id || attributes.lessonId || null,
+    title: attributes.title || attributes.lesson_title || attributes.name || `Source ${position + 1}`,
+    date: attributes.date || attributes.lesson_date || null,
+    file_id: result?.file_id || null,
+    filename: result?.filename || null,
+  };
+};
+
+const findSourceByName = (sources, name) => {
+  const needle = normalize(name);
+  if (!needle) {
+    return -1;
+  }
+  return sources.findIndex((source) => {
+    const lessonId = normalize(source.lesson_id);
+    return (
+      normalize(source.filename) === needle ||
+      normalize(source.title) === needle ||
+      (lessonId && (needle === lessonId || needle === `lesson_${lessonId}.txt` || needle.includes(`id: ${lessonId}`)))
+    );
+  });
+};
+
+const findSourceByPosition = (sources, position) =>
+  Number.isInteger(position) && position >= 0 && position < sources.length ? position : -1;
+
+/**
+ * Resolve the contents of a `【…】` marker to source positions
+ * @param {string} inner - Marker text without the brackets
+ * @param {Array} sources - Described sources
+ * @returns {number[]}
+ */
+const resolveBracketMarker = (inner, sources) => {
+  const text = inner.replace(PRIVATE_USE_CHARS, '').trim();
+
+  // Assistants-style `message:result†name`
+  const numbered = text.match(/^(\d+):(\d+)†(.*)$/);
+  if (numbered) {
+    const byName = findSourceByName(sources, numbered[3]);
+    const position = byName >= 0 ? byName : findSourceByPosition(sources, Number(numbered[2]));
+    return position >= 0 ? [position] : [];
+  }
+
+  const named = text.match(/†(.+)$/);
+  const byName = findSourceByName(sources, named ? named[1] : text);
+  if (byName >= 0) {
+    return [byName];
+  }
+
+  // The prompt labels excerpts without a title as "Source N"
+  const label = text.match(/^source\s+(\d+)$/i);
+  if (label) {
+    const position = findSourceByPosition(sources, Number(label[1]) - 1);
+    return position >= 0 ? [position] : [];
+  }
+
+  return [];
+};
+
+const resolveFileciteMarker = (references, sources) =>
+  Array.from(references.matchAll(FILECITE_REFERENCE))
+    .map((match) => findSourceByPosition(sources, Number(match[1])))
+    .filter((position) => position >= 0);
+
+// Could `text` still grow into a complete filecite marker?
+const isFilecitePrefix = (text) => {
+  const body = text.replace(/^[\uE000-\uF8FF]/, '');
+  if (FILECITE_KEYWORD.startsWith(body)) {
+    return true;
+  }
+  return body.startsWith(FILECITE_KEYWORD) && /^[a-z0-9\uE000-\uF8FF]*$/i.test(body);
+};
+
+const findMarkerStart = (text) => {
+  const candidates = [text.indexOf('【'), text.search(PRIVATE_USE_CHAR), text.indexOf(FILECITE_KEYWORD)].filter(
+    (index) => index >= 0
+  );
+
+  // A trailing partial keyword ("...fileci") may be the start of a marker split across deltas
+  for (let length = Math.min(FILECITE_KEYWORD.length - 1, text.length); length > 0; length -= 1) {
+    if (text.endsWith(FILECITE_KEYWORD.slice(0, length))) {
+      candidates.push(text.length - length);
+      break;
+    }
+  }
+
+  return candidates.length ? Math.min(...candidates) : -1;
+};
+
+/**
+ * Create an incremental citation parser for one response
+ * @param {Object} [options]
+ * @param {Array} [options.sources] - Vector search results the prompt was built from
+ * @returns {{ push: Function, flush: Function, resolveAnnotation: Function, getCitations: Function }}
+ */
+const createCitationParser = ({ sources = [] } = {}) => {
+  const described = (Array.isArray(sources) ? sources : []).map(describeSource);
+  const numbered = new Map(); // source position -> citation
+  let buffer = '';
+
+  // Number a source on first use; returns the citation and whether it is new
+  const cite = (position) => {
+    if (numbered.has(position)) {
+      return { citation: numbered.get(position), isNew: false };
+    }
+    const citation = { index: numbered.size + 1, ...described[position] };
+    numbered.set(position, citation);
+    return { citation, isNew: true };
+  };
+
+  const render = (positions, citations) => {
+    const seen = new Set();
+    return positions
+      .filter((position) => !seen.has(position) && seen.add(position))
+      .map((position) => {
+        const { citation, isNew } = cite(position);
+        if (isNew) {
+          citations.push(citation);
+        }
+        return `[${citation.index}]`;
+      })
+      .join('');
+  };
+
+  const consume = (final) => {
+    let text = '';
+    const citations = [];
+
+    while (buffer) {
+      const start = findMarkerStart(buffer);
+      if (start < 0) {
+        text += buffer;
+        buffer = '';
+        break;
+      }
+
+      text += buffer.slice(0, start);
+      buffer = buffer.slice(start);
+
+      if (buffer.startsWith('【')) {
+        const end = buffer.indexOf('】');
+        if (end >= 0) {
+          text += render(resolveBracketMarker(buffer.slice(1, end), described), citations);
+          buffer = buffer.slice(end + 1);
+          continue;
+        }
+        if (!final && buffer.length < MAX_MARKER_LENGTH) {
+          break;
+        }
+        // Never closed: keep the bracket as literal text
+        text += buffer[0];
+        buffer = buffer.slice(1);
+        continue;
+      }
+
+      const match = buffer.match(FILECITE_PATTERN);
+      if (match && (final || match[0].length < buffer.length)) {
+        text += render(resolveFileciteMarker(match[1], described), citations);
+        buffer = buffer.slice(match[0].length);
+        continue;
+      }
+
+      if (!final && buffer.length < MAX_MARKER_LENGTH && isFilecitePrefix(buffer)) {
+        break;
+      }
+
+      // Not a marker after all: drop stray private-use characters, keep everything else
+      text += buffer[0].replace(PRIVATE_USE_CHARS, '');
+      buffer = buffer.slice(1);
+    }
+
+    return { text, citations };
+  };
+
+  return {
+    /**
+     * Feed a text delta
+     * @param {string} chunk
+     * @returns {{ text: string, citations: Array }} Text safe to emit and newly resolved citations
+     */
+    push(chunk) {
+      buffer += chunk || '';
+      return consume(false);
+    },
+
+    /**
+     * Emit whatever is still held back waiting for a marker to complete
+     * @returns {{ text: string, citations: Array }}
+     */
+    flush() {
+      return consume(true);
+    },
+
+    /**
+     * Resolve a Responses API `file_citation` annotation
+     * @param {Object} annotation
+     * @returns {Object|null} The citation when it has not been emitted yet
+     */
+    resolveAnnotation(annotation) {
+      if (!annotation || annotation.type !== 'file_citation') {
+        return null;
+      }
+      const position = described.findIndex(
+        (source) =>
+          (annotation.file_id && source.file_id === annotation.file_id) ||
+          (annotation.filename && normalize(source.filename) === normalize(annotation.filename))
+      );
+      if (position < 0) {
+        return null;
+      }
+      const { citation, isNew } = cite(position);
+      return isNew ? citation : null;
+    },
+
+    getCitations() {
+      return Array.from(numbered.values());
+    },
+  };
+};
+
+module.exports = {
+  createCitationParser,
+};
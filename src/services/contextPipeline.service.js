@@ -0,0 +1,211 @@
+const { buildMemoryContext, approxTokens, DEFAULT_MEMORY_STATE } = require('./conversationMemory.service');
+const { searchVectorStore } = require('./vectorStore.service');
+
+/**
+ * Context pipeline
+ * Assembles the model input for a chat reply from a list of context stages. Every stage receives
+ * the same request context and may contribute a prompt segment, OpenAI metadata and data the
+ * caller needs afterwards (memory brief, retrieval sources). Segments are joined in stage order.
+ *
+ * Chat modes declare their stages in MODE_STAGES; `lesson_plan` applies to lesson-plan turns
+ * whatever the chat mode.
+ */
+
+const PERSONAL_RETRIEVAL_RESULTS = 5;
+
+// Format personal lesson vector search hits into a prompt segment ('' when there are none)
+const formatVectorSearchResults = (vectorSearchResults = []) => {
+  if (!vectorSearchResults.length) return '';
+
+  const formatted = vectorSearchResults
+    .map((result, index) => {
+      const attributes = result.attributes || {};
+      const title = attributes.title || attributes.lesson_title || attributes.name || `Source ${index + 1}`;
+      const lessonId = attributes.lesson_id || attributes.lessonId;
+      const date = attributes.date || attributes.lesson_date;
+
+      const rawContentArray = Array.isArray(result.content) ? result.content : [];
+      const extractedText = rawContentArray
+        .map((chunk) => chunk?.text || chunk?.value || '')
+        .filter(Boolean)
+        .join('\n');
+
+      const fallbackText = typeof result.content === 'string' ? result.content : '';
+      const combinedText = (extractedText || fallbackText || '[No excerpt available]').trim();
+      const truncatedText = combinedText.length > 600 ? `${combinedText.substring(0, 600)}…` : combinedText;
+
+      const headerParts = [title];
+      if (lessonId) headerParts.push(`ID: ${lessonId}`);
+      if (date) headerParts.push(`Date: ${date}`);
+
+      return `${headerParts.join(' • ')}\n${truncatedText}`;
+    })
+    .join('\n\n');
+
+  return `Relevant lesson excerpts:\n${formatted}`;
+};
+
+/**
+ * The user turn as sent to the model: the message followed by the client's instruction token.
+ * Lesson-plan chats keep the token in its own paragraph; a lesson-plan turn that was already
+ * expanded (metadata.lesson_plan_full_context) is replayed verbatim.
+ * @param {Object} params
+ * @param {string} params.message - Message as displayed to the user
+ * @param {string} [params.instructionToken]
+ * @param {boolean} [params.isLessonPlanChat]
+ * @param {string} [params.lessonPlanFullContext]
+ * @returns {string}
+ */
+const buildUserMessageContent = ({ message, instructionToken, isLessonPlanChat = false, lessonPlanFullContext = null }) => {
+  if (lessonPlanFullContext) {
+    return lessonPlanFullContext;
+  }
+  const token = instructionToken || '';
+  const separator = isLessonPlanChat && token ? '\n\n' : ' ';
+  return `${message || ''}${separator}${token}`.trim();
+};
+
+const CONTEXT_STAGES = {
+  memory: async (ctx) => {
+    try {
+      const memoryContext = await buildMemoryContext({
+        chatId: ctx.chatId,
+        userId: ctx.userId,
+        query: ctx.message || '',
+        excludeMessageIds: ctx.excludeMessageIds || [],
+        beforeTimestamp: ctx.beforeTimestamp || null,
+        lineage: ctx.lineage || null,
+      });
+      return {
+        segment: memoryContext.memoryText || '',
+        data: { memoryContext, memoryBrief: memoryContext.brief || { ...DEFAULT_MEMORY_STATE } },
+        details: {
+          tail_turns: memoryContext.tailTurns?.length || 0,
+          dropped_tail_turns: memoryContext.droppedTailTurns || 0,
+          chunk_tokens: memoryContext.chunkTokenCount || 0,
+          user_memories: memoryContext.userMemories?.length || 0,
+        },
+      };
+    } catch (memoryError) {
+      console.error('[Context Pipeline] Failed to build memory context, continuing without memory block:', memoryError);
+      return { segment: '', data: { memoryContext: null, memoryBrief: { ...DEFAULT_MEMORY_STATE } } };
+    }
+  },
+
+  personal_retrieval: async (ctx) => {
+    const vectorSearchResults = await searchVectorStore(ctx.userId, ctx.message, PERSONAL_RETRIEVAL_RESULTS);
+    const segment = formatVectorSearchResults(vectorSearchResults);
+    if (!segment) {
+      console.log(`[VectorStore] No personal lesson matches found for user ${ctx.userId} (chat ${ctx.chatId})`);
+    }
+    return {
+      segment,
+      data: { vectorSearchResults },
+      details: { results: vectorSearchResults.length },
+    };
+  },
+
+  // Selected lessons travel with the user message for display; the model only sees a count
+  // (OpenAI metadata values are capped at 512 chars)
+  lesson_context: async (ctx) => {
+    const count = Array.isArray(ctx.lessonContext) ? ctx.lessonContext.length : 0;
+    return {
+      segment: '',
+      metadata: count ? { lesson_context: `${count} lessons` } : {},
+      details: { lessons: count },
+    };
+  },
+
+  instruction_tokens: async (ctx) => ({
+    segment: buildUserMessageContent({
+      message: ctx.message,
+      instructionToken: ctx.instructionToken,
+      isLessonPlanChat: ctx.isLessonPlanChat,
+      lessonPlanFullContext: ctx.lessonPlanFullContext,
+    }),
+    details: { has_instruction_token: !!ctx.instructionToken },
+  }),
+};
+
+const MODE_STAGES = {
+  arcoai: ['memory', 'lesson_context', 'instruction_tokens'],
+  personal_lessons: ['memory', 'personal_retrieval', 'lesson_context', 'instruction_tokens'],
+  lesson_plan: ['memory', 'lesson_context', 'instruction_tokens'],
+};
+
+/**
+ * Stage names used for a chat mode
+ * @param {Object} params
+ * @param {string} [params.chatMode]
+ * @param {boolean} [params.isLessonPlanTurn]
+ * @returns {string[]}
+ */
+const resolveStages = ({ chatMode = 'arcoai', isLessonPlanTurn = false } = {}) => {
+  if (isLessonPlanTurn) {
+    return MODE_STAGES.lesson_plan;
+  }
+  return MODE_STAGES[chatMode] || MODE_STAGES.arcoai;
+};
+
+/**
+ * Run the stages for a reply and join their segments into the model input
+ * @param {Object} ctx
+ * @param {string} ctx.chatId
+ * @param {string} ctx.userId
+ * @param {string} ctx.message - User message text (also the retrieval query)
+ * @param {string} [ctx.instructionToken]
+ * @param {Array} [ctx.lessonContext]
+ * @param {boolean} [ctx.isLessonPlanChat]
+ * @param {string} [ctx.lessonPlanFullContext] - Stored expansion of a lesson-plan turn
+ * @param {string[]} [ctx.excludeMessageIds] - Messages memory must skip (the turn being answered)
+ * @param {string} [ctx.beforeTimestamp] - Memory cutoff when answering an earlier turn
+ * @param {Array} [ctx.lineage] - Branch lineage memory is built from
+ * @param {string[]} stages - Stage names, in segment order
+ * @returns {Promise<Object>} { input, metadata, memoryContext, memoryBrief, vectorSearchResults, trace }
+ */
+const assembleContext = async (ctx, stages) => {
+  const result = {
+    segments: [],
+    metadata: {},
+    memoryContext: null,
+    memoryBrief: { ...DEFAULT_MEMORY_STATE },
+    vectorSearchResults: [],
+    trace: [],
+  };
+
+  for (const name of stages) {
+    const stage = CONTEXT_STAGES[name];
+    if (!stage) {
+      throw new Error(`Unknown context stage "${name}"`);
+    }
+
+    const startedAt = Date.now();
+    const output = (await stage(ctx)) || {};
+    const segment = output.segment || '';
+
+    if (segment) {
+      result.segments.push(segment);
+    }
+    Object.assign(result.metadata, output.metadata || {});
+    Object.assign(result, output.data || {});
+    result.trace.push({
+      stage: name,
+      ms: Date.now() - startedAt,
+      tokens: approxTokens(segment),
+      ...(output.details || {}),
+    });
+  }
+
+  const input = result.segments.join('\n\n');
+  delete result.segments;
+  return { ...result, input };
+};
+
+module.exports = {
+  CONTEXT_STAGES,
+  MODE_STAGES,
+  formatVectorSearchResults,
+  buildUserMessageContent,
+  resolveStages,
+  assembleContext,
+};
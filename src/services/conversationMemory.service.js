@@ -2,6 +2,11 @@ const { supabase } = require('../config/supabase');
 const config = require('../config/config');
 const { openaiClient } = require('../config/openai');
 const { logLLMInput, logLLMOutput } = require('../utils/llmLogger');
+const { countTokens, clampToTokens } = require('../utils/tokenizer');
+const { applyLineageFilter, isMessageOnLineage, getActiveLineage } = require('./chatBranch.service');
+const { OPERATIONS, summarizeUsage, recordUsage } = require('./usage.service');
+const { buildUserMemoryBlock } = require('./userMemory.service');
+const { acquireLease, renewLease, releaseLease } = require('./lease.service');
 
 const memoryConfig = config.memory || {};
 
@@ -16,24 +21,21 @@ const summarizerPromptRef = memoryConfig.globalSummaryPromptId
     }
   : null;
 
-const summarizationLocks = new Set();
+// One summarization per chat across all instances; a crashed holder's lease expires on its own
+const SUMMARY_LEASE_SECONDS = memoryConfig.summaryLeaseSeconds || 120;
+const summaryLeaseKey = (chatId) => `summarization:${chatId}`;
 
-const approxTokens = (value) => {
-  if (typeof value !== 'string') {
-    return 0;
-  }
-  return Math.ceil(value.length / 4);
-};
+/**
+ * Take the chat's summarization lease, so no summary is saved over a change made under it
+ * @param {string} chatId
+ * @returns {Promise<Object|null>} The lease, or null while a summary is in flight
+ */
+const acquireSummaryLease = (chatId) => acquireLease(summaryLeaseKey(chatId), SUMMARY_LEASE_SECONDS);
 
-const clampTextToTokenCount = (text, maxTokens) => {
-  if (!text || !maxTokens || approxTokens(text) <= maxTokens) {
-    return text || "";
-  }
+// Token counts come from the tokenizer (real BPE, or the configured heuristic fallback)
+const approxTokens = (value) => countTokens(value);
 
-  const targetLength = Math.max(8, maxTokens * 4);
-  const sliced = text.slice(0, targetLength);
-  return sliced.replace(/\s+\S*$/, '').trim();
-};
+const clampTextToTokenCount = (text, maxTokens) => clampToTokens(text, maxTokens);
 
 const formatLegacyList = (label, list) => {
   if (!Array.isArray(list) || list.length === 0) {
@@ -124,30 +126,32 @@ const normalizeMemoryState = (raw) => {
   return normalized;
 };
 
+// Stored brief, or the default when the chat has none yet. Throws when it cannot be read.
+const fetchStoredBrief = async (chatId) => {
+  const { data, error } = await supabase
+    .from('conversation_briefs')
+    .select('brief')
+    .eq('chat_id', chatId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return data && data.brief ? normalizeMemoryState(data.brief) : { ...DEFAULT_MEMORY_STATE };
+};
+
 const getConversationMemory = async (chatId) => {
   if (!chatId) {
     return { ...DEFAULT_MEMORY_STATE };
   }
 
   try {
-    const { data, error } = await supabase
-      .from('conversation_briefs')
-      .select('brief')
-      .eq('chat_id', chatId)
-      .single();
-
-    if (error && error.code !== 'PGRST116') {
-      console.error('[conversationMemory] Failed to load brief', { chat_id: chatId, error });
-    }
-
-    if (data && data.brief) {
-      return normalizeMemoryState(data.brief);
-    }
-  } catch (err) {
-    console.error('[conversationMemory] Unexpected error loading brief', err);
+    return await fetchStoredBrief(chatId);
+  } catch (error) {
+    console.error('[conversationMemory] Failed to load brief', { chat_id: chatId, error });
+    return { ...DEFAULT_MEMORY_STATE };
   }
-
-  return { ...DEFAULT_MEMORY_STATE };
 };
 
 const saveConversationMemory = async (chatId, userId, brief) => {
@@ -189,7 +193,7 @@ const getMemoryKnobs = (overrides = {}) => ({
   chunkSummarizeThreshold: overrides.chunkSummarizeThreshold || memoryConfig.chunkSummarizeThreshold || 6000,
 });
 
-const fetchCursorTimestamp = async (chatId, userId, messageId) => {
+const fetchCursorMessage = async (chatId, userId, messageId) => {
   if (!messageId) {
     return null;
   }
@@ -197,7 +201,7 @@ const fetchCursorTimestamp = async (chatId, userId, messageId) => {
   try {
     const { data, error } = await supabase
       .from('messages')
-      .select('created_at')
+      .select('message_id, branch_id, created_at')
       .eq('chat_id', chatId)
       .eq('user_id', userId)
       .eq('message_id', messageId)
@@ -207,16 +211,35 @@ const fetchCursorTimestamp = async (chatId, userId, messageId) => {
       console.error('[conversationMemory] Failed to load cursor message timestamp', { chat_id: chatId, message_id: messageId, error });
     }
 
-    return data?.created_at || null;
+    return data || null;
   } catch (err) {
     console.error('[conversationMemory] Unexpected error getting cursor timestamp', err);
     return null;
   }
 };
 
-const fetchMessagesAfterCursor = async (chatId, userId, lastMessageId, { excludeMessageIds } = {}) => {
+// A summary written on another branch covers turns this branch cannot see; start over from the
+// branch's own history in that case.
+const alignBriefWithLineage = async (chatId, userId, brief, lineage) => {
+  if (!brief?.last_summarized_message_id) {
+    return brief;
+  }
+
+  const cursor = await fetchCursorMessage(chatId, userId, brief.last_summarized_message_id);
+  if (!cursor || isMessageOnLineage(cursor, lineage)) {
+    return brief;
+  }
+
+  console.log('[conversationMemory] Summary cursor is on another branch, ignoring stored summary', { chat_id: chatId });
+  return { ...DEFAULT_MEMORY_STATE };
+};
+
+// Only the selected version of a regenerated reply on the active branch takes part in memory.
+// `beforeTimestamp` limits the window to messages that precede a turn being regenerated.
+const fetchMessagesAfterCursor = async (chatId, userId, lastMessageId, { excludeMessageIds, beforeTimestamp, lineage } = {}) => {
   const excludeSet = new Set((excludeMessageIds || []).filter(Boolean));
-  const cursorTimestamp = await fetchCursorTimestamp(chatId, userId, lastMessageId);
+  const cursor = await fetchCursorMessage(chatId, userId, lastMessageId);
+  const cursorTimestamp = cursor?.created_at || null;
 
   try {
     let query = supabase
@@ -225,12 +248,19 @@ const fetchMessagesAfterCursor = async (chatId, userId, lastMessageId, { exclude
       .eq('chat_id', chatId)
       .eq('user_id', userId)
       .in('role', ['user', 'assistant'])
+      .eq('is_active_version', true)
       .order('created_at', { ascending: true });
 
     if (cursorTimestamp) {
       query = query.gt('created_at', cursorTimestamp);
     }
 
+    if (beforeTimestamp) {
+      query = query.lt('created_at', beforeTimestamp);
+    }
+
+    query = applyLineageFilter(query, lineage);
+
     const { data, error } = await query;
 
     if (error) {
@@ -253,11 +283,12 @@ const fetchMessagesAfterCursor = async (chatId, userId, lastMessageId, { exclude
   }
 };
 
-const groupMessagesIntoTurns = (messages = []) => {
+const groupMessagesIntoTurns = (messages = [], { lineage } = {}) => {
   const turns = [];
   let pendingUser = null;
+  const visible = lineage ? messages.filter((message) => isMessageOnLineage(message, lineage)) : messages;
 
-  for (const message of messages) {
+  for (const message of visible) {
     if (message.role === 'user') {
       if (pendingUser) {
         turns.push({ user: pendingUser, assistant: null });
@@ -394,21 +425,34 @@ const extractResponseText = (response) => {
   return "";
 };
 
-const loadTurnsSinceSummary = async ({ chatId, userId, lastSummarizedMessageId, excludeMessageIds = [] }) => {
-  const messages = await fetchMessagesAfterCursor(chatId, userId, lastSummarizedMessageId, { excludeMessageIds });
-  return groupMessagesIntoTurns(messages);
+const loadTurnsSinceSummary = async ({ chatId, userId, lastSummarizedMessageId, excludeMessageIds = [], beforeTimestamp = null, lineage = null }) => {
+  const branchLineage = lineage || (await getActiveLineage(chatId));
+  const messages = await fetchMessagesAfterCursor(chatId, userId, lastSummarizedMessageId, {
+    excludeMessageIds,
+    beforeTimestamp,
+    lineage: branchLineage,
+  });
+  return groupMessagesIntoTurns(messages, { lineage: branchLineage });
 };
 
-const fetchPinnedLessonPlanTurn = async (chatId, userId) => {
+const fetchPinnedLessonPlanTurn = async (chatId, userId, { beforeTimestamp = null, lineage = null } = {}) => {
   try {
     // Latest lesson-plan user message
-    const { data: lpUser, error: lpError } = await supabase
+    let lpUserQuery = supabase
       .from('messages')
       .select('message_id, role, content, metadata, created_at')
       .eq('chat_id', chatId)
       .eq('user_id', userId)
       .eq('role', 'user')
-      .eq('metadata->>is_lesson_plan', 'true')
+      .eq('metadata->>is_lesson_plan', 'true');
+
+    if (beforeTimestamp) {
+      lpUserQuery = lpUserQuery.lt('created_at', beforeTimestamp);
+    }
+
+    lpUserQuery = applyLineageFilter(lpUserQuery, lineage);
+
+    const { data: lpUser, error: lpError } = await lpUserQuery
       .order('created_at', { ascending: false })
       .limit(1)
       .maybeSingle();
@@ -425,13 +469,16 @@ const fetchPinnedLessonPlanTurn = async (chatId, userId) => {
     }
 
     // Optional assistant reply immediately after that user message
-    const { data: lpAssistant, error: lpAssistantError } = await supabase
+    const lpAssistantQuery = supabase
       .from('messages')
       .select('message_id, role, content, metadata, created_at')
       .eq('chat_id', chatId)
       .eq('user_id', userId)
       .eq('role', 'assistant')
-      .gt('created_at', lpUser.created_at)
+      .eq('is_active_version', true)
+      .gt('created_at', lpUser.created_at);
+
+    const { data: lpAssistant, error: lpAssistantError } = await applyLineageFilter(lpAssistantQuery, lineage)
       .order('created_at', { ascending: true })
       .limit(1)
       .maybeSingle();
@@ -452,14 +499,18 @@ const fetchPinnedLessonPlanTurn = async (chatId, userId) => {
   }
 };
 
-const buildMemoryContext = async ({ chatId, userId, excludeMessageIds = [], overrides = {} }) => {
+const buildMemoryContext = async ({ chatId, userId, query = '', excludeMessageIds = [], beforeTimestamp = null, lineage = null, overrides = {} }) => {
   const knobs = getMemoryKnobs(overrides);
-  const brief = await getConversationMemory(chatId);
+  const branchLineage = lineage || (await getActiveLineage(chatId));
+  const storedBrief = await getConversationMemory(chatId);
+  const brief = await alignBriefWithLineage(chatId, userId, storedBrief, branchLineage);
   const turns = await loadTurnsSinceSummary({
     chatId,
     userId,
     lastSummarizedMessageId: brief.last_summarized_message_id,
     excludeMessageIds,
+    beforeTimestamp,
+    lineage: branchLineage,
   });
 
   const initialSummary = clampTextToTokenCount(brief.global_summary || "", knobs.summaryTokenCap);
@@ -468,7 +519,7 @@ const buildMemoryContext = async ({ chatId, userId, excludeMessageIds = [], over
   let droppedTailTurns = 0;
 
   // Ensure the latest lesson-plan turn (full context + assistant reply) is present in the tail
-  const pinnedLessonPlanTurn = await fetchPinnedLessonPlanTurn(chatId, userId);
+  const pinnedLessonPlanTurn = await fetchPinnedLessonPlanTurn(chatId, userId, { beforeTimestamp, lineage: branchLineage });
   if (pinnedLessonPlanTurn) {
     const lpUserId = pinnedLessonPlanTurn.user?.message_id;
     let injected = false;
@@ -511,11 +562,24 @@ const buildMemoryContext = async ({ chatId, userId, excludeMessageIds = [], over
     memoryText = composeMemoryBlock(summaryForPrompt, tailTurns);
   }
 
+  // Long-term facts about the teacher come on top, within their own budget
+  const relevanceText = [query, ...tailTurns.flatMap((turn) => [turn?.user?.content, turn?.assistant?.content])]
+    .filter(Boolean)
+    .join('\n');
+  const userMemory = await buildUserMemoryBlock({
+    userId,
+    chatId,
+    text: relevanceText,
+    tokenBudget: overrides.userMemoryTokenBudget,
+  });
+  memoryText = [userMemory.text, memoryText].filter(Boolean).join('\n\n');
+
   return {
     brief,
     turns,
     tailTurns,
     memoryText,
+    userMemories: userMemory.memories,
     summaryText: summaryForPrompt,
     droppedTailTurns,
     summaryWasTruncated: summaryForPrompt !== initialSummary,
@@ -523,21 +587,40 @@ const buildMemoryContext = async ({ chatId, userId, excludeMessageIds = [], over
   };
 };
 
-const maybeUpdateGlobalSummary = async ({ chatId, userId, brief, overrides = {}, turns: providedTurns }) => {
-  if (!brief) {
+/**
+ * Fold older turns into the chat's summary once they exceed the chunk threshold. Runs under the
+ * chat's summarization lease and works from the brief stored at that point; the brief passed in
+ * only decides whether to try.
+ * @param {Object} params
+ * @param {Object} params.brief - Caller's copy of the brief
+ * @param {Array} [params.turns] - Turns since the caller's cursor; ignored if the stored cursor moved
+ * @returns {Promise<Object>} { summarized, reason?, brief? }
+ */
+const maybeUpdateGlobalSummary = async ({ chatId, userId, brief: briefHint, overrides = {}, turns: providedTurns }) => {
+  if (!briefHint) {
     return { summarized: false, reason: 'missing_brief' };
   }
 
-  if (summarizationLocks.has(chatId)) {
+  const lease = await acquireSummaryLease(chatId);
+  if (!lease) {
     return { summarized: false, reason: 'in_flight' };
   }
 
-  summarizationLocks.add(chatId);
   try {
+    // Another summary or a user edit may have been saved since the caller read its copy
+    let brief;
+    try {
+      brief = await fetchStoredBrief(chatId);
+    } catch (error) {
+      console.error('[conversationMemory] Failed to load brief for summarization', { chat_id: chatId, error });
+      return { summarized: false, reason: 'brief_unavailable' };
+    }
+
     const knobs = getMemoryKnobs(overrides);
-    const turns = Array.isArray(providedTurns)
-      ? providedTurns
-      : await loadTurnsSinceSummary({ chatId, userId, lastSummarizedMessageId: brief.last_summarized_message_id });
+    const turns =
+      Array.isArray(providedTurns) && brief.last_summarized_message_id === briefHint.last_summarized_message_id
+        ? providedTurns
+        : await loadTurnsSinceSummary({ chatId, userId, lastSummarizedMessageId: brief.last_summarized_message_id });
 
     const chunkTokens = calculateTurnTokenCount(turns);
     const totalTokens = chunkTokens + approxTokens(brief.global_summary || "");
@@ -583,6 +666,13 @@ const maybeUpdateGlobalSummary = async ({ chatId, userId, brief, overrides = {},
         },
       });
       responseText = extractResponseText(response);
+      recordUsage({
+        userId,
+        chatId,
+        operation: OPERATIONS.MEMORY_SUMMARY,
+        usage: summarizeUsage({ usage: response?.usage, model: response?.model, promptId: summarizerPromptRef.id }),
+        responseId: response?.id,
+      });
     } catch (error) {
       console.error('[conversationMemory] Summarization request failed', {
         chat_id: chatId,
@@ -614,6 +704,12 @@ const maybeUpdateGlobalSummary = async ({ chatId, userId, brief, overrides = {},
       last_summarized_message_id: newCursor,
     };
 
+    // The lease may have expired during a slow request and another instance may have taken over;
+    // saving now could overwrite a newer brief
+    if (!(await renewLease(lease))) {
+      return { summarized: false, reason: 'lease_lost' };
+    }
+
     await saveConversationMemory(chatId, userId, updatedBrief);
 
     console.log('[conversationMemory] Summarized chunk', {
@@ -631,7 +727,24 @@ const maybeUpdateGlobalSummary = async ({ chatId, userId, brief, overrides = {},
       chunkTokens,
     };
   } finally {
-    summarizationLocks.delete(chatId);
+    await releaseLease(lease);
+  }
+};
+
+/**
+ * Start a chat's memory brief over and summarize its existing turns, e.g. after they were copied
+ * in by an import or fork. Failures leave an empty brief; memory then falls back to the raw turns
+ * until the next reply summarizes them.
+ * @returns {Promise<boolean>} Whether older turns were summarized
+ */
+const rebuildConversationMemory = async (chatId, userId) => {
+  try {
+    const brief = await saveConversationMemory(chatId, userId, { ...DEFAULT_MEMORY_STATE });
+    const result = await maybeUpdateGlobalSummary({ chatId, userId, brief });
+    return !!result.summarized;
+  } catch (error) {
+    console.error('[conversationMemory] Failed to rebuild brief', { chat_id: chatId, error });
+    return false;
   }
 };
 
@@ -642,6 +755,10 @@ module.exports = {
   getConversationMemory,
   saveConversationMemory,
   clampTextToTokenCount,
+  getMemoryKnobs,
+  groupMessagesIntoTurns,
   buildMemoryContext,
   maybeUpdateGlobalSummary,
+  acquireSummaryLease,
+  rebuildConversationMemory,
 };
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const os = require('os');
+const { supabase } = require('../config/supabase');
+const logger = require('../config/logger');
+
+/**
+ * Leases
+ * Expiring locks stored in Postgres (leases table) so that every API instance respects them.
+ * Each acquisition gets its own holder ID, so only that caller can renew or release it; a lease
+ * left behind by a crashed instance expires and is taken over by the next caller.
+ */
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Try to take a lease
+ * @param {string} key - e.g. summarization:<chat_id>
+ * @param {number} ttlSeconds
+ * @returns {Promise<Object|null>} The lease ({ key, holderId, ttlSeconds }), or null when another
+ * holder has it or the lease could not be checked
+ */
+const acquireLease = async (key, ttlSeconds) => {
+  const holderId = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  const { data, error } = await supabase.rpc('acquire_lease', {
+    p_lease_key: key,
+    p_holder_id: holderId,
+    p_ttl_seconds: ttlSeconds,
+  });
+
+  // Without the lease table we cannot tell whether another instance holds it, so do not proceed
+  if (error) {
+    logger.error(`[lease] Failed to acquire lease ${key}: ${error.message}`);
+    return null;
+  }
+
+  return data ? { key, holderId, ttlSeconds } : null;
+};
+
+/**
+ * Extend a lease, e.g. before writing results produced under it
+ * @param {Object} lease - From acquireLease
+ * @returns {Promise<boolean>} False when the lease expired and another holder took it over
+ */
+const renewLease = async (lease) => {
+  const { data, error } = await supabase.rpc('renew_lease', {
+    p_lease_key: lease.key,
+    p_holder_id: lease.holderId,
+    p_ttl_seconds: lease.ttlSeconds,
+  });
+
+  if (error) {
+    logger.error(`[lease] Failed to renew lease ${lease.key}: ${error.message}`);
+    return false;
+  }
+
+  return !!data;
+};
+
+/**
+ * Give a lease back. Failures are logged; the lease then expires on its own.
+ * @param {Object} lease - From acquireLease
+ */
+const releaseLease = async (lease) => {
+  const { error } = await supabase.rpc('release_lease', {
+    p_lease_key: lease.key,
+    p_holder_id: lease.holderId,
+  });
+
+  if (error) {
+    logger.error(`[lease] Failed to release lease ${lease.key}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  acquireLease,
+  renewLease,
+  releaseLease,
+};
@@ -11,16 +11,19 @@ const {
     PROMPT_INSTRUCTIONS_DEEPTHINK,
     PROMPT_ID_LESSON_PLAN,
     PROMPT_INSTRUCTIONS_LESSON_PLAN,
-    OPENAI_MODEL,
-    botClient,
-    PROMPT_ID_BOT
+    OPENAI_MODEL
 } = require("../config/openai");
 const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
 const { createChatWithFirstMessage } = require('./chat.service');
-const { buildMemoryContext, maybeUpdateGlobalSummary, approxTokens, DEFAULT_MEMORY_STATE, saveConversationMemory } = require('./conversationMemory.service');
+const { approxTokens, DEFAULT_MEMORY_STATE, saveConversationMemory } = require('./conversationMemory.service');
+const { assembleContext, resolveStages, buildUserMessageContent } = require('./contextPipeline.service');
 const { logLLMInput, logLLMOutput } = require('../utils/llmLogger');
-const { searchVectorStore } = require('./vectorStore.service');
+const { createMessageStream } = require('./messageStream.service');
+const { getBranchLineage, isMessageOnLineage, applyLineageFilter, createBranch } = require('./chatBranch.service');
+const { createCitationParser } = require('./citation.service');
+const { OPERATIONS, summarizeUsage, recordUsage } = require('./usage.service');
+const { JOB_TYPES, dispatchJob } = require('./backgroundJob.service');
 
 /**
  * Pure helper for prompt selection based on chat mode, model variant, and lesson-plan override.
@@ -79,21 +82,6 @@ const selectPromptConfig = ({
     };
 };
 
-// Helper function to strip citation markers from OpenAI responses
-const stripCitations = (text) => {
-    if (!text) return text;
-
-    // Remove OpenAI citation patterns like: 【citation】, filecite, turn0file5, etc.
-    // These patterns include unicode private use area characters and citation markers
-    return text
-        // Remove 【...】 style citations
-        .replace(/【[^】]*】/g, '')
-        // Remove filecite markers with turn/file references
-        .replace(/[\uE000-\uF8FF]?filecite[\uE000-\uF8FF]?turn\d+file\d+[\uE000-\uF8FF]?/g, '')
-        // Remove any remaining private use area characters (often used for citations)
-        .replace(/[\uE000-\uF8FF]/g, '');
-};
-
 // Helper function to extract text from various event shapes
 const getTextDelta = (ev) => {
     return (
@@ -106,7 +94,8 @@ const getTextDelta = (ev) => {
     );
 };
 
-// Format Responses API streaming events for frontend compatibility
+// Format Responses API streaming events for frontend compatibility.
+// Returns an event payload (framed by the message stream) or null to skip the event.
 const formatResponseEventForFrontend = (responseEvent) => {
     // Debug logging removed - was causing excessive console output
     // console.log('[Responses API] Raw event:', JSON.stringify(responseEvent, null, 2));
@@ -118,55 +107,65 @@ const formatResponseEventForFrontend = (responseEvent) => {
     switch(eventType) {
         case 'response.created':
         case 'response.started':
-            return JSON.stringify({
+            return {
                 event: 'response.created',
                 data: {
                     id: responseEvent.response?.id || responseEvent.id
                 }
-            }) + '\n';
+            };
 
         case 'response.output_item.added':
             // Handle message creation from new OpenAI API
             if (responseEvent.item?.type === 'message') {
-                return JSON.stringify({
+                return {
                     event: 'message.created',
                     data: {
                         id: responseEvent.item.id,
                         role: responseEvent.item.role || 'assistant'
                     }
-                }) + '\n';
+                };
             }
             return null;
             
         case 'response.completed':
         case 'response.done':
-            return JSON.stringify({
+            return {
                 event: 'response.done',
                 data: {
                     status: 'completed'
                 }
-            }) + '\n';
+            };
 
         case 'response.output_item.done':
             // Only trigger completion for message items (not reasoning, etc.)
             if (responseEvent.item?.type === 'message' &&
                 responseEvent.item?.status === 'completed') {
-                return JSON.stringify({
+                return {
                     event: 'response.done',
                     data: {
                         status: 'completed'
                     }
-                }) + '\n';
+                };
             }
             return null;
 
+        case 'response.reasoning_summary_text.delta':
+            return {
+                event: 'reasoning.delta',
+                data: {
+                    id: responseEvent.item_id,
+                    summary_index: responseEvent.summary_index || 0,
+                    text: responseEvent.delta || ''
+                }
+            };
+
         case 'error':
-            return JSON.stringify({
+            return {
                 event: 'error',
                 data: {
                     message: responseEvent.message || responseEvent.error || responseEvent.data?.message || 'Unknown error'
                 }
-            }) + '\n';
+            };
             
         default:
             // Silently ignore unknown event types - many are valid OpenAI events not needed for frontend
@@ -174,51 +173,352 @@ const formatResponseEventForFrontend = (responseEvent) => {
     }
 };
 
-const sendMessage = async ({ message, chat_id, instruction_token, lesson_context, model = 'arco', user, req, res }) => {
-    res.writeHead(200, { "Content-type": "text/plain" });
+// Build Responses API options. Personal lessons mode inlines the prompt instructions ahead of
+// the input and pins the model; every other mode relies on the hosted prompt reference.
+const buildResponseOptions = ({ chatMode, modelVariant, promptId, promptInstructions, contextualInput, metadataPayload, retrievalCount = 0, logSuffix = '' }) => {
+    const baseOptions = {
+        stream: true,
+        store: true,
+        include: ['reasoning.encrypted_content', 'web_search_call.action.sources'],
+        text: { format: { type: 'text' } },
+        reasoning: { effort: 'low', summary: 'auto' },
+        metadata: metadataPayload
+    };
+
+    if (chatMode === 'personal_lessons') {
+        const promptReference = promptId ? { id: promptId } : null;
+
+        const overrideInstructions = (promptInstructions || '').trim();
+        const personalInput = overrideInstructions
+            ? `${overrideInstructions}\n\n${contextualInput}`
+            : contextualInput;
+
+        console.log(`[OpenAI API] About to call with conversation context${logSuffix}:`, {
+            chatMode,
+            modelVariant,
+            prompt_id: promptId,
+            inputLength: personalInput.length,
+            retrievalMode: `manual_lookup:${retrievalCount}`,
+            usingPromptReference: !!promptReference
+        });
+
+        return {
+            model: OPENAI_MODEL,
+            input: personalInput,
+            ...baseOptions,
+            ...(promptReference ? { prompt: promptReference } : {})
+        };
+    }
+
+    console.log(`[OpenAI API] About to call with conversation context${logSuffix}:`, {
+        chatMode,
+        modelVariant,
+        prompt_id: promptId,
+        inputLength: contextualInput.length,
+        retrievalMode: 'prompt_reference'
+    });
+
+    return {
+        prompt: { id: promptId },
+        input: contextualInput,
+        ...baseOptions
+    };
+};
+
+/**
+ * Shared by every reply path: run the chat mode's context stages, select the prompt and build the
+ * Responses API options. Per-stage timings and token counts are reported in the LLM trace.
+ */
+const prepareReply = async ({
+    label,
+    chatId,
+    chatMode = 'arcoai',
+    userId,
+    message,
+    instructionToken,
+    lessonContext,
+    modelVariant,
+    isLessonPlanChat = false,
+    isLessonPlanTurn = false,
+    lessonPlanFullContext = null,
+    memory = {},
+    metadata = {},
+    logSuffix = '',
+}) => {
+    const { promptId, promptInstructions } = selectPromptConfig({
+        chat_mode: chatMode,
+        model: modelVariant,
+        lesson_plan_prompt: isLessonPlanTurn,
+    });
+
+    const context = await assembleContext({
+        chatId,
+        userId,
+        message,
+        instructionToken,
+        lessonContext,
+        isLessonPlanChat,
+        lessonPlanFullContext,
+        ...memory,
+    }, resolveStages({ chatMode, isLessonPlanTurn }));
+
+    logLLMInput(label, context.input, {
+        chat_id: chatId,
+        prompt_id: promptId,
+        chat_mode: chatMode,
+        model_variant: modelVariant,
+        input_tokens_approx: approxTokens(context.input),
+        context_stages: context.trace,
+        ...metadata,
+    });
+
+    const metadataPayload = {
+        model_variant: modelVariant,
+        ...context.metadata,
+        ...(isLessonPlanChat || isLessonPlanTurn ? { lesson_plan_prompt: 'true' } : {}),
+        ...metadata,
+    };
+
+    const responseOptions = buildResponseOptions({
+        chatMode,
+        modelVariant,
+        promptId,
+        promptInstructions,
+        contextualInput: context.input,
+        metadataPayload,
+        retrievalCount: context.vectorSearchResults.length,
+        logSuffix,
+    });
 
+    return { ...context, promptId, responseOptions };
+};
+
+// Accumulates reasoning summary parts (one per reasoning item and summary index) so the final
+// summary can be stored with the assistant message.
+const createReasoningCollector = () => {
+    const parts = new Map();
+    const keyFor = (event) => `${event.item_id || ''}:${event.summary_index || 0}`;
+
+    return {
+        append(event) {
+            const key = keyFor(event);
+            parts.set(key, (parts.get(key) || '') + (event.delta || ''));
+        },
+        complete(event) {
+            if (typeof event.text === 'string') {
+                parts.set(keyFor(event), event.text);
+            }
+        },
+        getSummary() {
+            return Array.from(parts.values())
+                .map((part) => part.trim())
+                .filter(Boolean)
+                .join('\n\n');
+        },
+    };
+};
+
+// Relay a Responses API stream to the client. Text deltas have their citation markers resolved
+// against citationSources (emitted as `citation` events and handed to onCitation) before going
+// to onText; lifecycle events are mapped through formatResponseEventForFrontend. Reasoning summaries
+// are only forwarded (and collected) when a reasoning collector is passed in. onOutputItem receives
+// the ID of the assistant message output item.
+const pipeResponseStream = async ({ responseStream, stream, abortController, onText, onResponseId, onOutputItem, onResponseCompleted, citationSources = [], onCitation, reasoning = null }) => {
+    const citationParser = createCitationParser({ sources: citationSources });
+    const emitCitation = (citation) => {
+        stream.send({ event: 'citation', data: citation });
+        if (onCitation) onCitation(citation);
+    };
+    // Text held back while a marker may still be completing must land before any completion event
+    const flushCitations = () => {
+        const { text, citations } = citationParser.flush();
+        if (text) onText(text);
+        citations.forEach(emitCitation);
+    };
+
+    let isFirstEvent = true;
+    for await (const event of responseStream) {
+        if (stream.isFinished() || abortController.signal.aborted) break;
+
+        // Log the first event to see what we're actually getting
+        if (isFirstEvent) {
+            console.log('[OpenAI API] First response event received:', {
+                eventType: event.type || event.event,
+                eventKeys: Object.keys(event),
+                promptUsed: event.prompt_id || event.prompt?.id || 'unknown',
+                versionUsed: event.prompt_version || event.prompt?.version || 'unknown'
+            });
+            isFirstEvent = false;
+        }
+
+        // Process events by type
+        const eventType = event.type || event.event;
+
+        if (eventType === 'response.output_text.delta' || eventType === 'output_text.delta' || eventType === 'content.delta') {
+            // Delta events: resolve citation markers and stream to UI
+            const { text, citations } = citationParser.push(getTextDelta(event));
+            if (text) {
+                onText(text);
+            }
+            citations.forEach(emitCitation);
+            continue;  // DO NOT also write the raw delta event
+
+        } else if (eventType === 'response.reasoning_summary_text.delta') {
+            if (reasoning) {
+                reasoning.append(event);
+                stream.send(formatResponseEventForFrontend(event));
+            }
+
+        } else if (eventType === 'response.reasoning_summary_text.done') {
+            if (reasoning) {
+                reasoning.complete(event);
+            }
+
+        } else if (eventType === 'response.output_text.annotation.added') {
+            const citation = citationParser.resolveAnnotation(event.annotation);
+            if (citation) {
+                emitCitation(citation);
+            }
+
+        } else if (eventType === 'response.created' || eventType === 'response.started') {
+            // Created/Started events: forward as-is
+            const responseId = event.response?.id || event.id;
+            stream.bindResponseId(responseId);
+            if (onResponseId) onResponseId(responseId);
+            stream.send(formatResponseEventForFrontend(event));
+
+        } else if (eventType === 'response.completed' || eventType === 'response.done') {
+            flushCitations();
+            if (onResponseCompleted && event.response) onResponseCompleted(event.response);
+            // Never forward model text from completed; sanitize if present
+            const safe = { ...event };
+            if (safe.response?.output_text) {
+                safe.response.output_text.delta = "";
+                safe.response.output_text.text = "";
+                safe.response.output_text.final = "";
+            }
+            stream.send(formatResponseEventForFrontend(safe));
+
+        } else {
+            if (eventType === 'response.output_item.added' && event.item?.type === 'message' && onOutputItem) {
+                onOutputItem(event.item.id);
+            }
+            if (eventType === 'response.output_item.done') {
+                flushCitations();
+            }
+            // Forward non-text events as-is
+            stream.send(formatResponseEventForFrontend(event));
+        }
+    }
+
+    flushCitations();
+};
+
+// Map an error to a structured stream event for the frontend
+const sendStreamError = (stream, error) => {
+    let errorMessage = error.message;
+    let errorCode = 'UNKNOWN_ERROR';
+
+    if (error.status === 400) {
+        errorCode = 'BAD_REQUEST';
+        // For OpenAI API errors, use the specific error message
+        errorMessage = error.message || 'Invalid request. Please check your message and try again.';
+    } else if (error.status === 401) {
+        errorCode = 'UNAUTHORIZED';
+        errorMessage = error.message || 'Authentication failed. Please check your API configuration.';
+    } else if (error.status === 402) {
+        errorCode = 'QUOTA_EXCEEDED';
+        errorMessage = error.message || 'API quota exceeded. Please try again later.';
+    } else if (error.status === 429) {
+        errorCode = 'RATE_LIMITED';
+        errorMessage = error.message || 'Too many requests. Please slow down and try again.';
+    } else if (error.status >= 500) {
+        errorCode = 'SERVER_ERROR';
+        errorMessage = error.message || 'Server error occurred. Please try again.';
+    } else if (error.code === 'ECONNABORTED') {
+        errorCode = 'TIMEOUT';
+        errorMessage = 'Request timed out. Please try again.';
+    } else if (error.name === 'AbortError') {
+        errorCode = 'ABORTED';
+        errorMessage = 'Request was cancelled.';
+    }
+
+    stream.send({
+        event: 'error',
+        data: {
+            message: errorMessage,
+            code: errorCode,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        }
+    });
+};
+
+// Tell every attached client the generation was stopped and where its partial reply was saved
+const sendCancelled = (stream, { responseId, messageId }) => {
+    stream.send({
+        event: 'response.cancelled',
+        data: {
+            response_id: responseId,
+            message_id: messageId,
+        }
+    });
+};
+
+const sendMessage = async ({ message, chat_id, instruction_token, lesson_context, model = 'arco', branch = null, instrument = null, genre = null, user, req, res }) => {
+    // Registered under the response ID once known so POST /v1/message/:responseId/cancel can stop it
     const abortController = new AbortController();
+    const stream = createMessageStream({ userId: user.id, abortController });
+    stream.attach(req, res);
+
+    // Edits announce the branch they created before the reply starts streaming
+    if (branch) {
+        stream.send({
+            event: 'branch.created',
+            data: {
+                branch_id: branch.branch_id,
+                parent_branch_id: branch.parent_branch_id,
+                source_message_id: branch.source_message_id,
+            }
+        });
+    }
+
     let responseEnded = false;
-    let conversationId = null;
-    let assistantMessage = '';
     let responseId = null;
     let itemId = null;
 
-    const handleAbort = async () => {
-        if (responseEnded) return;
-        abortController.abort();
-        
-        try {
-            if (!res.writableEnded && !responseEnded) {
-                responseEnded = true;
-                res.end();
-            }
-        } catch (err) {
-            console.error("Error ending the response after abort:", err);
-        }
+    // A dropped connection only detaches this response from the stream: generation keeps
+    // running, deltas stay buffered under the response ID, and the client can reattach
+    // through GET /v1/message/stream/:responseId.
+    const handleDisconnect = () => {
+        if (responseEnded || stream.hasSubscribers()) return;
+        console.log('[MessageStream] Client disconnected, continuing generation in background:', {
+            streamId: stream.id,
+            responseId: stream.getResponseId(),
+        });
     };
 
-    req.on("aborted", handleAbort);
-    res.on("close", handleAbort);
+    res.on("close", handleDisconnect);
     res.on("error", (err) => console.error("Response error:", err));
 
     // Hoist variables for scope access in finally block
     let memoryBrief = { ...DEFAULT_MEMORY_STATE };
-    let memoryContext = null;
     let assistantMessageClean = "";
+    const citations = [];
+    const reasoning = createReasoningCollector();
+    let usage = null;
     let modelVariant = 'arco';
+    let branchId = null;
 
     // Helper function to write sanitized UI and accumulate clean text
     const writeUI = (ui) => {
         if (!ui) return;
-        const sanitizedEvent = JSON.stringify({
+        stream.send({
             event: 'content.delta',
             data: {
                 id: 'response',
                 text: ui
             }
-        }) + '\n';
-        res.write(sanitizedEvent);
+        });
         assistantMessageClean += ui;
     };
 
@@ -234,9 +534,11 @@ const sendMessage = async ({ message, chat_id, instruction_token, lesson_context
             throw new ApiError(402, "Invalid Chat!");
         }
 
-        // Use conversation_id (new) or fall back to thread_id (legacy)
-        conversationId = chat.conversation_id || chat.thread_id;
-        if (!conversationId) {
+        // New turns are written on the branch the client is currently viewing
+        branchId = chat.active_branch_id || null;
+
+        // Chats need a conversation_id (new) or thread_id (legacy)
+        if (!chat.conversation_id && !chat.thread_id) {
             throw new ApiError(500, "Chat has no valid conversation or thread ID");
         }
 
@@ -245,21 +547,13 @@ const sendMessage = async ({ message, chat_id, instruction_token, lesson_context
         if (model && modelVariant === 'arco' && normalizedModel !== 'arco') {
             console.warn(`[DeepThink] Unsupported model variant "${model}" received, defaulting to "arco"`);
         }
-        const isDeepThink = modelVariant === 'arco-pro';
-
         const userDisplayContent = message; // Clean message for display and reuse detection
         const isLessonPlanChat = chat.prompt_id === PROMPT_ID_LESSON_PLAN;
-        const userMemoryContent = isLessonPlanChat && instruction_token
-            ? `${message}\n\n${instruction_token}`.trim()
-            : `${message} ${instruction_token}`.trim();
-        const userMessageContent = userMemoryContent;
-        
+
         console.log('[Backend sendMessage] OpenAI Input Prompt:', {
             originalMessage: message,
             instructionToken: instruction_token || '(empty)',
             instructionTokenLength: instruction_token ? instruction_token.length : 0,
-            finalPrompt: userMessageContent,
-            finalPromptLength: userMessageContent.length,
             hasLessonContext: !!lesson_context,
             modelVariant,
         });
@@ -272,6 +566,7 @@ const sendMessage = async ({ message, chat_id, instruction_token, lesson_context
                 content: userDisplayContent,
                 chat_id,
                 user_id: user.id,
+                branch_id: branchId,
                 lesson_context: lesson_context || null,
             })
             .select()
@@ -283,309 +578,76 @@ const sendMessage = async ({ message, chat_id, instruction_token, lesson_context
 
         // Only update chat title if it's a new chat - don't update timestamps for regular messages
         if (chat.title === "New Chat") {
-            // Generate title asynchronously and update database with the result
-            try {
-                const title = await getMessageContext(userDisplayContent);
-                if (title) {
-                    await supabase
-                        .from('chats')
-                        .update({ title })
-                        .eq('chat_id', chat.chat_id);
-                    console.log("Generated chat title:", title);
-                }
-            } catch (error) {
-                console.error("Title generation error:", error);
-                // Continue even if title generation fails
-            }
+            // Queued so a failed title generation is retried; never rejects
+            dispatchJob(JOB_TYPES.CHAT_TITLE, { chatId: chat.chat_id, userId: user.id, opening: userDisplayContent, instrument, genre });
         }
         // Note: last_message_at and updated_at are handled by frontend when message completes
 
-        // LOAD CONVERSATION MEMORY CONTEXT
-        let memoryBlock = "";
-        try {
-            memoryContext = await buildMemoryContext({
-                chatId: chat_id,
-                userId: user.id,
-                excludeMessageIds: userMsg?.message_id ? [userMsg.message_id] : [],
-            });
-            memoryBrief = memoryContext.brief || { ...DEFAULT_MEMORY_STATE };
-            memoryBlock = memoryContext.memoryText || "";
-
-            console.log('[Conversation Memory] Block tokens:', approxTokens(memoryBlock));
-            console.log('[Conversation Memory] Tail turns:', memoryContext?.tailTurns?.length || 0, 'Dropped:', memoryContext?.droppedTailTurns || 0, 'Chunk tokens:', memoryContext?.chunkTokenCount || 0);
-        } catch (memoryError) {
-            console.error('[Conversation Memory] Failed to build context, continuing without memory block:', memoryError);
-            memoryBrief = { ...DEFAULT_MEMORY_STATE };
-            memoryContext = null;
-            memoryBlock = "";
-        }
-
-        // BUILD INPUT WITH CONVERSATION CONTEXT
-        const segments = [];
-        if (memoryBlock) {
-            segments.push(memoryBlock);
-        }
-
-        // Determine chat mode
-        const chatMode = chat.chat_mode || 'arcoai';
-        let promptId = PROMPT_ID;
-        let promptInstructions = PROMPT_INSTRUCTIONS;
-        let vectorSearchResults = [];
-        let retrievalContext = '';
-
-        if (chatMode === 'personal_lessons') {
-            promptId = PROMPT_ID_PERSONAL_LESSONS;
-            promptInstructions = PROMPT_INSTRUCTIONS_PERSONAL_LESSONS;
-
-            vectorSearchResults = await searchVectorStore(user.id, userDisplayContent, 5);
-
-            if (vectorSearchResults.length > 0) {
-                const formatted = vectorSearchResults.map((result, index) => {
-                    const attributes = result.attributes || {};
-                    const title = attributes.title || attributes.lesson_title || attributes.name || `Source ${index + 1}`;
-                    const lessonId = attributes.lesson_id || attributes.lessonId;
-                    const date = attributes.date || attributes.lesson_date;
-
-                    const rawContentArray = Array.isArray(result.content) ? result.content : [];
-                    const extractedText = rawContentArray
-                        .map((chunk) => chunk?.text || chunk?.value || '')
-                        .filter(Boolean)
-                        .join('\n');
-
-                    const fallbackText = typeof result.content === 'string' ? result.content : '';
-                    const combinedText = (extractedText || fallbackText || '[No excerpt available]').trim();
-                    const truncatedText = combinedText.length > 600 ? `${combinedText.substring(0, 600)}…` : combinedText;
-
-                    const headerParts = [title];
-                    if (lessonId) headerParts.push(`ID: ${lessonId}`);
-                    if (date) headerParts.push(`Date: ${date}`);
-
-                    return `${headerParts.join(' • ')}\n${truncatedText}`;
-                }).join('\n\n');
-
-                retrievalContext = `Relevant lesson excerpts:\n${formatted}`;
-            } else {
-                console.log(`[VectorStore] No personal lesson matches found for user ${user.id} (chat ${chat_id})`);
-            }
-
-            if (isDeepThink) {
-                const deepDivePromptId = PROMPT_ID_PERSONAL_LESSONS_DEEPDIVE || PROMPT_ID_DEEPTHINK;
-                if (deepDivePromptId) {
-                    promptId = deepDivePromptId;
-                }
-
-                if (deepDivePromptId === PROMPT_ID_PERSONAL_LESSONS_DEEPDIVE) {
-                    promptInstructions = PROMPT_INSTRUCTIONS_PERSONAL_LESSONS_DEEPDIVE || promptInstructions;
-                } else {
-                    promptInstructions = PROMPT_INSTRUCTIONS_DEEPTHINK || promptInstructions;
-                }
-            }
-        } else if (isDeepThink) {
-            promptId = PROMPT_ID_DEEPTHINK || PROMPT_ID;
-            promptInstructions = PROMPT_INSTRUCTIONS_DEEPTHINK || promptInstructions;
-        }
-
-        if (retrievalContext) {
-            segments.push(retrievalContext);
-        }
-
-        segments.push(userMessageContent);
-
-        const contextualInput = segments.filter(Boolean).join('\n\n');
-
-        const inputMetadata = {
-            chat_id,
-            prompt_id: promptId,
-            chat_mode: chatMode,
-            model_variant: modelVariant,
-        };
-        logLLMInput('sendMessage.main', contextualInput, inputMetadata);
-
-        console.log('[Conversation Context] Memory tokens:', approxTokens(memoryBlock));
-        console.log('[Conversation Context] Total context tokens:', approxTokens(contextualInput));
-
-        // OpenAI metadata fields have a 512 char limit, so store only a summary
-        const lessonContextSummary = lesson_context && lesson_context.length > 0
-            ? `${lesson_context.length} lessons`
-            : null;
-
-        const metadataPayload = {
-            model_variant: modelVariant,
-            ...(lessonContextSummary ? { lesson_context: lessonContextSummary } : {}),
-            ...(isLessonPlanChat ? { lesson_plan_prompt: 'true' } : {})
-        };
-
-        let responseOptions;
-
-        if (chatMode === 'personal_lessons') {
-            const promptReference = promptId ? { id: promptId } : null;
-
-            const overrideInstructions = (promptInstructions || '').trim();
-            const personalInput = overrideInstructions
-                ? `${overrideInstructions}\n\n${contextualInput}`
-                : contextualInput;
-
-            console.log('[OpenAI API] About to call with conversation context:', {
-                chatMode,
-                modelVariant,
-                prompt_id: promptId,
-                inputLength: personalInput.length,
-                retrievalMode: `manual_lookup:${vectorSearchResults.length}`,
-                usingPromptReference: !!promptReference
-            });
-
-            responseOptions = {
-                model: OPENAI_MODEL,
-                input: personalInput,
-                stream: true,
-                store: true,
-                include: ['reasoning.encrypted_content', 'web_search_call.action.sources'],
-                text: { format: { type: 'text' } },
-                reasoning: { effort: 'low', summary: 'auto' },
-                metadata: metadataPayload
-            };
-
-            if (promptReference) {
-                responseOptions.prompt = promptReference;
-            }
-        } else {
-            console.log('[OpenAI API] About to call with conversation context:', {
-                chatMode,
-                modelVariant,
-                prompt_id: promptId,
-                inputLength: contextualInput.length,
-                retrievalMode: 'prompt_reference'
-            });
-
-            responseOptions = {
-                prompt: { id: promptId },
-                input: contextualInput,
-                stream: true,
-                store: true,
-                include: ['reasoning.encrypted_content', 'web_search_call.action.sources'],
-                text: { format: { type: 'text' } },
-                reasoning: { effort: 'low', summary: 'auto' },
-                metadata: metadataPayload
-            };
-        }
-
-        // Log full input being sent to OpenAI for debugging
-        console.log('[OpenAI API] Full input being sent:', {
+        const {
             promptId,
-            fullInput: contextualInput,
-            inputCharCount: contextualInput.length,
-            inputTokenApprox: approxTokens(contextualInput)
+            responseOptions,
+            vectorSearchResults,
+            memoryBrief: assembledBrief,
+        } = await prepareReply({
+            label: 'sendMessage.main',
+            chatId: chat_id,
+            chatMode: chat.chat_mode || 'arcoai',
+            userId: user.id,
+            message: userDisplayContent,
+            instructionToken: instruction_token,
+            lessonContext: lesson_context,
+            modelVariant,
+            isLessonPlanChat,
+            memory: {
+                excludeMessageIds: userMsg?.message_id ? [userMsg.message_id] : [],
+                lineage: await getBranchLineage(chat_id, branchId),
+            },
+        });
+        memoryBrief = assembledBrief;
+
+        const responseStream = await openaiClient.responses.create(responseOptions, { signal: abortController.signal });
+
+        await pipeResponseStream({
+            responseStream,
+            stream,
+            abortController,
+            onText: writeUI,
+            onResponseId: (id) => { responseId = id; },
+            onOutputItem: (id) => { itemId = id; },
+            citationSources: vectorSearchResults,
+            onCitation: (citation) => citations.push(citation),
+            reasoning: modelVariant === 'arco-pro' ? reasoning : null,
+            onResponseCompleted: (response) => {
+                usage = summarizeUsage({ usage: response.usage, model: response.model, promptId, modelVariant });
+            },
         });
-
-        const responseStream = await openaiClient.responses.create(responseOptions);
-
-        // Process streaming response
-        let isFirstEvent = true;
-        for await (const event of responseStream) {
-            if (res.writableEnded || abortController.signal.aborted) break;
-
-            // Log the first event to see what we're actually getting
-            if (isFirstEvent) {
-                console.log('[OpenAI API] First response event received:', {
-                    eventType: event.type || event.event,
-                    eventKeys: Object.keys(event),
-                    promptUsed: event.prompt_id || event.prompt?.id || 'unknown',
-                    versionUsed: event.prompt_version || event.prompt?.version || 'unknown'
-                });
-                isFirstEvent = false;
-            }
-
-            // Process events by type
-            const eventType = event.type || event.event;
-
-            if (eventType === 'response.output_text.delta' || eventType === 'output_text.delta' || eventType === 'content.delta') {
-                // Delta events: strip citations and stream to UI
-                const rawText = stripCitations(getTextDelta(event));
-                if (rawText) {
-                    writeUI(rawText);
-                }
-                continue;  // DO NOT also write the raw delta event
-
-            } else if (eventType === 'response.created' || eventType === 'response.started') {
-                // Created/Started events: forward as-is
-                responseId = event.response?.id || event.id;
-                const eventData = formatResponseEventForFrontend(event);
-                if (eventData) res.write(eventData);
-
-            } else if (eventType === 'response.completed' || eventType === 'response.done') {
-                // Never forward model text from completed; sanitize if present
-                const safe = { ...event };
-                if (safe.response?.output_text) {
-                    safe.response.output_text.delta = "";
-                    safe.response.output_text.text = "";
-                    safe.response.output_text.final = "";
-                }
-                const eventData = formatResponseEventForFrontend(safe);
-                if (eventData) res.write(eventData);
-
-            } else {
-                // Forward non-text events as-is
-                const eventData = formatResponseEventForFrontend(event);
-                if (eventData) res.write(eventData);
-            }
-        }
     } catch (error) {
-        console.error("Error in sendMessage:", error);
-        
-        // Determine error type and create appropriate response
-        let errorMessage = error.message;
-        let errorCode = 'UNKNOWN_ERROR';
-        
-        if (error.status === 400) {
-            errorCode = 'BAD_REQUEST';
-            // For OpenAI API errors, use the specific error message
-            errorMessage = error.message || 'Invalid request. Please check your message and try again.';
-        } else if (error.status === 401) {
-            errorCode = 'UNAUTHORIZED';
-            errorMessage = error.message || 'Authentication failed. Please check your API configuration.';
-        } else if (error.status === 402) {
-            errorCode = 'QUOTA_EXCEEDED';
-            errorMessage = error.message || 'API quota exceeded. Please try again later.';
-        } else if (error.status === 429) {
-            errorCode = 'RATE_LIMITED';
-            errorMessage = error.message || 'Too many requests. Please slow down and try again.';
-        } else if (error.status >= 500) {
-            errorCode = 'SERVER_ERROR';
-            errorMessage = error.message || 'Server error occurred. Please try again.';
-        } else if (error.code === 'ECONNABORTED') {
-            errorCode = 'TIMEOUT';
-            errorMessage = 'Request timed out. Please try again.';
-        } else if (error.name === 'AbortError') {
-            errorCode = 'ABORTED';
-            errorMessage = 'Request was cancelled.';
-        }
-        
-        // Send structured error to frontend
-        const errorEvent = JSON.stringify({
-            event: 'error',
-            data: { 
-                message: errorMessage,
-                code: errorCode,
-                details: process.env.NODE_ENV === 'development' ? error.message : undefined
-            }
-        }) + '\n';
-        
-        if (!res.writableEnded) {
-            res.write(errorEvent);
+        if (abortController.signal.aborted) {
+            console.log('[sendMessage] Generation cancelled:', { responseId });
+        } else {
+            console.error("Error in sendMessage:", error);
+            sendStreamError(stream, error);
         }
     } finally {
+        let savedMessageId = null;
+
         // Save assistant message and kick off background summarization
-        if (assistantMessageClean && !abortController.signal.aborted) {
+        if (assistantMessageClean) {
             try {
                 const assistantPayload = {
                     role: 'assistant',
                     content: assistantMessageClean,
                     chat_id,
                     user_id: user.id,
+                    branch_id: branchId,
                     response_id: responseId,
                     item_id: itemId,
                     metadata: {
                         model_variant: modelVariant,
+                        ...(citations.length ? { citations } : {}),
+                        ...(reasoning.getSummary() ? { reasoning_summary: reasoning.getSummary() } : {}),
+                        ...(usage ? { usage } : {}),
+                        ...(abortController.signal.aborted ? { status: 'cancelled' } : {}),
                     },
                 };
 
@@ -596,88 +658,303 @@ const sendMessage = async ({ message, chat_id, instruction_token, lesson_context
                     item_id: itemId,
                 });
 
-                const { error: saveError } = await supabase
+                const { data: savedAssistant, error: saveError } = await supabase
                     .from('messages')
-                    .insert(assistantPayload);
+                    .insert(assistantPayload)
+                    .select('message_id')
+                    .single();
+                savedMessageId = savedAssistant?.message_id || null;
 
                 if (saveError) {
                     console.error("Error saving assistant message:", saveError);
                 } else if (memoryBrief) {
-                    maybeUpdateGlobalSummary({ chatId: chat_id, userId: user.id, brief: memoryBrief })
-                        .catch((summaryError) => {
-                            console.error('[Conversation Memory] Failed to summarize chunk:', summaryError);
-                        });
+                    dispatchJob(JOB_TYPES.MEMORY_SUMMARY, { chatId: chat_id, userId: user.id });
+                }
+
+                // Long-term facts only come from replies that finished
+                if (!saveError && !abortController.signal.aborted) {
+                    dispatchJob(JOB_TYPES.USER_MEMORY_EXTRACTION, {
+                        userId: user.id,
+                        chatId: chat_id,
+                        messageId: savedMessageId,
+                        userMessage: message,
+                        assistantMessage: assistantMessageClean,
+                    });
                 }
             } catch (dbError) {
                 console.error("Error saving assistant message:", dbError);
             }
         }
 
-        if (!responseEnded && !res.writableEnded) {
+        recordUsage({
+            userId: user.id,
+            chatId: chat_id,
+            messageId: savedMessageId,
+            operation: OPERATIONS.CHAT_REPLY,
+            usage,
+            responseId,
+        });
+
+        if (abortController.signal.aborted) {
+            sendCancelled(stream, { responseId, messageId: savedMessageId });
+        }
+
+        if (!responseEnded) {
             responseEnded = true;
-            res.end();
+            stream.end();
         }
     }
 };
 
-const getMessageContext = async (inputMessage) => {
+const DEFAULT_MESSAGE_PAGE_SIZE = 50;
+
+// Cursors are opaque to clients: the (created_at, message_id) position of a message in the transcript
+const encodeMessageCursor = (message) =>
+    Buffer.from(JSON.stringify({ created_at: message.created_at, message_id: message.message_id })).toString('base64url');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Rewrite a cursor timestamp as UTC ISO 8601 so only digits and separators reach the filter.
+// Postgres keeps microseconds, which toISOString drops; they are kept so the cursor row itself
+// is not matched again.
+const normalizeCursorTimestamp = (value) => {
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        return null;
+    }
+    const fraction = (value.match(/T[\d:]+\.(\d{1,6})/)?.[1] || '').padEnd(6, '0');
+    return date.toISOString().replace(/\.\d{3}Z$/, `.${fraction}Z`);
+};
+
+const decodeMessageCursor = (cursor) => {
     try {
-        console.log('[Title Generation] Starting title generation for message:', {
-            messageLength: inputMessage.length,
-            messagePreview: inputMessage.substring(0, 100) + '...',
-            promptId: PROMPT_ID_BOT
-        });
+        const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const createdAt = normalizeCursorTimestamp(parsed?.created_at);
+        // Both values end up inside a PostgREST filter string
+        if (createdAt && typeof parsed.message_id === 'string' && UUID_PATTERN.test(parsed.message_id)) {
+            return { created_at: createdAt, message_id: parsed.message_id };
+        }
+    } catch (err) {
+        // fall through
+    }
+    throw new ApiError(httpStatus.BAD_REQUEST, "Invalid cursor");
+};
 
-        // Use Responses API to generate title from first message
-        const titlePromptText = `Generate a short, descriptive title (max 50 characters) for this message: "${inputMessage}"`;
-        logLLMInput('message.titleGenerator', titlePromptText, {
-            prompt_id: PROMPT_ID_BOT,
-        });
+// PostgREST filter for messages strictly before/after a cursor position
+const buildCursorFilter = ({ created_at, message_id }, direction) => {
+    const op = direction === 'before' ? 'lt' : 'gt';
+    return `created_at.${op}."${created_at}",and(created_at.eq."${created_at}",message_id.${op}.${message_id})`;
+};
 
-        const response = await botClient.responses.create({
-            prompt: { id: PROMPT_ID_BOT },
-            input: titlePromptText,
-            stream: false, // Non-streaming for title generation
-        });
+/**
+ * Fetch a chat's transcript on its active branch.
+ * Without pagination parameters the whole history is returned. With `limit`, `before` or `after`
+ * one page of turns is returned; `before` pages upward (older), `after` downward (newer), and a
+ * bare `limit` returns the most recent turns. `next_cursor` continues in the same direction.
+ */
+const findAllMessages = async (chat_id, user, { limit, before, after } = {}) => {
+    const { data: chat, error: chatError } = await supabase
+        .from('chats')
+        .select('*')
+        .eq('chat_id', chat_id)
+        .eq('user_id', user.id)
+        .single();
 
-        console.log('[Title Generation] Response received:', {
-            hasOutputText: !!response.output_text,
-            hasOutput: !!response.output,
-            outputStructure: response.output ? response.output.map(item => Object.keys(item)) : 'null',
-            rawResponse: process.env.NODE_ENV === 'development' ? response : 'hidden'
-        });
+    if (chatError || !chat) {
+        throw new ApiError(httpStatus.FORBIDDEN, "Invalid Chat!");
+    }
 
-        // Extract title from response - check both output_text and content structure
-        const title = response.output_text || response.output?.[0]?.content?.[0]?.text || null;
+    // Only the active branch is part of the transcript
+    const lineage = await getBranchLineage(chat_id, chat.active_branch_id || null);
 
-        if (title) {
-            logLLMOutput('message.titleGenerator', title, {
-                prompt_id: PROMPT_ID_BOT,
-            });
+    if (!limit && !before && !after) {
+        const { data: messages, error: msgError } = await supabase
+            .from('messages')
+            .select('*')
+            .eq('chat_id', chat_id)
+            .order('created_at', { ascending: true });
+
+        if (msgError) {
+            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch messages: ${msgError.message}`);
         }
 
-        console.log('[Title Generation] Extracted title:', {
-            title,
-            titleLength: title?.length || 0
-        });
+        const visibleMessages = (messages || []).filter((row) => isMessageOnLineage(row, lineage));
+        return { messages: groupMessageVersions(visibleMessages), next_cursor: null };
+    }
 
-        return title ? title.substring(0, 50) : null;
-    } catch (error) {
-        console.error('Error generating message context title:', {
-            error: error.message,
-            status: error.status,
-            code: error.code,
-            promptId: PROMPT_ID_BOT
-        });
-        return null;
+    const pageSize = limit || DEFAULT_MESSAGE_PAGE_SIZE;
+    const direction = after ? 'after' : 'before';
+    const ascending = direction === 'after';
+    const cursor = before || after ? decodeMessageCursor(before || after) : null;
+
+    // Page over the selected version of each turn so a page never splits a version group
+    let query = supabase
+        .from('messages')
+        .select('*')
+        .eq('chat_id', chat_id)
+        .eq('is_active_version', true);
+    query = applyLineageFilter(query, lineage);
+    if (cursor) {
+        query = query.or(buildCursorFilter(cursor, direction));
+    }
+
+    const { data: rows, error: pageError } = await query
+        .order('created_at', { ascending })
+        .order('message_id', { ascending })
+        .limit(pageSize + 1);
+
+    if (pageError) {
+        throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch messages: ${pageError.message}`);
+    }
+
+    const hasMore = (rows || []).length > pageSize;
+    const page = (rows || []).slice(0, pageSize);
+    if (!ascending) {
+        page.reverse();
+    }
+
+    // Pull in the unselected versions of regenerated replies on this page
+    const groupIds = page.filter((row) => row.version_group_id).map((row) => row.version_group_id);
+    let siblings = [];
+    if (groupIds.length) {
+        const { data: versionRows, error: versionError } = await supabase
+            .from('messages')
+            .select('*')
+            .eq('chat_id', chat_id)
+            .eq('is_active_version', false)
+            .in('version_group_id', groupIds);
+
+        if (versionError) {
+            throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch message versions: ${versionError.message}`);
+        }
+        siblings = versionRows || [];
+    }
+
+    const edge = ascending ? page[page.length - 1] : page[0];
+    return {
+        messages: groupMessageVersions([...page, ...siblings]),
+        next_cursor: hasMore && edge ? encodeMessageCursor(edge) : null,
+    };
+};
+
+// Collapse regenerated replies into one entry per turn. The selected version takes the slot of
+// the group; every version (including the selected one) is listed under `versions`.
+const groupMessageVersions = (messages = []) => {
+    const groups = new Map();
+    const order = [];
+
+    for (const message of messages) {
+        const groupId = message.version_group_id || message.message_id;
+        if (!groups.has(groupId)) {
+            groups.set(groupId, []);
+            order.push(groupId);
+        }
+        groups.get(groupId).push(message);
+    }
+
+    return order.map((groupId) => {
+        const versions = groups.get(groupId)
+            .slice()
+            .sort((a, b) => (a.version_number || 1) - (b.version_number || 1));
+
+        if (versions.length === 1) {
+            return versions[0];
+        }
+
+        const selected = versions.find((version) => version.is_active_version !== false)
+            || versions[versions.length - 1];
+
+        return {
+            ...selected,
+            versions: versions.map((version) => ({
+                message_id: version.message_id,
+                version_number: version.version_number || 1,
+                is_active_version: version.message_id === selected.message_id,
+                content: version.content,
+                metadata: version.metadata,
+                created_at: version.created_at,
+            })),
+        };
+    });
+};
+
+const findOwnedMessage = async (message_id, user) => {
+    const { data: message, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('message_id', message_id)
+        .eq('user_id', user.id)
+        .single();
+
+    if (error || !message) {
+        throw new ApiError(httpStatus.NOT_FOUND, "Message not found");
+    }
+
+    return message;
+};
+
+// Make `message_id` the only active version within its group, in one update so readers never see two or none
+const activateMessageVersion = async (groupId, message_id) => {
+    const { error } = await supabase.rpc('activate_message_version', {
+        p_version_group_id: groupId,
+        p_message_id: message_id,
+    });
+
+    if (error) {
+        throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to update message versions: ${error.message}`);
+    }
+};
+
+// Resolve (and persist, for replies created before versioning) the group an assistant reply belongs to
+const ensureVersionGroup = async (message) => {
+    if (message.version_group_id) {
+        return message.version_group_id;
+    }
+
+    const { error } = await supabase
+        .from('messages')
+        .update({ version_group_id: message.message_id })
+        .eq('message_id', message.message_id);
+
+    if (error) {
+        throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to prepare message versions: ${error.message}`);
+    }
+
+    return message.message_id;
+};
+
+const getNextVersionNumber = async (groupId) => {
+    const { data: latest, error } = await supabase
+        .from('messages')
+        .select('version_number')
+        .eq('version_group_id', groupId)
+        .order('version_number', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to load message versions: ${error.message}`);
+    }
+
+    return (latest?.version_number || 1) + 1;
+};
+
+/**
+ * Re-run the user turn behind an assistant reply and store the result as a sibling version.
+ * Prompt selection mirrors sendMessage/sendFirstMessage (chat mode, model variant, retrieval);
+ * memory only covers the conversation before the regenerated turn.
+ */
+const regenerateMessage = async ({ message_id, instruction_token, model, user, req, res }) => {
+    // Validate before opening the stream so bad requests still get a regular error response
+    const original = await findOwnedMessage(message_id, user);
+    if (original.role !== 'assistant') {
+        throw new ApiError(httpStatus.BAD_REQUEST, "Only assistant replies can be regenerated");
     }
-}
 
-const findAllMessages = async (chat_id, user) => {
     const { data: chat, error: chatError } = await supabase
         .from('chats')
         .select('*')
-        .eq('chat_id', chat_id)
+        .eq('chat_id', original.chat_id)
         .eq('user_id', user.id)
         .single();
 
@@ -685,20 +962,260 @@ const findAllMessages = async (chat_id, user) => {
         throw new ApiError(httpStatus.FORBIDDEN, "Invalid Chat!");
     }
 
-    const { data: messages, error: msgError } = await supabase
+    // The reply's own branch decides which earlier turns it belongs to
+    const lineage = await getBranchLineage(chat.chat_id, original.branch_id || null);
+
+    const userMsgQuery = supabase
         .from('messages')
         .select('*')
-        .eq('chat_id', chat_id)
-        .order('created_at', { ascending: true });
+        .eq('chat_id', chat.chat_id)
+        .eq('role', 'user')
+        .eq('is_active_version', true)
+        .lt('created_at', original.created_at);
+
+    const { data: userMsg, error: userMsgError } = await applyLineageFilter(userMsgQuery, lineage)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (userMsgError || !userMsg) {
+        throw new ApiError(httpStatus.BAD_REQUEST, "No user message found for this reply");
+    }
+
+    const abortController = new AbortController();
+    const stream = createMessageStream({ userId: user.id, abortController });
+    stream.attach(req, res);
+
+    let responseEnded = false;
+    let responseId = null;
+    let itemId = null;
+    let assistantMessageClean = "";
+    const citations = [];
+    const reasoning = createReasoningCollector();
+    let usage = null;
+
+    const handleDisconnect = () => {
+        if (responseEnded || stream.hasSubscribers()) return;
+        console.log('[MessageStream] Client disconnected, continuing regeneration in background:', {
+            streamId: stream.id,
+            responseId: stream.getResponseId(),
+        });
+    };
+
+    res.on("close", handleDisconnect);
+    res.on("error", (err) => console.error("Response error:", err));
+
+    const requestedModel = model || original.metadata?.model_variant || 'arco';
+    const modelVariant = String(requestedModel).toLowerCase().trim() === 'arco-pro' ? 'arco-pro' : 'arco';
+
+    const writeUI = (ui) => {
+        if (!ui) return;
+        stream.send({
+            event: 'content.delta',
+            data: {
+                id: 'response',
+                text: ui
+            }
+        });
+        assistantMessageClean += ui;
+    };
+
+    try {
+        const { promptId, responseOptions, vectorSearchResults } = await prepareReply({
+            label: 'regenerateMessage.main',
+            chatId: chat.chat_id,
+            chatMode: chat.chat_mode || 'arcoai',
+            userId: user.id,
+            message: userMsg.content,
+            instructionToken: instruction_token,
+            lessonContext: userMsg.lesson_context,
+            modelVariant,
+            isLessonPlanChat: chat.prompt_id === PROMPT_ID_LESSON_PLAN,
+            isLessonPlanTurn: !!userMsg.metadata?.is_lesson_plan,
+            lessonPlanFullContext: userMsg.metadata?.is_lesson_plan ? userMsg.metadata.lesson_plan_full_context : null,
+            memory: {
+                excludeMessageIds: [userMsg.message_id],
+                beforeTimestamp: userMsg.created_at,
+                lineage,
+            },
+            metadata: { regenerated_from: original.message_id },
+            logSuffix: ' (regenerate)',
+        });
+
+        const responseStream = await openaiClient.responses.create(responseOptions, { signal: abortController.signal });
+
+        await pipeResponseStream({
+            responseStream,
+            stream,
+            abortController,
+            onText: writeUI,
+            onResponseId: (id) => { responseId = id; },
+            onOutputItem: (id) => { itemId = id; },
+            citationSources: vectorSearchResults,
+            onCitation: (citation) => citations.push(citation),
+            reasoning: modelVariant === 'arco-pro' ? reasoning : null,
+            onResponseCompleted: (response) => {
+                usage = summarizeUsage({ usage: response.usage, model: response.model, promptId, modelVariant });
+            },
+        });
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log('[regenerateMessage] Generation cancelled:', { responseId });
+        } else {
+            console.error("Error in regenerateMessage:", error);
+            sendStreamError(stream, error);
+        }
+    } finally {
+        let savedMessageId = null;
+
+        if (assistantMessageClean) {
+            try {
+                const groupId = await ensureVersionGroup(original);
+                const versionNumber = await getNextVersionNumber(groupId);
+
+                logLLMOutput('regenerateMessage.main', assistantMessageClean, {
+                    chat_id: chat.chat_id,
+                    model_variant: modelVariant,
+                    response_id: responseId,
+                    version_number: versionNumber,
+                });
+
+                // Keep the original timestamp so the new version occupies the same slot in the transcript
+                const { data: savedVersion, error: saveError } = await supabase
+                    .from('messages')
+                    .insert({
+                        role: 'assistant',
+                        content: assistantMessageClean,
+                        is_initial: original.is_initial || false,
+                        chat_id: chat.chat_id,
+                        user_id: user.id,
+                        branch_id: original.branch_id || null,
+                        response_id: responseId,
+                        item_id: itemId,
+                        created_at: original.created_at,
+                        version_group_id: groupId,
+                        version_number: versionNumber,
+                        // Activated below together with deactivating the current version
+                        is_active_version: false,
+                        metadata: {
+                            model_variant: modelVariant,
+                            regenerated_from: original.message_id,
+                            ...(citations.length ? { citations } : {}),
+                            ...(reasoning.getSummary() ? { reasoning_summary: reasoning.getSummary() } : {}),
+                            ...(usage ? { usage } : {}),
+                            ...(abortController.signal.aborted ? { status: 'cancelled' } : {}),
+                        },
+                    })
+                    .select()
+                    .single();
+
+                if (saveError) {
+                    console.error("Error saving regenerated message:", saveError);
+                } else {
+                    savedMessageId = savedVersion.message_id;
+                    await activateMessageVersion(groupId, savedVersion.message_id);
+                    stream.send({
+                        event: 'message.version_created',
+                        data: {
+                            message_id: savedVersion.message_id,
+                            version_group_id: groupId,
+                            version_number: versionNumber,
+                        }
+                    });
+
+                    dispatchJob(JOB_TYPES.MEMORY_SUMMARY, { chatId: chat.chat_id, userId: user.id });
+
+                    // Long-term facts only come from replies that finished
+                    if (!abortController.signal.aborted) {
+                        dispatchJob(JOB_TYPES.USER_MEMORY_EXTRACTION, {
+                            userId: user.id,
+                            chatId: chat.chat_id,
+                            messageId: savedMessageId,
+                            userMessage: userMsg.content,
+                            assistantMessage: assistantMessageClean,
+                        });
+                    }
+                }
+            } catch (dbError) {
+                console.error("Error saving regenerated message:", dbError);
+            }
+        }
+
+        recordUsage({
+            userId: user.id,
+            chatId: chat.chat_id,
+            messageId: savedMessageId,
+            operation: OPERATIONS.CHAT_REPLY,
+            usage,
+            responseId,
+        });
+
+        if (abortController.signal.aborted) {
+            sendCancelled(stream, { responseId, messageId: savedMessageId });
+        }
+
+        if (!responseEnded) {
+            responseEnded = true;
+            stream.end();
+        }
+    }
+};
+
+/**
+ * Edit a past user message. The chat forks at that message: later turns stay on the old
+ * branch, and the edited message plus its new reply stream onto a fresh, now active, branch.
+ */
+const editMessage = async ({ message_id, message, instruction_token, lesson_context, model, user, req, res }) => {
+    const source = await findOwnedMessage(message_id, user);
+    if (source.role !== 'user') {
+        throw new ApiError(httpStatus.BAD_REQUEST, "Only user messages can be edited");
+    }
+
+    const branch = await createBranch({ user, sourceMessage: source });
+
+    return sendMessage({
+        message,
+        chat_id: source.chat_id,
+        instruction_token,
+        lesson_context: lesson_context || source.lesson_context,
+        model,
+        branch,
+        user,
+        req,
+        res,
+    });
+};
+
+/**
+ * Switch which version of a regenerated reply is shown and used for conversation memory
+ * @param {string} message_id - Version to select
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} The selected message with its sibling versions
+ */
+const selectMessageVersion = async (message_id, user) => {
+    const message = await findOwnedMessage(message_id, user);
+    if (message.role !== 'assistant') {
+        throw new ApiError(httpStatus.BAD_REQUEST, "Only assistant replies have versions");
+    }
+
+    const groupId = await ensureVersionGroup(message);
+    await activateMessageVersion(groupId, message.message_id);
+
+    const { data: versions, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('version_group_id', groupId)
+        .order('version_number', { ascending: true });
 
-    if (msgError) {
-        throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch messages: ${msgError.message}`);
+    if (error) {
+        throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to load message versions: ${error.message}`);
     }
 
-    return messages || [];
+    const [grouped] = groupMessageVersions(versions || []);
+    return grouped || { ...message, is_active_version: true };
 };
 
-const sendFirstMessage = async ({ message, instruction_token, lesson_context, chat_mode = 'arcoai', model = 'arco', lesson_plan_prompt = false, user, req, res }) => {
+const sendFirstMessage = async ({ message, instruction_token, lesson_context, chat_mode = 'arcoai', model = 'arco', lesson_plan_prompt = false, student_id = null, instrument = null, genre = null, user, req, res }) => {
     console.log('[sendFirstMessage] Starting with params:', {
         messageLength: message?.length,
         instructionTokenLength: instruction_token?.length,
@@ -708,49 +1225,46 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
         userId: user?.id,
     });
 
-    res.writeHead(200, { "Content-type": "text/plain" });
-
     const abortController = new AbortController();
+    const stream = createMessageStream({ userId: user.id, abortController });
+    stream.attach(req, res);
+
     let responseEnded = false;
-    let conversationId = null;
     let chatId = null;
-    let assistantMessage = '';
     let responseId = null;
     let itemId = null;
 
-    const handleAbort = async () => {
-        if (responseEnded) return;
-        abortController.abort();
-        
-        try {
-            if (!res.writableEnded && !responseEnded) {
-                responseEnded = true;
-                res.end();
-            }
-        } catch (err) {
-            console.error("Error ending the response after abort:", err);
-        }
+    // A dropped connection only detaches this response from the stream: generation keeps
+    // running, deltas stay buffered under the response ID, and the client can reattach
+    // through GET /v1/message/stream/:responseId.
+    const handleDisconnect = () => {
+        if (responseEnded || stream.hasSubscribers()) return;
+        console.log('[MessageStream] Client disconnected, continuing generation in background:', {
+            streamId: stream.id,
+            responseId: stream.getResponseId(),
+        });
     };
 
-    req.on("aborted", handleAbort);
-    res.on("close", handleAbort);
+    res.on("close", handleDisconnect);
     res.on("error", (err) => console.error("Response error:", err));
 
     let memoryBrief = { ...DEFAULT_MEMORY_STATE };
     let assistantMessageClean = "";
+    const citations = [];
+    const reasoning = createReasoningCollector();
+    let usage = null;
     let modelVariant = 'arco';
 
     // Helper function to write sanitized UI and accumulate clean text
     const writeUI = (ui) => {
         if (!ui) return;
-        const sanitizedEvent = JSON.stringify({
+        stream.send({
             event: 'content.delta',
             data: {
                 id: 'response',
                 text: ui
             }
-        }) + '\n';
-        res.write(sanitizedEvent);
+        });
         assistantMessageClean += ui;
     };
 
@@ -764,14 +1278,14 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
             message,
             instruction_token,
             chat_mode,
-            promptOverrideId
+            promptOverrideId,
+            student_id
         );
         chatId = chat.chat_id;
-        conversationId = conversation_id;
 
         console.log('[sendFirstMessage] Chat ready:', {
             chatId,
-            conversationId,
+            conversationId: conversation_id,
             isReusedChat,
             chatTitle: chat.title,
         });
@@ -782,7 +1296,7 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
             chat,
             isReusedChat: isReusedChat || false
         };
-        res.write(JSON.stringify(chatCreatedEvent) + '\n');
+        stream.send(chatCreatedEvent);
 
         if (isReusedChat) {
             try {
@@ -794,36 +1308,24 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
 
         // Generate AI title ASYNCHRONOUSLY (don't block response) if this is a new chat with "New Chat" title
         if (chat.title === "New Chat") {
-            // Fire-and-forget async title generation to avoid blocking response
-            getMessageContext(message).then(async (title) => {
-                if (title) {
-                    try {
-                        // Always update the database regardless of response stream status
-                        await supabase
-                            .from('chats')
-                            .update({ title })
-                            .eq('chat_id', chat.chat_id);
-
-                        console.log("Generated chat title:", title);
-
-                        // Only send event if response stream is still open
-                        if (!res.writableEnded && !responseEnded) {
-                            const titleUpdateEvent = {
-                                type: 'chat_title_updated',
-                                chat_id: chat.chat_id,
-                                title: title
-                            };
-                            res.write(JSON.stringify(titleUpdateEvent) + '\n');
-                        } else {
-                            console.log("Title generated but response stream closed - title saved to database");
-                        }
-                    } catch (error) {
-                        console.error("Title update error in sendFirstMessage:", error);
-                    }
+            // Queued so a failed title generation is retried; the first attempt runs right away
+            // without blocking the response
+            dispatchJob(JOB_TYPES.CHAT_TITLE, { chatId: chat.chat_id, userId: user.id, opening: message, instrument, genre }).then((result) => {
+                if (!result?.updated) {
+                    return;
+                }
+                console.log("Generated chat title:", result.title);
+
+                // Only send event if response stream is still open
+                if (!stream.isFinished()) {
+                    stream.send({
+                        type: 'chat_title_updated',
+                        chat_id: chat.chat_id,
+                        title: result.title
+                    });
+                } else {
+                    console.log("Title generated but response stream closed - title saved to database");
                 }
-            }).catch(error => {
-                console.error("Title generation error in sendFirstMessage:", error);
-                // Continue even if title generation fails
             });
         }
 
@@ -832,16 +1334,18 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
         if (model && modelVariant === 'arco' && normalizedModel !== 'arco') {
             console.warn(`[DeepThink] Unsupported model variant "${model}" received for first message, defaulting to "arco"`);
         }
-        const isDeepThink = modelVariant === 'arco-pro';
-
-        const userMessageContent = `${message} ${instruction_token}`;
+        const isLessonPlanChat = !!lesson_plan_prompt || chat.prompt_id === PROMPT_ID_LESSON_PLAN;
+        const userMessageContent = buildUserMessageContent({
+            message,
+            instructionToken: instruction_token,
+            isLessonPlanChat,
+        });
         const userDisplayContent = message; // Clean message for display
-        
+
         console.log('[Backend sendFirstMessage] Prepared user input:', {
             originalMessage: message,
             instructionToken: instruction_token || '(empty)',
             instructionTokenLength: instruction_token ? instruction_token.length : 0,
-            finalPrompt: userMessageContent,
             finalPromptLength: userMessageContent.length,
             hasLessonContext: !!lesson_context,
             chatMode: chat_mode,
@@ -868,282 +1372,64 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
             throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to save user message: ${msgError.message}`);
         }
 
-        let memoryBlock = "";
-        try {
-            const memoryContext = await buildMemoryContext({
-                chatId,
-                userId: user.id,
+        const {
+            promptId,
+            responseOptions,
+            vectorSearchResults,
+            memoryBrief: assembledBrief,
+        } = await prepareReply({
+            label: 'sendFirstMessage.main',
+            chatId,
+            chatMode: chat_mode,
+            userId: user.id,
+            message: userDisplayContent,
+            instructionToken: instruction_token,
+            lessonContext: lesson_context,
+            modelVariant,
+            isLessonPlanChat,
+            isLessonPlanTurn: !!lesson_plan_prompt,
+            lessonPlanFullContext: lesson_plan_prompt ? userMessageContent : null,
+            memory: {
                 excludeMessageIds: userMsg?.message_id ? [userMsg.message_id] : [],
-            });
-            memoryBrief = memoryContext.brief || { ...DEFAULT_MEMORY_STATE };
-            memoryBlock = memoryContext.memoryText || "";
-            console.log('[Conversation Memory] (first message) Block tokens:', approxTokens(memoryBlock));
-        } catch (memoryError) {
-            console.error('[Conversation Memory] Failed to prepare first-message context:', memoryError);
-            memoryBrief = { ...DEFAULT_MEMORY_STATE };
-            memoryBlock = "";
-        }
-
-        const contextualSegments = [];
-        if (memoryBlock) {
-            contextualSegments.push(memoryBlock);
-        }
-
-        let promptId = PROMPT_ID;
-        let promptInstructions = PROMPT_INSTRUCTIONS;
-        let vectorSearchResults = [];
-
-        if (lesson_plan_prompt) {
-            promptId = PROMPT_ID_LESSON_PLAN || promptId;
-            // Prefer lesson-plan instructions if supplied; otherwise let the prompt's default handle it.
-            promptInstructions = PROMPT_INSTRUCTIONS_LESSON_PLAN || null;
-            console.log('[sendFirstMessage] Using lesson plan prompt:', {
-                promptId,
-                hasPromptInstructions: !!promptInstructions,
-                PROMPT_ID_LESSON_PLAN_env: PROMPT_ID_LESSON_PLAN,
-            });
-        } else if (chat_mode === 'personal_lessons') {
-            promptId = PROMPT_ID_PERSONAL_LESSONS;
-            promptInstructions = PROMPT_INSTRUCTIONS_PERSONAL_LESSONS;
-
-            vectorSearchResults = await searchVectorStore(user.id, userDisplayContent, 5);
-
-            if (vectorSearchResults.length > 0) {
-                const formatted = vectorSearchResults.map((result, index) => {
-                    const attributes = result.attributes || {};
-                    const title = attributes.title || attributes.lesson_title || attributes.name || `Source ${index + 1}`;
-                    const lessonId = attributes.lesson_id || attributes.lessonId;
-                    const date = attributes.date || attributes.lesson_date;
-
-                    const rawContentArray = Array.isArray(result.content) ? result.content : [];
-                    const extractedText = rawContentArray
-                        .map((chunk) => chunk?.text || chunk?.value || '')
-                        .filter(Boolean)
-                        .join('\n');
-
-                    const fallbackText = typeof result.content === 'string' ? result.content : '';
-                    const combinedText = (extractedText || fallbackText || '[No excerpt available]').trim();
-                    const truncatedText = combinedText.length > 600 ? `${combinedText.substring(0, 600)}…` : combinedText;
-
-                    const headerParts = [title];
-                    if (lessonId) headerParts.push(`ID: ${lessonId}`);
-                    if (date) headerParts.push(`Date: ${date}`);
-
-                    return `${headerParts.join(' • ')}\n${truncatedText}`;
-                }).join('\n\n');
-
-                contextualSegments.push(`Relevant lesson excerpts:\n${formatted}`);
-            } else {
-                console.log(`[VectorStore] No personal lesson matches found for user ${user.id} (new chat ${chatId})`);
-            }
-
-            if (isDeepThink) {
-                const deepDivePromptId = PROMPT_ID_PERSONAL_LESSONS_DEEPDIVE || PROMPT_ID_DEEPTHINK;
-                if (deepDivePromptId) {
-                    promptId = deepDivePromptId;
-                }
-
-                if (deepDivePromptId === PROMPT_ID_PERSONAL_LESSONS_DEEPDIVE) {
-                    promptInstructions = PROMPT_INSTRUCTIONS_PERSONAL_LESSONS_DEEPDIVE || promptInstructions;
-                } else {
-                    promptInstructions = PROMPT_INSTRUCTIONS_DEEPTHINK || promptInstructions;
-                }
-            }
-        } else if (isDeepThink) {
-            promptId = PROMPT_ID_DEEPTHINK || PROMPT_ID;
-            promptInstructions = PROMPT_INSTRUCTIONS_DEEPTHINK || promptInstructions;
-        }
-
-        contextualSegments.push(userMessageContent);
-        const contextualInput = contextualSegments.filter(Boolean).join('\n\n');
-
-        logLLMInput('sendFirstMessage.main', contextualInput, {
-            chat_id: chatId,
-            prompt_id: promptId,
-            chat_mode: chat_mode,
-            model_variant: modelVariant,
+            },
+            logSuffix: ' (first message)',
         });
-
-        console.log('[Conversation Context] (first message) Memory tokens:', approxTokens(memoryBlock));
-        console.log('[Conversation Context] (first message) Total context tokens:', approxTokens(contextualInput));
-
-        // OpenAI metadata fields have a 512 char limit, so store only a summary
-        const lessonContextSummary = lesson_context && lesson_context.length > 0
-            ? `${lesson_context.length} lessons`
-            : null;
-
-        const metadataPayload = {
-            model_variant: modelVariant,
-            ...(lessonContextSummary ? { lesson_context: lessonContextSummary } : {})
-        };
-
-        let responseOptions;
-
-        if (chat_mode === 'personal_lessons') {
-            const promptReference = promptId ? { id: promptId } : null;
-
-            const overrideInstructions = (promptInstructions || '').trim();
-            const personalInput = overrideInstructions
-                ? `${overrideInstructions}\n\n${contextualInput}`
-                : contextualInput;
-
-            console.log('[OpenAI API] About to call with memory context (first message):', {
-                chatMode: chat_mode,
-                modelVariant,
-                prompt_id: promptId,
-                inputLength: personalInput.length,
-                retrievalMode: `manual_lookup:${vectorSearchResults.length}`,
-                usingPromptReference: !!promptReference
-            });
-
-            responseOptions = {
-                model: OPENAI_MODEL,
-                input: personalInput,
-                stream: true,
-                store: true,
-                include: ['reasoning.encrypted_content', 'web_search_call.action.sources'],
-                text: { format: { type: 'text' } },
-                reasoning: { effort: 'low', summary: 'auto' },
-                metadata: metadataPayload
-            };
-
-            if (promptReference) {
-                responseOptions.prompt = promptReference;
-            }
-        } else {
-            console.log('[OpenAI API] About to call with memory context (first message):', {
-                chatMode: chat_mode,
-                modelVariant,
-                prompt_id: promptId,
-                inputLength: contextualInput.length,
-                retrievalMode: 'prompt_reference'
-            });
-
-            responseOptions = {
-                prompt: { id: promptId },
-                input: contextualInput,
-                stream: true,
-                store: true,
-                include: ['reasoning.encrypted_content', 'web_search_call.action.sources'],
-                text: { format: { type: 'text' } },
-                reasoning: { effort: 'low', summary: 'auto' },
-                metadata: metadataPayload
-            };
-        }
-
-        // Log full input being sent to OpenAI for debugging (first message)
-        console.log('[OpenAI API] Full input being sent (first message):', {
-            promptId,
-            fullInput: contextualInput,
-            inputCharCount: contextualInput.length,
-            inputTokenApprox: approxTokens(contextualInput)
+        memoryBrief = assembledBrief;
+
+        const responseStream = await openaiClient.responses.create(responseOptions, { signal: abortController.signal });
+
+        await pipeResponseStream({
+            responseStream,
+            stream,
+            abortController,
+            onText: writeUI,
+            onResponseId: (id) => { responseId = id; },
+            onOutputItem: (id) => { itemId = id; },
+            citationSources: vectorSearchResults,
+            onCitation: (citation) => citations.push(citation),
+            reasoning: modelVariant === 'arco-pro' ? reasoning : null,
+            onResponseCompleted: (response) => {
+                usage = summarizeUsage({ usage: response.usage, model: response.model, promptId, modelVariant });
+            },
         });
 
-        const responseStream = await openaiClient.responses.create(responseOptions);
-
-        // Process streaming response
-        let isFirstEvent = true;
-        for await (const event of responseStream) {
-            if (res.writableEnded || abortController.signal.aborted) break;
-
-            // Log the first event to see what we're actually getting
-            if (isFirstEvent) {
-                console.log('[OpenAI API] First response event received:', {
-                    eventType: event.type || event.event,
-                    eventKeys: Object.keys(event),
-                    promptUsed: event.prompt_id || event.prompt?.id || 'unknown',
-                    versionUsed: event.prompt_version || event.prompt?.version || 'unknown'
-                });
-                isFirstEvent = false;
-            }
-
-            // Process events by type
-            const eventType = event.type || event.event;
-
-            if (eventType === 'response.output_text.delta' || eventType === 'output_text.delta' || eventType === 'content.delta') {
-                // Delta events: strip citations and forward to UI
-                const rawText = stripCitations(getTextDelta(event));
-                if (rawText) {
-                    writeUI(rawText);
-                }
-                continue;  // DO NOT also write the raw delta event
-
-            } else if (eventType === 'response.created' || eventType === 'response.started') {
-                // Created/Started events: forward as-is
-                responseId = event.response?.id || event.id;
-                const eventData = formatResponseEventForFrontend(event);
-                if (eventData) res.write(eventData);
-
-            } else if (eventType === 'response.completed' || eventType === 'response.done') {
-                // Never forward model text from completed; sanitize if present
-                const safe = { ...event };
-                if (safe.response?.output_text) {
-                    safe.response.output_text.delta = "";
-                    safe.response.output_text.text = "";
-                    safe.response.output_text.final = "";
-                }
-                const eventData = formatResponseEventForFrontend(safe);
-                if (eventData) res.write(eventData);
-
-            } else {
-                // Forward non-text events as-is
-                const eventData = formatResponseEventForFrontend(event);
-                if (eventData) res.write(eventData);
-            }
-        }
-
         console.log('[sendFirstMessage] Stream loop completed:', {
             assistantMessageLength: assistantMessageClean.length,
             responseEnded,
             wasAborted: abortController.signal.aborted,
         });
     } catch (error) {
-        console.error("Error in sendFirstMessage:", error);
-        
-        // Determine error type and create appropriate response
-        let errorMessage = error.message;
-        let errorCode = 'UNKNOWN_ERROR';
-        
-        if (error.status === 400) {
-            errorCode = 'BAD_REQUEST';
-            // For OpenAI API errors, use the specific error message
-            errorMessage = error.message || 'Invalid request. Please check your message and try again.';
-        } else if (error.status === 401) {
-            errorCode = 'UNAUTHORIZED';
-            errorMessage = error.message || 'Authentication failed. Please check your API configuration.';
-        } else if (error.status === 402) {
-            errorCode = 'QUOTA_EXCEEDED';
-            errorMessage = error.message || 'API quota exceeded. Please try again later.';
-        } else if (error.status === 429) {
-            errorCode = 'RATE_LIMITED';
-            errorMessage = error.message || 'Too many requests. Please slow down and try again.';
-        } else if (error.status >= 500) {
-            errorCode = 'SERVER_ERROR';
-            errorMessage = error.message || 'Server error occurred. Please try again.';
-        } else if (error.code === 'ECONNABORTED') {
-            errorCode = 'TIMEOUT';
-            errorMessage = 'Request timed out. Please try again.';
-        } else if (error.name === 'AbortError') {
-            errorCode = 'ABORTED';
-            errorMessage = 'Request was cancelled.';
-        }
-        
-        // Send structured error to frontend
-        const errorEvent = JSON.stringify({
-            event: 'error',
-            data: { 
-                message: errorMessage,
-                code: errorCode,
-                details: process.env.NODE_ENV === 'development' ? error.message : undefined
-            }
-        }) + '\n';
-        
-        if (!res.writableEnded) {
-            res.write(errorEvent);
+        if (abortController.signal.aborted) {
+            console.log('[sendFirstMessage] Generation cancelled:', { responseId });
+        } else {
+            console.error("Error in sendFirstMessage:", error);
+            sendStreamError(stream, error);
         }
     } finally {
+        let savedMessageId = null;
+
         // Save assistant message and trigger background summarization setup
-        if (assistantMessageClean && !abortController.signal.aborted && chatId) {
+        if (assistantMessageClean && chatId) {
             try {
                 const assistantPayload = {
                     role: 'assistant',
@@ -1155,6 +1441,10 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
                     item_id: itemId,
                     metadata: {
                         model_variant: modelVariant,
+                        ...(citations.length ? { citations } : {}),
+                        ...(reasoning.getSummary() ? { reasoning_summary: reasoning.getSummary() } : {}),
+                        ...(usage ? { usage } : {}),
+                        ...(abortController.signal.aborted ? { status: 'cancelled' } : {}),
                     },
                 };
 
@@ -1165,28 +1455,60 @@ const sendFirstMessage = async ({ message, instruction_token, lesson_context, ch
                     item_id: itemId,
                 });
 
-                const { error: saveError } = await supabase
+                const { data: savedAssistant, error: saveError } = await supabase
                     .from('messages')
-                    .insert(assistantPayload);
+                    .insert(assistantPayload)
+                    .select('message_id')
+                    .single();
+                savedMessageId = savedAssistant?.message_id || null;
 
                 if (saveError) {
                     console.error("Error saving assistant message:", saveError);
                 } else if (memoryBrief) {
-                    maybeUpdateGlobalSummary({ chatId, userId: user.id, brief: memoryBrief })
-                        .catch((summaryError) => {
-                            console.error('[Conversation Memory] Failed to summarize chunk (first message):', summaryError);
-                        });
+                    dispatchJob(JOB_TYPES.MEMORY_SUMMARY, { chatId, userId: user.id });
+                }
+
+                if (!saveError && !abortController.signal.aborted) {
+                    dispatchJob(JOB_TYPES.USER_MEMORY_EXTRACTION, {
+                        userId: user.id,
+                        chatId,
+                        messageId: savedMessageId,
+                        userMessage: message,
+                        assistantMessage: assistantMessageClean,
+                    });
                 }
             } catch (dbError) {
                 console.error("Error saving assistant message:", dbError);
             }
         }
 
-        if (!responseEnded && !res.writableEnded) {
+        recordUsage({
+            userId: user.id,
+            chatId,
+            messageId: savedMessageId,
+            operation: OPERATIONS.CHAT_REPLY,
+            usage,
+            responseId,
+        });
+
+        if (abortController.signal.aborted) {
+            sendCancelled(stream, { responseId, messageId: savedMessageId });
+        }
+
+        if (!responseEnded) {
             responseEnded = true;
-            res.end();
+            stream.end();
         }
     }
 };
 
-module.exports = { sendMessage, findAllMessages, sendFirstMessage, selectPromptConfig };
+module.exports = {
+    sendMessage,
+    findAllMessages,
+    sendFirstMessage,
+    selectPromptConfig,
+    regenerateMessage,
+    editMessage,
+    selectMessageVersion,
+    groupMessageVersions,
+};
@@ -0,0 +1,457 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * MessageStream
+ * Transport layer for streamed assistant replies. Every event is buffered
+ * under a stream ID (and, once known, the OpenAI response ID) so a dropped
+ * client can replay what it missed while generation keeps running server-side.
+ *
+ * Two wire formats are supported:
+ * - ndjson (default): one JSON payload per line over text/plain (mobile app)
+ * - sse: text/event-stream frames with `id:` fields, selected via `Accept: text/event-stream`
+ *
+ * Running generations are also recorded in active_generations, so a cancel that reaches another
+ * API instance is picked up by the instance streaming the reply on its next poll.
+ */
+
+const streamingConfig = config.streaming || {};
+const REPLAY_TTL_MS = (streamingConfig.replayTtlSeconds || 300) * 1000;
+const HEARTBEAT_INTERVAL_MS = (streamingConfig.heartbeatSeconds || 15) * 1000;
+const CANCEL_POLL_INTERVAL_MS = (streamingConfig.cancelPollSeconds || 2) * 1000;
+// Rows older than this belong to an instance that stopped mid-generation
+const MAX_GENERATION_AGE_MS = 30 * 60 * 1000;
+const STALE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const TRANSPORT_NDJSON = 'ndjson';
+const TRANSPORT_SSE = 'sse';
+
+const streams = new Map();
+const responseIndex = new Map(); // OpenAI response ID -> stream ID
+const activeGenerations = new Map(); // OpenAI response ID -> { userId, abortController } while generating
+let cancelPoll = null;
+let lastStaleSweep = 0;
+
+const recordGeneration = async (responseId, userId) => {
+  const { error } = await supabase
+    .from('active_generations')
+    .upsert({ response_id: responseId, user_id: userId, instance_id: INSTANCE_ID }, { onConflict: 'response_id' });
+  if (error) {
+    console.error('[MessageStream] Failed to record generation; cancels from other instances will miss it', {
+      responseId,
+      error,
+    });
+  }
+};
+
+const forgetGeneration = async (responseId) => {
+  const { error } = await supabase.from('active_generations').delete().eq('response_id', responseId);
+  if (error) {
+    console.error('[MessageStream] Failed to remove finished generation', { responseId, error });
+  }
+};
+
+// Delete rows left behind by instances that stopped mid-generation
+const sweepStaleGenerations = async () => {
+  const { error } = await supabase
+    .from('active_generations')
+    .delete()
+    .lt('started_at', new Date(Date.now() - MAX_GENERATION_AGE_MS).toISOString());
+  if (error) {
+    console.error('[MessageStream] Failed to remove stale generations', { error });
+  }
+};
+
+const stopCancelPollIfIdle = () => {
+  if (cancelPoll && !activeGenerations.size) {
+    clearInterval(cancelPoll);
+    cancelPoll = null;
+  }
+};
+
+const abortLocalGeneration = (responseId) => {
+  const generation = activeGenerations.get(responseId);
+  if (!generation) {
+    return;
+  }
+  activeGenerations.delete(responseId);
+  stopCancelPollIfIdle();
+  generation.abortController.abort();
+};
+
+// Abort this instance's generations that were cancelled through another instance
+const pollCancellations = async () => {
+  if (!activeGenerations.size) {
+    stopCancelPollIfIdle();
+    return;
+  }
+
+  if (Date.now() - lastStaleSweep >= STALE_SWEEP_INTERVAL_MS) {
+    lastStaleSweep = Date.now();
+    await sweepStaleGenerations();
+  }
+
+  const { data, error } = await supabase
+    .from('active_generations')
+    .select('response_id')
+    .in('response_id', Array.from(activeGenerations.keys()))
+    .not('cancel_requested_at', 'is', null);
+
+  if (error) {
+    console.error('[MessageStream] Failed to check for cancelled generations', { error });
+    return;
+  }
+  (data || []).forEach((row) => abortLocalGeneration(row.response_id));
+};
+
+const startCancelPoll = () => {
+  if (cancelPoll) {
+    return;
+  }
+  cancelPoll = setInterval(pollCancellations, CANCEL_POLL_INTERVAL_MS);
+  if (typeof cancelPoll.unref === 'function') {
+    cancelPoll.unref();
+  }
+};
+
+/**
+ * Pick the wire format from the request's Accept header
+ * @param {Object} req - Express request
+ * @returns {'ndjson'|'sse'}
+ */
+const resolveTransport = (req) => {
+  const accept = (req?.headers?.accept || '').toLowerCase();
+  return accept.includes('text/event-stream') ? TRANSPORT_SSE : TRANSPORT_NDJSON;
+};
+
+const formatEventId = (streamId, seq) => `${streamId}:${seq}`;
+
+/**
+ * Parse a `Last-Event-ID` value of the form `<streamId>:<seq>`
+ * @param {string} value - Raw header value
+ * @returns {{streamId: string, seq: number}|null}
+ */
+const parseEventId = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const separator = value.lastIndexOf(':');
+  if (separator <= 0) {
+    return null;
+  }
+  const streamId = value.slice(0, separator).trim();
+  const seq = Number.parseInt(value.slice(separator + 1), 10);
+  if (!streamId || !Number.isInteger(seq) || seq < 0) {
+    return null;
+  }
+  return { streamId, seq };
+};
+
+const getEventName = (payload) => payload?.event || payload?.type || 'message';
+
+const formatNdjsonFrame = (payload) => `${JSON.stringify(payload)}\n`;
+
+const formatSseFrame = (streamId, seq, payload) =>
+  `id: ${formatEventId(streamId, seq)}\nevent: ${getEventName(payload)}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+const openResponse = (res, transport) => {
+  if (transport === TRANSPORT_SSE) {
+    // no-transform also keeps the compression middleware from buffering frames
+    res.writeHead(httpStatus.OK, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    return;
+  }
+  res.writeHead(httpStatus.OK, { 'Content-type': 'text/plain' });
+};
+
+const writeFrame = (subscriber, streamId, seq, payload) => {
+  const { res, transport } = subscriber;
+  if (res.writableEnded) {
+    return;
+  }
+  const frame = transport === TRANSPORT_SSE ? formatSseFrame(streamId, seq, payload) : formatNdjsonFrame(payload);
+  res.write(frame);
+};
+
+/**
+ * Create a buffered stream for one assistant generation
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the stream (only they may resume or cancel it)
+ * @param {AbortController} [params.abortController] - Aborts the generation when cancelled
+ * @returns {Object} Stream handle
+ */
+const createMessageStream = ({ userId, abortController = null }) => {
+  const id = uuidv4();
+  const events = [];
+  const subscribers = new Set();
+  let nextSeq = 1;
+  let finished = false;
+  let responseId = null;
+  let recording = null; // Insert into active_generations, awaited before the row is removed
+
+  const removeSubscriber = (subscriber) => {
+    if (subscriber.heartbeat) {
+      clearInterval(subscriber.heartbeat);
+      subscriber.heartbeat = null;
+    }
+    subscribers.delete(subscriber);
+  };
+
+  const endSubscriber = (subscriber) => {
+    removeSubscriber(subscriber);
+    try {
+      if (!subscriber.res.writableEnded) {
+        subscriber.res.end();
+      }
+    } catch (err) {
+      console.error('[MessageStream] Error ending subscriber response:', err);
+    }
+  };
+
+  const stream = {
+    id,
+    userId,
+
+    /**
+     * Attach an HTTP response, replaying buffered events after `afterSeq`
+     * @param {Object} req - Express request (used for transport negotiation)
+     * @param {Object} res - Express response
+     * @param {Object} [options]
+     * @param {number} [options.afterSeq=0] - Last sequence number the client has seen
+     * @returns {Object} Subscriber handle
+     */
+    attach(req, res, { afterSeq = 0 } = {}) {
+      const subscriber = { res, transport: resolveTransport(req), heartbeat: null };
+      openResponse(res, subscriber.transport);
+
+      events
+        .filter((entry) => entry.seq > afterSeq)
+        .forEach((entry) => writeFrame(subscriber, id, entry.seq, entry.payload));
+
+      if (finished) {
+        endSubscriber(subscriber);
+        return subscriber;
+      }
+
+      subscribers.add(subscriber);
+      res.on('close', () => removeSubscriber(subscriber));
+
+      if (subscriber.transport === TRANSPORT_SSE) {
+        subscriber.heartbeat = setInterval(() => {
+          if (!res.writableEnded) {
+            res.write(': keep-alive\n\n');
+          }
+        }, HEARTBEAT_INTERVAL_MS);
+        if (typeof subscriber.heartbeat.unref === 'function') {
+          subscriber.heartbeat.unref();
+        }
+      }
+
+      return subscriber;
+    },
+
+    /**
+     * Buffer an event and fan it out to every attached response
+     * @param {Object} payload - Event payload ({ event, data } or legacy { type, ... })
+     * @returns {number|null} Sequence number, or null once the stream has ended
+     */
+    send(payload) {
+      if (finished || !payload) {
+        return null;
+      }
+      const seq = nextSeq;
+      nextSeq += 1;
+      events.push({ seq, payload });
+      subscribers.forEach((subscriber) => writeFrame(subscriber, id, seq, payload));
+      return seq;
+    },
+
+    /**
+     * Register the OpenAI response ID so clients can reattach with it
+     * @param {string} value - Response ID from the `response.created` event
+     */
+    bindResponseId(value) {
+      if (!value || responseId === value) {
+        return;
+      }
+      responseId = value;
+      responseIndex.set(value, id);
+      if (abortController && !finished) {
+        activeGenerations.set(value, { userId, abortController });
+        recording = recordGeneration(value, userId);
+        startCancelPoll();
+      }
+    },
+
+    getResponseId() {
+      return responseId;
+    },
+
+    hasSubscribers() {
+      return subscribers.size > 0;
+    },
+
+    isFinished() {
+      return finished;
+    },
+
+    /**
+     * Close every attached response and keep the buffer around for late resumes
+     */
+    end() {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (responseId) {
+        activeGenerations.delete(responseId);
+        stopCancelPollIfIdle();
+      }
+      if (recording) {
+        // Deleting before the insert lands would leave the row behind
+        const forget = () => forgetGeneration(responseId);
+        recording.then(forget, forget);
+      }
+      Array.from(subscribers).forEach(endSubscriber);
+
+      const eviction = setTimeout(() => {
+        streams.delete(id);
+        if (responseId && responseIndex.get(responseId) === id) {
+          responseIndex.delete(responseId);
+        }
+      }, REPLAY_TTL_MS);
+      if (typeof eviction.unref === 'function') {
+        eviction.unref();
+      }
+    },
+  };
+
+  streams.set(id, stream);
+  return stream;
+};
+
+/**
+ * Look up a buffered stream owned by the given user
+ * @param {string} streamId - Stream ID
+ * @param {string} userId - Requesting user's ID
+ * @returns {Object|null}
+ */
+const getMessageStream = (streamId, userId) => {
+  const stream = streams.get(streamId);
+  if (!stream || stream.userId !== userId) {
+    return null;
+  }
+  return stream;
+};
+
+/**
+ * Look up a buffered stream by OpenAI response ID (falling back to the stream ID)
+ * @param {string} id - Response ID or stream ID
+ * @param {string} userId - Requesting user's ID
+ * @returns {Object|null}
+ */
+const findMessageStream = (id, userId) => {
+  const streamId = responseIndex.get(id) || id;
+  return getMessageStream(streamId, userId);
+};
+
+/**
+ * Re-subscribe to an in-flight (or recently finished) generation
+ * @param {Object} params
+ * @param {string} params.responseId - OpenAI response ID (or stream ID)
+ * @param {string} [params.lastEventId] - Optional `Last-Event-ID` to skip already-received events
+ * @param {Object} params.user - Authenticated user
+ * @param {Object} params.req - Express request
+ * @param {Object} params.res - Express response
+ */
+const reattachMessageStream = ({ responseId, lastEventId, user, req, res }) => {
+  const stream = findMessageStream(responseId, user.id);
+  if (!stream) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Stream has expired or does not exist');
+  }
+
+  const parsed = parseEventId(lastEventId);
+  const afterSeq = parsed && parsed.streamId === stream.id ? parsed.seq : 0;
+  stream.attach(req, res, { afterSeq });
+  return stream;
+};
+
+/**
+ * Reattach a client that reconnected with a `Last-Event-ID` header
+ * @param {Object} params
+ * @param {string} params.lastEventId - Header value (`<streamId>:<seq>`)
+ * @param {Object} params.user - Authenticated user
+ * @param {Object} params.req - Express request
+ * @param {Object} params.res - Express response
+ */
+const resumeMessageStream = ({ lastEventId, user, req, res }) => {
+  const parsed = parseEventId(lastEventId);
+  if (!parsed) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid Last-Event-ID');
+  }
+
+  const stream = getMessageStream(parsed.streamId, user.id);
+  if (!stream) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Stream has expired or does not exist');
+  }
+
+  stream.attach(req, res, { afterSeq: parsed.seq });
+  return stream;
+};
+
+/**
+ * Abort a running generation, wherever it was started from. Generations streamed by this
+ * instance stop immediately; others stop when their instance next polls active_generations.
+ * @param {Object} params
+ * @param {string} params.responseId - OpenAI response ID
+ * @param {Object} params.user - Authenticated user
+ * @returns {Promise<'cancelled'|'cancel_requested'>}
+ */
+const cancelGeneration = async ({ responseId, user }) => {
+  const generation = activeGenerations.get(responseId);
+  if (generation && generation.userId === user.id) {
+    abortLocalGeneration(responseId);
+    return 'cancelled';
+  }
+
+  const { data, error } = await supabase
+    .from('active_generations')
+    .update({ cancel_requested_at: new Date().toISOString() })
+    .eq('response_id', responseId)
+    .eq('user_id', user.id)
+    .gte('started_at', new Date(Date.now() - MAX_GENERATION_AGE_MS).toISOString())
+    .select('response_id');
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to cancel generation: ${error.message}`);
+  }
+  if (!data || !data.length) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'No running generation for this response');
+  }
+
+  return 'cancel_requested';
+};
+
+module.exports = {
+  TRANSPORT_NDJSON,
+  TRANSPORT_SSE,
+  resolveTransport,
+  parseEventId,
+  formatNdjsonFrame,
+  formatSseFrame,
+  createMessageStream,
+  getMessageStream,
+  findMessageStream,
+  reattachMessageStream,
+  resumeMessageStream,
+  cancelGeneration,
+};
@@ -0,0 +1,74 @@
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+
+const HEALTH_TIMEOUT_MS = 5000;
+
+const statusFor = (status) => {
+  if (status === 503) return httpStatus.SERVICE_UNAVAILABLE;
+  if (status === 408) return httpStatus.REQUEST_TIMEOUT;
+  if (status === 400) return httpStatus.BAD_REQUEST;
+  return httpStatus.INTERNAL_SERVER_ERROR;
+};
+
+/**
+ * POST HTML to pdf-service `/generate` with the configured URL and timeout
+ * @param {Object} params
+ * @param {string} params.html - Full HTML document
+ * @param {string} [params.title] - Used by pdf-service for the download filename
+ * @returns {Promise<Response>} pdf-service's response as is, whatever its status
+ */
+const requestPdf = ({ html, title }) =>
+  fetch(`${config.pdf.serviceUrl}/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ html, title }),
+    signal: AbortSignal.timeout(config.pdf.timeoutSeconds * 1000),
+  });
+
+/**
+ * Render HTML to PDF through pdf-service `/generate`
+ * @param {Object} params
+ * @param {string} params.html - Full HTML document
+ * @param {string} [params.title] - Used by pdf-service for the download filename
+ * @returns {Promise<Buffer>}
+ */
+const generatePdf = async ({ html, title }) => {
+  let response;
+  try {
+    response = await requestPdf({ html, title });
+  } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw new ApiError(httpStatus.REQUEST_TIMEOUT, 'PDF generation timeout');
+    }
+    throw new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'PDF service unavailable');
+  }
+
+  if (!response.ok) {
+    let message = 'PDF generation failed';
+    try {
+      const errorData = await response.json();
+      message = errorData.error || message;
+    } catch {
+      // keep the generic message
+    }
+    throw new ApiError(statusFor(response.status), message);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * GET pdf-service `/health`
+ * @returns {Promise<Response>} pdf-service's response as is, whatever its status
+ */
+const requestPdfServiceHealth = () =>
+  fetch(`${config.pdf.serviceUrl}/health`, {
+    signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS),
+  });
+
+module.exports = {
+  requestPdf,
+  generatePdf,
+  requestPdfServiceHealth,
+};
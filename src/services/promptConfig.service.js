@@ -75,6 +75,49 @@ class PromptConfigService {
     }
   }
 
+  applyTitleVars(template, instrument, genre) {
+    const instrumentConfig =
+      this.config.prompts.summarization.instruments[instrument] ||
+      this.config.prompts.summarization.instruments.violin;
+    const genreConfig =
+      this.config.prompts.summarization.genres[genre] || this.config.prompts.summarization.genres.classical;
+    const titleVars = genreConfig.titleVars || {};
+
+    return (
+      template
+        .replace(/\{\{INSTRUMENT\}\}/g, instrumentConfig.displayName.toLowerCase())
+        .replace(/\{\{LABEL_TYPE\}\}/g, titleVars.labelType || 'pieces or technical topics')
+        .replace(/\{\{SINGULAR_LABEL\}\}/g, titleVars.singularLabel || 'piece')
+        .replace(/\{\{PLURAL_LABEL\}\}/g, titleVars.pluralLabel || 'pieces')
+        .replace(/\{\{LABEL_FORMAT\}\}/g, titleVars.labelFormat || '')
+        .replace(/\{\{EXAMPLE_FORMAT\}\}/g, titleVars.exampleFormat || '')
+        .replace(/\{\{TECHNIQUE_EXAMPLES\}\}/g, titleVars.techniqueExamples || '')
+        // Empty examples leave "mentioned ." behind
+        .replace(/ +([.,])/g, '$1')
+    );
+  }
+
+  generateTitlePrompt(instrument = 'violin', genre = 'classical', studentName = null) {
+    const { base, withStudent } = this.config.prompts.titleGeneration;
+    let prompt = this.applyTitleVars(base, instrument, genre);
+
+    if (studentName) {
+      prompt = `${prompt}\n\n${withStudent.replace(/\{\{STUDENT_NAME\}\}/g, studentName)}`;
+    }
+
+    logger.debug(`[PromptConfigService] Generated title prompt for ${instrument}/${genre}`);
+    return prompt;
+  }
+
+  generateChatTitlePrompt(instrument = 'violin', genre = 'classical') {
+    logger.debug(`[PromptConfigService] Generated chat title prompt for ${instrument}/${genre}`);
+    return this.applyTitleVars(this.config.prompts.titleGeneration.chat, instrument, genre);
+  }
+
+  getMemoryExtractionPrompt() {
+    return this.config.prompts.memoryExtraction.base;
+  }
+
   isValidInstrument(instrument) {
     return Boolean(instrument && this.config.prompts.summarization.instruments[instrument]);
   }
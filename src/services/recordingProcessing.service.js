@@ -4,6 +4,7 @@ const { openaiClient } = require('../config/openai');
 const promptConfigService = require('./promptConfig.service');
 const logger = require('../config/logger');
 const { logLLMInput, logLLMOutput } = require('../utils/llmLogger');
+const { OPERATIONS, summarizeUsage, recordUsage } = require('./usage.service');
 
 const SUMMARIZATION_MODEL = 'gpt-5.1-2025-11-13';
 
@@ -137,7 +138,7 @@ const buildTitle = ({ student, pieces = [], themes = [], maxLength = MAX_TITLE_L
   return content;
 };
 
-const callResponsesApi = async ({ model, instructions, input, options = {} }) => {
+const callResponsesApi = async ({ model, instructions, input, options = {}, userId = null }) => {
   const payload = {
     model,
     instructions,
@@ -151,6 +152,12 @@ const callResponsesApi = async ({ model, instructions, input, options = {} }) =>
   });
 
   const response = await openaiClient.responses.create(payload);
+  recordUsage({
+    userId,
+    operation: OPERATIONS.RECORDING_PROCESSING,
+    usage: summarizeUsage({ usage: response?.usage, model: response?.model || model }),
+    responseId: response?.id,
+  });
   const text = extractOutputText(response);
   if (!text || !text.trim()) {
     throw new ApiError(httpStatus.BAD_GATEWAY, 'OpenAI returned an empty response');
@@ -159,6 +166,30 @@ const callResponsesApi = async ({ model, instructions, input, options = {} }) =>
   return text.trim();
 };
 
+// Title from the titleGeneration prompt; null lets the caller fall back to the structured summary's title
+const generateLessonTitle = async ({ summaryMarkdown, instrument, genre, student, userId = null }) => {
+  try {
+    const text = await callResponsesApi({
+      model: SUMMARIZATION_MODEL,
+      instructions: promptConfigService.generateTitlePrompt(instrument, genre, student),
+      input: summaryMarkdown,
+      userId,
+      options: {
+        text: { verbosity: 'low' },
+        reasoning: { effort: 'low' },
+      },
+    });
+    const firstLine = text
+      .split('\n')
+      .map((line) => line.trim().replace(/^["']+|["']+$/g, ''))
+      .find(Boolean);
+    return firstLine ? firstLine.slice(0, MAX_TITLE_LENGTH) : null;
+  } catch (error) {
+    logger.warn('[RecordingProcessing] Title generation failed, using summary title', error);
+    return null;
+  }
+};
+
 const normalizePreference = (value, validator, fallback) => {
   if (value && validator(value)) {
     return value;
@@ -166,7 +197,7 @@ const normalizePreference = (value, validator, fallback) => {
   return fallback;
 };
 
-const processRecording = async ({ transcript, instrumentPreference, genrePreference }) => {
+const processRecording = async ({ transcript, instrumentPreference, genrePreference, userId = null }) => {
   if (!transcript || typeof transcript !== 'string' || !transcript.trim()) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Transcript is required to process recording');
   }
@@ -189,6 +220,7 @@ const processRecording = async ({ transcript, instrumentPreference, genrePrefere
     model: SUMMARIZATION_MODEL,
     instructions: summaryPrompt,
     input: `Return a JSON object as specified. Transcript follows:\n${transcript}`,
+    userId,
     options: {
       text: { format: { type: 'json_object' }, verbosity: 'low' },
       reasoning: { effort: 'low' },
@@ -203,7 +235,8 @@ const processRecording = async ({ transcript, instrumentPreference, genrePrefere
   }
 
   const studentTag = student || extractStudentFromSummaryMarkdown(summaryMarkdown);
-  const title = structuredTitle || buildTitle({ student: studentTag, pieces, themes });
+  const generatedTitle = await generateLessonTitle({ summaryMarkdown, instrument, genre, student: studentTag, userId });
+  const title = generatedTitle || structuredTitle || buildTitle({ student: studentTag, pieces, themes });
 
   return {
     summary: summaryMarkdown,
@@ -0,0 +1,216 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Students
+ * A teacher's students. Prep-digest and lesson-plan chats (chats.student_chat_type) and lesson
+ * recordings link to a student by student_id, so renaming a student keeps everything attached;
+ * the predictable titles of the student's reusable chats follow the new name.
+ */
+
+const STUDENT_FIELDS = 'student_id, name, notes, created_at, updated_at';
+
+const STUDENT_CHAT_TITLES = {
+  prep_digest: (name) => `Prep digest for ${name}`,
+  lesson_plan: (name) => `Lesson plan for ${name}`,
+};
+
+const isDuplicateName = (error) => error?.code === '23505';
+
+// ilike treats % and _ as wildcards; names are matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Load a student owned by the user
+ * @param {Object} user - Authenticated user
+ * @param {string} studentId
+ * @returns {Promise<Object>}
+ */
+const getStudent = async (user, studentId) => {
+  const { data: student, error } = await supabase
+    .from('students')
+    .select(STUDENT_FIELDS)
+    .eq('student_id', studentId)
+    .eq('user_id', user.id)
+    .single();
+
+  if (error || !student) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Student not found');
+  }
+
+  return student;
+};
+
+/**
+ * Find a student by name, ignoring case
+ * @param {Object} user - Authenticated user
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+const findStudentByName = async (user, name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const { data: students, error } = await supabase
+    .from('students')
+    .select(STUDENT_FIELDS)
+    .eq('user_id', user.id)
+    .ilike('name', escapeLike(trimmed))
+    .limit(1);
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch student: ${error.message}`);
+  }
+
+  return students && students.length ? students[0] : null;
+};
+
+/**
+ * List the user's students alphabetically
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>}
+ */
+const listStudents = async (user) => {
+  const { data: students, error } = await supabase
+    .from('students')
+    .select(STUDENT_FIELDS)
+    .eq('user_id', user.id)
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch students: ${error.message}`);
+  }
+
+  return students || [];
+};
+
+/**
+ * Create a student
+ * @param {Object} user - Authenticated user
+ * @param {Object} body
+ * @param {string} body.name
+ * @param {string} [body.notes]
+ * @returns {Promise<Object>}
+ */
+const createStudent = async (user, { name, notes = null }) => {
+  const { data: student, error } = await supabase
+    .from('students')
+    .insert({ user_id: user.id, name: name.trim(), notes })
+    .select(STUDENT_FIELDS)
+    .single();
+
+  if (isDuplicateName(error)) {
+    throw new ApiError(httpStatus.CONFLICT, 'A student with this name already exists');
+  }
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to create student: ${error.message}`);
+  }
+
+  return student;
+};
+
+/**
+ * Find the student a prep digest or lesson plan names, creating them on first use
+ * @param {Object} user - Authenticated user
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+const findOrCreateStudentByName = async (user, name) => {
+  const existing = await findStudentByName(user, name);
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await createStudent(user, { name });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.statusCode === httpStatus.CONFLICT) {
+      return findStudentByName(user, name);
+    }
+    throw error;
+  }
+};
+
+// Keep the predictable titles of the student's prep-digest and lesson-plan chats in step with their name
+const retitleStudentChats = async (user, student) => {
+  await Promise.all(
+    Object.entries(STUDENT_CHAT_TITLES).map(async ([chatType, titleFor]) => {
+      const { error } = await supabase
+        .from('chats')
+        .update({ title: titleFor(student.name) })
+        .eq('user_id', user.id)
+        .eq('student_id', student.student_id)
+        .eq('student_chat_type', chatType);
+
+      if (error) {
+        console.error('[Students] Failed to retitle student chats', { student_id: student.student_id, error });
+      }
+    })
+  );
+};
+
+/**
+ * Update a student. Renaming keeps all linked chats and recordings attached.
+ * @param {Object} user - Authenticated user
+ * @param {string} studentId
+ * @param {Object} updates - { name?, notes? }
+ * @returns {Promise<Object>}
+ */
+const updateStudent = async (user, studentId, updates) => {
+  const current = await getStudent(user, studentId);
+
+  const payload = { updated_at: new Date().toISOString() };
+  if (updates.name !== undefined) payload.name = updates.name.trim();
+  if (updates.notes !== undefined) payload.notes = updates.notes;
+
+  const { data: student, error } = await supabase
+    .from('students')
+    .update(payload)
+    .eq('student_id', studentId)
+    .eq('user_id', user.id)
+    .select(STUDENT_FIELDS)
+    .single();
+
+  if (isDuplicateName(error)) {
+    throw new ApiError(httpStatus.CONFLICT, 'A student with this name already exists');
+  }
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to update student: ${error.message}`);
+  }
+
+  if (student.name !== current.name) {
+    await retitleStudentChats(user, student);
+  }
+
+  return student;
+};
+
+/**
+ * Delete a student. Their chats and recordings are kept and simply lose the link.
+ * @param {Object} user - Authenticated user
+ * @param {string} studentId
+ */
+const deleteStudent = async (user, studentId) => {
+  await getStudent(user, studentId);
+
+  const { error } = await supabase.from('students').delete().eq('student_id', studentId).eq('user_id', user.id);
+
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to delete student: ${error.message}`);
+  }
+};
+
+module.exports = {
+  STUDENT_CHAT_TITLES,
+  getStudent,
+  findStudentByName,
+  findOrCreateStudentByName,
+  listStudents,
+  createStudent,
+  updateStudent,
+  deleteStudent,
+};
@@ -0,0 +1,249 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const { getModelPricing } = require('../config/pricing');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Usage
+ * Captures the `usage` block OpenAI reports for every call and rolls it up per day,
+ * chat and model variant for GET /v1/usage.
+ */
+
+const OPERATIONS = {
+  CHAT_REPLY: 'chat_reply',
+  TITLE_GENERATION: 'title_generation',
+  MEMORY_SUMMARY: 'memory_summary',
+  MEMORY_EXTRACTION: 'memory_extraction',
+  RECORDING_PROCESSING: 'recording_processing',
+};
+
+const TOKEN_FIELDS = ['input_tokens', 'cached_input_tokens', 'output_tokens', 'reasoning_tokens', 'total_tokens'];
+const PAGE_SIZE = 1000;
+
+const toCount = (value) => (Number.isFinite(value) ? value : 0);
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Estimate the USD cost of a usage block
+ * @param {string} model - Model reported by OpenAI
+ * @param {Object} tokens - Normalized token counts
+ * @returns {number|null} null when the model has no pricing entry
+ */
+const estimateCost = (model, tokens) => {
+  const pricing = getModelPricing(model);
+  if (!pricing) {
+    return null;
+  }
+  const uncachedInput = Math.max(0, tokens.input_tokens - tokens.cached_input_tokens);
+  const cost =
+    (uncachedInput * pricing.input +
+      tokens.cached_input_tokens * pricing.cachedInput +
+      tokens.output_tokens * pricing.output) /
+    1e6;
+  return roundCost(cost);
+};
+
+/**
+ * Normalize an OpenAI Responses API `usage` block into the shape stored on messages
+ * @param {Object} params
+ * @param {Object} params.usage - `response.usage`
+ * @param {string} [params.model] - `response.model`
+ * @param {string} [params.promptId] - Prompt the call was made with
+ * @param {string} [params.modelVariant] - arco / arco-pro for chat replies
+ * @returns {Object|null} null when OpenAI reported no usage
+ */
+const summarizeUsage = ({ usage, model = null, promptId = null, modelVariant = null }) => {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+
+  const tokens = {
+    input_tokens: toCount(usage.input_tokens),
+    cached_input_tokens: toCount(usage.input_tokens_details?.cached_tokens),
+    output_tokens: toCount(usage.output_tokens),
+    reasoning_tokens: toCount(usage.output_tokens_details?.reasoning_tokens),
+    total_tokens: toCount(usage.total_tokens),
+  };
+  if (!tokens.total_tokens) {
+    tokens.total_tokens = tokens.input_tokens + tokens.output_tokens;
+  }
+
+  return {
+    ...tokens,
+    model,
+    prompt_id: promptId,
+    model_variant: modelVariant,
+    cost_usd: estimateCost(model, tokens),
+  };
+};
+
+/**
+ * Persist a usage row. Never throws: accounting must not break the call it measures.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.operation - One of OPERATIONS
+ * @param {Object|null} params.usage - Output of summarizeUsage
+ * @param {string} [params.chatId]
+ * @param {string} [params.messageId]
+ * @param {string} [params.responseId]
+ */
+const recordUsage = async ({ userId, operation, usage, chatId = null, messageId = null, responseId = null }) => {
+  if (!usage || !userId) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase.from('llm_usage').insert({
+      user_id: userId,
+      chat_id: chatId,
+      message_id: messageId,
+      operation,
+      model: usage.model,
+      model_variant: usage.model_variant,
+      prompt_id: usage.prompt_id,
+      response_id: responseId,
+      input_tokens: usage.input_tokens,
+      cached_input_tokens: usage.cached_input_tokens,
+      output_tokens: usage.output_tokens,
+      reasoning_tokens: usage.reasoning_tokens,
+      total_tokens: usage.total_tokens,
+      cost_usd: usage.cost_usd,
+    });
+
+    if (error) {
+      console.error('[Usage] Failed to record usage', { operation, chat_id: chatId, error });
+    }
+  } catch (err) {
+    console.error('[Usage] Unexpected error recording usage', err);
+  }
+};
+
+const emptyTotals = () => ({
+  requests: 0,
+  ...Object.fromEntries(TOKEN_FIELDS.map((field) => [field, 0])),
+  cost_usd: 0,
+});
+
+const addRow = (totals, row) => {
+  totals.requests += 1;
+  TOKEN_FIELDS.forEach((field) => {
+    totals[field] += toCount(Number(row[field]));
+  });
+  totals.cost_usd = roundCost(totals.cost_usd + (Number(row.cost_usd) || 0));
+  return totals;
+};
+
+const rollUp = (rows, keyFor, keyName) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = keyFor(row);
+    if (!groups.has(key)) {
+      groups.set(key, { [keyName]: key, ...emptyTotals() });
+    }
+    addRow(groups.get(key), row);
+  });
+  return Array.from(groups.values());
+};
+
+/**
+ * Aggregate usage rows into totals and per-day / per-chat / per-variant rollups
+ * @param {Array} rows - llm_usage rows
+ * @returns {Object}
+ */
+const buildUsageRollups = (rows = []) => {
+  const totals = rows.reduce(addRow, emptyTotals());
+  const byCost = (a, b) => b.cost_usd - a.cost_usd || b.total_tokens - a.total_tokens;
+
+  return {
+    totals,
+    by_day: rollUp(rows, (row) => String(row.created_at).slice(0, 10), 'date').sort((a, b) => a.date.localeCompare(b.date)),
+    by_chat: rollUp(
+      rows.filter((row) => row.chat_id),
+      (row) => row.chat_id,
+      'chat_id'
+    ).sort(byCost),
+    // Background calls have no variant; they are reported under their operation name
+    by_variant: rollUp(rows, (row) => row.model_variant || row.operation, 'model_variant').sort(byCost),
+  };
+};
+
+const fetchUsageRows = async (userId, { from, to, chatId }) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('llm_usage')
+      .select('chat_id, operation, model_variant, created_at, cost_usd, ' + TOKEN_FIELDS.join(', '))
+      .eq('user_id', userId)
+      .gte('created_at', from)
+      .lt('created_at', to);
+
+    if (chatId) {
+      query = query.eq('chat_id', chatId);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: true }).range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch usage: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+/**
+ * Usage rollups for a user over a date range (defaults to the last 30 days)
+ * @param {Object} user - Authenticated user
+ * @param {Object} [filters]
+ * @param {Date} [filters.from] - Inclusive start
+ * @param {Date} [filters.to] - Inclusive end day
+ * @param {string} [filters.chatId] - Restrict to one chat
+ * @returns {Promise<Object>}
+ */
+const getUsageSummary = async (user, { from, to, chatId } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+  start.setUTCHours(0, 0, 0, 0);
+  end.setUTCHours(0, 0, 0, 0);
+  const endExclusive = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+
+  if (start > end) {
+    throw new ApiError(httpStatus.BAD_REQUEST, '"from" must be before "to"');
+  }
+
+  const rows = await fetchUsageRows(user.id, {
+    from: start.toISOString(),
+    to: endExclusive.toISOString(),
+    chatId,
+  });
+  const rollups = buildUsageRollups(rows);
+
+  const chatIds = rollups.by_chat.map((entry) => entry.chat_id);
+  if (chatIds.length) {
+    const { data: chats, error } = await supabase.from('chats').select('chat_id, title').in('chat_id', chatIds);
+    if (error) {
+      console.error('[Usage] Failed to load chat titles', error);
+    }
+    const titles = new Map((chats || []).map((chat) => [chat.chat_id, chat.title]));
+    rollups.by_chat = rollups.by_chat.map((entry) => ({ ...entry, title: titles.get(entry.chat_id) || null }));
+  }
+
+  return {
+    from: start.toISOString().slice(0, 10),
+    to: end.toISOString().slice(0, 10),
+    ...rollups,
+  };
+};
+
+module.exports = {
+  OPERATIONS,
+  estimateCost,
+  summarizeUsage,
+  recordUsage,
+  buildUsageRollups,
+  getUsageSummary,
+};
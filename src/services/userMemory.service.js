@@ -0,0 +1,361 @@
+const httpStatus = require('http-status');
+const { supabase } = require('../config/supabase');
+const config = require('../config/config');
+const { openaiClient } = require('../config/openai');
+const ApiError = require('../utils/ApiError');
+const { logLLMInput, logLLMOutput } = require('../utils/llmLogger');
+const { countTokens, clampToTokens } = require('../utils/tokenizer');
+const promptConfigService = require('./promptConfig.service');
+const { findStudentByName, getStudent } = require('./student.service');
+const { OPERATIONS, summarizeUsage, recordUsage } = require('./usage.service');
+
+/**
+ * Long-term user memory
+ * Durable facts about a teacher and their students that outlive a single chat (user_memories).
+ * Facts are extracted in the background from completed turns, can be edited by the teacher, and
+ * the most relevant ones are injected into every chat's memory context within their own token
+ * budget (see buildMemoryContext).
+ */
+
+const MEMORY_FIELDS =
+  'memory_id, content, category, student_id, source, source_chat_id, source_message_id, created_at, updated_at';
+const CATEGORIES = ['teaching', 'student', 'preference'];
+const MAX_TURN_TOKENS = 1500;
+const MAX_FACT_LENGTH = 500;
+
+const userMemoryConfig = config.userMemory || {};
+const getMaxFacts = () => userMemoryConfig.maxFacts || 200;
+
+const isDuplicateFact = (error) => error?.code === '23505';
+
+const normalizeFact = (content) => (content || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * List the user's facts, newest first
+ * @param {Object} user - Authenticated user
+ * @param {Object} [filters]
+ * @param {string} [filters.studentId] - Only facts about this student
+ * @returns {Promise<Array>}
+ */
+const listMemories = async (user, { studentId } = {}) => {
+  let query = supabase
+    .from('user_memories')
+    .select(MEMORY_FIELDS)
+    .eq('user_id', user.id)
+    .order('updated_at', { ascending: false })
+    .limit(getMaxFacts());
+
+  if (studentId) {
+    query = query.eq('student_id', studentId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to fetch memories: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+const getMemory = async (user, memoryId) => {
+  const { data, error } = await supabase
+    .from('user_memories')
+    .select(MEMORY_FIELDS)
+    .eq('memory_id', memoryId)
+    .eq('user_id', user.id)
+    .single();
+
+  if (error || !data) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Memory not found');
+  }
+
+  return data;
+};
+
+const insertMemory = async (user, row) => {
+  const { data, error } = await supabase
+    .from('user_memories')
+    .insert({ user_id: user.id, ...row })
+    .select(MEMORY_FIELDS)
+    .single();
+
+  if (isDuplicateFact(error)) {
+    throw new ApiError(httpStatus.CONFLICT, 'This fact is already remembered');
+  }
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to save memory: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Add a fact by hand
+ * @param {Object} user - Authenticated user
+ * @param {Object} body - { content, category?, student_id? }
+ * @returns {Promise<Object>}
+ */
+const createMemory = async (user, { content, category = 'teaching', student_id: studentId = null }) => {
+  if (studentId) {
+    await getStudent(user, studentId);
+  }
+
+  return insertMemory(user, {
+    content: normalizeFact(content),
+    category,
+    student_id: studentId,
+    source: 'manual',
+  });
+};
+
+/**
+ * Edit a fact
+ * @param {Object} user - Authenticated user
+ * @param {string} memoryId
+ * @param {Object} updates - { content?, category?, student_id? }
+ * @returns {Promise<Object>}
+ */
+const updateMemory = async (user, memoryId, updates) => {
+  await getMemory(user, memoryId);
+  if (updates.student_id) {
+    await getStudent(user, updates.student_id);
+  }
+
+  const payload = { updated_at: new Date().toISOString() };
+  if (updates.content !== undefined) payload.content = normalizeFact(updates.content);
+  if (updates.category !== undefined) payload.category = updates.category;
+  if (updates.student_id !== undefined) payload.student_id = updates.student_id;
+
+  const { data, error } = await supabase
+    .from('user_memories')
+    .update(payload)
+    .eq('memory_id', memoryId)
+    .eq('user_id', user.id)
+    .select(MEMORY_FIELDS)
+    .single();
+
+  if (isDuplicateFact(error)) {
+    throw new ApiError(httpStatus.CONFLICT, 'This fact is already remembered');
+  }
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to update memory: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Forget a fact
+ * @param {Object} user - Authenticated user
+ * @param {string} memoryId
+ */
+const deleteMemory = async (user, memoryId) => {
+  await getMemory(user, memoryId);
+
+  const { error } = await supabase.from('user_memories').delete().eq('memory_id', memoryId).eq('user_id', user.id);
+  if (error) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Failed to delete memory: ${error.message}`);
+  }
+};
+
+const parseExtractedFacts = (text) => {
+  try {
+    const parsed = JSON.parse(text);
+    return (Array.isArray(parsed?.facts) ? parsed.facts : [])
+      .map((fact) => ({
+        content: normalizeFact(typeof fact?.content === 'string' ? fact.content : '').slice(0, MAX_FACT_LENGTH),
+        category: CATEGORIES.includes(fact?.category) ? fact.category : 'teaching',
+        student: typeof fact?.student === 'string' && fact.student.trim() ? fact.student.trim() : null,
+      }))
+      .filter((fact) => fact.content);
+  } catch (error) {
+    console.warn('[userMemory] Extractor returned invalid JSON', { error: error.message });
+    return [];
+  }
+};
+
+/**
+ * Extract durable facts from a completed turn and store the new ones. Runs in the background
+ * after a reply is saved; failures are logged and never reach the chat.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.chatId
+ * @param {string} [params.messageId] - Saved assistant message
+ * @param {string} params.userMessage
+ * @param {string} params.assistantMessage
+ * @returns {Promise<Array>} Stored facts
+ */
+const extractUserMemories = async ({ userId, chatId, messageId = null, userMessage, assistantMessage }) => {
+  if (userMemoryConfig.extractionEnabled === false || !userId || !userMessage) {
+    return [];
+  }
+
+  const user = { id: userId };
+  try {
+    const known = await listMemories(user);
+    if (known.length >= getMaxFacts()) {
+      return [];
+    }
+
+    const model = userMemoryConfig.extractionModel || 'gpt-5.1-nano';
+    const input = [
+      'KNOWN FACTS:',
+      known.length ? known.map((memory) => `- ${memory.content}`).join('\n') : 'NONE',
+      '',
+      'LATEST TURN:',
+      `Teacher: ${clampToTokens(userMessage, MAX_TURN_TOKENS)}`,
+      `Assistant: ${clampToTokens(assistantMessage || '', MAX_TURN_TOKENS)}`,
+    ].join('\n');
+    logLLMInput('userMemory.extract', input, { chat_id: chatId, model });
+
+    const response = await openaiClient.responses.create({
+      model,
+      instructions: promptConfigService.getMemoryExtractionPrompt(),
+      input,
+      store: false,
+      text: { format: { type: 'json_object' } },
+    });
+    recordUsage({
+      userId,
+      chatId,
+      operation: OPERATIONS.MEMORY_EXTRACTION,
+      usage: summarizeUsage({ usage: response?.usage, model: response?.model || model }),
+      responseId: response?.id,
+    });
+
+    const text = response?.output_text || '';
+    logLLMOutput('userMemory.extract', text, { chat_id: chatId });
+
+    const knownContents = new Set(known.map((memory) => memory.content.toLowerCase()));
+    const facts = parseExtractedFacts(text)
+      .filter((fact) => !knownContents.has(fact.content.toLowerCase()))
+      .slice(0, getMaxFacts() - known.length);
+
+    // In order, one at a time
+    const stored = await facts.reduce(async (previous, fact) => {
+      const memories = await previous;
+      const student = fact.student ? await findStudentByName(user, fact.student) : null;
+      try {
+        const memory = await insertMemory(user, {
+          content: fact.content,
+          category: student ? 'student' : fact.category,
+          student_id: student?.student_id || null,
+          source: 'extracted',
+          source_chat_id: chatId,
+          source_message_id: messageId,
+        });
+        return [...memories, memory];
+      } catch (error) {
+        // Stored meanwhile by a concurrent extraction
+        if (error.statusCode !== httpStatus.CONFLICT) {
+          throw error;
+        }
+        return memories;
+      }
+    }, Promise.resolve([]));
+
+    return stored;
+  } catch (error) {
+    console.error('[userMemory] Fact extraction failed', { chat_id: chatId, error: error.message });
+    return [];
+  }
+};
+
+const STOP_WORDS = new Set('the and for with that this has have are was but not you she her his they from'.split(' '));
+
+const toWords = (text) =>
+  new Set(((text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).filter((word) => !STOP_WORDS.has(word)));
+
+/**
+ * Rank facts for a chat. Facts about the student the chat is linked to or mentions come first,
+ * then facts sharing words with the conversation. Facts about the teacher are always candidates;
+ * facts about other students only when the conversation touches on them.
+ * @param {Array} memories - Rows with an optional students.name join
+ * @param {Object} context - { text, studentId }
+ * @returns {Array} Relevant facts, best first
+ */
+const rankMemories = (memories, { text, studentId }) => {
+  const words = toWords(text);
+  const lowered = (text || '').toLowerCase();
+
+  return memories
+    .map((memory) => {
+      const studentName = memory.students?.name;
+      const aboutThisStudent =
+        memory.student_id === studentId || (studentName && lowered.includes(studentName.toLowerCase()));
+      const overlap = [...toWords(memory.content)].filter((word) => words.has(word)).length;
+
+      if (!memory.student_id) return { memory, score: overlap + 1 };
+      return { memory, score: aboutThisStudent ? overlap + 10 : overlap };
+    })
+    .filter(({ memory, score }) => !memory.student_id || score >= 2)
+    .sort((a, b) => b.score - a.score || Date.parse(b.memory.updated_at) - Date.parse(a.memory.updated_at))
+    .map(({ memory }) => memory);
+};
+
+const formatFact = (memory) =>
+  memory.students?.name ? `- ${memory.content} (student: ${memory.students.name})` : `- ${memory.content}`;
+
+const USER_MEMORY_HEADING = 'LONG-TERM MEMORY – FACTS ABOUT THIS TEACHER AND THEIR STUDENTS (use only if relevant):';
+
+/**
+ * The user's most relevant facts for a chat, as a prompt block within its own token budget
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} [params.chatId]
+ * @param {string} [params.text] - Current message and recent turns, used for relevance
+ * @param {number} [params.tokenBudget] - Defaults to USER_MEMORY_TOKEN_BUDGET
+ * @returns {Promise<{ text: string, memories: Array }>} Empty when there is nothing relevant
+ */
+const buildUserMemoryBlock = async ({ userId, chatId = null, text = '', tokenBudget }) => {
+  const budget = tokenBudget ?? userMemoryConfig.tokenBudget ?? 300;
+  const empty = { text: '', memories: [] };
+  if (!userId || !budget) {
+    return empty;
+  }
+
+  try {
+    const [{ data: memories, error }, { data: chat }] = await Promise.all([
+      supabase
+        .from('user_memories')
+        .select(`${MEMORY_FIELDS}, students(name)`)
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .limit(getMaxFacts()),
+      chatId
+        ? supabase.from('chats').select('student_id').eq('chat_id', chatId).maybeSingle()
+        : Promise.resolve({ data: null }),
+    ]);
+
+    if (error) {
+      console.error('[userMemory] Failed to load facts', { user_id: userId, error });
+      return empty;
+    }
+
+    const selected = [];
+    let block = USER_MEMORY_HEADING;
+    for (const memory of rankMemories(memories || [], { text, studentId: chat?.student_id || null })) {
+      const candidate = `${block}\n${formatFact(memory)}`;
+      if (countTokens(candidate) <= budget) {
+        selected.push(memory);
+        block = candidate;
+      }
+    }
+
+    return selected.length ? { text: block, memories: selected } : empty;
+  } catch (error) {
+    console.error('[userMemory] Failed to build memory block', { user_id: userId, error: error.message });
+    return empty;
+  }
+};
+
+module.exports = {
+  CATEGORIES,
+  listMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+  extractUserMemories,
+  rankMemories,
+  buildUserMemoryBlock,
+};
@@ -0,0 +1,50 @@
+// Above this many line comparisons a diff degrades to "everything removed, everything added"
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ op: ' '|'-'|'+', text: string }>}
+ */
+const diffLines = (before = '', after = '') => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map((text) => ({ op: '-', text })), ...b.map((text) => ({ op: '+', text }))];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: ' ', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ op: '-', text: a[i] });
+      i += 1;
+    } else {
+      lines.push({ op: '+', text: b[j] });
+      j += 1;
+    }
+  }
+  a.slice(i).forEach((text) => lines.push({ op: '-', text }));
+  b.slice(j).forEach((text) => lines.push({ op: '+', text }));
+
+  return lines;
+};
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Tokenizer
+ * Counts and clamps text in real BPE tokens (js-tiktoken) so token budgets hold for non-English
+ * text and music notation, which the four-characters-per-token estimate badly miscounts.
+ * With TOKENIZER_ENCODING=heuristic, or when the encoding cannot be loaded, it falls back to
+ * the characters-per-token estimate.
+ */
+
+const tokenizerConfig = config.tokenizer || {};
+const ENCODING = tokenizerConfig.encoding || 'o200k_base';
+const CHARS_PER_TOKEN = tokenizerConfig.charsPerToken || 4;
+const CACHE_SIZE = tokenizerConfig.cacheSize ?? 5000;
+
+const RANKS = {
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base'),
+};
+
+// undefined = not loaded yet, null = using the heuristic
+let encoder;
+// Keyed by a hash of the text, so long texts cost the cache no more than short ones
+const counts = new Map();
+
+// The ranks are a few MB and take about a second to load, so only load them on first use
+const getEncoder = () => {
+  if (encoder !== undefined) {
+    return encoder;
+  }
+
+  encoder = null;
+  if (ENCODING !== 'heuristic') {
+    try {
+      const { Tiktoken } = require('js-tiktoken/lite');
+      encoder = new Tiktoken(RANKS[ENCODING]());
+    } catch (error) {
+      console.error('[tokenizer] Failed to load encoding, using the heuristic', {
+        encoding: ENCODING,
+        error: error.message,
+      });
+    }
+  }
+
+  return encoder;
+};
+
+const heuristicCount = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const cacheKey = (text) => crypto.createHash('sha1').update(text).digest('base64');
+
+const remember = (key, count) => {
+  if (!CACHE_SIZE) {
+    return;
+  }
+  if (counts.size >= CACHE_SIZE) {
+    // Maps iterate in insertion order; drop the oldest entry
+    counts.delete(counts.keys().next().value);
+  }
+  counts.set(key, count);
+};
+
+/**
+ * Number of tokens in a text
+ * @param {string} text
+ * @returns {number} 0 for non-strings
+ */
+const countTokens = (text) => {
+  if (typeof text !== 'string' || !text) {
+    return 0;
+  }
+
+  const key = CACHE_SIZE ? cacheKey(text) : null;
+  if (key && counts.has(key)) {
+    return counts.get(key);
+  }
+
+  const bpe = getEncoder();
+  const count = bpe ? bpe.encode(text).length : heuristicCount(text);
+  remember(key, count);
+  return count;
+};
+
+/**
+ * Cut a text down to at most maxTokens, ending on a word boundary
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+const clampToTokens = (text, maxTokens) => {
+  if (!text || !maxTokens || countTokens(text) <= maxTokens) {
+    return text || '';
+  }
+
+  const bpe = getEncoder();
+  const sliced = bpe
+    ? bpe.decode(bpe.encode(text).slice(0, maxTokens)).replace(/�+$/, '') // drop a split multi-byte character
+    : text.slice(0, Math.max(8, maxTokens * CHARS_PER_TOKEN));
+  return sliced.replace(/\s+\S*$/, '').trim();
+};
+
+/**
+ * Which counting is in use
+ * @returns {string} Encoding name, or 'heuristic'
+ */
+const getTokenizerName = () => (getEncoder() ? ENCODING : 'heuristic');
+
+module.exports = {
+  countTokens,
+  clampToTokens,
+  getTokenizerName,
+};
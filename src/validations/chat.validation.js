@@ -25,7 +25,199 @@ const deleteChat = {
 };
 
 const getChats = {
-  query: Joi.object().keys({}),
+  query: Joi.object().keys({
+    // 'none' lists chats that are not in any folder
+    folder_id: Joi.alternatives().try(Joi.string().uuid(), Joi.string().valid('none')).optional(),
+    pinned: Joi.boolean().optional(),
+    archived: Joi.boolean().optional(),
+    student_id: Joi.string().uuid().optional(),
+  }),
+};
+
+const chatAction = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const moveChatToFolder = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    // null removes the chat from its folder
+    folder_id: Joi.string().uuid().allow(null).required(),
+  }),
+};
+
+const createFolder = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().min(1).max(100).required(),
+    position: Joi.number().integer().min(0).optional(),
+  }),
+};
+
+const updateFolder = {
+  params: Joi.object().keys({
+    folderId: Joi.string().uuid().required(),
+  }),
+  body: Joi.object().keys({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    position: Joi.number().integer().min(0).optional(),
+  }).min(1),
+};
+
+const deleteFolder = {
+  params: Joi.object().keys({
+    folderId: Joi.string().uuid().required(),
+  }),
+};
+
+const searchChats = {
+  query: Joi.object().keys({
+    q: Joi.string().trim().min(1).max(200).required(),
+    limit: Joi.number().integer().min(1).max(50).optional(),
+  }),
+};
+
+const exportChat = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    format: Joi.string().valid('md', 'json', 'pdf').default('md'),
+  }),
+};
+
+// Archive produced by GET /chat/:chatId/export?format=json (see chatExport.service)
+const importChat = {
+  body: Joi.object().keys({
+    format: Joi.string().valid('arco-chat-archive').required(),
+    version: Joi.number().valid(1).required(),
+    exported_at: Joi.string().isoDate().optional(),
+    chat: Joi.object().keys({
+      title: Joi.string().allow('', null).max(255).optional(),
+      chat_mode: Joi.string().valid('arcoai', 'personal_lessons').default('arcoai'),
+      created_at: Joi.string().isoDate().optional(),
+      updated_at: Joi.string().isoDate().optional(),
+    }).required(),
+    messages: Joi.array().items(
+      Joi.object().keys({
+        role: Joi.string().valid('user', 'assistant').required(),
+        content: Joi.string().allow('').required(),
+        created_at: Joi.string().isoDate().optional(),
+        model_variant: Joi.string().valid('arco', 'arco-pro').allow(null).optional(),
+        lesson_context: Joi.array().items(Joi.object().unknown(true)).allow(null).optional(),
+        citations: Joi.array().items(Joi.object().unknown(true)).optional(),
+        status: Joi.string().valid('cancelled').optional(),
+      })
+    ).min(1).max(5000).required(),
+  }),
+};
+
+const createShare = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    // Omit for a link that never expires
+    expires_at: Joi.date().iso().optional(),
+  }),
+};
+
+const revokeShare = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+    shareId: Joi.string().uuid().required(),
+  }),
 };
 
-module.exports = { createChat, updateChat, deleteChat, getChats };
+const forkChat = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    message_id: Joi.string().custom(objectId).required(),
+    title: Joi.string().trim().min(1).max(255).optional(),
+  }),
+};
+
+const updateMemory = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    global_summary: Joi.string().allow('').max(20000).required(),
+  }),
+};
+
+const regenerateTitle = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    // Labels for the title prompt; defaults to violin / classical
+    instrument: Joi.string().optional(),
+    genre: Joi.string().optional(),
+  }),
+};
+
+// A revision number, or 'current' for the live transcript
+const revisionRef = Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().valid('current'));
+
+const getRevision = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+    revision: revisionRef.required(),
+  }),
+};
+
+const diffRevisions = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+    revision: revisionRef.required(),
+  }),
+  query: Joi.object().keys({
+    against: revisionRef.default('current'),
+  }),
+};
+
+const listBranches = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const switchBranch = {
+  params: Joi.object().keys({
+    chatId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    // null selects the main branch
+    branch_id: Joi.string().uuid().allow(null).required(),
+  }),
+};
+
+module.exports = {
+  createChat,
+  updateChat,
+  deleteChat,
+  getChats,
+  searchChats,
+  exportChat,
+  importChat,
+  createShare,
+  revokeShare,
+  forkChat,
+  updateMemory,
+  regenerateTitle,
+  getRevision,
+  diffRevisions,
+  listBranches,
+  switchBranch,
+  chatAction,
+  moveChatToFolder,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+};
@@ -0,0 +1,46 @@
+const Joi = require('joi');
+const { CATEGORIES } = require('../services/userMemory.service');
+
+const listMemories = {
+  query: Joi.object().keys({
+    student_id: Joi.string().uuid().optional(),
+  }),
+};
+
+const createMemory = {
+  body: Joi.object().keys({
+    content: Joi.string().trim().min(1).max(500).required(),
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .optional(),
+    student_id: Joi.string().uuid().allow(null).optional(),
+  }),
+};
+
+const updateMemory = {
+  params: Joi.object().keys({
+    memoryId: Joi.string().uuid().required(),
+  }),
+  body: Joi.object()
+    .keys({
+      content: Joi.string().trim().min(1).max(500).optional(),
+      category: Joi.string()
+        .valid(...CATEGORIES)
+        .optional(),
+      student_id: Joi.string().uuid().allow(null).optional(),
+    })
+    .min(1),
+};
+
+const deleteMemory = {
+  params: Joi.object().keys({
+    memoryId: Joi.string().uuid().required(),
+  }),
+};
+
+module.exports = {
+  listMemories,
+  createMemory,
+  updateMemory,
+  deleteMemory,
+};
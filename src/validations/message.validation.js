@@ -15,6 +15,9 @@ const sendMessage = {
     chat_mode: Joi.string().valid('arcoai', 'personal_lessons').optional(),
     lesson_plan_prompt: Joi.boolean().optional(),
     model: Joi.string().valid('arco', 'arco-pro').optional(),
+    // Labels for the automatic chat title; defaults to violin / classical
+    instrument: Joi.string().allow(null, '').optional(),
+    genre: Joi.string().allow(null, '').optional(),
   }),
 };
 
@@ -22,6 +25,13 @@ const findAllMessages = {
   params: Joi.object().keys({
     chatId: Joi.string().custom(objectId).required(),
   }),
+  query: Joi.object()
+    .keys({
+      limit: Joi.number().integer().min(1).max(200),
+      before: Joi.string().max(512),
+      after: Joi.string().max(512),
+    })
+    .oxor("before", "after"),
 };
 
 const sendFirstMessage = {
@@ -37,7 +47,65 @@ const sendFirstMessage = {
     chat_mode: Joi.string().valid('arcoai', 'personal_lessons').optional(),
     lesson_plan_prompt: Joi.boolean().optional(),
     model: Joi.string().valid('arco', 'arco-pro').optional(),
+    // Prep digest / lesson plan student; otherwise resolved from the name in the message
+    student_id: Joi.string().uuid().optional(),
+    instrument: Joi.string().allow(null, '').optional(),
+    genre: Joi.string().allow(null, '').optional(),
   }),
 };
 
-module.exports = { sendMessage, findAllMessages, sendFirstMessage };
+const reattachStream = {
+  params: Joi.object().keys({
+    responseId: Joi.string().required(),
+  }),
+};
+
+const cancelStream = {
+  params: Joi.object().keys({
+    responseId: Joi.string().required(),
+  }),
+};
+
+const regenerateMessage = {
+  params: Joi.object().keys({
+    messageId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    instruction_token: Joi.string().optional().allow(""),
+    model: Joi.string().valid('arco', 'arco-pro').optional(),
+  }),
+};
+
+const editMessage = {
+  params: Joi.object().keys({
+    messageId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    message: Joi.string().required(),
+    instruction_token: Joi.string().optional().allow(""),
+    lesson_context: Joi.array().items(
+      Joi.object({
+        title: Joi.string().required(),
+        date: Joi.string().required()
+      })
+    ).optional(),
+    model: Joi.string().valid('arco', 'arco-pro').optional(),
+  }),
+};
+
+const selectMessageVersion = {
+  params: Joi.object().keys({
+    messageId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  sendMessage,
+  findAllMessages,
+  sendFirstMessage,
+  reattachStream,
+  cancelStream,
+  regenerateMessage,
+  editMessage,
+  selectMessageVersion,
+};
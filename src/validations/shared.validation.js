@@ -0,0 +1,14 @@
+const Joi = require('joi');
+
+const getSharedChat = {
+  params: Joi.object().keys({
+    token: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .max(64)
+      .required(),
+  }),
+};
+
+module.exports = {
+  getSharedChat,
+};
@@ -0,0 +1,39 @@
+const Joi = require('joi');
+
+const createStudent = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().min(1).max(100).required(),
+    notes: Joi.string().allow('', null).max(5000).optional(),
+  }),
+};
+
+const getStudent = {
+  params: Joi.object().keys({
+    studentId: Joi.string().uuid().required(),
+  }),
+};
+
+const updateStudent = {
+  params: Joi.object().keys({
+    studentId: Joi.string().uuid().required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim().min(1).max(100).optional(),
+      notes: Joi.string().allow('', null).max(5000).optional(),
+    })
+    .min(1),
+};
+
+const deleteStudent = {
+  params: Joi.object().keys({
+    studentId: Joi.string().uuid().required(),
+  }),
+};
+
+module.exports = {
+  createStudent,
+  getStudent,
+  updateStudent,
+  deleteStudent,
+};
@@ -0,0 +1,13 @@
+const Joi = require('joi');
+
+const getUsage = {
+  query: Joi.object().keys({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    chat_id: Joi.string().optional(),
+  }),
+};
+
+module.exports = {
+  getUsage,
+};
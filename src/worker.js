@@ -0,0 +1,17 @@
+const config = require('./config/config');
+const logger = require('./config/logger');
+const { startJobWorker } = require('./jobs/jobWorker.job');
+
+// Runs background jobs without serving the API. Pair with JOB_WORKER_ENABLED=false on API instances.
+logger.info(`Background job worker started (${config.env})`);
+const jobWorker = startJobWorker({ keepAlive: true });
+
+const shutdown = () => {
+  logger.info('Stopping background job worker');
+  jobWorker.stop();
+  // Jobs still running are claimed again once their lock expires
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const configPath = require.resolve('../src/config/config');
+const memoryServicePath = require.resolve('../src/services/conversationMemory.service');
+const chatTitlePath = require.resolve('../src/services/chatTitle.service');
+const userMemoryPath = require.resolve('../src/services/userMemory.service');
+
+// background_jobs and chats rows, updated in memory
+const jobs = new Map();
+const chats = new Map();
+let summaryResult = { summarized: true };
+const generatedTitle = 'Spiccato at the balance point';
+
+const matches = (row, filters) => filters.every(([column, value]) => row[column] === value);
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      rpc: async (name, { p_worker_id: workerId, p_job_id: jobId }) => {
+        const job = jobs.get(jobId);
+        if (!job || job.status !== 'pending') return { data: [], error: null };
+        Object.assign(job, { status: 'running', attempts: job.attempts + 1, locked_by: workerId });
+        return { data: [{ ...job }], error: null };
+      },
+      from: (table) => {
+        const filters = [];
+        let changes = null;
+        const query = {
+          insert: (row) => {
+            const job = { job_id: `job-${jobs.size + 1}`, status: 'pending', attempts: 0, ...row };
+            jobs.set(job.job_id, job);
+            return { select: () => ({ single: async () => ({ data: { ...job }, error: null }) }) };
+          },
+          update: (payload) => {
+            changes = payload;
+            return query;
+          },
+          eq: (column, value) => {
+            filters.push([column, value]);
+            return query;
+          },
+          select: async () => {
+            const rows = [...(table === 'chats' ? chats : jobs).values()].filter((row) => matches(row, filters));
+            rows.forEach((row) => Object.assign(row, changes));
+            return { data: rows, error: null };
+          },
+          then: (resolve) => resolve(query.select()),
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[configPath] = { exports: { jobs: { retryBaseSeconds: 30, maxAttempts: 2, batchSize: 5 } } };
+require.cache[memoryServicePath] = {
+  exports: {
+    getConversationMemory: async () => ({ global_summary: '', last_summarized_message_id: null }),
+    maybeUpdateGlobalSummary: async () => summaryResult,
+  },
+};
+const titleOptions = [];
+require.cache[chatTitlePath] = {
+  exports: {
+    generateChatTitle: async (opening, options) => {
+      titleOptions.push(options);
+      return generatedTitle;
+    },
+  },
+};
+require.cache[userMemoryPath] = { exports: { extractUserMemories: async () => [] } };
+
+const { JOB_TYPES, dispatchJob, claimJobs, runJob, getRetryDelaySeconds } = require('../src/services/backgroundJob.service');
+
+test('getRetryDelaySeconds doubles per attempt up to an hour', () => {
+  assert.deepStrictEqual([1, 2, 3, 4].map(getRetryDelaySeconds), [30, 60, 120, 240]);
+  assert.strictEqual(getRetryDelaySeconds(20), 3600);
+});
+
+test('dispatchJob queues a title job, runs it and names only chats still called New Chat', async () => {
+  chats.set('chat-1', { chat_id: 'chat-1', title: 'New Chat' });
+
+  const result = await dispatchJob(JOB_TYPES.CHAT_TITLE, { chatId: 'chat-1', userId: 'user-1', opening: 'Spiccato?' });
+
+  assert.deepStrictEqual(result, { title: 'Spiccato at the balance point', updated: true });
+  assert.strictEqual(chats.get('chat-1').title, 'Spiccato at the balance point');
+  const [job] = [...jobs.values()];
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.dedupe_key, 'chat_title:chat-1');
+  assert.strictEqual(job.locked_by, null);
+
+  chats.set('chat-2', { chat_id: 'chat-2', title: 'Renamed by the teacher' });
+  const renamed = await dispatchJob(JOB_TYPES.CHAT_TITLE, { chatId: 'chat-2', userId: 'user-1', opening: 'Vibrato' });
+  assert.strictEqual(renamed.updated, false);
+  assert.strictEqual(chats.get('chat-2').title, 'Renamed by the teacher');
+});
+
+test("title jobs pass the teacher's instrument and genre to the title prompt", async () => {
+  titleOptions.length = 0;
+  chats.set('chat-5', { chat_id: 'chat-5', title: 'New Chat' });
+
+  await dispatchJob(JOB_TYPES.CHAT_TITLE, {
+    chatId: 'chat-5',
+    userId: 'user-2',
+    opening: 'Thumb position in the Elgar',
+    instrument: 'cello',
+    genre: 'jazz',
+  });
+  await dispatchJob(JOB_TYPES.CHAT_TITLE, { chatId: 'chat-6', userId: 'user-1', opening: 'Scales' });
+
+  assert.deepStrictEqual(titleOptions, [
+    { userId: 'user-2', chatId: 'chat-5', instrument: 'cello', genre: 'jazz' },
+    { userId: 'user-1', chatId: 'chat-6', instrument: undefined, genre: undefined },
+  ]);
+});
+
+test('a failed job is retried with backoff, then dead-lettered after max attempts', async () => {
+  jobs.clear();
+  summaryResult = { summarized: false, reason: 'openai_error' };
+
+  const before = Date.now();
+  assert.strictEqual(await dispatchJob(JOB_TYPES.MEMORY_SUMMARY, { chatId: 'chat-3', userId: 'user-1' }), null);
+
+  const job = jobs.get('job-1');
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.last_error, 'Summary not saved: openai_error');
+  assert.ok(Date.parse(job.run_at) >= before + 30 * 1000);
+
+  // Second and last attempt, as the worker would claim it
+  const [claimed] = await claimJobs({ jobId: 'job-1' });
+  const outcome = await runJob(claimed);
+
+  assert.strictEqual(outcome.status, 'dead');
+  assert.strictEqual(jobs.get('job-1').status, 'dead');
+});
+
+test('dispatchJob drops payloads that do not match the job type', async () => {
+  jobs.clear();
+  assert.strictEqual(await dispatchJob(JOB_TYPES.MEMORY_SUMMARY, { chatId: 'chat-4' }), null);
+  assert.strictEqual(jobs.size, 0);
+});
@@ -30,14 +30,28 @@ require.cache[configPath] = {
 
 // Mock supabase
 const mockRows = {};
+const rpcCalls = [];
+const queryFilters = [];
+const rpcResults = {};
 const supabasePath = require.resolve('../src/config/supabase');
 require.cache[supabasePath] = {
   exports: {
     supabase: {
+      rpc: async (fn, params) => {
+        rpcCalls.push({ fn, params });
+        return rpcResults[fn] || { data: [], error: null };
+      },
       from: (table) => {
         const chain = {
           select: () => chain,
-          eq: () => chain,
+          eq: (column, value) => {
+            queryFilters.push(['eq', table, column, value]);
+            return chain;
+          },
+          is: (column, value) => {
+            queryFilters.push(['is', table, column, value]);
+            return chain;
+          },
           in: () => chain,
           order: () => chain,
           single: async () => ({ data: null, error: { code: 'PGRST116' } }),
@@ -95,3 +109,71 @@ test('chatService exports getAllChats function', async () => {
 test('chatService exports createChatWithFirstMessage function', async () => {
   assert.ok(typeof chatService.createChatWithFirstMessage === 'function', 'createChatWithFirstMessage should be a function');
 });
+
+test('searchChats calls search_chats for the user and normalizes rows', async () => {
+  rpcCalls.length = 0;
+  rpcResults.search_chats = {
+    data: [
+      {
+        chat_id: 'chat-1',
+        title: 'Bow distribution',
+        chat_mode: 'arcoai',
+        updated_at: '2025-03-12T18:00:00Z',
+        rank: 0.4,
+        title_snippet: '<mark>Bow</mark> distribution',
+        match_count: 1,
+        message_ids: ['m1'],
+        matches: [{ message_id: 'm1', role: 'assistant', snippet: 'the <mark>bow</mark>' }],
+      },
+      { chat_id: 'chat-2', title: 'Scales', rank: 0.1, title_snippet: null, match_count: null, message_ids: null, matches: null },
+    ],
+    error: null,
+  };
+
+  const results = await chatService.searchChats({ id: 'user-1' }, { q: '  bow  ', limit: 5 });
+
+  assert.deepStrictEqual(rpcCalls, [{ fn: 'search_chats', params: { p_user_id: 'user-1', p_query: 'bow', p_limit: 5 } }]);
+  assert.strictEqual(results.length, 2);
+  assert.deepStrictEqual(results[0].message_ids, ['m1']);
+  assert.deepStrictEqual(results[1].matches, []);
+  assert.deepStrictEqual(results[1].message_ids, []);
+  assert.strictEqual(results[1].match_count, 0);
+});
+
+test('searchChats rejects empty queries and surfaces database errors', async () => {
+  await assert.rejects(chatService.searchChats({ id: 'user-1' }, { q: '   ' }), (err) => err.statusCode === 400);
+
+  rpcResults.search_chats = { data: null, error: { message: 'boom' } };
+  await assert.rejects(chatService.searchChats({ id: 'user-1' }, { q: 'bow' }), (err) => err.statusCode === 500);
+});
+
+test('getAllChats hides archived chats by default and applies folder and pin filters', async () => {
+  queryFilters.length = 0;
+  await chatService.getAllChats({ id: 'user-1' });
+  assert.deepStrictEqual(
+    queryFilters.filter(([, table]) => table === 'chats').map(([op, , column, value]) => [op, column, value]),
+    [
+      ['eq', 'user_id', 'user-1'],
+      ['eq', 'is_deleted', false],
+      ['eq', 'is_archived', false],
+    ]
+  );
+
+  queryFilters.length = 0;
+  await chatService.getAllChats({ id: 'user-1' }, { folderId: 'none', pinned: true, archived: true });
+  assert.deepStrictEqual(
+    queryFilters.slice(2).map(([op, , column, value]) => [op, column, value]),
+    [
+      ['eq', 'is_archived', true],
+      ['is', 'folder_id', null],
+      ['eq', 'is_pinned', true],
+    ]
+  );
+});
+
+test('moveChatToFolder rejects folders the user does not own', async () => {
+  await assert.rejects(
+    chatService.moveChatToFolder({ id: 'user-1' }, 'chat-1', '6f1c2b4e-8a8f-4c39-9a57-0b8c4f0e2d11'),
+    (err) => err.statusCode === 404
+  );
+});
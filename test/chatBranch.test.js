@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Branch rows served by the supabase mock, keyed by branch_id
+const branches = {
+  b1: { branch_id: 'b1', chat_id: 'chat-1', parent_branch_id: null, forked_at: '2025-01-01T00:02:00.000Z' },
+  b2: { branch_id: 'b2', chat_id: 'chat-1', parent_branch_id: 'b1', forked_at: '2025-01-01T00:06:00.000Z' },
+};
+
+const makeChain = (table) => {
+  const filters = {};
+  const chain = {
+    select: () => chain,
+    eq: (column, value) => {
+      filters[column] = value;
+      return chain;
+    },
+    single: async () => {
+      const row = table === 'chat_branches' ? branches[filters.branch_id] : null;
+      return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } };
+    },
+  };
+  return chain;
+};
+
+const supabasePath = require.resolve('../src/config/supabase');
+require.cache[supabasePath] = { exports: { supabase: { from: (table) => makeChain(table) } } };
+
+const {
+  MAIN_LINEAGE,
+  isMessageOnLineage,
+  buildLineageFilter,
+  getBranchLineage,
+} = require('../src/services/chatBranch.service');
+
+test('getBranchLineage returns only the main branch when no branch is active', async () => {
+  const lineage = await getBranchLineage('chat-1', null);
+  assert.deepStrictEqual(lineage, MAIN_LINEAGE);
+});
+
+test('getBranchLineage walks parents and cuts each ancestor at the fork point', async () => {
+  const lineage = await getBranchLineage('chat-1', 'b2');
+  assert.deepStrictEqual(lineage, [
+    { branch_id: 'b2', before: null },
+    { branch_id: 'b1', before: '2025-01-01T00:06:00.000Z' },
+    { branch_id: null, before: '2025-01-01T00:02:00.000Z' },
+  ]);
+});
+
+test('isMessageOnLineage hides later turns of the parent branch', () => {
+  const lineage = [
+    { branch_id: 'b1', before: null },
+    { branch_id: null, before: '2025-01-01T00:02:00.000Z' },
+  ];
+
+  assert.strictEqual(isMessageOnLineage({ branch_id: null, created_at: '2025-01-01T00:01:00.000Z' }, lineage), true);
+  assert.strictEqual(isMessageOnLineage({ branch_id: null, created_at: '2025-01-01T00:02:00.000Z' }, lineage), false);
+  assert.strictEqual(isMessageOnLineage({ branch_id: 'b1', created_at: '2025-01-01T00:09:00.000Z' }, lineage), true);
+  assert.strictEqual(isMessageOnLineage({ branch_id: 'other', created_at: '2025-01-01T00:00:00.000Z' }, lineage), false);
+});
+
+test('buildLineageFilter skips the filter for chats without branches', () => {
+  assert.strictEqual(buildLineageFilter(MAIN_LINEAGE), null);
+});
+
+test('buildLineageFilter builds a PostgREST or filter for forked lineages', () => {
+  const filter = buildLineageFilter([
+    { branch_id: 'b1', before: null },
+    { branch_id: null, before: '2025-01-01T00:02:00.000Z' },
+  ]);
+
+  assert.strictEqual(filter, 'branch_id.eq.b1,and(branch_id.is.null,created_at.lt."2025-01-01T00:02:00.000Z")');
+});
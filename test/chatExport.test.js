@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const messageServicePath = require.resolve('../src/services/message.service');
+const pdfServicePath = require.resolve('../src/services/pdf.service');
+
+const chatRow = {
+  chat_id: 'chat-1',
+  title: 'Bow arm <warm-ups> & "spiccato"',
+  chat_mode: 'personal_lessons',
+  created_at: '2025-03-01T10:00:00.000Z',
+  updated_at: '2025-03-01T10:05:00.000Z',
+};
+
+const messages = [
+  {
+    message_id: 'm1',
+    role: 'user',
+    content: 'How do I practice <spiccato>?',
+    created_at: '2025-03-01T10:00:00.000Z',
+    lesson_context: [{ title: 'Lesson 4', date: '2025-02-20' }],
+    metadata: { instruction_token: '[[secret]]', lesson_plan_full_context: 'expanded prompt' },
+    conversation_id: 'conv_1',
+  },
+  {
+    message_id: 'm2',
+    role: 'assistant',
+    content: 'Start at the balance point [1].',
+    created_at: '2025-03-01T10:00:30.000Z',
+    metadata: {
+      model_variant: 'arco-pro',
+      citations: [{ index: 1, title: 'Lesson 4', date: '2025-02-20' }],
+      response_id: 'resp_1',
+    },
+    conversation_id: 'conv_1',
+  },
+];
+
+const pdfCalls = [];
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: () => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          single: async () => ({ data: chatRow, error: null }),
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[messageServicePath] = {
+  exports: { findAllMessages: async () => ({ messages, next_cursor: null }) },
+};
+require.cache[pdfServicePath] = {
+  exports: {
+    generatePdf: async (params) => {
+      pdfCalls.push(params);
+      return Buffer.from('%PDF');
+    },
+  },
+};
+
+const { buildChatArchive, exportChat, renderHtml } = require('../src/services/chatExport.service');
+
+const user = { id: 'user-1' };
+
+test('buildChatArchive keeps the transcript and drops internal fields', async () => {
+  const archive = await buildChatArchive(user, 'chat-1');
+
+  assert.strictEqual(archive.format, 'arco-chat-archive');
+  assert.strictEqual(archive.version, 1);
+  assert.deepStrictEqual(archive.chat, {
+    title: chatRow.title,
+    chat_mode: 'personal_lessons',
+    created_at: chatRow.created_at,
+    updated_at: chatRow.updated_at,
+  });
+  assert.deepStrictEqual(archive.messages[0], {
+    role: 'user',
+    content: 'How do I practice <spiccato>?',
+    created_at: '2025-03-01T10:00:00.000Z',
+    model_variant: null,
+    lesson_context: [{ title: 'Lesson 4', date: '2025-02-20' }],
+  });
+  assert.strictEqual(archive.messages[1].model_variant, 'arco-pro');
+  assert.strictEqual(archive.messages[1].citations.length, 1);
+
+  const serialized = JSON.stringify(archive);
+  assert.ok(!serialized.includes('conv_1'));
+  assert.ok(!serialized.includes('[[secret]]'));
+  assert.ok(!serialized.includes('expanded prompt'));
+});
+
+test('markdown export labels authors, variants and lesson context', async () => {
+  const result = await exportChat(user, 'chat-1', 'md');
+
+  assert.strictEqual(result.filename, 'bow-arm-warm-ups-spiccato.md');
+  assert.match(result.contentType, /^text\/markdown/);
+  assert.match(result.body, /^# Bow arm <warm-ups> & "spiccato"/);
+  assert.match(result.body, /### You · 2025-03-01 10:00 UTC/);
+  assert.match(result.body, /> Lesson context: Lesson 4 \(2025-02-20\)/);
+  assert.match(result.body, /### Arco Pro · 2025-03-01 10:00 UTC/);
+  assert.match(result.body, /\[1\] Lesson 4 \(2025-02-20\)/);
+});
+
+test('pdf export escapes user text with numeric entities and renders through pdf-service', async () => {
+  const result = await exportChat(user, 'chat-1', 'pdf');
+
+  assert.strictEqual(result.contentType, 'application/pdf');
+  assert.ok(Buffer.isBuffer(result.body));
+  assert.strictEqual(pdfCalls.length, 1);
+
+  const { html } = pdfCalls[0];
+  assert.ok(html.includes('How do I practice &#60;spiccato&#62;?'));
+  assert.ok(html.includes('Bow arm &#60;warm-ups&#62; &#38; &#34;spiccato&#34;'));
+  assert.ok(!html.includes('<spiccato>'));
+  // pdf-service decodes named entities before rendering, so none may be used for user text
+  assert.ok(!/&(lt|gt|amp|quot);/.test(renderHtml(await buildChatArchive(user, 'chat-1'))));
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const messageServicePath = require.resolve('../src/services/message.service');
+const memoryServicePath = require.resolve('../src/services/conversationMemory.service');
+
+const inserts = [];
+const rebuilt = [];
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          insert: (payload) => {
+            inserts.push({ table, payload });
+            query.inserted = payload;
+            return table === 'messages' ? Promise.resolve({ error: null }) : query;
+          },
+          single: async () =>
+            table === 'chats' && query.inserted
+              ? { data: { chat_id: 'chat-fork', ...query.inserted }, error: null }
+              : {
+                  data: {
+                    chat_id: 'chat-1',
+                    title: 'Shifting',
+                    chat_mode: 'arcoai',
+                    prompt_id: 'pmpt_1',
+                    folder_id: 'folder-1',
+                  },
+                  error: null,
+                },
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[messageServicePath] = {
+  exports: {
+    findAllMessages: async () => ({
+      messages: [
+        { message_id: 'u1', role: 'user', content: 'How do I shift?', created_at: '2025-03-01T10:00:00.000Z' },
+        {
+          message_id: 'a1-v2',
+          role: 'assistant',
+          content: 'Second answer',
+          created_at: '2025-03-01T10:00:10.000Z',
+          metadata: { model_variant: 'arco' },
+          versions: [
+            { message_id: 'a1', content: 'First answer', metadata: { model_variant: 'arco-pro' } },
+            { message_id: 'a1-v2', content: 'Second answer', metadata: { model_variant: 'arco' } },
+          ],
+        },
+        { message_id: 'u2', role: 'user', content: 'For Maya?', created_at: '2025-03-01T10:01:00.000Z' },
+        { message_id: 'a2', role: 'assistant', content: 'Yes.', created_at: '2025-03-01T10:01:10.000Z' },
+      ],
+    }),
+  },
+};
+require.cache[memoryServicePath] = {
+  exports: {
+    rebuildConversationMemory: async (chatId) => {
+      rebuilt.push(chatId);
+      return false;
+    },
+  },
+};
+
+const { forkChat } = require('../src/services/chatFork.service');
+
+const user = { id: 'user-1' };
+
+test('forkChat copies the transcript up to the chosen version into a new conversation', async () => {
+  const result = await forkChat(user, 'chat-1', { messageId: 'a1' });
+
+  const chatInsert = inserts.find((entry) => entry.table === 'chats').payload;
+  assert.strictEqual(chatInsert.title, 'Shifting (fork)');
+  assert.strictEqual(chatInsert.prompt_id, 'pmpt_1');
+  assert.strictEqual(chatInsert.folder_id, 'folder-1');
+  assert.match(chatInsert.conversation_id, /^[0-9a-f-]{36}$/);
+  assert.strictEqual(result.chat.conversation_id, undefined);
+
+  const rows = inserts.find((entry) => entry.table === 'messages').payload;
+  assert.strictEqual(result.copied_messages, 2);
+  assert.deepStrictEqual(
+    rows.map((row) => [row.role, row.content, row.chat_id]),
+    [
+      ['user', 'How do I shift?', 'chat-fork'],
+      ['assistant', 'First answer', 'chat-fork'],
+    ]
+  );
+  assert.strictEqual(rows[1].metadata.model_variant, 'arco-pro');
+  assert.strictEqual(rows[1].metadata.forked_from, 'a1');
+
+  assert.deepStrictEqual(rebuilt, ['chat-fork']);
+});
+
+test('forkChat rejects messages outside the transcript', async () => {
+  await assert.rejects(
+    () => forkChat(user, 'chat-1', { messageId: 'elsewhere' }),
+    (error) => error.statusCode === 404
+  );
+});
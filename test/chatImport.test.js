@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// chatImport.service logs cleanup errors through the logger, which validates the environment
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.OPENAI_API_MODEL = process.env.OPENAI_API_MODEL || 'gpt-5';
+
+const supabasePath = require.resolve('../src/config/supabase');
+const openaiConfigPath = require.resolve('../src/config/openai');
+const messageServicePath = require.resolve('../src/services/message.service');
+const memoryServicePath = require.resolve('../src/services/conversationMemory.service');
+const pdfServicePath = require.resolve('../src/services/pdf.service');
+
+const inserts = [];
+const deletes = [];
+const memoryCalls = [];
+let failMessageInsert = false;
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => ({
+        insert: (payload) => {
+          inserts.push({ table, payload });
+          if (table === 'chats') {
+            const query = {
+              select: () => query,
+              single: async () => ({ data: { chat_id: 'chat-new', ...payload }, error: null }),
+            };
+            return query;
+          }
+          return Promise.resolve({ error: failMessageInsert ? { message: 'insert failed' } : null });
+        },
+        delete: () => ({
+          eq: async (column, value) => {
+            deletes.push({ table, column, value });
+            return { error: null };
+          },
+        }),
+      }),
+    },
+  },
+};
+require.cache[openaiConfigPath] = {
+  exports: { PROMPT_ID: 'pmpt_default', PROMPT_ID_PERSONAL_LESSONS: 'pmpt_personal' },
+};
+require.cache[messageServicePath] = { exports: { findAllMessages: async () => ({ messages: [] }) } };
+require.cache[memoryServicePath] = {
+  exports: {
+    rebuildConversationMemory: async (chatId) => {
+      memoryCalls.push({ type: 'rebuild', chatId });
+      return true;
+    },
+  },
+};
+require.cache[pdfServicePath] = { exports: { generatePdf: async () => Buffer.alloc(0) } };
+
+const { importChat } = require('../src/services/chatImport.service');
+
+const user = { id: 'user-1' };
+
+const archive = () => ({
+  format: 'arco-chat-archive',
+  version: 1,
+  chat: { title: 'Vibrato', chat_mode: 'personal_lessons', created_at: '2025-03-01T10:00:00.000Z' },
+  messages: [
+    {
+      role: 'user',
+      content: 'How wide should my vibrato be?',
+      created_at: '2025-03-01T10:00:00.000Z',
+      lesson_context: [{ title: 'Lesson 2', date: '2025-02-01' }],
+    },
+    {
+      role: 'assistant',
+      content: 'Narrower in fast passages [1].',
+      created_at: '2025-03-01T10:00:00.000Z',
+      model_variant: 'arco-pro',
+      citations: [{ index: 1, title: 'Lesson 2' }],
+    },
+    { role: 'user', content: 'Thanks!' },
+  ],
+});
+
+test('importChat recreates the chat under a new conversation and rebuilds memory', async () => {
+  inserts.length = 0;
+  memoryCalls.length = 0;
+
+  const result = await importChat(user, archive());
+
+  const chatInsert = inserts.find((entry) => entry.table === 'chats').payload;
+  assert.match(chatInsert.conversation_id, /^[0-9a-f-]{36}$/);
+  assert.strictEqual(chatInsert.prompt_id, 'pmpt_personal');
+  assert.strictEqual(chatInsert.title, 'Vibrato');
+  assert.strictEqual(result.chat.conversation_id, undefined);
+  assert.strictEqual(result.imported_messages, 3);
+  assert.strictEqual(result.memory_summarized, true);
+
+  const rows = inserts.find((entry) => entry.table === 'messages').payload;
+  assert.deepStrictEqual(
+    rows.map((row) => row.role),
+    ['user', 'assistant', 'user']
+  );
+  assert.ok(rows.every((row) => row.chat_id === 'chat-new' && row.user_id === 'user-1'));
+  assert.deepStrictEqual(rows[0].lesson_context, [{ title: 'Lesson 2', date: '2025-02-01' }]);
+  assert.strictEqual(rows[1].metadata.model_variant, 'arco-pro');
+  assert.strictEqual(rows[1].metadata.citations.length, 1);
+
+  // Tied and missing timestamps are spread so the archive order is kept
+  const times = rows.map((row) => Date.parse(row.created_at));
+  assert.ok(times[0] < times[1] && times[1] < times[2]);
+
+  assert.deepStrictEqual(memoryCalls, [{ type: 'rebuild', chatId: 'chat-new' }]);
+});
+
+test('importChat removes the chat when messages fail to import', async () => {
+  deletes.length = 0;
+  failMessageInsert = true;
+
+  await assert.rejects(() => importChat(user, archive()), /Failed to import messages/);
+  assert.deepStrictEqual(
+    deletes.map((entry) => entry.table),
+    ['messages', 'chats']
+  );
+
+  failMessageInsert = false;
+});
+
+test('importChat rejects unsupported archive versions', async () => {
+  await assert.rejects(() => importChat(user, { ...archive(), version: 2 }), /Unsupported archive format/);
+});
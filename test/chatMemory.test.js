@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const memoryServicePath = require.resolve('../src/services/conversationMemory.service');
+const leaseServicePath = require.resolve('../src/services/lease.service');
+
+const inserts = [];
+const saved = [];
+let brief = null;
+// Chats whose summarization lease is held, e.g. by a summary in flight
+const heldLeases = new Set();
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          order: () => query,
+          limit: () => Promise.resolve({ data: inserts.map(({ payload }) => payload), error: null }),
+          insert: (payload) => {
+            inserts.push({ table, payload });
+            return Promise.resolve({ error: null });
+          },
+          single: async () => ({ data: { chat_id: 'chat-1' }, error: null }),
+          maybeSingle: async () => {
+            if (table === 'conversation_briefs') {
+              return { data: brief && { brief, updated_at: '2025-03-01T10:00:00.000Z' }, error: null };
+            }
+            return { data: { message_id: 'a3', role: 'assistant', created_at: '2025-03-01T09:30:00.000Z' }, error: null };
+          },
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[memoryServicePath] = {
+  exports: {
+    DEFAULT_MEMORY_STATE: { global_summary: '', last_summarized_message_id: null },
+    approxTokens: (value) => Math.ceil(value.length / 4),
+    normalizeMemoryState: (raw) => raw || { global_summary: '', last_summarized_message_id: null },
+    getMemoryKnobs: () => ({ summaryTokenCap: 10 }),
+    saveConversationMemory: async (chatId, userId, next) => {
+      saved.push(next);
+      brief = next;
+      return next;
+    },
+    acquireSummaryLease: async (chatId) => {
+      if (heldLeases.has(chatId)) return null;
+      heldLeases.add(chatId);
+      return { key: chatId };
+    },
+  },
+};
+require.cache[leaseServicePath] = {
+  exports: {
+    releaseLease: async (lease) => {
+      heldLeases.delete(lease.key);
+    },
+  },
+};
+
+const { getChatMemory, replaceChatMemory, resetChatMemory } = require('../src/services/chatMemory.service');
+
+const user = { id: 'user-1' };
+
+test('getChatMemory shows the summary and the message it covers up to', async () => {
+  brief = { global_summary: 'Working with Maya on Rode 12', last_summarized_message_id: 'a3' };
+
+  const { memory } = await getChatMemory(user, 'chat-1');
+
+  assert.strictEqual(memory.global_summary, 'Working with Maya on Rode 12');
+  assert.strictEqual(memory.token_limit, 10);
+  assert.deepStrictEqual(memory.cursor, { message_id: 'a3', role: 'assistant', created_at: '2025-03-01T09:30:00.000Z' });
+});
+
+test('replacing the summary keeps the cursor and records the edit', async () => {
+  inserts.length = 0;
+  saved.length = 0;
+  brief = { global_summary: 'Working with Maya on Rode 12', last_summarized_message_id: 'a3' };
+
+  const { memory, history } = await replaceChatMemory(user, 'chat-1', '  Ana, Kreutzer 2  ');
+
+  assert.deepStrictEqual(saved, [{ global_summary: 'Ana, Kreutzer 2', last_summarized_message_id: 'a3' }]);
+  assert.strictEqual(memory.global_summary, 'Ana, Kreutzer 2');
+  assert.strictEqual(history.length, 1);
+  assert.deepStrictEqual(inserts[0].payload, {
+    chat_id: 'chat-1',
+    user_id: 'user-1',
+    action: 'replace',
+    previous_summary: 'Working with Maya on Rode 12',
+    new_summary: 'Ana, Kreutzer 2',
+    previous_cursor: 'a3',
+    new_cursor: 'a3',
+  });
+
+  await assert.rejects(() => replaceChatMemory(user, 'chat-1', 'x'.repeat(60)), /10-token memory limit/);
+});
+
+test('resetting memory clears the summary and the cursor', async () => {
+  inserts.length = 0;
+  brief = { global_summary: 'Ana, Kreutzer 2', last_summarized_message_id: 'a3' };
+
+  const { memory } = await resetChatMemory(user, 'chat-1');
+
+  assert.strictEqual(memory.global_summary, '');
+  assert.strictEqual(memory.cursor, null);
+  assert.strictEqual(inserts[0].payload.action, 'reset');
+  assert.strictEqual(inserts[0].payload.previous_summary, 'Ana, Kreutzer 2');
+});
+
+test('memory edits wait for a summary in flight instead of being overwritten by it', async () => {
+  saved.length = 0;
+  brief = { global_summary: 'Ana, Kreutzer 2', last_summarized_message_id: 'a3' };
+  heldLeases.add('chat-1');
+
+  await assert.rejects(
+    () => replaceChatMemory(user, 'chat-1', 'Ana, Kreutzer 3'),
+    (err) => err.statusCode === 409
+  );
+  await assert.rejects(
+    () => resetChatMemory(user, 'chat-1'),
+    (err) => err.statusCode === 409
+  );
+  assert.strictEqual(saved.length, 0);
+
+  heldLeases.delete('chat-1');
+  await replaceChatMemory(user, 'chat-1', 'Ana, Kreutzer 3');
+  assert.strictEqual(brief.global_summary, 'Ana, Kreutzer 3');
+  assert.strictEqual(heldLeases.size, 0);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const branchServicePath = require.resolve('../src/services/chatBranch.service');
+
+const inserts = [];
+let insertError = null;
+let liveMessages = [];
+let liveBranches = [];
+let archivedRevision = null;
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          order: () => query,
+          insert: (payload) => {
+            inserts.push({ table, payload });
+            return Promise.resolve({ error: insertError });
+          },
+          single: async () => ({
+            data: {
+              chat_id: 'chat-1',
+              title: 'Prep digest for Ana',
+              created_at: '2025-03-01T09:00:00.000Z',
+              revision_number: 2,
+            },
+            error: null,
+          }),
+          maybeSingle: async () => ({ data: archivedRevision, error: null }),
+          then: (onFulfilled, onRejected) =>
+            Promise.resolve({ data: table === 'chat_branches' ? liveBranches : liveMessages, error: null }).then(
+              onFulfilled,
+              onRejected
+            ),
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[branchServicePath] = {
+  exports: {
+    getActiveLineage: async () => [{ branch_id: null }],
+    isMessageOnLineage: (message, lineage) =>
+      (lineage || []).some((segment) => segment.branch_id === (message.branch_id || null)),
+    lineageFromBranches: (branches, branchId) => [{ branch_id: branchId || null }, { branch_id: null }],
+  },
+};
+
+const { diffLines } = require('../src/utils/textDiff');
+const { archiveCurrentRevision, getRevision, diffRevisions } = require('../src/services/chatRevision.service');
+
+const user = { id: 'user-1' };
+
+test('diffLines keeps common lines and marks removed and added ones', () => {
+  assert.deepStrictEqual(diffLines('Scales\nBach\nEtude', 'Scales\nKreutzer\nEtude'), [
+    { op: ' ', text: 'Scales' },
+    { op: '-', text: 'Bach' },
+    { op: '+', text: 'Kreutzer' },
+    { op: ' ', text: 'Etude' },
+  ]);
+});
+
+test('archiveCurrentRevision keeps every version and branch and numbers the next revision', async () => {
+  inserts.length = 0;
+  liveMessages = [
+    { message_id: 'u1', role: 'user', content: 'Prep digest for Ana', branch_id: null, is_active_version: true },
+    { message_id: 'a1-old', role: 'assistant', content: 'Old reply', branch_id: null, is_active_version: false },
+    { message_id: 'a1', role: 'assistant', content: 'Reply', branch_id: null, is_active_version: true },
+    { message_id: 'b1', role: 'user', content: 'Side branch', branch_id: 'branch-1', is_active_version: true },
+  ];
+  liveBranches = [{ branch_id: 'branch-1', parent_branch_id: null, forked_at: '2025-03-01T09:05:00.000Z' }];
+
+  const next = await archiveCurrentRevision(
+    { chat_id: 'chat-1', title: 'Prep digest for Ana', created_at: '2025-03-01T09:00:00.000Z', active_branch_id: null },
+    user.id
+  );
+
+  assert.strictEqual(next, 2);
+  const [{ table, payload }] = inserts;
+  assert.strictEqual(table, 'chat_revisions');
+  assert.strictEqual(payload.revision_number, 1);
+  assert.strictEqual(payload.started_at, '2025-03-01T09:00:00.000Z');
+  // The chat is cleared right after, so nothing may be left out of the archive
+  assert.deepStrictEqual(payload.messages, liveMessages);
+  assert.deepStrictEqual(payload.branches, liveBranches);
+  assert.strictEqual(payload.active_branch_id, null);
+  assert.strictEqual(payload.message_count, 2);
+  liveBranches = [];
+
+  // The chat is cleared right after archiving, so a failed archive must stop the reuse
+  insertError = { message: 'insert failed' };
+  await assert.rejects(() => archiveCurrentRevision({ chat_id: 'chat-1' }, user.id), /Failed to archive chat revision/);
+  insertError = null;
+});
+
+test('getRevision shows the transcript that was active when the revision was archived', async () => {
+  archivedRevision = {
+    revision_number: 1,
+    title: 'Prep digest for Ana',
+    message_count: 2,
+    messages: [
+      { message_id: 'u1', role: 'user', content: 'Prep digest for Ana', branch_id: null, is_active_version: true },
+      { message_id: 'a1-old', role: 'assistant', content: 'Old reply', branch_id: null, is_active_version: false },
+      { message_id: 'b1', role: 'assistant', content: 'Branch reply', branch_id: 'branch-1', is_active_version: true },
+    ],
+    branches: [{ branch_id: 'branch-1', parent_branch_id: null, forked_at: '2025-03-01T09:05:00.000Z' }],
+    active_branch_id: 'branch-1',
+  };
+
+  const revision = await getRevision(user, 'chat-1', 1);
+  archivedRevision = null;
+
+  assert.strictEqual(revision.is_active, false);
+  assert.strictEqual(revision.branches, undefined);
+  assert.deepStrictEqual(revision.messages, [
+    { message_id: 'u1', role: 'user', content: 'Prep digest for Ana' },
+    { message_id: 'b1', role: 'assistant', content: 'Branch reply' },
+  ]);
+});
+
+test('diffRevisions compares an archived revision with the live transcript', async () => {
+  archivedRevision = {
+    revision_number: 1,
+    title: 'Prep digest for Ana',
+    message_count: 2,
+    messages: [
+      { role: 'user', content: 'Prep digest for Ana' },
+      { role: 'assistant', content: 'Scales\nBach' },
+    ],
+  };
+  liveMessages = [
+    { role: 'user', content: 'Prep digest for Ana' },
+    { role: 'assistant', content: 'Scales\nKreutzer' },
+    { role: 'user', content: 'Thanks' },
+  ];
+
+  const diff = await diffRevisions(user, 'chat-1', 1);
+
+  assert.strictEqual(diff.from, 1);
+  assert.strictEqual(diff.to, 2);
+  assert.deepStrictEqual(
+    diff.messages.map((message) => message.status),
+    ['unchanged', 'changed', 'added']
+  );
+  assert.deepStrictEqual(diff.stats, { added_lines: 2, removed_lines: 1, changed_messages: 2 });
+});
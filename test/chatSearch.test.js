@@ -0,0 +1,138 @@
+// Runs search_chats() from the migrations against an in-process Postgres
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const MIGRATIONS = [
+  '005_add_message_versions.sql',
+  '006_add_chat_branches.sql',
+  '008_add_chat_search.sql',
+  '019_search_active_branch.sql',
+  '021_escape_search_snippets.sql',
+];
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const CHAT_ID = 'c0000000-0000-4000-8000-000000000000';
+const BRANCH_1 = 'b1000000-0000-4000-8000-000000000000';
+const BRANCH_2 = 'b2000000-0000-4000-8000-000000000000';
+
+// Main branch: the user asked about spiccato, then edited that question (branch 1) to ask about
+// sautillé, then edited it again (branch 2, forked from branch 1) to ask about ricochet
+const MESSAGES = [
+  ['a1000000-0000-4000-8000-000000000000', null, 'user', 'How should I hold the bow?', '00:01'],
+  ['a2000000-0000-4000-8000-000000000000', null, 'assistant', 'Relax the thumb and let the arm carry it.', '00:02'],
+  ['a3000000-0000-4000-8000-000000000000', null, 'user', 'What about spiccato?', '00:03'],
+  ['a4000000-0000-4000-8000-000000000000', null, 'assistant', 'Spiccato starts near the balance point.', '00:04'],
+  ['a5000000-0000-4000-8000-000000000000', BRANCH_1, 'user', 'What about sautillé?', '00:05'],
+  ['a6000000-0000-4000-8000-000000000000', BRANCH_1, 'assistant', 'Sautillé comes from a fast detaché.', '00:06'],
+  ['a7000000-0000-4000-8000-000000000000', BRANCH_2, 'user', 'What about ricochet?', '00:07'],
+  ['a8000000-0000-4000-8000-000000000000', BRANCH_2, 'assistant', 'Ricochet lets the bow bounce on its own.', '00:08'],
+  ['a9000000-0000-4000-8000-000000000000', null, 'user', 'Is <b>tremolo</b> & "trem." the same?', '00:09'],
+].map(([id, branchId, role, content, time]) => ({
+  id,
+  branchId,
+  role,
+  content,
+  createdAt: `2025-01-01T${time}:00Z`,
+}));
+
+let db;
+
+const search = async (query) => {
+  const { rows } = await db.query('SELECT * FROM search_chats($1, $2)', [USER_ID, query]);
+  return rows.flatMap((row) => row.message_ids);
+};
+
+const messageId = (content) => MESSAGES.find((message) => message.content === content).id;
+
+const setActiveBranch = (branchId) =>
+  db.query('UPDATE chats SET active_branch_id = $1 WHERE chat_id = $2', [branchId, CHAT_ID]);
+
+test.before(async () => {
+  db = new PGlite();
+  // Tables the migrations extend
+  await db.exec(`
+    CREATE TABLE chats (
+      chat_id UUID PRIMARY KEY,
+      user_id UUID NOT NULL,
+      title TEXT,
+      chat_mode TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      is_deleted BOOLEAN NOT NULL DEFAULT FALSE
+    );
+    CREATE TABLE messages (
+      message_id UUID PRIMARY KEY,
+      chat_id UUID NOT NULL REFERENCES chats(chat_id) ON DELETE CASCADE,
+      role TEXT NOT NULL,
+      content TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  await db.exec(
+    MIGRATIONS.map((file) => fs.readFileSync(path.join(__dirname, '../database/migrations', file), 'utf8')).join('\n')
+  );
+
+  await db.query('INSERT INTO chats (chat_id, user_id, title, chat_mode) VALUES ($1, $2, $3, $4)', [
+    CHAT_ID,
+    USER_ID,
+    'Bow strokes',
+    'arcoai',
+  ]);
+  await db.query(
+    `INSERT INTO chat_branches (branch_id, chat_id, user_id, parent_branch_id, source_message_id, forked_at)
+     VALUES ($1, $3, $4, NULL, $5, '2025-01-01T00:03:00Z'), ($2, $3, $4, $1, $6, '2025-01-01T00:05:00Z')`,
+    [BRANCH_1, BRANCH_2, CHAT_ID, USER_ID, MESSAGES[2].id, MESSAGES[4].id]
+  );
+  await Promise.all(
+    MESSAGES.map((message) =>
+      db.query(
+        'INSERT INTO messages (message_id, chat_id, branch_id, role, content, created_at) VALUES ($1, $2, $3, $4, $5, $6)',
+        [message.id, CHAT_ID, message.branchId, message.role, message.content, message.createdAt]
+      )
+    )
+  );
+});
+
+test.after(async () => {
+  await db.close();
+});
+
+test('search_chats ignores matches on branches the chat is not showing', async () => {
+  await setActiveBranch(BRANCH_2);
+
+  assert.deepStrictEqual(await search('spiccato'), []);
+  assert.deepStrictEqual(await search('sautillé'), []);
+  assert.deepStrictEqual(await search('ricochet'), [
+    messageId('Ricochet lets the bow bounce on its own.'),
+    messageId('What about ricochet?'),
+  ]);
+});
+
+test('search_chats matches messages the active branch inherits from its parents', async () => {
+  await setActiveBranch(BRANCH_2);
+
+  assert.deepStrictEqual(await search('thumb'), [messageId('Relax the thumb and let the arm carry it.')]);
+});
+
+test('search_chats matches the whole main branch once the chat switches back to it', async () => {
+  await setActiveBranch(null);
+
+  assert.deepStrictEqual(await search('ricochet'), []);
+  assert.deepStrictEqual(await search('spiccato'), [
+    messageId('Spiccato starts near the balance point.'),
+    messageId('What about spiccato?'),
+  ]);
+});
+
+test('search_chats escapes message content in snippets', async () => {
+  await setActiveBranch(null);
+
+  const { rows } = await db.query('SELECT * FROM search_chats($1, $2)', [USER_ID, 'tremolo']);
+
+  const { snippet } = rows[0].matches[0];
+  assert.ok(snippet.includes('<mark>tremolo</mark>&lt;/b&gt; &amp; &quot;trem.&quot;'));
+  // The highlight tags are the only markup left
+  assert.ok(!/[<>]/.test(snippet.replace(/<\/?mark>/g, '')));
+});
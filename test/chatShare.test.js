@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const messageServicePath = require.resolve('../src/services/message.service');
+const pdfServicePath = require.resolve('../src/services/pdf.service');
+
+let shareRow = null;
+let chatRow = null;
+const inserts = [];
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          insert: (payload) => {
+            inserts.push({ table, payload });
+            query.inserted = payload;
+            return query;
+          },
+          maybeSingle: async () => ({ data: table === 'chat_shares' ? shareRow : null, error: null }),
+          single: async () => {
+            if (table === 'chat_shares') {
+              return { data: { share_id: 'share-1', ...query.inserted }, error: null };
+            }
+            return chatRow ? { data: chatRow, error: null } : { data: null, error: { code: 'PGRST116' } };
+          },
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[messageServicePath] = {
+  exports: {
+    findAllMessages: async () => ({
+      messages: [
+        {
+          role: 'user',
+          content: 'Plan next lesson',
+          created_at: '2025-03-01T10:00:00.000Z',
+          conversation_id: 'conv_secret',
+          metadata: {
+            is_lesson_plan: true,
+            lesson_plan_full_context: 'FULL PROMPT CONTEXT',
+            instruction_token: '[[INSTRUCTIONS]]',
+          },
+        },
+        {
+          role: 'assistant',
+          content: 'Warm up with scales.',
+          created_at: '2025-03-01T10:01:00.000Z',
+          response_id: 'resp_1',
+          metadata: { model_variant: 'arco' },
+        },
+      ],
+    }),
+  },
+};
+require.cache[pdfServicePath] = { exports: { generatePdf: async () => Buffer.alloc(0) } };
+
+const { createShare, getSharedChat } = require('../src/services/chatShare.service');
+
+const user = { id: 'user-1' };
+
+test('createShare issues an unguessable token with an optional expiry', async () => {
+  chatRow = { chat_id: 'chat-1' };
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+  const share = await createShare(user, 'chat-1', { expiresAt });
+
+  assert.match(share.token, /^[A-Za-z0-9_-]{32}$/);
+  assert.strictEqual(share.expires_at, expiresAt.toISOString());
+  assert.strictEqual(share.is_active, true);
+  await assert.rejects(
+    () => createShare(user, 'chat-1', { expiresAt: new Date(Date.now() - 1000) }),
+    (error) => error.statusCode === 400
+  );
+});
+
+test('getSharedChat returns the sanitized transcript', async () => {
+  shareRow = { chat_id: 'chat-1', user_id: 'user-1', expires_at: null, revoked_at: null };
+  chatRow = { chat_id: 'chat-1', title: 'Lesson plan for Ana', chat_mode: 'arcoai' };
+
+  const shared = await getSharedChat('token');
+
+  assert.strictEqual(shared.chat.title, 'Lesson plan for Ana');
+  assert.deepStrictEqual(
+    shared.messages.map((message) => message.content),
+    ['Plan next lesson', 'Warm up with scales.']
+  );
+  const serialized = JSON.stringify(shared);
+  ['conv_secret', 'FULL PROMPT CONTEXT', '[[INSTRUCTIONS]]', 'resp_1', 'user-1', 'chat-1'].forEach((secret) => {
+    assert.ok(!serialized.includes(secret), `shared view leaks ${secret}`);
+  });
+});
+
+test('getSharedChat hides revoked, expired and deleted shares behind a 404', async () => {
+  const isNotFound = (error) => error.statusCode === 404;
+
+  shareRow = { chat_id: 'chat-1', user_id: 'user-1', expires_at: null, revoked_at: '2025-03-02T00:00:00.000Z' };
+  await assert.rejects(() => getSharedChat('token'), isNotFound);
+
+  shareRow = { chat_id: 'chat-1', user_id: 'user-1', expires_at: '2000-01-01T00:00:00.000Z', revoked_at: null };
+  await assert.rejects(() => getSharedChat('token'), isNotFound);
+
+  shareRow = { chat_id: 'chat-1', user_id: 'user-1', expires_at: null, revoked_at: null };
+  chatRow = null;
+  await assert.rejects(() => getSharedChat('token'), isNotFound);
+
+  shareRow = null;
+  await assert.rejects(() => getSharedChat('token'), isNotFound);
+});
@@ -0,0 +1,118 @@
+// The real prompt config service loads the logger, which validates the environment
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.OPENAI_API_MODEL = process.env.OPENAI_API_MODEL || 'gpt-5';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const openaiPath = require.resolve('../src/config/openai');
+const memoryServicePath = require.resolve('../src/services/conversationMemory.service');
+const branchServicePath = require.resolve('../src/services/chatBranch.service');
+const usageServicePath = require.resolve('../src/services/usage.service');
+
+const updates = [];
+const titleRequests = [];
+let chatRow = null;
+let messageRows = [];
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          order: () => query,
+          limit: () => Promise.resolve({ data: messageRows, error: null }),
+          update: (payload) => {
+            updates.push({ table, payload });
+            query.updated = payload;
+            return query;
+          },
+          single: async () =>
+            query.updated
+              ? { data: { ...chatRow, ...query.updated, conversation_id: 'conv-1' }, error: null }
+              : { data: chatRow, error: null },
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[openaiPath] = {
+  exports: {
+    OPENAI_MODEL_BOT: 'gpt-5-nano',
+    botClient: {
+      responses: {
+        create: async (payload) => {
+          titleRequests.push(payload);
+          return { output_text: '"Ana: Rode 12, Shifting."', usage: {} };
+        },
+      },
+    },
+  },
+};
+require.cache[memoryServicePath] = {
+  exports: {
+    groupMessagesIntoTurns: (messages) =>
+      messages.reduce(
+        (turns, message) =>
+          message.role === 'user'
+            ? [...turns, { user: message, assistant: null }]
+            : [...turns.slice(0, -1), { ...turns[turns.length - 1], assistant: message }],
+        []
+      ),
+  },
+};
+require.cache[branchServicePath] = {
+  exports: {
+    getActiveLineage: async () => null,
+    isMessageOnLineage: (message) => !message.branch_id,
+  },
+};
+require.cache[usageServicePath] = {
+  exports: { OPERATIONS: {}, summarizeUsage: () => null, recordUsage: () => {} },
+};
+
+const { generateChatTitle, regenerateChatTitle } = require('../src/services/chatTitle.service');
+
+const user = { id: 'user-1' };
+
+test('regenerateChatTitle names the chat from its first turns with the config prompt', async () => {
+  updates.length = 0;
+  titleRequests.length = 0;
+  chatRow = { chat_id: 'chat-1', title: 'New Chat', student_chat_type: null };
+  messageRows = [
+    { role: 'user', content: 'Ana is stuck on Rode 12', branch_id: null, is_active_version: true },
+    { role: 'assistant', content: 'Old reply', branch_id: null, is_active_version: false },
+    { role: 'assistant', content: 'Try slow shifts', branch_id: null, is_active_version: true },
+    { role: 'user', content: 'Other branch', branch_id: 'branch-1', is_active_version: true },
+  ];
+
+  const chat = await regenerateChatTitle(user, 'chat-1', { instrument: 'violin' });
+
+  assert.strictEqual(chat.title, 'Ana: Rode 12, Shifting');
+  assert.strictEqual(chat.conversation_id, undefined);
+  assert.ok(titleRequests[0].instructions.includes('violin teaching conversation'));
+  assert.strictEqual(titleRequests[0].input, 'User: Ana is stuck on Rode 12\n\nAssistant: Try slow shifts');
+  assert.deepStrictEqual(updates, [{ table: 'chats', payload: { title: 'Ana: Rode 12, Shifting' } }]);
+});
+
+test('regenerateChatTitle leaves student chats alone', async () => {
+  updates.length = 0;
+  chatRow = { chat_id: 'chat-2', title: 'Prep digest for Ana', student_chat_type: 'prep_digest' };
+
+  await assert.rejects(() => regenerateChatTitle(user, 'chat-2'), /keep their student title/);
+  assert.strictEqual(updates.length, 0);
+});
+
+test('generateChatTitle uses the labels of a non-violin teacher', async () => {
+  titleRequests.length = 0;
+
+  await generateChatTitle('Thumb position in the Elgar', { instrument: 'cello', genre: 'jazz' });
+
+  assert.ok(titleRequests[0].instructions.includes('cello teaching conversation'));
+  assert.ok(!titleRequests[0].instructions.includes('violin'));
+});
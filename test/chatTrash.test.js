@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const configPath = require.resolve('../src/config/config');
+const supabasePath = require.resolve('../src/config/supabase');
+
+const calls = [];
+let trashed = [];
+let restoredRow = null;
+
+const createQuery = (table) => {
+  const state = { table, action: 'select', filters: [] };
+  const query = {
+    select: () => query,
+    update: (payload) => {
+      state.action = 'update';
+      state.payload = payload;
+      return query;
+    },
+    delete: () => {
+      state.action = 'delete';
+      return query;
+    },
+    eq: (column, value) => {
+      state.filters.push(['eq', column, value]);
+      return query;
+    },
+    lt: (column, value) => {
+      state.filters.push(['lt', column, value]);
+      return query;
+    },
+    in: (column, values) => {
+      state.filters.push(['in', column, values]);
+      calls.push(state);
+      return Promise.resolve({ error: null });
+    },
+    order: () => Promise.resolve({ data: trashed, error: null }),
+    limit: () => {
+      calls.push(state);
+      const batch = trashed;
+      trashed = [];
+      return Promise.resolve({ data: batch, error: null });
+    },
+    maybeSingle: () => {
+      calls.push(state);
+      return Promise.resolve({ data: restoredRow, error: null });
+    },
+  };
+  return query;
+};
+
+require.cache[configPath] = { exports: { trash: { retentionDays: 30, purgeIntervalMinutes: 60 } } };
+require.cache[supabasePath] = { exports: { supabase: { from: createQuery } } };
+
+const { listTrash, restoreChat, purgeDeletedChats } = require('../src/services/chatTrash.service');
+
+const user = { id: 'user-1' };
+
+test('listTrash reports when each deleted chat will be purged', async () => {
+  trashed = [{ chat_id: 'c1', title: 'Old', deleted_at: '2025-03-01T00:00:00.000Z' }];
+  const [chat] = await listTrash(user);
+  assert.strictEqual(chat.purge_at, '2025-03-31T00:00:00.000Z');
+  trashed = [];
+});
+
+test('restoreChat clears the deleted flag and 404s for chats not in the trash', async () => {
+  calls.length = 0;
+  restoredRow = { chat_id: 'c1', title: 'Old' };
+
+  assert.deepStrictEqual(await restoreChat(user, 'c1'), restoredRow);
+  assert.deepStrictEqual(calls[0].payload, { is_deleted: false, deleted_at: null });
+  assert.ok(calls[0].filters.some(([op, column, value]) => op === 'eq' && column === 'is_deleted' && value === true));
+
+  restoredRow = null;
+  await assert.rejects(
+    () => restoreChat(user, 'c2'),
+    (error) => error.statusCode === 404
+  );
+});
+
+test('purgeDeletedChats removes expired chats with their messages and briefs', async () => {
+  calls.length = 0;
+  trashed = [{ chat_id: 'c1' }, { chat_id: 'c2' }];
+
+  const result = await purgeDeletedChats({ now: new Date('2025-04-30T00:00:00.000Z') });
+
+  assert.strictEqual(result.purged, 2);
+  assert.strictEqual(result.cutoff, '2025-03-31T00:00:00.000Z');
+  assert.deepStrictEqual(calls[0].filters, [
+    ['eq', 'is_deleted', true],
+    ['lt', 'deleted_at', '2025-03-31T00:00:00.000Z'],
+  ]);
+  assert.deepStrictEqual(
+    calls.slice(1).map((call) => [call.table, call.action, call.filters[0][2]]),
+    [
+      ['conversation_briefs', 'delete', ['c1', 'c2']],
+      ['messages', 'delete', ['c1', 'c2']],
+      ['chats', 'delete', ['c1', 'c2']],
+    ]
+  );
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createCitationParser } = require('../src/services/citation.service');
+
+const sources = [
+  {
+    file_id: 'file-a',
+    filename: 'lesson_101.txt',
+    attributes: { lesson_id: '101', title: 'Bow hold basics', date: '2025-03-01' },
+  },
+  {
+    file_id: 'file-b',
+    filename: 'lesson_202.txt',
+    attributes: { lesson_id: '202', title: 'Shifting to third position', date: '2025-03-08' },
+  },
+];
+
+const feed = (parser, chunks) => {
+  let text = '';
+  const citations = [];
+  chunks.forEach((chunk) => {
+    const result = parser.push(chunk);
+    text += result.text;
+    citations.push(...result.citations);
+  });
+  const rest = parser.flush();
+  return { text: text + rest.text, citations: [...citations, ...rest.citations] };
+};
+
+test('resolves bracket markers against vector search attributes', () => {
+  const parser = createCitationParser({ sources });
+  const { text, citations } = feed(parser, ['Relax the thumb【4:0†lesson_101.txt】.']);
+
+  assert.strictEqual(text, 'Relax the thumb[1].');
+  assert.deepStrictEqual(citations, [
+    {
+      index: 1,
+      lesson_id: '101',
+      title: 'Bow hold basics',
+      date: '2025-03-01',
+      file_id: 'file-a',
+      filename: 'lesson_101.txt',
+    },
+  ]);
+});
+
+test('resolves filecite markers split across deltas', () => {
+  const parser = createCitationParser({ sources });
+  const { text, citations } = feed(parser, ['Slide lightly file', 'citeturn0file1', ' and listen.']);
+
+  assert.strictEqual(text, 'Slide lightly [1] and listen.');
+  assert.strictEqual(citations.length, 1);
+  assert.strictEqual(citations[0].lesson_id, '202');
+});
+
+test('reuses the number of an already cited lesson and emits it once', () => {
+  const parser = createCitationParser({ sources });
+  const { text, citations } = feed(parser, ['A【Bow hold basics】 B【Shifting to third position】 C【ID: 101】']);
+
+  assert.strictEqual(text, 'A[1] B[2] C[1]');
+  assert.deepStrictEqual(
+    citations.map((c) => c.lesson_id),
+    ['101', '202']
+  );
+});
+
+test('drops markers that do not match any source', () => {
+  const parser = createCitationParser({ sources });
+  const { text, citations } = feed(parser, ['Keep it simple【9:9†unknown.pdf】.']);
+
+  assert.strictEqual(text, 'Keep it simple.');
+  assert.deepStrictEqual(citations, []);
+});
+
+test('leaves ordinary text that only looks like a marker prefix untouched', () => {
+  const parser = createCitationParser({ sources });
+  const { text } = feed(parser, ['Open the file', ' and practise slowly【unterminated']);
+
+  assert.strictEqual(text, 'Open the file and practise slowly【unterminated');
+});
+
+test('resolveAnnotation maps file_citation annotations by file id', () => {
+  const parser = createCitationParser({ sources });
+
+  const citation = parser.resolveAnnotation({ type: 'file_citation', file_id: 'file-b', index: 10 });
+  assert.strictEqual(citation.index, 1);
+  assert.strictEqual(citation.title, 'Shifting to third position');
+  assert.strictEqual(parser.resolveAnnotation({ type: 'file_citation', file_id: 'file-b' }), null);
+  assert.deepStrictEqual(
+    parser.getCitations().map((c) => c.file_id),
+    ['file-b']
+  );
+});
+
+test('strips every marker when there are no sources', () => {
+  const parser = createCitationParser();
+  const { text } = feed(parser, ['Hi【4:0†x】 there\uE200filecite\uE202turn0file5\uE201!']);
+
+  assert.strictEqual(text, 'Hi there!');
+});
@@ -0,0 +1,108 @@
+// Context pipeline unit tests
+const test = require('node:test');
+const assert = require('node:assert');
+
+const memoryCalls = [];
+const memoryPath = require.resolve('../src/services/conversationMemory.service');
+require.cache[memoryPath] = {
+  exports: {
+    DEFAULT_MEMORY_STATE: { summary: '' },
+    approxTokens: (value) => (typeof value === 'string' ? Math.ceil(value.length / 4) : 0),
+    buildMemoryContext: async (params) => {
+      memoryCalls.push(params);
+      return { memoryText: 'Conversation so far: scales', brief: { summary: 'scales' }, tailTurns: [{}, {}] };
+    },
+  },
+};
+
+const searches = [];
+const vectorStorePath = require.resolve('../src/services/vectorStore.service');
+require.cache[vectorStorePath] = {
+  exports: {
+    searchVectorStore: async (userId, query, maxResults) => {
+      searches.push({ userId, query, maxResults });
+      return [
+        {
+          file_id: 'file_1',
+          attributes: { title: 'Bow control', date: '2025-03-01' },
+          content: [{ text: 'Keep the bow straight.' }],
+        },
+      ];
+    },
+  },
+};
+
+const {
+  resolveStages,
+  assembleContext,
+  buildUserMessageContent,
+  formatVectorSearchResults,
+} = require('../src/services/contextPipeline.service');
+
+test('chat modes declare their stages; lesson-plan turns skip retrieval', () => {
+  assert.deepStrictEqual(resolveStages({ chatMode: 'personal_lessons' }), [
+    'memory',
+    'personal_retrieval',
+    'lesson_context',
+    'instruction_tokens',
+  ]);
+  assert.ok(!resolveStages({ chatMode: 'arcoai' }).includes('personal_retrieval'));
+  assert.ok(!resolveStages({ chatMode: 'personal_lessons', isLessonPlanTurn: true }).includes('personal_retrieval'));
+  assert.deepStrictEqual(resolveStages({ chatMode: 'unknown' }), resolveStages({ chatMode: 'arcoai' }));
+});
+
+test('buildUserMessageContent joins the instruction token the same way for every path', () => {
+  assert.strictEqual(buildUserMessageContent({ message: 'Hi', instructionToken: '[t]' }), 'Hi [t]');
+  assert.strictEqual(buildUserMessageContent({ message: 'Hi' }), 'Hi');
+  assert.strictEqual(
+    buildUserMessageContent({ message: 'Plan', instructionToken: '[t]', isLessonPlanChat: true }),
+    'Plan\n\n[t]'
+  );
+  assert.strictEqual(
+    buildUserMessageContent({ message: 'Plan', instructionToken: '[t]', lessonPlanFullContext: 'stored' }),
+    'stored'
+  );
+});
+
+test('assembleContext joins segments in stage order and traces every stage', async () => {
+  memoryCalls.length = 0;
+  searches.length = 0;
+
+  const context = await assembleContext(
+    {
+      chatId: 'chat-1',
+      userId: 'user-1',
+      message: 'How do I fix my bow?',
+      instructionToken: '[concise]',
+      lessonContext: [{ title: 'Lesson 1', date: '2025-03-01' }],
+      excludeMessageIds: ['m1'],
+    },
+    resolveStages({ chatMode: 'personal_lessons' })
+  );
+
+  assert.strictEqual(
+    context.input,
+    [
+      'Conversation so far: scales',
+      formatVectorSearchResults(context.vectorSearchResults),
+      'How do I fix my bow? [concise]',
+    ].join('\n\n')
+  );
+  assert.deepStrictEqual(memoryCalls[0].excludeMessageIds, ['m1']);
+  assert.deepStrictEqual(searches, [{ userId: 'user-1', query: 'How do I fix my bow?', maxResults: 5 }]);
+  assert.deepStrictEqual(context.memoryBrief, { summary: 'scales' });
+  assert.deepStrictEqual(context.metadata, { lesson_context: '1 lessons' });
+  assert.deepStrictEqual(
+    context.trace.map((entry) => entry.stage),
+    ['memory', 'personal_retrieval', 'lesson_context', 'instruction_tokens']
+  );
+  context.trace.forEach((entry) => {
+    assert.ok(Number.isFinite(entry.ms));
+    assert.ok(Number.isFinite(entry.tokens));
+  });
+  assert.strictEqual(context.trace[2].tokens, 0);
+});
+
+test('assembleContext rejects unknown stages', async () => {
+  await assert.rejects(assembleContext({}, ['nope']), /Unknown context stage/);
+});
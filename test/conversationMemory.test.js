@@ -18,7 +18,21 @@ const makeChain = () => {
 
 // Mock dependencies before requiring the service
 const supabasePath = require.resolve('../src/config/supabase');
-require.cache[supabasePath] = { exports: { supabase: { from: () => makeChain() } } };
+// Brief stored for every chat; null until a test saves one
+let storedBrief = null;
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => {
+        const chain = makeChain();
+        if (table === 'conversation_briefs' && storedBrief) {
+          chain.single = async () => ({ data: { brief: storedBrief }, error: null });
+        }
+        return chain;
+      },
+    },
+  },
+};
 
 const configPath = require.resolve('../src/config/config');
 require.cache[configPath] = {
@@ -34,11 +48,15 @@ require.cache[configPath] = {
 };
 
 const openaiPath = require.resolve('../src/config/openai');
+const summarizerInputs = [];
 require.cache[openaiPath] = {
   exports: {
     openaiClient: {
       responses: {
-        create: async () => ({ output_text: 'new summary text' }),
+        create: async ({ input }) => {
+          summarizerInputs.push(input);
+          return { output_text: 'new summary text' };
+        },
       },
     },
   },
@@ -52,8 +70,36 @@ require.cache[llmLoggerPath] = {
   },
 };
 
+// Leases shared by all instances, held here in memory
+const heldLeases = new Set();
+const releasedLeases = [];
+let leaseRenewable = true;
+const leasePath = require.resolve('../src/services/lease.service');
+require.cache[leasePath] = {
+  exports: {
+    acquireLease: async (key, ttlSeconds) => {
+      if (heldLeases.has(key)) return null;
+      heldLeases.add(key);
+      return { key, holderId: 'instance-1', ttlSeconds };
+    },
+    renewLease: async () => leaseRenewable,
+    releaseLease: async (lease) => {
+      heldLeases.delete(lease.key);
+      releasedLeases.push(lease.key);
+    },
+  },
+};
+
 const memoryService = require('../src/services/conversationMemory.service');
 
+const summarizableTurns = () => [
+  { user: { content: 'user one with enough text', message_id: 'u1' }, assistant: { content: 'assistant one', message_id: 'a1' } },
+  { user: { content: 'user two with more text', message_id: 'u2' }, assistant: { content: 'assistant two', message_id: 'a2' } },
+  { user: { content: 'user three', message_id: 'u3' }, assistant: { content: 'assistant three', message_id: 'a3' } },
+  { user: { content: 'user four', message_id: 'u4' }, assistant: { content: 'assistant four', message_id: 'a4' } },
+];
+const summarizeOverrides = { chunkSummarizeThreshold: 5, kRawTurns: 3, summaryTokenCap: 50, promptTokenBudget: 3000 };
+
 test('maybeUpdateGlobalSummary skips when below threshold', async () => {
   const brief = { global_summary: 'short', last_summarized_message_id: null };
   const turns = [
@@ -93,3 +139,77 @@ test('maybeUpdateGlobalSummary summarizes older turns and advances cursor', asyn
   assert.strictEqual(result.brief.last_summarized_message_id, 'a1');
   assert.ok(result.brief.global_summary.includes('new summary text'));
 });
+
+test('maybeUpdateGlobalSummary skips while another instance holds the lease', async () => {
+  heldLeases.add('summarization:chat-busy');
+
+  const result = await memoryService.maybeUpdateGlobalSummary({
+    chatId: 'chat-busy',
+    userId: 'user-2',
+    brief: { global_summary: 'prev summary', last_summarized_message_id: null },
+    turns: summarizableTurns(),
+    overrides: summarizeOverrides,
+  });
+
+  assert.strictEqual(result.reason, 'in_flight');
+  assert.ok(heldLeases.has('summarization:chat-busy'));
+  heldLeases.delete('summarization:chat-busy');
+});
+
+test('maybeUpdateGlobalSummary discards its summary when the lease was taken over', async () => {
+  leaseRenewable = false;
+  releasedLeases.length = 0;
+
+  const result = await memoryService.maybeUpdateGlobalSummary({
+    chatId: 'chat-slow',
+    userId: 'user-2',
+    brief: { global_summary: 'prev summary', last_summarized_message_id: null },
+    turns: summarizableTurns(),
+    overrides: summarizeOverrides,
+  });
+  leaseRenewable = true;
+
+  assert.strictEqual(result.summarized, false);
+  assert.strictEqual(result.reason, 'lease_lost');
+  assert.deepStrictEqual(releasedLeases, ['summarization:chat-slow']);
+});
+
+test('maybeUpdateGlobalSummary summarizes from the brief stored when it takes the lease', async () => {
+  summarizerInputs.length = 0;
+  storedBrief = { global_summary: 'summary saved by another instance', last_summarized_message_id: null };
+
+  const result = await memoryService.maybeUpdateGlobalSummary({
+    chatId: 'chat-stale',
+    userId: 'user-2',
+    brief: { global_summary: 'prev summary', last_summarized_message_id: null },
+    turns: summarizableTurns(),
+    overrides: summarizeOverrides,
+  });
+  storedBrief = null;
+
+  assert.strictEqual(result.summarized, true);
+  assert.ok(summarizerInputs[0].includes('summary saved by another instance'));
+  assert.ok(!summarizerInputs[0].includes('prev summary'));
+});
+
+test('groupMessagesIntoTurns only keeps messages on the given branch lineage', () => {
+  const lineage = [
+    { branch_id: 'b1', before: null },
+    { branch_id: null, before: '2025-01-01T00:02:00.000Z' },
+  ];
+  const messages = [
+    { message_id: 'u1', role: 'user', content: 'Q1', branch_id: null, created_at: '2025-01-01T00:00:00.000Z' },
+    { message_id: 'a1', role: 'assistant', content: 'A1', branch_id: null, created_at: '2025-01-01T00:01:00.000Z' },
+    { message_id: 'u2', role: 'user', content: 'old Q2', branch_id: null, created_at: '2025-01-01T00:02:00.000Z' },
+    { message_id: 'a2', role: 'assistant', content: 'old A2', branch_id: null, created_at: '2025-01-01T00:03:00.000Z' },
+    { message_id: 'u3', role: 'user', content: 'edited Q2', branch_id: 'b1', created_at: '2025-01-01T00:04:00.000Z' },
+    { message_id: 'a3', role: 'assistant', content: 'new A2', branch_id: 'b1', created_at: '2025-01-01T00:05:00.000Z' },
+  ];
+
+  const turns = memoryService.groupMessagesIntoTurns(messages, { lineage });
+
+  assert.deepStrictEqual(
+    turns.map((turn) => [turn.user.message_id, turn.assistant.message_id]),
+    [['u1', 'a1'], ['u3', 'a3']]
+  );
+});
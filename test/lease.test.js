@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// lease.service logs RPC errors through the logger, which validates the environment
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.OPENAI_API_MODEL = process.env.OPENAI_API_MODEL || 'gpt-5';
+
+const supabasePath = require.resolve('../src/config/supabase');
+
+// acquire_lease / renew_lease / release_lease over an in-memory leases table
+const leases = new Map();
+let now = 0;
+let rpcError = null;
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      rpc: async (name, { p_lease_key: key, p_holder_id: holderId, p_ttl_seconds: ttl }) => {
+        if (rpcError) return { data: null, error: rpcError };
+        const lease = leases.get(key);
+        if (name === 'acquire_lease') {
+          if (lease && lease.expiresAt > now) return { data: false, error: null };
+          leases.set(key, { holderId, expiresAt: now + ttl });
+          return { data: true, error: null };
+        }
+        if (name === 'renew_lease') {
+          if (!lease || lease.holderId !== holderId) return { data: false, error: null };
+          lease.expiresAt = now + ttl;
+          return { data: true, error: null };
+        }
+        if (lease && lease.holderId === holderId) leases.delete(key);
+        return { data: true, error: null };
+      },
+    },
+  },
+};
+
+const { acquireLease, renewLease, releaseLease } = require('../src/services/lease.service');
+
+test('a held lease blocks other holders until it is released or expires', async () => {
+  const first = await acquireLease('summarization:chat-1', 60);
+  assert.ok(first);
+  assert.strictEqual(await acquireLease('summarization:chat-1', 60), null);
+
+  now = 61;
+  const second = await acquireLease('summarization:chat-1', 60);
+  assert.ok(second);
+  assert.notStrictEqual(second.holderId, first.holderId);
+  assert.strictEqual(await renewLease(first), false);
+
+  // The stale holder's release must not free the new holder's lease
+  await releaseLease(first);
+  assert.strictEqual(await acquireLease('summarization:chat-1', 60), null);
+  await releaseLease(second);
+  assert.ok(await acquireLease('summarization:chat-1', 60));
+});
+
+test('acquireLease fails closed when the lease table cannot be reached', async () => {
+  rpcError = { message: 'relation "leases" does not exist' };
+  assert.strictEqual(await acquireLease('summarization:chat-2', 60), null);
+  rpcError = null;
+});
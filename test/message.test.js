@@ -35,7 +35,11 @@ require.cache[configPath] = {
   },
 };
 
-// Mock supabase
+// Mock supabase. Tests can queue results per table: `single()` reads singleResults,
+// awaiting a query builder reads queryResults. Filters passed to `or()` are recorded.
+const singleResults = {};
+const queryResults = {};
+const orFilters = [];
 const supabasePath = require.resolve('../src/config/supabase');
 require.cache[supabasePath] = {
   exports: {
@@ -47,7 +51,14 @@ require.cache[supabasePath] = {
           in: () => chain,
           order: () => chain,
           gt: () => chain,
-          single: async () => ({ data: null, error: { code: 'PGRST116' } }),
+          limit: () => chain,
+          or: (filter) => {
+            orFilters.push(filter);
+            return chain;
+          },
+          then: (resolve, reject) =>
+            Promise.resolve((queryResults[table] || []).shift() || { data: [], error: null }).then(resolve, reject),
+          single: async () => (singleResults[table] || []).shift() || { data: null, error: { code: 'PGRST116' } },
           maybeSingle: async () => ({ data: null, error: null }),
           update: () => ({ eq: () => ({ select: () => ({ single: async () => ({ data: {}, error: null }) }) }) }),
           insert: () => ({ select: () => ({ single: async () => ({ data: {}, error: null }) }) }),
@@ -112,3 +123,198 @@ test('selectPromptConfig returns a config object', async () => {
 
   assert.ok(config !== undefined, 'Config should be returned');
 });
+
+test('groupMessageVersions keeps single-version messages untouched', async () => {
+  const messages = [
+    { message_id: 'u1', role: 'user', content: 'Q1' },
+    { message_id: 'a1', role: 'assistant', content: 'A1' },
+  ];
+
+  const grouped = messageService.groupMessageVersions(messages);
+
+  assert.deepStrictEqual(grouped, messages);
+});
+
+test('groupMessageVersions collapses regenerated replies into the selected version', async () => {
+  const messages = [
+    { message_id: 'u1', role: 'user', content: 'Q1' },
+    {
+      message_id: 'a1',
+      role: 'assistant',
+      content: 'first take',
+      version_group_id: 'a1',
+      version_number: 1,
+      is_active_version: false,
+    },
+    {
+      message_id: 'a2',
+      role: 'assistant',
+      content: 'second take',
+      version_group_id: 'a1',
+      version_number: 2,
+      is_active_version: true,
+    },
+    { message_id: 'u2', role: 'user', content: 'Q2' },
+  ];
+
+  const grouped = messageService.groupMessageVersions(messages);
+
+  assert.strictEqual(grouped.length, 3);
+  assert.strictEqual(grouped[1].message_id, 'a2');
+  assert.strictEqual(grouped[1].content, 'second take');
+  assert.deepStrictEqual(
+    grouped[1].versions.map((v) => v.message_id),
+    ['a1', 'a2']
+  );
+  assert.deepStrictEqual(
+    grouped[1].versions.map((v) => v.is_active_version),
+    [false, true]
+  );
+  assert.strictEqual(grouped[2].message_id, 'u2');
+});
+
+test('groupMessageVersions falls back to the latest version when none is selected', async () => {
+  const messages = [
+    {
+      message_id: 'a1',
+      role: 'assistant',
+      content: 'first',
+      version_group_id: 'a1',
+      version_number: 1,
+      is_active_version: false,
+    },
+    {
+      message_id: 'a3',
+      role: 'assistant',
+      content: 'third',
+      version_group_id: 'a1',
+      version_number: 3,
+      is_active_version: false,
+    },
+    {
+      message_id: 'a2',
+      role: 'assistant',
+      content: 'second',
+      version_group_id: 'a1',
+      version_number: 2,
+      is_active_version: false,
+    },
+  ];
+
+  const [grouped] = messageService.groupMessageVersions(messages);
+
+  assert.strictEqual(grouped.message_id, 'a3');
+  assert.deepStrictEqual(
+    grouped.versions.map((v) => v.version_number),
+    [1, 2, 3]
+  );
+});
+
+test('findAllMessages returns the whole transcript when no page is requested', async () => {
+  singleResults.chats = [{ data: { chat_id: 'c1', active_branch_id: null }, error: null }];
+  queryResults.messages = [
+    {
+      data: [
+        { message_id: 'u1', role: 'user', created_at: '2025-01-01T00:00:00Z' },
+        { message_id: 'a1', role: 'assistant', created_at: '2025-01-01T00:00:01Z' },
+      ],
+      error: null,
+    },
+  ];
+
+  const result = await messageService.findAllMessages('c1', { id: 'user-1' });
+
+  assert.deepStrictEqual(
+    result.messages.map((m) => m.message_id),
+    ['u1', 'a1']
+  );
+  assert.strictEqual(result.next_cursor, null);
+});
+
+test('findAllMessages pages upward and returns a cursor for older turns', async () => {
+  singleResults.chats = [{ data: { chat_id: 'c1', active_branch_id: null }, error: null }];
+  // Newest first, one more than the limit to signal older history
+  queryResults.messages = [
+    {
+      data: [
+        { message_id: 'a2', version_group_id: 'a2', role: 'assistant', created_at: '2025-01-01T00:00:03Z' },
+        { message_id: 'b2000000-0000-4000-8000-000000000000', role: 'user', created_at: '2025-01-01T00:00:02Z' },
+        { message_id: 'a1', role: 'assistant', created_at: '2025-01-01T00:00:01Z' },
+      ],
+      error: null,
+    },
+    {
+      data: [
+        {
+          message_id: 'a2-old',
+          version_group_id: 'a2',
+          version_number: 1,
+          is_active_version: false,
+          role: 'assistant',
+          created_at: '2025-01-01T00:00:03Z',
+        },
+      ],
+      error: null,
+    },
+  ];
+
+  const result = await messageService.findAllMessages('c1', { id: 'user-1' }, { limit: 2 });
+
+  assert.deepStrictEqual(
+    result.messages.map((m) => m.message_id),
+    ['b2000000-0000-4000-8000-000000000000', 'a2']
+  );
+  assert.strictEqual(result.messages[1].versions.length, 2);
+  assert.ok(result.next_cursor);
+
+  orFilters.length = 0;
+  singleResults.chats = [{ data: { chat_id: 'c1', active_branch_id: null }, error: null }];
+  queryResults.messages = [{ data: [], error: null }];
+  const older = await messageService.findAllMessages('c1', { id: 'user-1' }, { limit: 2, before: result.next_cursor });
+
+  assert.deepStrictEqual(older.messages, []);
+  assert.strictEqual(older.next_cursor, null);
+  assert.deepStrictEqual(orFilters, [
+    'created_at.lt."2025-01-01T00:00:02.000000Z",and(created_at.eq."2025-01-01T00:00:02.000000Z",message_id.lt.b2000000-0000-4000-8000-000000000000)',
+  ]);
+});
+
+test('findAllMessages rejects malformed cursors', async () => {
+  singleResults.chats = [{ data: { chat_id: 'c1', active_branch_id: null }, error: null }];
+
+  await assert.rejects(
+    messageService.findAllMessages('c1', { id: 'user-1' }, { before: 'not-a-cursor' }),
+    (err) => err.statusCode === 400
+  );
+});
+
+test('findAllMessages rejects cursors that could inject filter terms', async () => {
+  const encode = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  const crafted = [
+    { created_at: '2025-01-01T00:00:02Z', message_id: 'u2),user_id.neq.null' },
+    { created_at: '2025-01-01T00:00:02Z",role.eq."user', message_id: 'b2000000-0000-4000-8000-000000000000' },
+  ];
+
+  singleResults.chats = crafted.map(() => ({ data: { chat_id: 'c1', active_branch_id: null }, error: null }));
+  await Promise.all(
+    crafted.map((cursor) =>
+      assert.rejects(
+        messageService.findAllMessages('c1', { id: 'user-1' }, { before: encode(cursor) }),
+        (err) => err.statusCode === 400
+      )
+    )
+  );
+});
+
+test('findAllMessages keeps microseconds when normalizing cursor timestamps', async () => {
+  const cursor = Buffer.from(
+    JSON.stringify({ created_at: '2025-01-01T02:00:02.123456+02:00', message_id: 'b2000000-0000-4000-8000-000000000000' })
+  ).toString('base64url');
+  orFilters.length = 0;
+  singleResults.chats = [{ data: { chat_id: 'c1', active_branch_id: null }, error: null }];
+  queryResults.messages = [{ data: [], error: null }];
+
+  await messageService.findAllMessages('c1', { id: 'user-1' }, { limit: 2, after: cursor });
+
+  assert.ok(orFilters[0].startsWith('created_at.gt."2025-01-01T00:00:02.123456Z"'));
+});
@@ -0,0 +1,178 @@
+// Regenerated replies feed the same background jobs as new replies
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.OPENAI_API_MODEL = process.env.OPENAI_API_MODEL || 'gpt-5';
+
+const configPath = require.resolve('../src/config/config');
+require.cache[configPath] = {
+  exports: {
+    openai: { mainClient: { promptId: 'prompt-default', promptVersion: 'v1' } },
+    memory: { globalSummaryPromptId: 'prompt-summary' },
+  },
+};
+
+const original = {
+  message_id: 'a1',
+  role: 'assistant',
+  chat_id: 'chat-1',
+  branch_id: null,
+  version_group_id: 'a1',
+  created_at: '2025-01-01T00:00:01Z',
+};
+const userMsg = { message_id: 'u1', role: 'user', content: 'How do I practise spiccato?', metadata: {} };
+const maybeSingleResults = [];
+const inserted = [];
+const rpcCalls = [];
+
+const supabasePath = require.resolve('../src/config/supabase');
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      rpc: async (name, params) => {
+        rpcCalls.push({ name, params });
+        return { error: null };
+      },
+      from: (table) => {
+        const chain = {
+          select: () => chain,
+          eq: () => chain,
+          neq: () => chain,
+          lt: () => chain,
+          order: () => chain,
+          limit: () => chain,
+          update: () => chain,
+          then: (resolve) => resolve({ error: null }),
+          single: async () =>
+            table === 'chats'
+              ? { data: { chat_id: 'chat-1', chat_mode: 'arcoai' }, error: null }
+              : { data: original, error: null },
+          maybeSingle: async () => maybeSingleResults.shift() || { data: null, error: null },
+          insert: (row) => {
+            inserted.push(row);
+            return {
+              select: () => ({ single: async () => ({ data: { message_id: 'a2', ...row }, error: null }) }),
+            };
+          },
+        };
+        return chain;
+      },
+    },
+  },
+};
+
+const openaiPath = require.resolve('../src/config/openai');
+require.cache[openaiPath] = {
+  exports: {
+    openaiClient: {
+      responses: {
+        create: async () =>
+          (async function* events() {
+            yield { type: 'response.created', response: { id: 'resp-1' } };
+            yield { type: 'response.output_item.added', item: { id: 'rs_1', type: 'reasoning' } };
+            yield { type: 'response.output_item.added', item: { id: 'msg_1', type: 'message' } };
+            yield { type: 'response.output_text.delta', delta: 'Start at the balance point.' };
+            yield { type: 'response.completed', response: { id: 'resp-1' } };
+          })(),
+      },
+    },
+  },
+};
+
+const dispatched = [];
+const mocks = {
+  '../src/utils/llmLogger': { logLLMInput: () => {}, logLLMOutput: () => {} },
+  '../src/services/chat.service': { createChatWithFirstMessage: async () => ({}) },
+  '../src/services/conversationMemory.service': {
+    approxTokens: () => 0,
+    DEFAULT_MEMORY_STATE: {},
+    saveConversationMemory: async () => {},
+  },
+  '../src/services/contextPipeline.service': {
+    assembleContext: async () => ({ input: 'context', metadata: {}, vectorSearchResults: [], trace: [] }),
+    resolveStages: () => [],
+    buildUserMessageContent: (message) => message,
+  },
+  '../src/services/messageStream.service': {
+    createMessageStream: () => ({
+      id: 'stream-1',
+      attach: () => {},
+      send: () => {},
+      end: () => {},
+      isFinished: () => false,
+      hasSubscribers: () => true,
+      bindResponseId: () => {},
+      getResponseId: () => 'resp-1',
+    }),
+  },
+  '../src/services/chatBranch.service': {
+    getBranchLineage: async () => [],
+    applyLineageFilter: (query) => query,
+    isMessageOnLineage: () => true,
+    createBranch: async () => ({}),
+  },
+  '../src/services/usage.service': {
+    OPERATIONS: { CHAT_REPLY: 'chat_reply' },
+    summarizeUsage: () => null,
+    recordUsage: () => {},
+  },
+  '../src/services/backgroundJob.service': {
+    JOB_TYPES: { MEMORY_SUMMARY: 'memory_summary', USER_MEMORY_EXTRACTION: 'user_memory_extraction' },
+    dispatchJob: async (type, payload) => {
+      dispatched.push({ type, payload });
+      return null;
+    },
+  },
+};
+Object.entries(mocks).forEach(([path, exports]) => {
+  require.cache[require.resolve(path)] = { exports };
+});
+
+const { regenerateMessage } = require('../src/services/message.service');
+
+const makeRes = () => ({ on: () => {} });
+
+test('regenerateMessage queues a memory summary and fact extraction for the new version', async () => {
+  maybeSingleResults.push({ data: userMsg, error: null }, { data: { version_number: 1 }, error: null });
+
+  await regenerateMessage({ message_id: 'a1', user: { id: 'user-1' }, req: {}, res: makeRes() });
+
+  assert.deepStrictEqual(dispatched, [
+    { type: 'memory_summary', payload: { chatId: 'chat-1', userId: 'user-1' } },
+    {
+      type: 'user_memory_extraction',
+      payload: {
+        userId: 'user-1',
+        chatId: 'chat-1',
+        messageId: 'a2',
+        userMessage: 'How do I practise spiccato?',
+        assistantMessage: 'Start at the balance point.',
+      },
+    },
+  ]);
+});
+
+test('regenerateMessage saves the response and output item IDs of the new version', async () => {
+  inserted.length = 0;
+  maybeSingleResults.push({ data: userMsg, error: null }, { data: { version_number: 1 }, error: null });
+
+  await regenerateMessage({ message_id: 'a1', user: { id: 'user-1' }, req: {}, res: makeRes() });
+
+  assert.strictEqual(inserted[0].response_id, 'resp-1');
+  assert.strictEqual(inserted[0].item_id, 'msg_1');
+});
+
+test('regenerateMessage saves the new version inactive and switches the group to it in one call', async () => {
+  inserted.length = 0;
+  rpcCalls.length = 0;
+  maybeSingleResults.push({ data: userMsg, error: null }, { data: { version_number: 1 }, error: null });
+
+  await regenerateMessage({ message_id: 'a1', user: { id: 'user-1' }, req: {}, res: makeRes() });
+
+  assert.strictEqual(inserted[0].is_active_version, false);
+  assert.deepStrictEqual(rpcCalls, [
+    { name: 'activate_message_version', params: { p_version_group_id: 'a1', p_message_id: 'a2' } },
+  ]);
+});
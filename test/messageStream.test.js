@@ -0,0 +1,328 @@
+// Message stream transport unit tests
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const configPath = require.resolve('../src/config/config');
+require.cache[configPath] = {
+  exports: {
+    streaming: {
+      replayTtlSeconds: 60,
+      heartbeatSeconds: 15,
+    },
+  },
+};
+
+// active_generations rows shared by all instances, kept in memory
+const generationRows = new Map();
+// When set, inserts wait for it before landing
+let insertGate = null;
+const supabasePath = require.resolve('../src/config/supabase');
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: () => {
+        const filters = [];
+        let changes = null;
+        let remove = false;
+        const rows = () => Array.from(generationRows.values()).filter((row) => filters.every((filter) => filter(row)));
+        const chain = {
+          upsert: async (row) => {
+            await insertGate;
+            generationRows.set(row.response_id, { ...row, started_at: new Date().toISOString(), cancel_requested_at: null });
+            return { error: null };
+          },
+          update: (payload) => {
+            changes = payload;
+            return chain;
+          },
+          delete: () => {
+            remove = true;
+            return chain;
+          },
+          select: () => chain,
+          eq: (column, value) => {
+            filters.push((row) => row[column] === value);
+            return chain;
+          },
+          gte: (column, value) => {
+            filters.push((row) => row[column] >= value);
+            return chain;
+          },
+          lt: (column, value) => {
+            filters.push((row) => row[column] < value);
+            return chain;
+          },
+          in: (column, values) => {
+            filters.push((row) => values.includes(row[column]));
+            return chain;
+          },
+          not: (column) => {
+            filters.push((row) => row[column] !== null);
+            return chain;
+          },
+          then: (resolve) => {
+            const matched = rows();
+            matched.forEach((row) => (remove ? generationRows.delete(row.response_id) : Object.assign(row, changes)));
+            resolve({ data: matched.map((row) => ({ ...row })), error: null });
+          },
+        };
+        return chain;
+      },
+    },
+  },
+};
+
+const messageStream = require('../src/services/messageStream.service');
+
+// Minimal stand-in for an Express response
+const makeRes = () => {
+  const res = new EventEmitter();
+  res.headers = null;
+  res.chunks = [];
+  res.writableEnded = false;
+  res.writeHead = (status, headers) => {
+    res.statusCode = status;
+    res.headers = headers;
+  };
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    return true;
+  };
+  res.end = () => {
+    res.writableEnded = true;
+  };
+  return res;
+};
+
+const makeReq = (accept) => ({ headers: accept ? { accept } : {} });
+
+test('resolveTransport defaults to ndjson and honours Accept: text/event-stream', () => {
+  assert.strictEqual(messageStream.resolveTransport(makeReq()), messageStream.TRANSPORT_NDJSON);
+  assert.strictEqual(messageStream.resolveTransport(makeReq('application/json')), messageStream.TRANSPORT_NDJSON);
+  assert.strictEqual(messageStream.resolveTransport(makeReq('text/event-stream')), messageStream.TRANSPORT_SSE);
+});
+
+test('parseEventId splits stream id and sequence number', () => {
+  assert.deepStrictEqual(messageStream.parseEventId('abc-123:7'), { streamId: 'abc-123', seq: 7 });
+  assert.strictEqual(messageStream.parseEventId('no-separator'), null);
+  assert.strictEqual(messageStream.parseEventId('abc:-1'), null);
+  assert.strictEqual(messageStream.parseEventId(''), null);
+});
+
+test('ndjson transport keeps the legacy text/plain line format', () => {
+  const res = makeRes();
+  const stream = messageStream.createMessageStream({ userId: 'user-1' });
+  stream.attach(makeReq(), res);
+
+  stream.send({ event: 'content.delta', data: { id: 'response', text: 'Hi' } });
+  stream.send({ type: 'chat_created', chat: { chat_id: 'c1' } });
+  stream.end();
+
+  assert.deepStrictEqual(res.headers, { 'Content-type': 'text/plain' });
+  assert.deepStrictEqual(res.chunks, [
+    '{"event":"content.delta","data":{"id":"response","text":"Hi"}}\n',
+    '{"type":"chat_created","chat":{"chat_id":"c1"}}\n',
+  ]);
+  assert.strictEqual(res.writableEnded, true);
+});
+
+test('sse transport emits frames with monotonically increasing ids', () => {
+  const res = makeRes();
+  const stream = messageStream.createMessageStream({ userId: 'user-1' });
+  stream.attach(makeReq('text/event-stream'), res);
+
+  stream.send({ event: 'response.created', data: { id: 'resp_1' } });
+  stream.send({ type: 'chat_title_updated', title: 'Bow hold' });
+  stream.end();
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+  assert.strictEqual(
+    res.chunks[0],
+    `id: ${stream.id}:1\nevent: response.created\ndata: {"event":"response.created","data":{"id":"resp_1"}}\n\n`
+  );
+  assert.ok(res.chunks[1].startsWith(`id: ${stream.id}:2\nevent: chat_title_updated\n`));
+});
+
+test('resumeMessageStream replays events after Last-Event-ID and tails live ones', () => {
+  const first = makeRes();
+  const stream = messageStream.createMessageStream({ userId: 'user-1' });
+  stream.attach(makeReq('text/event-stream'), first);
+  stream.send({ event: 'content.delta', data: { text: 'one' } });
+  stream.send({ event: 'content.delta', data: { text: 'two' } });
+
+  // Connection drops after the first event was received
+  first.emit('close');
+  assert.strictEqual(stream.hasSubscribers(), false);
+
+  const second = makeRes();
+  messageStream.resumeMessageStream({
+    lastEventId: `${stream.id}:1`,
+    user: { id: 'user-1' },
+    req: makeReq('text/event-stream'),
+    res: second,
+  });
+  stream.send({ event: 'content.delta', data: { text: 'three' } });
+  stream.end();
+
+  assert.strictEqual(second.chunks.length, 2);
+  assert.ok(second.chunks[0].includes('"two"'));
+  assert.ok(second.chunks[1].startsWith(`id: ${stream.id}:3`));
+  assert.strictEqual(second.writableEnded, true);
+});
+
+test('resumeMessageStream rejects other users and unknown streams', () => {
+  const stream = messageStream.createMessageStream({ userId: 'owner' });
+
+  assert.throws(
+    () =>
+      messageStream.resumeMessageStream({
+        lastEventId: `${stream.id}:0`,
+        user: { id: 'intruder' },
+        req: makeReq(),
+        res: makeRes(),
+      }),
+    (err) => err.statusCode === 404
+  );
+  assert.throws(
+    () =>
+      messageStream.resumeMessageStream({ lastEventId: 'garbage', user: { id: 'owner' }, req: makeReq(), res: makeRes() }),
+    (err) => err.statusCode === 400
+  );
+});
+
+test('reattachMessageStream finds the stream by response id and replays from the start', () => {
+  const original = makeRes();
+  const stream = messageStream.createMessageStream({ userId: 'user-1' });
+  stream.attach(makeReq(), original);
+  stream.bindResponseId('resp_42');
+  stream.send({ event: 'content.delta', data: { text: 'Keep ' } });
+
+  // Phone switches networks; generation keeps going with nobody attached
+  original.emit('close');
+  stream.send({ event: 'content.delta', data: { text: 'going' } });
+
+  const reattached = makeRes();
+  const found = messageStream.reattachMessageStream({
+    responseId: 'resp_42',
+    user: { id: 'user-1' },
+    req: makeReq(),
+    res: reattached,
+  });
+  stream.end();
+
+  assert.strictEqual(found, stream);
+  assert.strictEqual(reattached.chunks.length, 2);
+  assert.ok(reattached.chunks[1].includes('going'));
+  assert.strictEqual(reattached.writableEnded, true);
+  assert.throws(
+    () =>
+      messageStream.reattachMessageStream({ responseId: 'resp_42', user: { id: 'other' }, req: makeReq(), res: makeRes() }),
+    (err) => err.statusCode === 404
+  );
+});
+
+test("cancelGeneration aborts the owner's running generation only", async () => {
+  const abortController = new AbortController();
+  const stream = messageStream.createMessageStream({ userId: 'user-1', abortController });
+  stream.attach(makeReq(), makeRes());
+  stream.bindResponseId('resp_cancel');
+
+  await assert.rejects(
+    messageStream.cancelGeneration({ responseId: 'resp_cancel', user: { id: 'other' } }),
+    (err) => err.statusCode === 404
+  );
+  assert.strictEqual(abortController.signal.aborted, false);
+
+  assert.strictEqual(
+    await messageStream.cancelGeneration({ responseId: 'resp_cancel', user: { id: 'user-1' } }),
+    'cancelled'
+  );
+  assert.strictEqual(abortController.signal.aborted, true);
+  stream.end();
+  await new Promise(setImmediate);
+  assert.strictEqual(generationRows.has('resp_cancel'), false);
+});
+
+test('cancelGeneration rejects generations that already finished', async () => {
+  const abortController = new AbortController();
+  const stream = messageStream.createMessageStream({ userId: 'user-1', abortController });
+  stream.attach(makeReq(), makeRes());
+  stream.bindResponseId('resp_done');
+  stream.end();
+  await new Promise(setImmediate);
+
+  await assert.rejects(
+    messageStream.cancelGeneration({ responseId: 'resp_done', user: { id: 'user-1' } }),
+    (err) => err.statusCode === 404
+  );
+  assert.strictEqual(abortController.signal.aborted, false);
+});
+
+test('a cancel received by another instance stops the generation on its next poll', async () => {
+  test.mock.timers.enable({ apis: ['setInterval'] });
+  const abortController = new AbortController();
+  const stream = messageStream.createMessageStream({ userId: 'user-1', abortController });
+  stream.attach(makeReq(), makeRes());
+  stream.bindResponseId('resp_remote');
+  await new Promise(setImmediate);
+
+  // The other instance only sees the shared row
+  generationRows.set('resp_elsewhere', {
+    response_id: 'resp_elsewhere',
+    user_id: 'user-1',
+    started_at: new Date().toISOString(),
+    cancel_requested_at: null,
+  });
+  assert.strictEqual(
+    await messageStream.cancelGeneration({ responseId: 'resp_elsewhere', user: { id: 'user-1' } }),
+    'cancel_requested'
+  );
+  generationRows.get('resp_remote').cancel_requested_at = new Date().toISOString();
+
+  test.mock.timers.tick(2000);
+  await new Promise(setImmediate);
+  test.mock.timers.reset();
+
+  assert.strictEqual(abortController.signal.aborted, true);
+  stream.end();
+});
+
+test("a generation's row is removed even when its insert lands after the stream ends", async () => {
+  let releaseInsert;
+  insertGate = new Promise((resolve) => {
+    releaseInsert = resolve;
+  });
+  const stream = messageStream.createMessageStream({ userId: 'user-1', abortController: new AbortController() });
+  stream.attach(makeReq(), makeRes());
+  stream.bindResponseId('resp_slow_insert');
+  stream.end();
+
+  insertGate = null;
+  releaseInsert();
+  await new Promise(setImmediate);
+  assert.strictEqual(generationRows.has('resp_slow_insert'), false);
+});
+
+test('the cancel poll sweeps rows left behind by instances that stopped', async () => {
+  // Past the sweep interval since the poll in the test above
+  test.mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() + 10 * 60 * 1000 });
+  generationRows.set('resp_orphaned', {
+    response_id: 'resp_orphaned',
+    user_id: 'user-1',
+    started_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    cancel_requested_at: null,
+  });
+  const stream = messageStream.createMessageStream({ userId: 'user-1', abortController: new AbortController() });
+  stream.attach(makeReq(), makeRes());
+  stream.bindResponseId('resp_sweeper');
+  await new Promise(setImmediate);
+
+  test.mock.timers.tick(2000);
+  await new Promise(setImmediate);
+  test.mock.timers.reset();
+
+  assert.strictEqual(generationRows.has('resp_orphaned'), false);
+  assert.strictEqual(generationRows.has('resp_sweeper'), true);
+  stream.end();
+});
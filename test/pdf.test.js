@@ -4,6 +4,8 @@ const assert = require('node:assert');
 
 // Set up environment
 process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.OPENAI_API_MODEL = process.env.OPENAI_API_MODEL || 'gpt-5';
 process.env.PDF_SERVICE_URL = process.env.PDF_SERVICE_URL || 'http://localhost:3001';
 
 test('PDF generation endpoint configuration exists', async () => {
@@ -19,6 +21,94 @@ test('PDF route handler should exist', async () => {
   assert.ok(pdfRoute, 'PDF route should be exported');
 });
 
+const pdfRoute = require('../src/routes/v1/pdf.route');
+
+// Stands in for pdf-service: records requests and answers with the queued responses
+const fetchCalls = [];
+const fetchResponses = [];
+global.fetch = async (url, options) => {
+  fetchCalls.push({ url, options });
+  const next = fetchResponses.shift();
+  if (next instanceof Error) throw next;
+  return next;
+};
+
+const routeHandler = (method, routePath) => {
+  const layer = pdfRoute.stack.find((entry) => entry.route.path === routePath && entry.route.methods[method]);
+  return layer.route.stack[0].handle;
+};
+
+const makeRes = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.send = (body) => {
+    res.body = body;
+  };
+  res.json = (body) => {
+    res.body = body;
+  };
+  return res;
+};
+
+// pdf-service response headers, as fetch exposes them
+const makeHeaders = (values) => ({ get: (name) => values[name.toLowerCase()] || null });
+
+test('POST /generate forwards to pdf-service with the configured URL and timeout and passes its headers through', async () => {
+  fetchCalls.length = 0;
+  fetchResponses.push({
+    ok: true,
+    headers: makeHeaders({
+      'content-type': 'application/pdf',
+      'content-disposition': 'attachment; filename="Scales.pdf"',
+      'content-length': '4',
+    }),
+    arrayBuffer: async () => new TextEncoder().encode('%PDF').buffer,
+  });
+  const res = makeRes();
+
+  await routeHandler('post', '/generate')({ body: { html: '<h1>Scales</h1>', title: 'Scales' } }, res);
+
+  assert.strictEqual(fetchCalls[0].url, `${process.env.PDF_SERVICE_URL}/generate`);
+  assert.deepStrictEqual(JSON.parse(fetchCalls[0].options.body), { html: '<h1>Scales</h1>', title: 'Scales' });
+  assert.ok(fetchCalls[0].options.signal, 'request should time out');
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.headers, {
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': 'attachment; filename="Scales.pdf"',
+    'Content-Length': '4',
+    'Cache-Control': 'public, max-age=3600',
+  });
+  assert.strictEqual(res.body.toString(), '%PDF');
+});
+
+test('POST /generate returns pdf-service error bodies as is and its own for failed requests', async () => {
+  fetchResponses.push(
+    { ok: false, status: 503, json: async () => ({ error: 'PDF service not ready', code: 'NOT_READY' }) },
+    Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' }),
+    new TypeError('fetch failed')
+  );
+  const generate = async () => {
+    const res = makeRes();
+    await routeHandler('post', '/generate')({ body: { html: '<p>x</p>' } }, res);
+    return [res.statusCode, res.body];
+  };
+
+  assert.deepStrictEqual(
+    [await generate(), await generate(), await generate()],
+    [
+      [503, { error: 'PDF service not ready', code: 'NOT_READY' }],
+      [408, { error: 'PDF generation timeout', code: 'TIMEOUT' }],
+      [503, { error: 'PDF service unavailable', code: 'SERVICE_UNAVAILABLE' }],
+    ]
+  );
+});
+
 // Integration tests (require running services):
 //
 // test('POST /v1/pdf/generate returns PDF for valid HTML', async () => {
@@ -27,3 +27,18 @@ test('promptConfig validates instruments/genres', () => {
   assert.strictEqual(promptConfigService.isValidGenre('classical'), true);
   assert.strictEqual(promptConfigService.isValidGenre('unknown'), false);
 });
+
+test('promptConfig title prompt uses the genre title labels and the student name', () => {
+  const prompt = promptConfigService.generateTitlePrompt('cello', 'jazz', 'Dana');
+  assert.ok(prompt.includes('cello lesson summary'));
+  assert.ok(prompt.includes('songs, arrangements, or technical topics'));
+  assert.ok(prompt.includes('Start the title with "Dana:"'));
+  assert.ok(!prompt.includes('{{'));
+});
+
+test('promptConfig chat title prompt fills every placeholder', () => {
+  const prompt = promptConfigService.generateChatTitlePrompt('violin', 'classical');
+  assert.ok(prompt.includes('violin teaching conversation'));
+  assert.ok(prompt.includes("'Rode 12'"));
+  assert.ok(!prompt.includes('{{'));
+});
@@ -9,27 +9,26 @@ const test = require('node:test');
 const assert = require('node:assert');
 
 // Mock dependencies before requiring the service
+const titleOutput = (text) => ({
+  output: [{ type: 'message', content: [{ type: 'output_text', text }] }],
+});
+
 const mockOpenAIClient = {
   responses: {
-    create: async () => ({
-      output: [
-        {
-          type: 'message',
-          content: [
-            {
-              type: 'output_text',
-              text: JSON.stringify({
-                summary_markdown: '## Lesson Summary\n\nThis is a test summary.',
-                student: 'John Doe',
-                title: 'John Doe: Scales and Arpeggios',
-                pieces: ['Bach Partita', 'Mendelssohn Concerto'],
-                themes: ['intonation', 'bow control'],
-              }),
-            },
-          ],
-        },
-      ],
-    }),
+    create: async ({ instructions }) => {
+      if (instructions === 'Generate a title...') {
+        return titleOutput('"John Doe: Bach, Mendelssohn"');
+      }
+      return titleOutput(
+        JSON.stringify({
+          summary_markdown: '## Lesson Summary\n\nThis is a test summary.',
+          student: 'John Doe',
+          title: 'John Doe: Scales and Arpeggios',
+          pieces: ['Bach Partita', 'Mendelssohn Concerto'],
+          themes: ['intonation', 'bow control'],
+        })
+      );
+    },
   },
 };
 
@@ -39,6 +38,7 @@ const mockConfig = {
 
 const mockPromptConfigService = {
   generateSummaryPrompt: () => 'Generate a summary...',
+  generateTitlePrompt: () => 'Generate a title...',
   isValidInstrument: (val) => ['violin', 'viola', 'cello', 'piano'].includes(val),
   isValidGenre: (val) => ['classical', 'jazz', 'folk'].includes(val),
 };
@@ -80,7 +80,7 @@ test('RecordingProcessing Service', async (t) => {
       });
 
       assert.ok(result.summary, 'Should have summary');
-      assert.ok(result.title, 'Should have title');
+      assert.strictEqual(result.title, 'John Doe: Bach, Mendelssohn', 'Should use the titleGeneration prompt');
       assert.ok(result.rawStructuredResponse, 'Should have raw response');
     });
 
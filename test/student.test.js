@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const configPath = require.resolve('../src/config/config');
+const supabasePath = require.resolve('../src/config/supabase');
+const openaiPath = require.resolve('../src/config/openai');
+
+// Every query is recorded; `respond` decides what it resolves to
+const queries = [];
+let respond = () => ({ data: null, error: null });
+
+const createQuery = (table) => {
+  const state = { table, action: 'select', payload: null, filters: {} };
+  const resolve = (mode) => {
+    queries.push(state);
+    return Promise.resolve(respond(state, mode));
+  };
+  const query = {
+    select: () => query,
+    insert: (payload) => Object.assign(state, { action: 'insert', payload }) && query,
+    update: (payload) => Object.assign(state, { action: 'update', payload }) && query,
+    upsert: (payload) => Object.assign(state, { action: 'upsert', payload }) && query,
+    delete: () => Object.assign(state, { action: 'delete' }) && query,
+    eq: (column, value) => {
+      state.filters[column] = value;
+      return query;
+    },
+    ilike: (column, value) => {
+      state.filters[`${column}~`] = value;
+      return query;
+    },
+    order: () => query,
+    limit: () => query,
+    single: () => resolve('single'),
+    maybeSingle: () => resolve('maybeSingle'),
+    then: (onFulfilled, onRejected) => resolve('many').then(onFulfilled, onRejected),
+  };
+  return query;
+};
+
+require.cache[configPath] = { exports: { openai: { mainClient: {} }, memory: {} } };
+require.cache[supabasePath] = { exports: { supabase: { from: createQuery } } };
+require.cache[openaiPath] = {
+  exports: {
+    openaiClient: {},
+    PROMPT_ID: 'prompt-default',
+    PROMPT_ID_PERSONAL_LESSONS: 'prompt-personal',
+    PROMPT_ID_LESSON_PLAN: 'prompt-lesson-plan',
+  },
+};
+
+const studentService = require('../src/services/student.service');
+const chatService = require('../src/services/chat.service');
+
+const user = { id: 'user-1' };
+const ana = { student_id: 'student-ana', name: 'Ana' };
+
+test('renaming a student retitles their prep digest and lesson plan chats', async () => {
+  queries.length = 0;
+  respond = ({ table, action }) => {
+    if (table === 'students' && action === 'select') return { data: ana, error: null };
+    if (table === 'students' && action === 'update') return { data: { ...ana, name: 'Ana María' }, error: null };
+    return { data: null, error: null };
+  };
+
+  const student = await studentService.updateStudent(user, 'student-ana', { name: ' Ana María ' });
+
+  assert.strictEqual(student.name, 'Ana María');
+  const retitled = queries.filter((query) => query.table === 'chats' && query.action === 'update');
+  assert.deepStrictEqual(
+    retitled.map((query) => [query.filters.student_id, query.filters.student_chat_type, query.payload.title]),
+    [
+      ['student-ana', 'prep_digest', 'Prep digest for Ana María'],
+      ['student-ana', 'lesson_plan', 'Lesson plan for Ana María'],
+    ]
+  );
+});
+
+test('findOrCreateStudentByName matches names literally and ignores case', async () => {
+  queries.length = 0;
+  respond = ({ table, action }) =>
+    table === 'students' && action === 'select'
+      ? { data: [], error: null }
+      : { data: { ...ana, name: '50%_Ana' }, error: null };
+
+  const student = await studentService.findOrCreateStudentByName(user, '50%_Ana');
+
+  assert.strictEqual(queries[0].filters['name~'], '50\\%\\_Ana');
+  assert.deepStrictEqual(queries[1].payload, { user_id: 'user-1', name: '50%_Ana', notes: null });
+  assert.strictEqual(student.name, '50%_Ana');
+});
+
+test('a prep digest reuses the chat linked to the student even after the student was renamed', async () => {
+  queries.length = 0;
+  const linkedChat = {
+    chat_id: 'chat-ana',
+    title: 'Prep digest for Ana',
+    conversation_id: 'conv-1',
+    chat_mode: 'arcoai',
+    student_id: 'student-ana',
+    student_chat_type: 'prep_digest',
+  };
+  respond = ({ table, action, payload }) => {
+    if (table === 'students') return { data: { student_id: 'student-ana', name: 'Ana María' }, error: null };
+    if (table === 'chats' && action === 'select') return { data: [linkedChat], error: null };
+    if (table === 'chats' && action === 'update') return { data: { ...linkedChat, ...payload }, error: null };
+    return { data: null, error: null };
+  };
+
+  const result = await chatService.createChatWithFirstMessage(
+    user,
+    'Prep digest for Ana María',
+    '',
+    'arcoai',
+    null,
+    'student-ana'
+  );
+
+  assert.strictEqual(result.isReusedChat, true);
+  assert.strictEqual(result.chat.chat_id, 'chat-ana');
+  assert.strictEqual(result.chat.title, 'Prep digest for Ana María');
+  const lookup = queries.find((query) => query.table === 'chats' && query.action === 'select');
+  assert.strictEqual(lookup.filters.student_id, 'student-ana');
+  assert.strictEqual(lookup.filters.student_chat_type, 'prep_digest');
+  assert.strictEqual(lookup.filters.title, undefined);
+});
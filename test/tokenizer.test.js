@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const configPath = require.resolve('../src/config/config');
+const tokenizerPath = require.resolve('../src/utils/tokenizer');
+
+// One copy of the module per configuration; each reads the config it was loaded with
+require.cache[configPath] = { exports: { tokenizer: { encoding: 'o200k_base', cacheSize: 10 } } };
+const bpeTokenizer = require('../src/utils/tokenizer');
+
+delete require.cache[tokenizerPath];
+require.cache[configPath] = { exports: { tokenizer: { encoding: 'heuristic', charsPerToken: 3 } } };
+const heuristicTokenizer = require('../src/utils/tokenizer');
+
+test('countTokens uses the BPE encoding instead of four characters per token', () => {
+  const { countTokens, getTokenizerName } = bpeTokenizer;
+
+  assert.strictEqual(getTokenizerName(), 'o200k_base');
+  assert.strictEqual(countTokens('hello world'), 2);
+  // Japanese packs far more characters per token than English, notation far fewer
+  const japanese = 'バイオリンの弓の持ち方を練習しましょう';
+  assert.notStrictEqual(countTokens(japanese), Math.ceil(japanese.length / 4));
+  assert.strictEqual(countTokens(null), 0);
+});
+
+test('clampToTokens stays within the budget and ends on a word boundary', () => {
+  const { countTokens, clampToTokens } = bpeTokenizer;
+  const text = 'Kreutzer 2: détaché at the frog, ♩=60, then sul G shifts in measures 12–16 with a light bow.';
+
+  const clamped = clampToTokens(text, 8);
+
+  assert.ok(countTokens(clamped) <= 8);
+  assert.ok(text.startsWith(clamped));
+  assert.ok(!/\s$/.test(clamped));
+  assert.strictEqual(clampToTokens('short', 8), 'short');
+});
+
+test('the heuristic fallback counts configured characters per token', () => {
+  const { countTokens, clampToTokens, getTokenizerName } = heuristicTokenizer;
+
+  assert.strictEqual(getTokenizerName(), 'heuristic');
+  assert.strictEqual(countTokens('abcdefg'), 3);
+  assert.strictEqual(clampToTokens('one two three four five six', 4), 'one two');
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+require.cache[supabasePath] = { exports: { supabase: { from: () => ({ insert: async () => ({ error: null }) }) } } };
+
+const { getModelPricing } = require('../src/config/pricing');
+const { summarizeUsage, estimateCost, buildUsageRollups } = require('../src/services/usage.service');
+
+test('getModelPricing matches models and their dated snapshots', () => {
+  assert.deepStrictEqual(getModelPricing('gpt-5-mini-2025-08-07'), getModelPricing('gpt-5-mini'));
+  assert.notDeepStrictEqual(getModelPricing('gpt-5-mini'), getModelPricing('gpt-5'));
+  assert.strictEqual(getModelPricing('unknown-model'), null);
+  assert.strictEqual(getModelPricing('gpt-5.1-preview'), null);
+});
+
+test('summarizeUsage captures cached and reasoning tokens with prompt and variant', () => {
+  const usage = summarizeUsage({
+    usage: {
+      input_tokens: 2000,
+      input_tokens_details: { cached_tokens: 1000 },
+      output_tokens: 500,
+      output_tokens_details: { reasoning_tokens: 300 },
+      total_tokens: 2500,
+    },
+    model: 'gpt-5-2025-08-07',
+    promptId: 'pmpt_1',
+    modelVariant: 'arco-pro',
+  });
+
+  assert.deepStrictEqual(usage, {
+    input_tokens: 2000,
+    cached_input_tokens: 1000,
+    output_tokens: 500,
+    reasoning_tokens: 300,
+    total_tokens: 2500,
+    model: 'gpt-5-2025-08-07',
+    prompt_id: 'pmpt_1',
+    model_variant: 'arco-pro',
+    // 1000 uncached * 1.25 + 1000 cached * 0.125 + 500 output * 10, per 1M tokens
+    cost_usd: 0.006375,
+  });
+});
+
+test('summarizeUsage returns null when OpenAI reported no usage', () => {
+  assert.strictEqual(summarizeUsage({ usage: undefined, model: 'gpt-5' }), null);
+});
+
+test('getModelPricing prices gpt-5.1 tiers on their own, not as gpt-5.1', () => {
+  assert.deepStrictEqual(getModelPricing('gpt-5.1-nano'), { input: 0.05, cachedInput: 0.005, output: 0.4 });
+  assert.deepStrictEqual(getModelPricing('gpt-5.1-mini'), { input: 0.25, cachedInput: 0.025, output: 2 });
+  assert.deepStrictEqual(getModelPricing('gpt-5.1-2025-11-13'), getModelPricing('gpt-5.1'));
+});
+
+test('estimateCost is null for models without pricing', () => {
+  assert.strictEqual(
+    estimateCost('mystery', {
+      input_tokens: 1,
+      cached_input_tokens: 0,
+      output_tokens: 1,
+      reasoning_tokens: 0,
+      total_tokens: 2,
+    }),
+    null
+  );
+});
+
+test('buildUsageRollups groups by day, chat and variant', () => {
+  const rows = [
+    {
+      chat_id: 'c1',
+      operation: 'chat_reply',
+      model_variant: 'arco',
+      created_at: '2025-05-01T10:00:00Z',
+      input_tokens: 100,
+      cached_input_tokens: 0,
+      output_tokens: 50,
+      reasoning_tokens: 0,
+      total_tokens: 150,
+      cost_usd: '0.001',
+    },
+    {
+      chat_id: 'c1',
+      operation: 'chat_reply',
+      model_variant: 'arco-pro',
+      created_at: '2025-05-01T11:00:00Z',
+      input_tokens: 100,
+      cached_input_tokens: 0,
+      output_tokens: 400,
+      reasoning_tokens: 300,
+      total_tokens: 500,
+      cost_usd: '0.004',
+    },
+    {
+      chat_id: 'c2',
+      operation: 'chat_reply',
+      model_variant: 'arco-pro',
+      created_at: '2025-05-02T09:00:00Z',
+      input_tokens: 10,
+      cached_input_tokens: 0,
+      output_tokens: 10,
+      reasoning_tokens: 5,
+      total_tokens: 20,
+      cost_usd: '0.0005',
+    },
+    {
+      chat_id: null,
+      operation: 'recording_processing',
+      model_variant: null,
+      created_at: '2025-05-02T12:00:00Z',
+      input_tokens: 1000,
+      cached_input_tokens: 0,
+      output_tokens: 100,
+      reasoning_tokens: 0,
+      total_tokens: 1100,
+      cost_usd: null,
+    },
+  ];
+
+  const rollups = buildUsageRollups(rows);
+
+  assert.strictEqual(rollups.totals.requests, 4);
+  assert.strictEqual(rollups.totals.total_tokens, 1770);
+  assert.strictEqual(rollups.totals.cost_usd, 0.0055);
+  assert.deepStrictEqual(
+    rollups.by_day.map((d) => [d.date, d.requests]),
+    [
+      ['2025-05-01', 2],
+      ['2025-05-02', 2],
+    ]
+  );
+  assert.deepStrictEqual(
+    rollups.by_chat.map((c) => [c.chat_id, c.cost_usd]),
+    [
+      ['c1', 0.005],
+      ['c2', 0.0005],
+    ]
+  );
+  assert.deepStrictEqual(
+    rollups.by_variant.map((v) => [v.model_variant, v.requests, v.reasoning_tokens]),
+    [
+      ['arco-pro', 2, 305],
+      ['arco', 1, 0],
+      ['recording_processing', 1, 0],
+    ]
+  );
+});
@@ -0,0 +1,147 @@
+// The real prompt config service loads the logger, which validates the environment
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.OPENAI_API_MODEL = process.env.OPENAI_API_MODEL || 'gpt-5';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const supabasePath = require.resolve('../src/config/supabase');
+const openaiPath = require.resolve('../src/config/openai');
+const studentServicePath = require.resolve('../src/services/student.service');
+const usageServicePath = require.resolve('../src/services/usage.service');
+
+const inserts = [];
+let memoryRows = [];
+let chatStudentId = null;
+let extractorOutput = '';
+
+require.cache[supabasePath] = {
+  exports: {
+    supabase: {
+      from: (table) => {
+        const query = {
+          select: () => query,
+          eq: () => query,
+          order: () => query,
+          limit: () => Promise.resolve({ data: memoryRows, error: null }),
+          maybeSingle: async () => ({ data: { student_id: chatStudentId }, error: null }),
+          insert: (payload) => {
+            inserts.push({ table, payload });
+            return {
+              select: () => ({
+                single: async () => ({ data: { memory_id: `m${inserts.length}`, ...payload }, error: null }),
+              }),
+            };
+          },
+        };
+        return query;
+      },
+    },
+  },
+};
+require.cache[openaiPath] = {
+  exports: {
+    openaiClient: {
+      responses: {
+        create: async () => ({ id: 'resp-1', output_text: extractorOutput, usage: null }),
+      },
+    },
+  },
+};
+require.cache[studentServicePath] = {
+  exports: {
+    getStudent: async () => ({ student_id: 'student-1' }),
+    findStudentByName: async (user, name) => (name === 'Maya' ? { student_id: 'student-1', name: 'Maya' } : null),
+  },
+};
+require.cache[usageServicePath] = {
+  exports: {
+    OPERATIONS: { MEMORY_EXTRACTION: 'memory_extraction' },
+    summarizeUsage: () => null,
+    recordUsage: () => {},
+  },
+};
+
+const { rankMemories, buildUserMemoryBlock, extractUserMemories } = require('../src/services/userMemory.service');
+
+const fact = (memoryId, content, extra = {}) => ({
+  memory_id: memoryId,
+  content,
+  student_id: null,
+  updated_at: '2025-03-01T10:00:00.000Z',
+  ...extra,
+});
+
+test('rankMemories puts the linked student first and skips unrelated students', () => {
+  const memories = [
+    fact('m1', 'Teaches mostly Suzuki book 4 students'),
+    fact('m2', 'Struggles with fourth finger intonation', { student_id: 'student-1', students: { name: 'Maya' } }),
+    fact('m3', 'Preparing a Bach partita audition', { student_id: 'student-2', students: { name: 'Leo' } }),
+  ];
+
+  const ranked = rankMemories(memories, { text: 'Scales for this week?', studentId: 'student-1' });
+  assert.deepStrictEqual(
+    ranked.map((memory) => memory.memory_id),
+    ['m2', 'm1']
+  );
+
+  const mentioned = rankMemories(memories, { text: 'How should Leo warm up?', studentId: null });
+  assert.deepStrictEqual(
+    mentioned.map((memory) => memory.memory_id),
+    ['m3', 'm1']
+  );
+});
+
+test('buildUserMemoryBlock keeps facts within its own token budget', async () => {
+  chatStudentId = 'student-1';
+  memoryRows = [
+    fact('m1', 'Prefers answers with exercises numbered by week'),
+    fact('m2', 'Struggles with fourth finger intonation', { student_id: 'student-1', students: { name: 'Maya' } }),
+  ];
+
+  const block = await buildUserMemoryBlock({ userId: 'user-1', chatId: 'chat-1', text: 'Next lesson', tokenBudget: 40 });
+
+  assert.deepStrictEqual(
+    block.memories.map((memory) => memory.memory_id),
+    ['m2']
+  );
+  assert.ok(block.text.includes('- Struggles with fourth finger intonation (student: Maya)'));
+
+  const none = await buildUserMemoryBlock({ userId: 'user-1', chatId: 'chat-1', text: 'Next lesson', tokenBudget: 0 });
+  assert.deepStrictEqual(none, { text: '', memories: [] });
+});
+
+test('extractUserMemories stores new facts and links known students', async () => {
+  inserts.length = 0;
+  memoryRows = [fact('m1', 'Teaches mostly Suzuki book 4 students')];
+  extractorOutput = JSON.stringify({
+    facts: [
+      { content: 'Teaches mostly Suzuki book 4 students', category: 'teaching', student: null },
+      { content: 'Maya is preparing the Accolay concerto', category: 'student', student: 'Maya' },
+      { content: 'Prefers metric tempo markings', category: 'preference', student: null },
+    ],
+  });
+
+  const stored = await extractUserMemories({
+    userId: 'user-1',
+    chatId: 'chat-1',
+    messageId: 'a2',
+    userMessage: 'Maya starts the Accolay next week. I always write tempos as metronome marks.',
+    assistantMessage: 'Great, here is a plan for the first section.',
+  });
+
+  assert.strictEqual(stored.length, 2);
+  assert.deepStrictEqual(
+    inserts.map(({ payload }) => [payload.content, payload.category, payload.student_id]),
+    [
+      ['Maya is preparing the Accolay concerto', 'student', 'student-1'],
+      ['Prefers metric tempo markings', 'preference', null],
+    ]
+  );
+  assert.strictEqual(inserts[0].payload.source, 'extracted');
+  assert.strictEqual(inserts[0].payload.source_message_id, 'a2');
+
+  extractorOutput = 'not json';
+  assert.deepStrictEqual(await extractUserMemories({ userId: 'user-1', chatId: 'chat-1', userMessage: 'Hi' }), []);
+});